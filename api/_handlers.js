@@ -0,0 +1,9 @@
+/**
+ * Shared handler instance for Vercel serverless functions
+ * (files prefixed with `_` are not exposed as routes)
+ */
+
+import { createApiHandlers } from '../server/handlers.js';
+
+// Vercel's edge replaces X-Forwarded-For with the address it received the request from
+export const handlers = createApiHandlers({ trustProxy: true });
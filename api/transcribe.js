@@ -0,0 +1,3 @@
+import { handlers } from './_handlers.js';
+
+export default handlers['/api/transcribe'];
@@ -0,0 +1,278 @@
+/**
+ * API route handlers
+ * POST /api/questions - Cartesian Logic question generation (single or two-variable)
+ * POST /api/patterns  - Sleight of Mouth reframes
+ * POST /api/meta-model - Meta Model challenge questions
+ * POST /api/extract-beliefs - Candidate limiting beliefs in free-form text
+ * POST /api/tts       - Text-to-speech audio
+ * POST /api/transcribe - Speech-to-text for browsers without the Web Speech API
+ */
+
+import { HttpError, readJsonBody, sendJson, sendError, getClientId } from './http.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createUpstream } from './upstream.js';
+import { QUADRANT_KEYS, QUESTION_MODES, RULE_FEEDBACK } from '../src/services/questionValidator.js';
+import { REFRAME_PATTERN_IDS } from '../src/services/patterns/index.js';
+import { analyzeMetaModel } from '../src/services/linguistics/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_IDS } from '../src/i18n/languages.js';
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_BELIEF_LENGTH = 500;
+const MAX_FREE_TEXT_LENGTH = 4000;
+const MAX_TTS_TEXT_LENGTH = 1000;
+const MAX_QUESTION_LENGTH = 300;
+const TTS_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const MAX_AUDIO_BYTES = 1024 * 1024;
+// Base64 grows the audio by a third; leave room for the other fields
+const MAX_TRANSCRIBE_BODY_BYTES = Math.ceil((MAX_AUDIO_BYTES * 4) / 3) + 1024;
+// Recorded formats browsers produce, with the file extension the transcriber expects
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav'
+};
+
+/**
+ * Create the API handlers
+ * @param {object} options
+ * @param {object} options.upstream - Upstream AI services (defaults from environment)
+ * @param {number} options.rateLimit - Requests per client per minute
+ * @param {boolean} options.trustProxy - Identify clients by X-Forwarded-For (only behind a proxy that sets it)
+ * @returns {object} - Handlers keyed by route path; every route answers 503 when the
+ *   upstream from the environment is misconfigured (e.g. OPENAI_API_KEY missing)
+ */
+export function createApiHandlers({ upstream, rateLimit = 30, trustProxy = false } = {}) {
+  const limiter = createRateLimiter({ limit: rateLimit, windowMs: 60 * 1000 });
+
+  let configError = null;
+  if (!upstream) {
+    try {
+      upstream = createUpstream();
+    } catch (error) {
+      console.error('API server is not configured:', error.message);
+      configError = error;
+    }
+  }
+
+  // Shared preamble: method check, rate limit, body parsing
+  const withGuards = (handler, { maxBytes = MAX_BODY_BYTES } = {}) => async (req, res) => {
+    try {
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        throw new HttpError(405, 'Method not allowed');
+      }
+      if (configError) {
+        throw new HttpError(503, `API server is not configured: ${configError.message}`);
+      }
+
+      const { allowed, retryAfter } = limiter.check(getClientId(req, { trustProxy }));
+      if (!allowed) {
+        res.setHeader('Retry-After', String(retryAfter));
+        throw new HttpError(429, 'Too many requests, please slow down');
+      }
+
+      const body = await readJsonBody(req, maxBytes);
+      await handler(body, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  return {
+    '/api/questions': withGuards(async (body, res) => {
+      const belief = parseBelief(body.belief);
+
+      const mode = body.mode ?? 'single';
+      if (!QUESTION_MODES.includes(mode)) {
+        throw new HttpError(400, `mode must be one of: ${QUESTION_MODES.join(', ')}`);
+      }
+      const components = mode === 'two-variable' ? parseComponents(body.components) : undefined;
+
+      const language = body.language ?? DEFAULT_LANGUAGE;
+      if (!LANGUAGE_IDS.includes(language)) {
+        throw new HttpError(400, `language must be one of: ${LANGUAGE_IDS.join(', ')}`);
+      }
+      if (mode === 'two-variable' && language !== DEFAULT_LANGUAGE) {
+        throw new HttpError(400, 'two-variable mode is only available in English');
+      }
+
+      const retry = body.retry === undefined ? undefined : parseRetry(body.retry);
+      const questions = await upstream.generateQuestions(belief, { retry, mode, components, language });
+      sendJson(res, 200, questions);
+    }),
+
+    '/api/patterns': withGuards(async (body, res) => {
+      const belief = parseBelief(body.belief);
+      const patterns = body.patterns;
+      if (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every((id) => REFRAME_PATTERN_IDS.includes(id))) {
+        throw new HttpError(400, `patterns must list one or more of: ${REFRAME_PATTERN_IDS.join(', ')}`);
+      }
+
+      const reframes = await upstream.generateReframes(belief, [...new Set(patterns)]);
+      sendJson(res, 200, reframes);
+    }),
+
+    '/api/meta-model': withGuards(async (body, res) => {
+      const belief = parseBelief(body.belief);
+
+      // Violations are found here with the same rules as the browser, so the
+      // model only ever rewords known challenges
+      const violations = analyzeMetaModel(belief);
+      if (violations.length === 0) {
+        sendJson(res, 200, { challenges: [] });
+        return;
+      }
+
+      const result = await upstream.generateMetaModelChallenges(belief, violations);
+      sendJson(res, 200, result);
+    }),
+
+    '/api/extract-beliefs': withGuards(async (body, res) => {
+      const text = typeof body.text === 'string' ? body.text.trim() : '';
+      if (!text) {
+        throw new HttpError(400, 'text is required');
+      }
+      if (text.length > MAX_FREE_TEXT_LENGTH) {
+        throw new HttpError(413, `text must be at most ${MAX_FREE_TEXT_LENGTH} characters`);
+      }
+
+      const language = body.language ?? DEFAULT_LANGUAGE;
+      if (!LANGUAGE_IDS.includes(language)) {
+        throw new HttpError(400, `language must be one of: ${LANGUAGE_IDS.join(', ')}`);
+      }
+
+      const result = await upstream.extractBeliefs(text, language);
+      sendJson(res, 200, result);
+    }),
+
+    '/api/tts': withGuards(async (body, res) => {
+      const text = typeof body.text === 'string' ? body.text.trim() : '';
+      const voice = body.voice ?? 'alloy';
+      const speed = body.speed ?? 0.95;
+
+      if (!text) {
+        throw new HttpError(400, 'text is required');
+      }
+      if (text.length > MAX_TTS_TEXT_LENGTH) {
+        throw new HttpError(413, `text must be at most ${MAX_TTS_TEXT_LENGTH} characters`);
+      }
+      if (!TTS_VOICES.includes(voice)) {
+        throw new HttpError(400, `voice must be one of: ${TTS_VOICES.join(', ')}`);
+      }
+      if (typeof speed !== 'number' || speed < 0.25 || speed > 4) {
+        throw new HttpError(400, 'speed must be a number between 0.25 and 4');
+      }
+
+      const audio = await upstream.synthesizeSpeech(text, voice, speed);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', audio.contentType);
+      res.setHeader('Content-Length', String(audio.body.length));
+      res.end(audio.body);
+    }),
+
+    '/api/transcribe': withGuards(async (body, res) => {
+      // mimeType may carry codecs ("audio/webm;codecs=opus"); only the base type matters
+      const mimeType = typeof body.mimeType === 'string' ? body.mimeType.split(';')[0].trim().toLowerCase() : '';
+      if (!Object.hasOwn(AUDIO_TYPES, mimeType)) {
+        throw new HttpError(400, `mimeType must be one of: ${Object.keys(AUDIO_TYPES).join(', ')}`);
+      }
+
+      const language = body.language ?? DEFAULT_LANGUAGE;
+      if (!LANGUAGE_IDS.includes(language)) {
+        throw new HttpError(400, `language must be one of: ${LANGUAGE_IDS.join(', ')}`);
+      }
+
+      const audio = typeof body.audio === 'string' ? Buffer.from(body.audio, 'base64') : Buffer.alloc(0);
+      if (audio.length === 0) {
+        throw new HttpError(400, 'audio is required (base64)');
+      }
+      if (audio.length > MAX_AUDIO_BYTES) {
+        throw new HttpError(413, `audio must be at most ${MAX_AUDIO_BYTES} bytes`);
+      }
+
+      const text = await upstream.transcribeSpeech(audio, {
+        filename: `speech.${AUDIO_TYPES[mimeType]}`,
+        mimeType,
+        language
+      });
+      sendJson(res, 200, { text });
+    }, { maxBytes: MAX_TRANSCRIBE_BODY_BYTES })
+  };
+}
+
+/**
+ * Validate the belief text shared by the generation routes
+ * @param {*} value - body.belief from the client
+ * @returns {string} - Trimmed belief
+ */
+function parseBelief(value) {
+  const belief = typeof value === 'string' ? value.trim() : '';
+  if (!belief) {
+    throw new HttpError(400, 'belief is required');
+  }
+  if (belief.length > MAX_BELIEF_LENGTH) {
+    throw new HttpError(413, `belief must be at most ${MAX_BELIEF_LENGTH} characters`);
+  }
+  return belief;
+}
+
+/**
+ * Validate the A/B components for two-variable questions
+ * @param {object} components - { a, b } from the client
+ * @returns {object} - Trimmed { a, b }
+ */
+function parseComponents(components) {
+  const parsed = {};
+  for (const key of ['a', 'b']) {
+    const value = typeof components?.[key] === 'string' ? components[key].trim() : '';
+    if (!value) {
+      throw new HttpError(400, `components.${key} is required in two-variable mode`);
+    }
+    if (value.length > MAX_BELIEF_LENGTH) {
+      throw new HttpError(413, `components.${key} must be at most ${MAX_BELIEF_LENGTH} characters`);
+    }
+    parsed[key] = value;
+  }
+  return parsed;
+}
+
+/**
+ * Validate retry context for /api/questions
+ * Only known rule codes are accepted, so clients can't inject free-form prompts.
+ * @param {object} retry - { previous, errors } from the client
+ * @returns {object} - Sanitized retry context
+ */
+function parseRetry(retry) {
+  if (!retry || typeof retry !== 'object') {
+    throw new HttpError(400, 'retry must be an object');
+  }
+
+  const previous = {};
+  const errors = {};
+
+  for (const key of QUADRANT_KEYS) {
+    const question = retry.previous?.[key];
+    if (question !== undefined && question !== null) {
+      if (typeof question !== 'string' || question.length > MAX_QUESTION_LENGTH) {
+        throw new HttpError(400, `retry.previous.${key} must be a string of at most ${MAX_QUESTION_LENGTH} characters`);
+      }
+      previous[key] = question;
+    }
+
+    const codes = retry.errors?.[key];
+    if (codes !== undefined) {
+      if (!Array.isArray(codes) || !codes.every((code) => Object.hasOwn(RULE_FEEDBACK, code))) {
+        throw new HttpError(400, `retry.errors.${key} must list known rule codes`);
+      }
+      errors[key] = codes;
+    }
+  }
+
+  if (Object.keys(errors).length === 0) {
+    throw new HttpError(400, 'retry.errors must name at least one quadrant');
+  }
+
+  return { previous, errors };
+}
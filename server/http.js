@@ -0,0 +1,114 @@
+/**
+ * HTTP helpers for the API server
+ * Kept dependency-free so the same handlers run under `node:http` and Vercel functions
+ */
+
+/**
+ * Error carrying an HTTP status code back to the client
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body, enforcing a size limit
+ * @param {object} req - Incoming request
+ * @param {number} maxBytes - Maximum accepted body size in bytes
+ * @returns {Promise<object>} - Parsed JSON body; anything other than an object is a 400
+ */
+export async function readJsonBody(req, maxBytes) {
+  // Vercel functions pre-parse the body; enforce the same limit on it
+  if (req.body !== undefined) {
+    const raw = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+    if (Buffer.byteLength(raw) > maxBytes) {
+      throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+    }
+    return requireObject(typeof req.body === 'string' ? parseJson(raw) : req.body);
+  }
+
+  const declaredLength = Number(req.headers['content-length'] || 0);
+  if (declaredLength > maxBytes) {
+    throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return requireObject(parseJson(Buffer.concat(chunks).toString('utf8')));
+}
+
+// Handlers read fields off the body, so null, arrays and bare values are rejected here
+function requireObject(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+function parseJson(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {object} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {object} payload - JSON-serializable payload
+ */
+export function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Send an error response, hiding internal details for unexpected errors
+ * @param {object} res - Server response
+ * @param {Error} error - Error to report
+ */
+export function sendError(res, error) {
+  if (error instanceof HttpError) {
+    sendJson(res, error.status, { error: error.message });
+    return;
+  }
+  console.error('Unhandled API error:', {
+    message: error.message,
+    status: error.status,
+    type: error.type
+  });
+  sendJson(res, 502, { error: 'Upstream request failed' });
+}
+
+/**
+ * Identify the client for rate limiting
+ * X-Forwarded-For is set by anyone who sends the request, so it is only read
+ * behind a trusted proxy, and then only the entry that proxy appended (the last)
+ * @param {object} req - Incoming request
+ * @param {object} options
+ * @param {boolean} options.trustProxy - The server sits behind a proxy that sets X-Forwarded-For
+ * @returns {string} - Client address
+ */
+export function getClientId(req, { trustProxy = false } = {}) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    const addresses = String(forwarded).split(',').map((address) => address.trim()).filter(Boolean);
+    if (addresses.length > 0) return addresses[addresses.length - 1];
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
@@ -0,0 +1,45 @@
+/**
+ * API Server
+ * Keeps the OpenAI key on the server and proxies question generation and TTS.
+ *
+ * Usage:
+ *   OPENAI_API_KEY=sk-... npm run server
+ *   LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://localhost:11434/v1 LLM_MODEL=llama3.1 npm run server
+ *   npm run server:stub   (mock LLM and stub speech, no key needed)
+ * Exits at startup when the chosen provider is missing its key.
+ */
+
+import { createServer } from 'node:http';
+import { createApiHandlers } from './handlers.js';
+import { createUpstream } from './upstream.js';
+import { sendJson } from './http.js';
+
+const port = Number(process.env.PORT || 8787);
+let upstream;
+try {
+  upstream = createUpstream(process.env, { stub: process.argv.includes('--stub') });
+} catch (error) {
+  console.error(`❌ ${error.message} (use npm run server:stub to develop without a key)`);
+  process.exit(1);
+}
+const handlers = createApiHandlers({
+  upstream,
+  rateLimit: Number(process.env.RATE_LIMIT_PER_MINUTE || 30),
+  trustProxy: process.env.TRUST_PROXY === 'true'
+});
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const handler = handlers[pathname];
+
+  if (!handler) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  handler(req, res);
+});
+
+server.listen(port, () => {
+  console.log(`🚀 API server listening on http://localhost:${port} (upstream: ${upstream.name})`);
+});
@@ -0,0 +1,49 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements:
+ *   complete({ task, input, messages }) => Promise<string>
+ * returning the model's JSON text. `messages` is the chat prompt; `task` and
+ * `input` describe the same request in structured form for providers (like the
+ * mock) that don't run a model.
+ *
+ * Selected with LLM_PROVIDER:
+ *   openai            - OpenAI GPT-5 (OPENAI_API_KEY, optional LLM_MODEL)
+ *   openai-compatible - Ollama, llama.cpp server, ... (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+ *   mock              - Deterministic offline responses
+ * Defaults to openai. The mock only runs when chosen (or with the server's --stub
+ * flag), so a deploy missing its key fails instead of serving fake questions.
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createMockProvider } from './mock.js';
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Create the configured LLM provider
+ * @param {object} env - Environment variables
+ * @returns {object} - Provider with complete() method
+ */
+export function createLLMProvider(env = process.env) {
+  const providerName = env.LLM_PROVIDER || 'openai';
+
+  switch (providerName) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('openai provider requires OPENAI_API_KEY');
+      }
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model: env.LLM_MODEL || undefined });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider({
+        baseURL: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Mock LLM provider
+ * Deterministic, offline responses keyed by task, for local development and tests
+ */
+
+import { generateEngineQuestions, generateTwoVariableQuestions, extractBeliefs } from '../../src/services/linguistics/index.js';
+import { generatePatternTemplates } from '../../src/services/patterns/index.js';
+
+const RESPONDERS = {
+  // Same offline engine the browser uses for its template fallback
+  cartesian: ({ belief, language }) => generateEngineQuestions(belief, language),
+  'cartesian-two-variable': ({ components }) => generateTwoVariableQuestions(components.a, components.b),
+  'sleight-of-mouth': ({ belief, patterns }) => generatePatternTemplates(belief, patterns),
+  'meta-model': ({ violations }) => ({ challenges: violations.map((violation) => violation.challenge) }),
+  'belief-extraction': ({ text, language }) => ({ beliefs: extractBeliefs(text, language).map((candidate) => candidate.belief) })
+};
+
+/**
+ * Create the mock provider
+ * @param {object} responders - Extra or overriding task responders
+ * @returns {object} - Provider with complete() method
+ */
+export function createMockProvider(responders = {}) {
+  const allResponders = { ...RESPONDERS, ...responders };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async complete({ task, input }) {
+      const respond = allResponders[task];
+      if (!respond) {
+        throw new Error(`Mock provider has no responder for task "${task}"`);
+      }
+      return JSON.stringify(respond(input));
+    }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * OpenAI LLM provider (GPT-5)
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create the OpenAI provider
+ * @param {object} options
+ * @param {string} options.apiKey - OpenAI API key
+ * @param {string} options.model - Model name (default gpt-5)
+ * @returns {object} - Provider with complete() method
+ */
+export function createOpenAIProvider({ apiKey, model = 'gpt-5' }) {
+  const openai = new OpenAI({ apiKey });
+  const isGpt5 = model.startsWith('gpt-5');
+
+  return {
+    name: 'openai',
+    model,
+
+    async complete({ messages }) {
+      const response = await openai.chat.completions.create({
+        model,
+        messages,
+        response_format: { type: 'json_object' },
+        // GPT-5 parameters; temperature, top_p, logprobs NOT supported for GPT-5
+        ...(isGpt5 && {
+          reasoning_effort: 'medium', // Balanced reasoning
+          verbosity: 'medium' // Concise but complete
+        })
+      });
+      return response.choices[0].message.content;
+    }
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * OpenAI-compatible LLM provider
+ * Works with any server exposing /v1/chat/completions, e.g. Ollama
+ * (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {object} options
+ * @param {string} options.baseURL - API base URL including /v1
+ * @param {string} options.model - Model name as known to the server
+ * @param {string} options.apiKey - API key, if the server requires one
+ * @returns {object} - Provider with complete() method
+ */
+export function createOpenAICompatibleProvider({ baseURL, model, apiKey }) {
+  if (!baseURL || !model) {
+    throw new Error('openai-compatible provider requires LLM_BASE_URL and LLM_MODEL');
+  }
+
+  // Local servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    async complete({ messages }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        response_format: { type: 'json_object' },
+        temperature: 0.3 // Keep output close to the prompt's rules
+      });
+      return response.choices[0].message.content;
+    }
+  };
+}
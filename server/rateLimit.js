@@ -0,0 +1,45 @@
+/**
+ * Per-client rate limiting
+ * Fixed-window counter kept in memory; good enough for a single server instance
+ */
+
+/**
+ * Create a rate limiter
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in ms
+ * @returns {object} - Limiter with check(clientId) method
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    /**
+     * Record a request and report whether it is allowed
+     * @param {string} clientId - Client identifier
+     * @returns {{ allowed: boolean, retryAfter: number }} - retryAfter in seconds
+     */
+    check(clientId) {
+      const now = Date.now();
+      let entry = windows.get(clientId);
+
+      if (!entry || now >= entry.resetAt) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(clientId, entry);
+      }
+
+      // Drop expired windows so the map doesn't grow without bound
+      if (windows.size > 10000) {
+        for (const [id, value] of windows) {
+          if (now >= value.resetAt) windows.delete(id);
+        }
+      }
+
+      entry.count++;
+      return {
+        allowed: entry.count <= limit,
+        retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+      };
+    }
+  };
+}
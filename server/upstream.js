@@ -0,0 +1,214 @@
+/**
+ * Upstream AI services used by the API server
+ * Question generation goes through the configured LLM provider (see
+ * providers/index.js). Speech uses OpenAI TTS and Whisper when OPENAI_API_KEY
+ * is set; the stub speech returns a generated tone and a canned transcript so
+ * the app can be run and tested locally without a real key. The stub is only
+ * used with --stub or LLM_PROVIDER=mock; otherwise speech without a key
+ * answers 503, so the client falls back to the browser's own speech.
+ */
+
+import OpenAI, { toFile } from 'openai';
+import {
+  buildCartesianMessages,
+  buildTwoVariableMessages,
+  buildPatternMessages,
+  buildMetaModelMessages,
+  buildBeliefExtractionMessages
+} from '../src/services/prompts.js';
+import { createLLMProvider } from './providers/index.js';
+import { createMockProvider } from './providers/mock.js';
+import { HttpError } from './http.js';
+
+/**
+ * OpenAI speech (tts-1-hd, whisper-1)
+ * @param {string} apiKey - OpenAI API key
+ * @returns {object} - Speech service with synthesize() and transcribe() methods
+ */
+function createOpenAISpeech(apiKey) {
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+
+    async synthesize(text, voice, speed) {
+      const response = await openai.audio.speech.create({
+        model: 'tts-1-hd',
+        voice,
+        input: text,
+        speed
+      });
+      return {
+        contentType: 'audio/mpeg',
+        body: Buffer.from(await response.arrayBuffer())
+      };
+    },
+
+    async transcribe(audio, { filename, mimeType, language }) {
+      const response = await openai.audio.transcriptions.create({
+        model: 'whisper-1',
+        file: await toFile(audio, filename, { type: mimeType }),
+        language
+      });
+      return response.text.trim();
+    }
+  };
+}
+
+// What the stub "hears", so dictation can be tried end to end offline
+const STUB_TRANSCRIPTS = {
+  en: "I'm not good enough",
+  es: 'No soy suficiente',
+  de: 'Ich bin nicht gut genug',
+  fr: 'Je ne suis pas assez bien'
+};
+
+/**
+ * Stub speech for local development and testing (no network)
+ * @returns {object} - Speech service with synthesize() and transcribe() methods
+ */
+function createStubSpeech() {
+  return {
+    name: 'stub',
+
+    async synthesize(text) {
+      // Roughly match spoken length so playback timing stays realistic
+      const words = text.split(/\s+/).filter(Boolean).length;
+      const seconds = Math.min(6, 0.5 + words * 0.3);
+      return { contentType: 'audio/wav', body: createToneWav(seconds) };
+    },
+
+    async transcribe(audio, { language }) {
+      return STUB_TRANSCRIPTS[language] || STUB_TRANSCRIPTS.en;
+    }
+  };
+}
+
+/**
+ * Speech when no OpenAI key is configured outside stub mode
+ * @returns {object} - Speech service whose methods reject with a 503
+ */
+function createUnavailableSpeech() {
+  const unavailable = async () => {
+    throw new HttpError(503, 'Speech is not available: OPENAI_API_KEY is not set');
+  };
+  return { name: 'none', synthesize: unavailable, transcribe: unavailable };
+}
+
+/**
+ * Parse JSON model output, tolerating the code fences local models often add
+ * @param {string} content - Raw model output
+ * @returns {object} - Parsed JSON
+ */
+function parseJsonContent(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end === -1) {
+    throw new Error('Model response did not contain a JSON object');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Create the upstream from the environment
+ * @param {object} env - Environment variables
+ * @param {object} options
+ * @param {boolean} options.stub - Force the mock LLM and stub speech
+ * @returns {object} - Upstream with generateQuestions(), generateReframes(),
+ *   generateMetaModelChallenges(), extractBeliefs(), synthesizeSpeech() and transcribeSpeech()
+ * @throws {Error} - When the chosen LLM provider is missing its configuration
+ */
+export function createUpstream(env = process.env, { stub = false } = {}) {
+  const llm = stub ? createMockProvider() : createLLMProvider(env);
+  let speech = createUnavailableSpeech();
+  if (stub || (env.LLM_PROVIDER === 'mock' && !env.OPENAI_API_KEY)) {
+    speech = createStubSpeech();
+  } else if (env.OPENAI_API_KEY) {
+    speech = createOpenAISpeech(env.OPENAI_API_KEY);
+  }
+
+  return {
+    name: `llm: ${llm.name} (${llm.model}), speech: ${speech.name}`,
+
+    async generateQuestions(belief, { retry, mode = 'single', components, language = 'en' } = {}) {
+      const request = mode === 'two-variable'
+        ? {
+          task: 'cartesian-two-variable',
+          input: { belief, components, retry },
+          messages: buildTwoVariableMessages(components.a, components.b, retry)
+        }
+        : {
+          task: 'cartesian',
+          input: { belief, retry, language },
+          messages: buildCartesianMessages(belief, retry, language)
+        };
+
+      return parseJsonContent(await llm.complete(request));
+    },
+
+    async generateReframes(belief, patterns) {
+      const content = await llm.complete({
+        task: 'sleight-of-mouth',
+        input: { belief, patterns },
+        messages: buildPatternMessages(belief, patterns)
+      });
+      return parseJsonContent(content);
+    },
+
+    async generateMetaModelChallenges(belief, violations) {
+      const content = await llm.complete({
+        task: 'meta-model',
+        input: { belief, violations },
+        messages: buildMetaModelMessages(belief, violations)
+      });
+      return parseJsonContent(content);
+    },
+
+    async extractBeliefs(text, language = 'en') {
+      const content = await llm.complete({
+        task: 'belief-extraction',
+        input: { text, language },
+        messages: buildBeliefExtractionMessages(text, language)
+      });
+      return parseJsonContent(content);
+    },
+
+    synthesizeSpeech: (text, voice, speed) => speech.synthesize(text, voice, speed),
+
+    transcribeSpeech: (audio, options) => speech.transcribe(audio, options)
+  };
+}
+
+/**
+ * Build a quiet mono 16-bit PCM WAV tone
+ * @param {number} seconds - Duration
+ * @returns {Buffer} - WAV file bytes
+ */
+function createToneWav(seconds) {
+  const sampleRate = 16000;
+  const sampleCount = Math.floor(sampleRate * seconds);
+  const buffer = Buffer.alloc(44 + sampleCount * 2);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // PCM chunk size
+  buffer.writeUInt16LE(1, 20); // PCM format
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  buffer.writeUInt16LE(2, 32); // Block align
+  buffer.writeUInt16LE(16, 34); // Bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(sampleCount * 2, 40);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = Math.sin((2 * Math.PI * 220 * i) / sampleRate) * 0.1;
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+}
@@ -2,22 +2,137 @@ import { useState, useRef, useEffect } from 'react';
 import BeliefInput from './components/BeliefInput';
 import CartesianQuestions from './components/CartesianQuestions';
 import AudioPlayer from './components/AudioPlayer';
-import { generateCartesianQuestions, formatQuestionsForDisplay } from './services/cartesianLogic';
-import { generateQuestionAudios, playQuestionsSequentially, stopSpeech, cleanupAudioObjects } from './services/ttsService';
+import BeliefStructure from './components/BeliefStructure';
+import PatternResults from './components/PatternResults';
+import HighlightedBelief from './components/HighlightedBelief';
+import AnswerPanel from './components/AnswerPanel';
+import SessionTranscript from './components/SessionTranscript';
+import SessionHistory from './components/SessionHistory';
+import SessionRatingPanel from './components/SessionRatingPanel';
+import BeliefQueuePanel from './components/BeliefQueuePanel';
+import BatchInput from './components/BatchInput';
+import BatchResults from './components/BatchResults';
+import { generateCartesianQuestions, formatQuestionsForDisplay, parseBelief, parseMetaModel } from './services/cartesianLogic';
+import {
+  generatePatternResponses,
+  formatPatternsForDisplay,
+  generateMetaModelChallenges,
+  formatMetaModelForDisplay
+} from './services/patternService';
+import { startQuestionAudios, playQuestionsSequentially, stopSpeech, cleanupAudioObjects } from './services/ttsService';
+import { captureAnswer } from './services/answerCapture';
+import {
+  loadPlaybackSettings,
+  savePlaybackSettings,
+  normalizePlaybackSettings,
+  getPauseDurations,
+  getItemVoices,
+  getAmbientLayers
+} from './services/playbackSettings';
+import { exportSession } from './services/sessionExport';
+import { buildPlaybackItems, getScript, loadCustomScripts, saveCustomScripts } from './services/sessionScripts';
+import { createBatchEntries, runBatch, getBatchItems, buildBatchPlaybackItems, getBatchAudioStatus, BATCH_REQUEST_INTERVAL_MS } from './services/batchSession';
+import { isHistoryEnabled, setHistoryEnabled, createSessionRecord, saveSession, deleteAllMyData } from './services/sessionHistory';
+import { LanguageContext, DEFAULT_LANGUAGE, translate, getLanguage, loadLanguage, saveLanguage } from './i18n';
+
+// Generate Cartesian questions, Sleight of Mouth reframes and Meta Model challenges, formatted for display
+async function generateSessionItems(belief, { mode, components, patterns, rewordChallenges, language, requestInterval = 0 }) {
+  const reframeIds = patterns.filter((id) => id !== 'cartesian' && id !== 'metaModel');
+  const [generatedQuestions, reframes, challenges] = await Promise.all([
+    patterns.includes('cartesian') ? generateCartesianQuestions(belief, { mode, components, language, requestInterval }) : null,
+    reframeIds.length > 0 ? generatePatternResponses(belief, reframeIds, { requestInterval }) : null,
+    patterns.includes('metaModel') ? generateMetaModelChallenges(belief, { useModel: rewordChallenges, requestInterval }) : null
+  ]);
+
+  return {
+    questions: generatedQuestions ? formatQuestionsForDisplay(generatedQuestions, mode, language) : [],
+    patternItems: reframes ? formatPatternsForDisplay(reframes, reframeIds) : [],
+    metaModelItems: challenges ? formatMetaModelForDisplay(challenges) : []
+  };
+}
 
 function App() {
   const [currentBelief, setCurrentBelief] = useState('');
-  const [questions, setQuestions] = useState(null);
+  const [beliefAnalysis, setBeliefAnalysis] = useState(null);
+  const [questionMode, setQuestionMode] = useState({ mode: 'single', components: null });
   const [formattedQuestions, setFormattedQuestions] = useState([]);
+  const [patternItems, setPatternItems] = useState([]);
+  const [metaModelItems, setMetaModelItems] = useState([]);
   const [audioObjects, setAudioObjects] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isLoadingAudio, setIsLoadingAudio] = useState(false);
+  const [audioProgress, setAudioProgress] = useState(null); // { ready, failed, total }
+  const [exportStatus, setExportStatus] = useState(null); // { busy, message }
   const [isPlaying, setIsPlaying] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [currentLoop, setCurrentLoop] = useState(1);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(-1);
+  const [currentSegment, setCurrentSegment] = useState(null); // Label of the script part being spoken
   const [error, setError] = useState('');
-  const pauseDurationRef = useRef(2000); // Default 2 seconds
+  const [interactive, setInteractive] = useState(false);
+  const [answers, setAnswers] = useState([]); // Answers by question index ({ text, source })
+  const [awaitingAnswer, setAwaitingAnswer] = useState(null); // { index, transcript, listening }
+  const [playbackSettings, setPlaybackSettings] = useState(loadPlaybackSettings);
+  const [customScripts, setCustomScripts] = useState(loadCustomScripts);
+  const [keepHistory, setKeepHistory] = useState(isHistoryEnabled); // Opt-in session history
+  const [ratings, setRatings] = useState({ before: null, after: null }); // Belief intensity, 0-10
+  const [hasPlayed, setHasPlayed] = useState(false); // A full session has played; ask for the after rating
+  const [language, setLanguage] = useState(loadLanguage); // Belief, questions, speech and UI language
+  const [beliefQueue, setBeliefQueue] = useState(null); // { beliefs, options } picked to explore after this one
+  const [batch, setBatch] = useState(null); // { entries, options, running } when a list of beliefs runs as one session
+  const [audioStatuses, setAudioStatuses] = useState([]); // pending | ready | failed for each audio slot
   const wakeLockRef = useRef(null); // Store wake lock reference
   const playbackControlRef = useRef(null); // Store playback control for stop button
+  const answerCaptureRef = useRef(null); // Active answer capture in interactive mode
+  const audioGenerationRef = useRef(0); // Ignore progress from a previous belief's audio
+  const audioSpecsRef = useRef([]); // { text, voice, speed } each item's audio was generated with
+  const historyRecordRef = useRef(null); // History record for the current session, when history is on
+  const batchRunRef = useRef(0); // Ignore results from a batch that has been replaced
+  const skipSettingsSaveRef = useRef(false); // Settings were just reset by deleting all data; don't save them back
+
+  // Each belief of a batch joins the session as soon as it is ready, so its questions
+  // and audio fill in while the rest generate; playback waits for the whole batch
+  const batchEntries = batch ? batch.entries : [];
+  const batchItems = getBatchItems(batchEntries);
+  const hasResults = formattedQuestions.length > 0 || patternItems.length > 0 || metaModelItems.length > 0 || batchItems.length > 0;
+  const sessionItems = batch ? batchItems : [...formattedQuestions, ...patternItems, ...metaModelItems];
+  // What is actually spoken: the questions, wrapped in the session script if one is chosen
+  const sessionScript = getScript(playbackSettings.scriptId, customScripts, language);
+  let playbackItems = [];
+  if (hasResults) {
+    playbackItems = batch
+      ? buildBatchPlaybackItems(sessionScript, batchEntries, language)
+      : buildPlaybackItems(sessionScript, currentBelief, sessionItems, language);
+  }
+  const playbackKey = playbackItems.map((item) => item.question).join('\n');
+  const t = (key, params) => translate(language, key, params);
+
+  // Remember playback settings between sessions
+  useEffect(() => {
+    if (skipSettingsSaveRef.current) {
+      skipSettingsSaveRef.current = false;
+      return;
+    }
+    savePlaybackSettings(playbackSettings);
+  }, [playbackSettings]);
+
+  // Screen readers and hyphenation follow the chosen language
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Keep the answers from interactive sessions with the session's history record
+  useEffect(() => {
+    const record = historyRecordRef.current;
+    if (!record || record.answers === answers || !answers.some(Boolean)) return;
+    historyRecordRef.current = { ...record, answers };
+    saveSession(historyRecordRef.current).catch((err) => console.warn('Could not update session history:', err));
+  }, [answers]);
+
+  // Background sound and chime changes apply to the session that is playing
+  useEffect(() => {
+    playbackControlRef.current?.setAmbient(getAmbientLayers(playbackSettings));
+  }, [playbackSettings.ambientBed, playbackSettings.ambientVolume, playbackSettings.chime, playbackSettings.chimeVolume]);
 
   // Wake Lock management - release when tab becomes hidden
   useEffect(() => {
@@ -42,65 +157,215 @@ function App() {
     };
   }, []);
 
-  const handleBeliefSubmit = async (belief) => {
-    // Clean up previous audio objects if they exist
-    if (audioObjects.length > 0) {
-      cleanupAudioObjects(audioObjects);
+  // Keep the audio in step with what will be spoken: reuse every item whose
+  // text, voice and speed are unchanged and generate only the rest (a few at
+  // a time). Runs for a new session and whenever the script or voice changes;
+  // a change made during playback waits until playback stops.
+  useEffect(() => {
+    if (isPlaying || playbackItems.length === 0) return;
+
+    const voices = getItemVoices(playbackItems, playbackSettings);
+    const specs = playbackItems.map((item, index) => ({ text: item.question, voice: voices[index], speed: playbackSettings.speed }));
+    const reused = new Set();
+    const previous = specs.map((spec) => {
+      const match = audioSpecsRef.current.findIndex((old, index) =>
+        !reused.has(index) && old.text === spec.text && old.voice === spec.voice && old.speed === spec.speed
+      );
+      if (match === -1) return undefined;
+      reused.add(match);
+      return audioObjects[match];
+    });
+    const indices = specs.map((_, index) => index).filter((index) => previous[index] === undefined);
+    if (indices.length === 0 && previous.length === audioObjects.length && previous.every((slot, index) => slot === audioObjects[index])) {
+      return;
     }
 
-    setCurrentBelief(belief);
-    setIsProcessing(true);
-    setIsLoadingAudio(false);
-    setError('');
+    cleanupAudioObjects(audioObjects.filter((_, index) => !reused.has(index)));
+    audioSpecsRef.current = specs;
 
-    try {
-      // Generate questions using GPT-5
-      const generatedQuestions = await generateCartesianQuestions(belief);
-      setQuestions(generatedQuestions);
+    if (indices.length === 0) {
+      // Only the order or number of items changed
+      setAudioObjects(previous);
+      return;
+    }
 
-      // Format for display
-      const formatted = formatQuestionsForDisplay(generatedQuestions);
-      setFormattedQuestions(formatted);
+    console.log(`🔄 Generating audio for ${indices.length} of ${specs.length} item(s)`);
+    setIsLoadingAudio(true);
+    setAudioProgress({ ready: 0, failed: 0, total: indices.length });
 
-      setIsProcessing(false); // Questions are ready, show them
-      setIsLoadingAudio(true); // Now loading audio
+    // Play is enabled as soon as one is ready; playback waits for the rest
+    const generation = ++audioGenerationRef.current;
+    const slots = startQuestionAudios(playbackItems, playbackSettings.voice, playbackSettings.speed, {
+      voices,
+      indices,
+      previous,
+      // A batch asks for many clips at once; pace them under the server's rate limit
+      requestInterval: batch ? BATCH_REQUEST_INTERVAL_MS : 0,
+      lang: getLanguage(language).locale,
+      onProgress: ({ ready, failed, total }) => {
+        if (generation !== audioGenerationRef.current) return;
+        setAudioProgress({ ready, failed, total });
+        if (ready > 0) {
+          setIsLoadingAudio(false);
+        }
+      }
+    });
+    setAudioObjects(slots);
 
-      // Generate audio objects for all questions (preloaded and ready)
-      const audios = await generateQuestionAudios(formatted);
+    Promise.all(slots).then((audios) => {
+      if (generation !== audioGenerationRef.current) return;
+      setIsLoadingAudio(false);
 
       // Verify all audios loaded successfully
       const validAudios = audios.filter(a => a !== null);
-
       if (validAudios.length === 0) {
         // All audio generation failed
-        setError('Failed to generate audio for questions. Please check your API key and try again.');
-        setIsLoadingAudio(false);
-        return;
+        setError(t('error.audioFailed'));
+      } else if (validAudios.length < audios.length) {
+        console.warn(`Only ${validAudios.length}/${audios.length} audio files loaded successfully`);
       }
+    });
+  }, [playbackKey, playbackSettings.voice, playbackSettings.speed, playbackSettings.voiceOverrides, isPlaying]);
 
-      if (validAudios.length < formatted.length) {
-        console.warn(`Only ${validAudios.length}/${formatted.length} audio files loaded successfully`);
-      }
+  // Follow each audio slot as it settles (reused slots may still be generating elsewhere)
+  useEffect(() => {
+    let current = true;
+    const statuses = audioObjects.map(() => 'pending');
+    setAudioStatuses([...statuses]);
+    audioObjects.forEach((slot, index) => {
+      Promise.resolve(slot).then((item) => {
+        statuses[index] = item ? 'ready' : 'failed';
+        if (current) setAudioStatuses([...statuses]);
+      });
+    });
+    return () => {
+      current = false;
+    };
+  }, [audioObjects]);
 
-      setAudioObjects(audios);
-      setIsLoadingAudio(false);
+  const handleBeliefSubmit = async (
+    belief,
+    {
+      mode = 'single',
+      components = null,
+      patterns = ['cartesian'],
+      rewordChallenges = false,
+      ratingBefore = null,
+      language: beliefLanguage = DEFAULT_LANGUAGE,
+      queue = []
+    } = {}
+  ) => {
+    // Clean up previous audio objects if they exist
+    if (audioObjects.length > 0) {
+      cleanupAudioObjects(audioObjects);
+    }
+    audioGenerationRef.current++;
+    audioSpecsRef.current = [];
+    setAudioObjects([]);
+    setAudioProgress(null);
+
+    // Beliefs picked from free-form text run one after another with the same settings
+    setBeliefQueue(queue.length > 0 ? { beliefs: queue, options: { patterns, rewordChallenges, language: beliefLanguage } } : null);
+    setCurrentBelief(belief);
+    setRatings({ before: ratingBefore, after: null });
+    setHasPlayed(false);
+    historyRecordRef.current = null;
+    // The structure parser only reads English
+    const parsed = beliefLanguage === DEFAULT_LANGUAGE ? parseBelief(belief) : null;
+    // Show the user's own A/B split when they edited it for two-variable mode
+    const analysis = parsed && components ? { ...parsed, components: { ...parsed.components, ...components } } : parsed;
+    setBeliefAnalysis(analysis);
+    setQuestionMode({ mode, components });
+    setIsProcessing(true);
+    setIsLoadingAudio(false);
+    setError('');
+
+    try {
+      // The audio follows from the playback list
+      const {
+        questions: formattedCartesian,
+        patternItems: formattedReframes,
+        metaModelItems: formattedChallenges
+      } = await generateSessionItems(belief, { mode, components, patterns, rewordChallenges, language: beliefLanguage });
+      setFormattedQuestions(formattedCartesian);
+      setPatternItems(formattedReframes);
+      setMetaModelItems(formattedChallenges);
+
+      if (formattedCartesian.length + formattedReframes.length + formattedChallenges.length === 0) {
+        // Only Meta Model was picked and the belief has no violations
+        setError(t('error.noViolations'));
+      } else if (keepHistory) {
+        historyRecordRef.current = createSessionRecord({
+          belief,
+          language: beliefLanguage,
+          analysis,
+          questionMode: { mode, components },
+          patterns,
+          questions: formattedCartesian,
+          patternItems: formattedReframes,
+          metaModelItems: formattedChallenges,
+          ratings: { before: ratingBefore, after: null }
+        });
+        saveSession(historyRecordRef.current).catch((err) => console.warn('Could not save session history:', err));
+      }
+      setIsProcessing(false); // Questions are ready, show them
 
     } catch (err) {
       console.error('Error processing belief:', err);
-      setError('Failed to generate questions. Please try again.');
+      setError(t('error.generateFailed'));
       setIsProcessing(false);
       setIsLoadingAudio(false);
     }
   };
 
-  const handlePlay = async () => {
+  // Interactive mode: listen for the answer to a question, then store it by question index
+  const waitForAnswer = (playbackIndex) => {
+    const item = playbackItems[playbackIndex];
+    const index = item?.questionIndex ?? -1;
+    if (index === -1) {
+      // Script parts (intro, closing, ...) don't ask anything; just keep their pause
+      return new Promise((resolve) => setTimeout(resolve, item?.pause ?? playbackSettings.pauseDuration));
+    }
+
+    const capture = captureAnswer({
+      language,
+      onTranscript: (transcript) => setAwaitingAnswer((current) => current && { ...current, transcript }),
+      onListeningChange: (listening) => setAwaitingAnswer((current) => current && { ...current, listening })
+    });
+    answerCaptureRef.current = capture;
+    setAwaitingAnswer({ index, transcript: '', listening: capture.listening });
+
+    return capture.promise.then((answer) => {
+      answerCaptureRef.current = null;
+      setAwaitingAnswer(null);
+      if (answer.text) {
+        setAnswers((previous) => {
+          const next = [...previous];
+          next[index] = answer;
+          return next;
+        });
+      }
+    });
+  };
+
+  // Play the whole session, or a range of it (e.g. replaying a single question)
+  const handlePlay = async ({ startIndex = 0, endIndex = audioObjects.length, loops = playbackSettings.loops } = {}) => {
     if (audioObjects.length === 0) {
-      setError('No audio available. Please generate questions first.');
+      setError(t('error.noAudio'));
       return;
     }
 
     setIsPlaying(true);
+    setIsPaused(false);
+    setCurrentLoop(1);
     setError('');
+    const wholeSession = startIndex === 0 && endIndex === audioObjects.length;
+    if (interactive && wholeSession) {
+      setAnswers([]);
+    }
+    if (wholeSession && historyRecordRef.current) {
+      saveSession(historyRecordRef.current).catch((err) => console.warn('Could not save session history:', err));
+    }
 
     // Mobile fix: Request Wake Lock to keep screen active during playback
     try {
@@ -115,13 +380,19 @@ function App() {
     try {
       const { promise, control } = playQuestionsSequentially(
         audioObjects,
-        pauseDurationRef.current,
+        getPauseDurations(playbackItems, playbackSettings),
         (index) => {
-          setCurrentQuestionIndex(index);
+          const item = playbackItems[index];
+          setCurrentQuestionIndex(item.questionIndex);
+          setCurrentSegment(item.questionIndex === -1 ? item.label : null);
         },
-        () => {
+        (completed) => {
           setIsPlaying(false);
+          setIsPaused(false);
           setCurrentQuestionIndex(-1);
+          setCurrentSegment(null);
+          // Stopping also ends playback; only a session played to the end asks for the after rating
+          if (wholeSession && completed) setHasPlayed(true);
           playbackControlRef.current = null;
           // Release wake lock when playback completes
           if (wakeLockRef.current) {
@@ -129,6 +400,15 @@ function App() {
             wakeLockRef.current = null;
             console.log('✅ Wake Lock released');
           }
+        },
+        {
+          waitForAnswer: interactive ? waitForAnswer : undefined,
+          startIndex,
+          endIndex,
+          loops,
+          onLoop: setCurrentLoop,
+          browserVoice: playbackSettings.browserVoice,
+          ambient: getAmbientLayers(playbackSettings)
         }
       );
 
@@ -139,7 +419,7 @@ function App() {
       await promise;
     } catch (err) {
       console.error('Playback error:', err);
-      setError('Playback failed. Please try again.');
+      setError(t('error.playbackFailed'));
       setIsPlaying(false);
       setCurrentQuestionIndex(-1);
       playbackControlRef.current = null;
@@ -159,8 +439,14 @@ function App() {
       playbackControlRef.current = null;
     }
     stopSpeech(); // Also stop browser TTS if it was used
+    // Keep whatever was said so far for the transcript
+    if (answerCaptureRef.current) {
+      answerCaptureRef.current.cancel();
+    }
     setIsPlaying(false);
+    setIsPaused(false);
     setCurrentQuestionIndex(-1);
+    setCurrentSegment(null);
     // Release wake lock if active
     if (wakeLockRef.current) {
       wakeLockRef.current.release();
@@ -169,97 +455,466 @@ function App() {
     }
   };
 
+  const handleReplay = (questionIndex) => {
+    const index = playbackItems.findIndex((item) => item.questionIndex === questionIndex);
+    if (index === -1) return; // Not in the current playback (e.g. the items are being rebuilt)
+    handlePlay({ startIndex: index, endIndex: index + 1, loops: 1 });
+  };
+
+  const handleSaveScript = (script) => {
+    const next = [...customScripts.filter((existing) => existing.id !== script.id), script];
+    setCustomScripts(next);
+    saveCustomScripts(next);
+    setPlaybackSettings({ ...playbackSettings, scriptId: script.id });
+  };
+
+  const handleDeleteScript = (id) => {
+    const next = customScripts.filter((script) => script.id !== id);
+    setCustomScripts(next);
+    saveCustomScripts(next);
+    if (playbackSettings.scriptId === id) {
+      setPlaybackSettings({ ...playbackSettings, scriptId: '' });
+    }
+  };
+
+  // Render the session to one WAV (with its chapter playlist) for listening offline
+  const handleExport = async () => {
+    setExportStatus({ busy: true, message: t('export.rendering') });
+    try {
+      const items = await Promise.all(audioObjects);
+      const { filename, skipped } = await exportSession({
+        belief: batch ? t('batch.exportName', { count: batchEntries.filter((entry) => entry.status === 'ready').length }) : currentBelief,
+        items,
+        playbackItems,
+        pauses: getPauseDurations(playbackItems, playbackSettings),
+        layers: getAmbientLayers(playbackSettings),
+        language
+      });
+      setExportStatus({
+        busy: false,
+        message: skipped > 0
+          ? t('export.savedSkipped', { filename, skipped })
+          : t('export.saved', { filename })
+      });
+    } catch (err) {
+      console.error('Export failed:', err);
+      setExportStatus({ busy: false, message: t('export.failed') });
+    }
+  };
+
+  const handlePauseToggle = () => {
+    const control = playbackControlRef.current;
+    if (!control) return;
+
+    if (isPaused) {
+      control.resume();
+    } else {
+      control.pause();
+    }
+    setIsPaused(!isPaused);
+  };
+
+  // Skip forward or back; an answer being captured is kept as far as it got
+  const handleSkip = (direction) => {
+    const control = playbackControlRef.current;
+    if (!control) return;
+
+    if (answerCaptureRef.current) {
+      answerCaptureRef.current.cancel();
+    }
+    setIsPaused(false);
+    if (direction > 0) {
+      control.next();
+    } else {
+      control.previous();
+    }
+  };
+
+  // Run a prepared list of beliefs, a couple at a time, as one longer session
+  const handleBatchSubmit = async (
+    beliefs,
+    { patterns = ['cartesian'], rewordChallenges = false, language: batchLanguage = DEFAULT_LANGUAGE } = {}
+  ) => {
+    cleanupAudioObjects(audioObjects);
+    audioGenerationRef.current++;
+    audioSpecsRef.current = [];
+    setAudioObjects([]);
+    setAudioProgress(null);
+    setExportStatus(null);
+    setError('');
+    setBeliefQueue(null);
+    setCurrentBelief('');
+    setBeliefAnalysis(null);
+    setQuestionMode({ mode: 'single', components: null });
+    setFormattedQuestions([]);
+    setPatternItems([]);
+    setMetaModelItems([]);
+    setAnswers([]);
+    setRatings({ before: null, after: null });
+    setHasPlayed(false);
+    // Batches are not kept in the session history
+    historyRecordRef.current = null;
+
+    const options = { mode: 'single', components: null, patterns, rewordChallenges, language: batchLanguage };
+    const entries = createBatchEntries(beliefs);
+    const run = ++batchRunRef.current;
+    setBatch({ entries, options, running: true });
+    setIsProcessing(true);
+
+    const { ready } = await runBatchEntries(entries, options, run);
+    if (run !== batchRunRef.current) return;
+    setBatch((current) => ({ ...current, running: false }));
+    setIsProcessing(false);
+    if (ready === 0) {
+      setError(t('error.generateFailed'));
+    }
+  };
+
+  const runBatchEntries = (entries, options, run) => runBatch(
+    entries,
+    async (belief) => {
+      const { questions, patternItems: reframes, metaModelItems: challenges } = await generateSessionItems(belief, {
+        ...options,
+        requestInterval: BATCH_REQUEST_INTERVAL_MS
+      });
+      const items = [...questions, ...reframes, ...challenges];
+      if (items.length === 0) {
+        // Only Meta Model was picked and the belief has no violations
+        throw new Error('No questions for this belief');
+      }
+      return { questions, items };
+    },
+    {
+      onUpdate: (id, changes) => {
+        if (run !== batchRunRef.current) return;
+        setBatch((current) => ({
+          ...current,
+          entries: current.entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+        }));
+      }
+    }
+  );
+
+  // Try a failed belief again; the audio for the rest of the batch is kept
+  const handleBatchRetry = (id) => {
+    setError('');
+    // Answers are stored by position, which the retried belief's questions shift
+    setAnswers([]);
+    runBatchEntries(batch.entries.filter((entry) => entry.id === id), batch.options, batchRunRef.current);
+  };
+
+  // Play one belief of a batch on its own
+  const handlePlayBatchBelief = (beliefIndex) => {
+    const startIndex = playbackItems.findIndex((item) => item.beliefIndex === beliefIndex);
+    const count = playbackItems.filter((item) => item.beliefIndex === beliefIndex).length;
+    handlePlay({ startIndex, endIndex: startIndex + count, loops: 1 });
+  };
+
+  // Move on to the next belief picked from free-form text
+  const handleNextBelief = () => {
+    const [next, ...rest] = beliefQueue.beliefs;
+    handleStop();
+    setAnswers([]);
+    setExportStatus(null);
+    handleBeliefSubmit(next, { ...beliefQueue.options, mode: 'single', queue: rest });
+  };
+
+  // Reopen a past session from the history; its audio comes back from the cache
+  const handleReplaySession = (session) => {
+    cleanupAudioObjects(audioObjects);
+    audioGenerationRef.current++;
+    audioSpecsRef.current = [];
+    setAudioObjects([]);
+    setAudioProgress(null);
+    setExportStatus(null);
+    setError('');
+    setBeliefQueue(null);
+
+    // Each replay is a new run with its own answers and ratings, so progress can be
+    // charted; it is saved once it is played or rated
+    const { belief, analysis, questionMode: mode, patterns, questions, patternItems: reframes, metaModelItems: challenges } = session;
+    const sessionLanguage = session.language || DEFAULT_LANGUAGE;
+    historyRecordRef.current = keepHistory
+      ? createSessionRecord({
+        belief,
+        language: sessionLanguage,
+        analysis,
+        questionMode: mode,
+        patterns,
+        questions,
+        patternItems: reframes,
+        metaModelItems: challenges
+      })
+      : null;
+    // Listen and speak in the session's language
+    handleLanguageChange(sessionLanguage);
+    setRatings({ before: null, after: null });
+    setHasPlayed(false);
+    setCurrentBelief(session.belief);
+    setBeliefAnalysis(session.analysis);
+    setQuestionMode(session.questionMode || { mode: 'single', components: null });
+    setFormattedQuestions(session.questions || []);
+    setPatternItems(session.patternItems || []);
+    setMetaModelItems(session.metaModelItems || []);
+    setAnswers([]);
+  };
+
+  // Before/after intensity ratings, kept with the session's history record
+  const handleRate = (kind, value) => {
+    const next = { ...ratings, [kind]: value };
+    setRatings(next);
+    if (historyRecordRef.current) {
+      historyRecordRef.current = { ...historyRecordRef.current, ratings: next };
+      saveSession(historyRecordRef.current).catch((err) => console.warn('Could not save rating:', err));
+    }
+  };
+
+  const handleLanguageChange = (next) => {
+    saveLanguage(next);
+    setLanguage(next);
+  };
+
+  const handleKeepHistoryChange = (enabled) => {
+    setHistoryEnabled(enabled);
+    setKeepHistory(enabled);
+  };
+
+  const handleDeleteAllData = async () => {
+    try {
+      await deleteAllMyData();
+    } catch (err) {
+      console.error('Could not delete saved data:', err);
+      setError(t('error.deleteFailed'));
+      return;
+    }
+    historyRecordRef.current = null;
+    setKeepHistory(false);
+    setCustomScripts([]);
+    // Back to the defaults in memory only, so nothing is written again right after the wipe
+    skipSettingsSaveRef.current = true;
+    setPlaybackSettings(normalizePlaybackSettings(null));
+  };
+
   const handleNewSession = () => {
     handleStop();
     // Clean up audio objects and revoke blob URLs before clearing
     cleanupAudioObjects(audioObjects);
     setCurrentBelief('');
-    setQuestions(null);
+    setBeliefAnalysis(null);
+    setQuestionMode({ mode: 'single', components: null });
     setFormattedQuestions([]);
+    setPatternItems([]);
+    setMetaModelItems([]);
+    setAnswers([]);
+    setRatings({ before: null, after: null });
+    setHasPlayed(false);
+    historyRecordRef.current = null;
+    audioGenerationRef.current++;
+    audioSpecsRef.current = [];
+    setAudioProgress(null);
     setAudioObjects([]);
+    setExportStatus(null);
     setError('');
+    setBeliefQueue(null);
+    batchRunRef.current++;
+    setBatch(null);
+    setIsProcessing(false);
   };
 
   return (
-    <div className="min-h-screen py-8 px-4">
-      <div className="max-w-6xl mx-auto">
-        {/* Header */}
-        <header className="text-center mb-12">
-          <h1 className="text-4xl md:text-5xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-primary-600 to-purple-600 mb-3">
-            Quantum Linguistics
-          </h1>
-          <p className="text-lg text-gray-600 dark:text-gray-300">
-            Transform limiting beliefs using Cartesian Logic
-          </p>
-          <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
-            Based on NLP Master Practitioner Techniques
-          </p>
-        </header>
-
-        {/* Error Display */}
-        {error && (
-          <div className="max-w-2xl mx-auto mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
-            <div className="flex items-center gap-2 text-red-800 dark:text-red-200">
-              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-              </svg>
-              {error}
-            </div>
-          </div>
-        )}
-
-        {/* Main Content */}
-        <div className="space-y-8">
-          {/* Belief Input */}
-          {!questions && (
-            <BeliefInput
-              onBeliefSubmit={handleBeliefSubmit}
-              isProcessing={isProcessing}
-            />
-          )}
+    <LanguageContext.Provider value={language}>
+      <div className="min-h-screen py-8 px-4">
+        <div className="max-w-6xl mx-auto">
+          {/* Header */}
+          <header className="text-center mb-12">
+            <h1 className="text-4xl md:text-5xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-primary-600 to-purple-600 mb-3">
+              {t('app.title')}
+            </h1>
+            <p className="text-lg text-gray-600 dark:text-gray-300">
+              {t('app.tagline')}
+            </p>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+              {t('app.basedOn')}
+            </p>
+          </header>
 
-          {/* Current Belief Display */}
-          {currentBelief && questions && (
-            <div className="card max-w-2xl mx-auto">
-              <h3 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">Your Belief:</h3>
-              <p className="text-lg italic text-gray-900 dark:text-white">
-                "{currentBelief}"
-              </p>
+          {/* Error Display */}
+          {error && (
+            <div className="max-w-2xl mx-auto mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
+              <div className="flex items-center gap-2 text-red-800 dark:text-red-200">
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                </svg>
+                {error}
+              </div>
             </div>
           )}
 
-          {/* Questions Display */}
-          {formattedQuestions.length > 0 && (
-            <CartesianQuestions
-              questions={formattedQuestions}
-              currentQuestionIndex={currentQuestionIndex}
-              isPlaying={isPlaying}
-            />
-          )}
+          {/* Main Content */}
+          <div className="space-y-8">
+            {/* Belief Input */}
+            {!hasResults && !batch && (
+              <BeliefInput
+                onBeliefSubmit={handleBeliefSubmit}
+                isProcessing={isProcessing}
+                onLanguageChange={handleLanguageChange}
+              />
+            )}
 
-          {/* Audio Player Controls */}
-          {formattedQuestions.length > 0 && (
-            <AudioPlayer
-              onPlay={handlePlay}
-              onStop={handleStop}
-              isPlaying={isPlaying}
-              isLoadingAudio={isLoadingAudio}
-              onNewSession={handleNewSession}
-            />
-          )}
-        </div>
+            {/* A list of beliefs to run back to back */}
+            {!hasResults && !batch && !isProcessing && (
+              <BatchInput onBatchSubmit={handleBatchSubmit} />
+            )}
+
+            {/* Past sessions (opt-in, kept on this device) */}
+            {!hasResults && !isProcessing && !batch && (
+              <SessionHistory
+                enabled={keepHistory}
+                onEnabledChange={handleKeepHistoryChange}
+                onReplay={handleReplaySession}
+                onDeleteAll={handleDeleteAllData}
+              />
+            )}
+
+            {/* Current Belief Display */}
+            {currentBelief && hasResults && (
+              <div className="card max-w-2xl mx-auto">
+                <h3 className="font-semibold text-gray-700 dark:text-gray-300 mb-2">{t('app.yourBelief')}</h3>
+                <HighlightedBelief
+                  text={currentBelief}
+                  violations={language === DEFAULT_LANGUAGE ? parseMetaModel(currentBelief) : []}
+                  className="text-lg italic text-gray-900 dark:text-white"
+                  showLegend
+                />
+                {beliefAnalysis && <BeliefStructure analysis={beliefAnalysis} />}
+              </div>
+            )}
+
+            {/* Batch queue, then every belief's questions side by side */}
+            {batch && (
+              <BatchResults
+                entries={batch.entries}
+                running={batch.running}
+                audio={getBatchAudioStatus(playbackItems, audioStatuses)}
+                currentQuestionIndex={currentQuestionIndex}
+                isPlaying={isPlaying}
+                onRetry={!isPlaying ? handleBatchRetry : undefined}
+                onPlayBelief={!isPlaying && !isLoadingAudio && audioObjects.length > 0 ? handlePlayBatchBelief : undefined}
+                onCancel={batch.running ? handleNewSession : undefined}
+              />
+            )}
+
+            {/* Questions Display */}
+            {formattedQuestions.length > 0 && (
+              <CartesianQuestions
+                questions={formattedQuestions}
+                currentQuestionIndex={currentQuestionIndex}
+                isPlaying={isPlaying}
+                mode={questionMode.mode}
+                components={questionMode.components}
+                onReplay={!isPlaying && !isLoadingAudio && audioObjects.length > 0 ? handleReplay : undefined}
+              />
+            )}
 
-        {/* Footer */}
-        <footer className="mt-16 text-center text-sm text-gray-500 dark:text-gray-400">
-          <p>
-            Powered by GPT-5 and OpenAI TTS
-          </p>
-          <p className="mt-1">
-            NLP Quantum Linguistics • © 2025
-          </p>
-        </footer>
+            {/* Sleight of Mouth Reframes (played after the Cartesian questions) */}
+            {patternItems.length > 0 && (
+              <PatternResults
+                items={patternItems}
+                currentIndex={currentQuestionIndex - formattedQuestions.length}
+                isPlaying={isPlaying}
+              />
+            )}
+
+            {/* Meta Model Challenges (played last) */}
+            {metaModelItems.length > 0 && (
+              <PatternResults
+                items={metaModelItems}
+                currentIndex={currentQuestionIndex - formattedQuestions.length - patternItems.length}
+                isPlaying={isPlaying}
+                title={t('app.metaModelTitle')}
+                subtitle={t('app.metaModelSubtitle')}
+              />
+            )}
+
+            {/* Answer capture (interactive mode) */}
+            {awaitingAnswer && (
+              <AnswerPanel
+                key={awaitingAnswer.index}
+                question={sessionItems[awaitingAnswer.index]?.question}
+                transcript={awaitingAnswer.transcript}
+                listening={awaitingAnswer.listening}
+                onType={(typed) => answerCaptureRef.current?.touch(typed)}
+                onSubmit={(typed) => answerCaptureRef.current?.finish(typed)}
+              />
+            )}
+
+            {/* Audio Player Controls */}
+            {hasResults && (
+              <AudioPlayer
+                onPlay={handlePlay}
+                onStop={handleStop}
+                onPauseToggle={handlePauseToggle}
+                onNext={() => handleSkip(1)}
+                onPrevious={() => handleSkip(-1)}
+                isPlaying={isPlaying}
+                isPaused={isPaused}
+                currentLoop={currentLoop}
+                isLoadingAudio={isLoadingAudio || Boolean(batch?.running)}
+                audioProgress={audioProgress}
+                onNewSession={handleNewSession}
+                interactive={interactive}
+                onInteractiveChange={setInteractive}
+                settings={playbackSettings}
+                onSettingsChange={setPlaybackSettings}
+                quadrants={batch ? batchEntries.find((entry) => entry.status === 'ready')?.questions ?? [] : formattedQuestions}
+                sampleQuestion={sessionItems[0]?.question}
+                currentSegment={currentSegment}
+                customScripts={customScripts}
+                onSaveScript={handleSaveScript}
+                onDeleteScript={handleDeleteScript}
+                onExport={handleExport}
+                exportStatus={exportStatus}
+              />
+            )}
+
+            {/* How true the belief feels, before and after the session */}
+            {hasResults && !isPlaying && !batch && (
+              <SessionRatingPanel
+                belief={currentBelief}
+                ratings={ratings}
+                onRate={handleRate}
+                played={hasPlayed}
+                keepHistory={keepHistory}
+              />
+            )}
+
+            {/* The other beliefs picked from free-form text */}
+            {hasResults && !isPlaying && beliefQueue && (
+              <BeliefQueuePanel beliefs={beliefQueue.beliefs} onNext={handleNextBelief} disabled={isProcessing} />
+            )}
+
+            {/* Transcript of the answers once playback is over */}
+            {!isPlaying && answers.some(Boolean) && (
+              <SessionTranscript
+                belief={batch ? batchEntries.filter((entry) => entry.status === 'ready').map((entry) => entry.belief).join(' / ') : currentBelief}
+                items={sessionItems}
+                answers={answers}
+              />
+            )}
+          </div>
+
+          {/* Footer */}
+          <footer className="mt-16 text-center text-sm text-gray-500 dark:text-gray-400">
+            <p>
+              {t('app.poweredBy')}
+            </p>
+            <p className="mt-1">
+              NLP Quantum Linguistics • © 2025
+            </p>
+          </footer>
+        </div>
       </div>
-    </div>
+    </LanguageContext.Provider>
   );
 }
 
@@ -0,0 +1,86 @@
+import { AMBIENT_BEDS, isWebAudioSupported } from '../services/ambientMixer';
+import { useTranslation } from '../i18n';
+
+const VolumeSlider = ({ id, label, value, onChange, disabled }) => (
+  <div className="flex items-center gap-3">
+    <label htmlFor={id} className="w-32 text-sm text-gray-700 dark:text-gray-300">
+      {label}
+    </label>
+    <input
+      id={id}
+      type="range"
+      min="0"
+      max="1"
+      step="0.05"
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      disabled={disabled}
+      className="flex-1 accent-primary-600 disabled:opacity-50"
+    />
+    <span className="w-10 text-right text-xs text-gray-500 dark:text-gray-400">{Math.round(value * 100)}%</span>
+  </div>
+);
+
+export default function AmbientSettings({ settings, onSettingsChange }) {
+  const { t } = useTranslation();
+
+  if (!isWebAudioSupported()) {
+    return (
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        {t('ambient.unsupported')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <label htmlFor="ambient-bed" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('ambient.background')}
+        </label>
+        <select
+          id="ambient-bed"
+          value={settings.ambientBed}
+          onChange={(e) => onSettingsChange({ ...settings, ambientBed: e.target.value })}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          {AMBIENT_BEDS.map((id) => (
+            <option key={id} value={id}>{t(`ambient.bed.${id}`)}</option>
+          ))}
+        </select>
+      </div>
+      {settings.ambientBed !== 'none' && AMBIENT_BEDS.includes(settings.ambientBed) && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t(`ambient.bed.${settings.ambientBed}.description`)}</p>
+      )}
+
+      <VolumeSlider
+        id="ambient-volume"
+        label={t('ambient.volume')}
+        value={settings.ambientVolume}
+        onChange={(ambientVolume) => onSettingsChange({ ...settings, ambientVolume })}
+        disabled={settings.ambientBed === 'none'}
+      />
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={settings.chime}
+          onChange={(e) => onSettingsChange({ ...settings, chime: e.target.checked })}
+          className="rounded text-primary-600 focus:ring-primary-500"
+        />
+        {t('ambient.chime')}
+      </label>
+      <VolumeSlider
+        id="chime-volume"
+        label={t('ambient.chimeVolume')}
+        value={settings.chimeVolume}
+        onChange={(chimeVolume) => onSettingsChange({ ...settings, chimeVolume })}
+        disabled={!settings.chime}
+      />
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {t('ambient.ducking')}
+      </p>
+    </div>
+  );
+}
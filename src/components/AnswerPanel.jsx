@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { useTranslation } from '../i18n';
+
+export default function AnswerPanel({ question, transcript, listening, onType, onSubmit }) {
+  const { t } = useTranslation();
+  const [typed, setTyped] = useState('');
+
+  const handleChange = (e) => {
+    setTyped(e.target.value);
+    if (onType) onType(e.target.value);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(typed);
+    setTyped('');
+  };
+
+  return (
+    <div className="card w-full max-w-2xl mx-auto border-2 border-primary-300 dark:border-primary-700">
+      <div className="flex items-center gap-2 mb-2">
+        {listening && (
+          <span className="w-3 h-3 rounded-full bg-red-500 animate-pulse" aria-hidden="true"></span>
+        )}
+        <h3 className="font-semibold text-gray-800 dark:text-white">
+          {listening ? t('answer.listening') : t('answer.title')}
+        </h3>
+      </div>
+      <p className="text-sm italic text-gray-600 dark:text-gray-400 mb-3">{question}</p>
+
+      {transcript && (
+        <p className="mb-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white">
+          {transcript}
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={typed}
+          onChange={handleChange}
+          placeholder={listening ? t('answer.orType') : t('answer.type')}
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+          autoFocus={!listening}
+        />
+        <button type="submit" className="btn-primary px-4 py-2">
+          {t('answer.next')}
+        </button>
+      </form>
+
+      {listening && (
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {t('answer.hint')}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,48 @@
-import { useState } from 'react';
+import VoiceSettings from './VoiceSettings';
+import AmbientSettings from './AmbientSettings';
+import SessionScriptPanel from './SessionScriptPanel';
+import { PAUSE_OPTIONS, LOOP_OPTIONS } from '../services/playbackSettings';
+import { isExportSupported } from '../services/sessionExport';
+import { useTranslation } from '../i18n';
 
-export default function AudioPlayer({ onPlay, onStop, isPlaying, isLoadingAudio, onNewSession }) {
-  const [pauseDuration, setPauseDuration] = useState(2);
+export default function AudioPlayer({
+  onPlay,
+  onStop,
+  onPauseToggle,
+  onNext,
+  onPrevious,
+  isPlaying,
+  isPaused,
+  currentLoop = 1,
+  isLoadingAudio,
+  audioProgress,
+  onNewSession,
+  interactive,
+  onInteractiveChange,
+  settings,
+  onSettingsChange,
+  quadrants = [],
+  sampleQuestion,
+  currentSegment,
+  customScripts = [],
+  onSaveScript,
+  onDeleteScript,
+  onExport,
+  exportStatus
+}) {
+  const { t } = useTranslation();
+  const disabled = isPlaying || isLoadingAudio;
+  const formatPause = (ms) => t(ms === 1000 ? 'player.second' : 'player.seconds', { count: ms / 1000 });
+
+  const handleOverrideChange = (key, value) => {
+    const pauseOverrides = { ...settings.pauseOverrides };
+    if (value === '') {
+      delete pauseOverrides[key];
+    } else {
+      pauseOverrides[key] = Number(value);
+    }
+    onSettingsChange({ ...settings, pauseOverrides });
+  };
 
   return (
     <div className="card w-full max-w-2xl mx-auto">
@@ -9,7 +50,7 @@ export default function AudioPlayer({ onPlay, onStop, isPlaying, isLoadingAudio,
         {/* Playback Controls */}
         <div className="flex items-center gap-3">
           <button
-            onClick={onPlay}
+            onClick={() => onPlay()}
             disabled={isPlaying || isLoadingAudio}
             className="btn-primary px-6 py-3 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
           >
@@ -19,25 +60,67 @@ export default function AudioPlayer({ onPlay, onStop, isPlaying, isLoadingAudio,
                   <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Loading Audio...
+                {audioProgress ? t('player.loadingProgress', audioProgress) : t('player.loading')}
               </>
             ) : isPlaying ? (
               <>
-                <svg className="w-5 h-5 animate-pulse" fill="currentColor" viewBox="0 0 20 20">
+                <svg className={`w-5 h-5 ${isPaused ? '' : 'animate-pulse'}`} fill="currentColor" viewBox="0 0 20 20">
                   <path d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" />
                 </svg>
-                Playing...
+                {isPaused ? t('player.paused') : t('player.playing')}
+                {settings.loops > 1 && ` (${currentLoop}/${settings.loops})`}
               </>
             ) : (
               <>
                 <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
                   <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
                 </svg>
-                Play All Questions
+                {t('player.playAll')}
               </>
             )}
           </button>
 
+          {isPlaying && (
+            <>
+              <button
+                onClick={onPrevious}
+                className="btn-secondary px-3 py-3"
+                title={t('player.previous')}
+                aria-label={t('player.previous')}
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M8.445 14.832A1 1 0 0010 14v-2.798l5.445 3.63A1 1 0 0017 14V6a1 1 0 00-1.555-.832L10 8.798V6a1 1 0 00-1.555-.832l-6 4a1 1 0 000 1.664l6 4z" />
+                </svg>
+              </button>
+              <button
+                onClick={onPauseToggle}
+                className="btn-secondary px-3 py-3"
+                title={isPaused ? t('player.resume') : t('player.pause')}
+                aria-label={isPaused ? t('player.resume') : t('player.pause')}
+              >
+                {isPaused ? (
+                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                ) : (
+                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zM7 8a1 1 0 012 0v4a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v4a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                  </svg>
+                )}
+              </button>
+              <button
+                onClick={onNext}
+                className="btn-secondary px-3 py-3"
+                title={t('player.next')}
+                aria-label={t('player.next')}
+              >
+                <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                  <path d="M4.555 5.168A1 1 0 003 6v8a1 1 0 001.555.832L10 11.202V14a1 1 0 001.555.832l6-4a1 1 0 000-1.664l-6-4A1 1 0 0010 6v2.798l-5.445-3.63z" />
+                </svg>
+              </button>
+            </>
+          )}
+
           {isPlaying && (
             <button
               onClick={onStop}
@@ -46,51 +129,181 @@ export default function AudioPlayer({ onPlay, onStop, isPlaying, isLoadingAudio,
               <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8 7a1 1 0 00-1 1v4a1 1 0 001 1h4a1 1 0 001-1V8a1 1 0 00-1-1H8z" clipRule="evenodd" />
               </svg>
-              Stop
+              {t('player.stop')}
             </button>
           )}
         </div>
 
-        {/* Pause Duration Control */}
-        <div className="flex items-center gap-3">
+        {/* Pause Duration Control (interactive mode waits for the answer instead) */}
+        <div className={`flex items-center gap-3 ${interactive ? 'opacity-50' : ''}`}>
           <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
-            Pause between questions:
+            {t('player.pauseBetween')}
           </label>
           <select
-            value={pauseDuration}
-            onChange={(e) => setPauseDuration(Number(e.target.value))}
-            disabled={isPlaying || isLoadingAudio}
+            value={settings.pauseDuration}
+            onChange={(e) => onSettingsChange({ ...settings, pauseDuration: Number(e.target.value) })}
+            disabled={disabled || interactive}
             className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
           >
-            <option value={1}>1 second</option>
-            <option value={2}>2 seconds</option>
-            <option value={3}>3 seconds</option>
-            <option value={5}>5 seconds</option>
+            {PAUSE_OPTIONS.map((ms) => (
+              <option key={ms} value={ms}>{formatPause(ms)}</option>
+            ))}
           </select>
         </div>
       </div>
 
+      {/* Script part being spoken (intro, closing, ...) */}
+      {isPlaying && currentSegment && (
+        <p className="mt-3 text-sm text-center text-primary-700 dark:text-primary-300">
+          {t('player.nowPlaying', { segment: currentSegment })}
+        </p>
+      )}
+
+      {/* Audio still generating in the background */}
+      {audioProgress && !isLoadingAudio && audioProgress.ready + audioProgress.failed < audioProgress.total && (
+        <p className="mt-3 text-sm text-center text-gray-600 dark:text-gray-400 animate-pulse">
+          {t('player.preparing', audioProgress)}
+        </p>
+      )}
+      {audioProgress && audioProgress.failed > 0 && audioProgress.ready + audioProgress.failed === audioProgress.total && (
+        <p className="mt-3 text-sm text-center text-amber-700 dark:text-amber-400">
+          {t('player.skipped', audioProgress)}
+        </p>
+      )}
+
+      {/* Repetition drills */}
+      <div className="mt-4 flex items-center justify-center gap-3">
+        <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('player.repeat')}
+        </label>
+        <select
+          value={settings.loops}
+          onChange={(e) => onSettingsChange({ ...settings, loops: Number(e.target.value) })}
+          disabled={disabled}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+        >
+          {LOOP_OPTIONS.map((count) => (
+            <option key={count} value={count}>{count === 1 ? t('player.once') : t('player.times', { count })}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Guided script around the questions (changing it regenerates only the changed parts) */}
+      <details className="mt-4">
+        <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('player.script')}
+        </summary>
+        <div className="mt-3">
+          <SessionScriptPanel
+            scriptId={settings.scriptId}
+            customScripts={customScripts}
+            onSelect={(scriptId) => onSettingsChange({ ...settings, scriptId })}
+            onSave={onSaveScript}
+            onDelete={onDeleteScript}
+            disabled={disabled}
+          />
+        </div>
+      </details>
+
+      {/* Voice and speed (changing them regenerates only the affected audio) */}
+      <details className="mt-4">
+        <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('player.voice')}
+        </summary>
+        <div className="mt-3">
+          <VoiceSettings
+            settings={settings}
+            onSettingsChange={onSettingsChange}
+            quadrants={quadrants}
+            sampleQuestion={sampleQuestion}
+            disabled={disabled}
+          />
+        </div>
+      </details>
+
+      {/* Ambient bed and chimes mixed under the questions (adjustable while playing) */}
+      <details className="mt-4">
+        <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('player.ambient')}
+        </summary>
+        <div className="mt-3">
+          <AmbientSettings settings={settings} onSettingsChange={onSettingsChange} />
+        </div>
+      </details>
+
+      {/* Per-question pauses (e.g. more time after the Non-Mirror Reverse) */}
+      {quadrants.length > 0 && !interactive && (
+        <details className="mt-4">
+          <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('player.pauseEach')}
+          </summary>
+          <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {quadrants.map((quadrant) => (
+              <label key={quadrant.key} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                {quadrant.label}
+                <select
+                  value={settings.pauseOverrides[quadrant.key] ?? ''}
+                  onChange={(e) => handleOverrideChange(quadrant.key, e.target.value)}
+                  disabled={disabled}
+                  className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+                >
+                  <option value="">{t('player.default')}</option>
+                  {PAUSE_OPTIONS.map((ms) => (
+                    <option key={ms} value={ms}>{formatPause(ms)}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {/* Interactive Mode */}
+      <label className="mt-4 flex items-center justify-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={interactive}
+          onChange={(e) => onInteractiveChange(e.target.checked)}
+          disabled={disabled}
+          className="rounded text-primary-600 focus:ring-primary-500"
+        />
+        {t('player.interactive')}
+      </label>
+
       {/* New Session Button */}
-      <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+        {isExportSupported() && (
+          <button
+            onClick={onExport}
+            disabled={disabled || exportStatus?.busy}
+            className="btn-secondary w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+            </svg>
+            {exportStatus?.busy ? t('player.rendering') : t('player.download')}
+          </button>
+        )}
+        {exportStatus && !exportStatus.busy && (
+          <p className="text-sm text-center text-gray-600 dark:text-gray-400">{exportStatus.message}</p>
+        )}
+
         <button
           onClick={onNewSession}
-          disabled={isPlaying || isLoadingAudio}
+          disabled={disabled}
           className="btn-secondary w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
         >
           <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
           </svg>
-          Start New Session
+          {t('player.newSession')}
         </button>
       </div>
 
       {/* Instructions */}
       <div className="mt-4 text-sm text-gray-600 dark:text-gray-400 text-center">
-        <p>Click "Play All Questions" to hear each Cartesian Logic question with pauses for reflection</p>
+        <p>{t('player.instructions')}</p>
       </div>
-
-      {/* Pass pause duration back to parent */}
-      <input type="hidden" value={pauseDuration} data-pause-duration={pauseDuration * 1000} />
     </div>
   );
 }
@@ -0,0 +1,97 @@
+import { useState, useMemo } from 'react';
+import { parseBeliefList, MAX_BATCH_BELIEFS, MAX_BATCH_BELIEF_LENGTH } from '../services/batchSession';
+import PatternPicker from './PatternPicker';
+import { useTranslation, DEFAULT_LANGUAGE } from '../i18n';
+
+export default function BatchInput({ onBatchSubmit }) {
+  const { language, t } = useTranslation();
+  const [text, setText] = useState('');
+  const [csv, setCsv] = useState(false); // The text came from a .csv file
+  const [patterns, setPatterns] = useState(['cartesian']);
+  const [error, setError] = useState('');
+
+  // The parser, reframes and Meta Model only know English, as in the single-belief form
+  const english = language === DEFAULT_LANGUAGE;
+  const activePatterns = english ? patterns : ['cartesian'];
+  const { beliefs, tooLong, overLimit } = useMemo(() => parseBeliefList(text, { csv }), [text, csv]);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Importing the same file again still fires onChange
+    if (!file) return;
+    try {
+      setText(await file.text());
+      setCsv(/\.csv$/i.test(file.name) || file.type === 'text/csv');
+      setError('');
+    } catch (err) {
+      console.error('Could not read the belief list:', err);
+      setError(t('batch.importFailed'));
+    }
+  };
+
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    if (!e.target.value) setCsv(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (beliefs.length === 0 || activePatterns.length === 0) return;
+    onBatchSubmit(beliefs, { patterns: activePatterns, language });
+  };
+
+  return (
+    <div className="card w-full max-w-2xl mx-auto">
+      <details>
+        <summary className="cursor-pointer text-lg font-semibold text-gray-900 dark:text-white">
+          {t('batch.title')}
+        </summary>
+
+        <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {t('batch.description', { max: MAX_BATCH_BELIEFS })}
+          </p>
+
+          <textarea
+            value={text}
+            onChange={handleTextChange}
+            placeholder={t('batch.placeholder')}
+            className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-y h-40 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+          />
+
+          <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+            <label className="btn-secondary px-4 py-2 cursor-pointer">
+              {t('batch.import')}
+              <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleImport} className="sr-only" />
+            </label>
+            <span className="text-gray-600 dark:text-gray-400">
+              {beliefs.length === 1 ? t('batch.countOne') : t('batch.count', { count: beliefs.length })}
+            </span>
+          </div>
+
+          {(tooLong > 0 || overLimit > 0 || error) && (
+            <div className="text-sm text-amber-700 dark:text-amber-300 space-y-1">
+              {tooLong > 0 && <p>{t('batch.tooLong', { count: tooLong, max: MAX_BATCH_BELIEF_LENGTH })}</p>}
+              {overLimit > 0 && <p>{t('batch.overLimit', { count: overLimit, max: MAX_BATCH_BELIEFS })}</p>}
+              {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+            </div>
+          )}
+
+          {english ? (
+            <PatternPicker selected={patterns} onChange={setPatterns} />
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('belief.englishOnly')}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={beliefs.length === 0 || activePatterns.length === 0}
+            className="btn-primary w-full py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('batch.run')}
+          </button>
+        </form>
+      </details>
+    </div>
+  );
+}
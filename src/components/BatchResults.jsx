@@ -0,0 +1,114 @@
+import { useTranslation } from '../i18n';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  generating: 'bg-primary-100 text-primary-800 animate-pulse',
+  ready: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+export default function BatchResults({ entries, running, audio = {}, currentQuestionIndex, isPlaying, onRetry, onPlayBelief, onCancel }) {
+  const { t } = useTranslation();
+  const ready = entries.filter((entry) => entry.status === 'ready').length;
+
+  // Position of each belief's first question in the joined session
+  let offset = 0;
+  const offsets = entries.map((entry) => {
+    const start = offset;
+    if (entry.status === 'ready') offset += entry.items.length;
+    return start;
+  });
+
+  return (
+    <div className="card w-full">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white">{t('batch.resultsTitle')}</h2>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            {running ? t('batch.generating', { ready, total: entries.length }) : t('batch.summary', { ready, total: entries.length })}
+          </p>
+        </div>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary px-4 py-2 text-sm">
+            {t('batch.cancel')}
+          </button>
+        )}
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+        {entries.map((entry, beliefIndex) => (
+          <div key={entry.id} className="p-4 rounded-lg border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 flex flex-col">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <p className="font-medium italic text-gray-900 dark:text-white">
+                {beliefIndex + 1}. {entry.belief}
+              </p>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_STYLES[entry.status]}`}>
+                {t(`batch.status.${entry.status}`)}
+              </span>
+            </div>
+
+            {entry.status === 'ready' && (
+              <ol className="space-y-2 flex-1">
+                {entry.items.map((item, index) => {
+                  const isActive = isPlaying && offsets[beliefIndex] + index === currentQuestionIndex;
+                  return (
+                    <li
+                      key={`${item.key}-${index}`}
+                      className={`p-2 rounded transition-all duration-300 ${isActive ? 'bg-primary-50 dark:bg-primary-900/20 ring-2 ring-primary-500' : ''}`}
+                    >
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${item.color || 'bg-gray-100 text-gray-700'}`}>
+                        {item.label}
+                      </span>
+                      <p className="text-sm mt-1 text-gray-800 dark:text-gray-200">{item.question}</p>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+
+            {entry.status === 'failed' && (
+              <p className="text-sm text-red-600 dark:text-red-400 flex-1">{t('batch.failed')}</p>
+            )}
+
+            {entry.status === 'ready' && audio[beliefIndex] && (
+              <AudioStatus {...audio[beliefIndex]} />
+            )}
+
+            <div className="mt-3 flex gap-3">
+              {entry.status === 'ready' && !running && onPlayBelief && (
+                <button
+                  type="button"
+                  onClick={() => onPlayBelief(beliefIndex)}
+                  className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {t('batch.playBelief')}
+                </button>
+              )}
+              {entry.status === 'failed' && !running && onRetry && (
+                <button
+                  type="button"
+                  onClick={() => onRetry(entry.id)}
+                  className="text-sm font-medium text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {t('batch.retry')}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Speech clips for one belief: still generating, all ready, or some left to browser speech or skipped
+function AudioStatus({ ready, failed, total }) {
+  const { t } = useTranslation();
+  if (failed > 0) {
+    return <p className="mt-2 text-xs text-amber-700 dark:text-amber-300">{t('batch.audioFailed', { failed, total })}</p>;
+  }
+  if (ready < total) {
+    return <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 animate-pulse">{t('batch.audioPending', { ready, total })}</p>;
+  }
+  return <p className="mt-2 text-xs text-green-700 dark:text-green-400">{t('batch.audioReady')}</p>;
+}
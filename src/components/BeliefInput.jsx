@@ -1,38 +1,179 @@
-import { useState } from 'react';
-import { createSpeechRecognition, isSpeechRecognitionSupported } from '../services/speechRecognition';
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { isSpeechRecognitionSupported } from '../services/speechRecognition';
+import { startDictation, appendPhrase, replacePhrase } from '../services/dictation';
+import { findBeliefCandidates } from '../services/beliefExtraction';
+import { isFreeFormText } from '../services/linguistics';
+import { parseBelief, parseMetaModel } from '../services/cartesianLogic';
+import { QUADRANT_KEYS } from '../services/questionValidator';
+import PatternPicker from './PatternPicker';
+import IntensityRating from './IntensityRating';
+import HighlightedBelief from './HighlightedBelief';
+import { useTranslation, LANGUAGES, DEFAULT_LANGUAGE, getLanguage } from '../i18n';
 
-export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
+// Recognition errors the user can do something about
+const SPEECH_ERROR_KEYS = {
+  'not-allowed': 'belief.micBlocked',
+  'service-not-allowed': 'belief.micBlocked',
+  'audio-capture': 'belief.noMicrophone',
+  network: 'belief.speechNetwork'
+};
+
+export default function BeliefInput({ onBeliefSubmit, isProcessing, onLanguageChange }) {
+  const { language, t } = useTranslation();
   const [belief, setBelief] = useState('');
   const [isListening, setIsListening] = useState(false);
+  const [interim, setInterim] = useState('');
+  const [unsurePhrases, setUnsurePhrases] = useState([]); // dictated phrases with alternatives to pick from
   const [error, setError] = useState('');
+  const [twoVariable, setTwoVariable] = useState(false);
+  const [components, setComponents] = useState({ a: '', b: '' });
+  const [patterns, setPatterns] = useState(['cartesian']);
+  const [rewordChallenges, setRewordChallenges] = useState(false);
+  const [ratingBefore, setRatingBefore] = useState(null); // 0-10, optional
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [candidates, setCandidates] = useState(null); // beliefs found in free-form text, best first
+  const [picked, setPicked] = useState([]);
+  const [queued, setQueued] = useState([]); // picked beliefs to explore after this one
+
+  // The belief parser, reframes and Meta Model only know English; other languages run Cartesian Logic alone
+  const english = language === DEFAULT_LANGUAGE;
+  const activePatterns = english ? patterns : ['cartesian'];
+
+  // Detect cause-effect beliefs as the user types so two-variable mode can be suggested
+  const analysis = useMemo(() => (english && belief.trim() ? parseBelief(belief.trim()) : null), [belief, english]);
+  const isCauseEffect = analysis?.structure === 'cause-effect';
+  const violations = useMemo(() => (english ? parseMetaModel(belief) : []), [belief, english]);
+  const runsCartesian = activePatterns.includes('cartesian');
+  const useTwoVariable = english && twoVariable && runsCartesian;
+
+  const enableTwoVariable = () => {
+    setComponents({ a: analysis?.components.a || '', b: analysis?.components.b || '' });
+    setTwoVariable(true);
+  };
+
+  const handleTwoVariableToggle = (e) => {
+    if (e.target.checked) {
+      enableTwoVariable();
+    } else {
+      setTwoVariable(false);
+    }
+  };
+
+  const componentsReady = components.a.trim() && components.b.trim();
+  const canSubmit = belief.trim() && activePatterns.length > 0 && (!useTwoVariable || componentsReady);
+
+  const dictationRef = useRef(null);
+
+  // Stop the microphone if the form goes away mid-dictation
+  useEffect(() => () => dictationRef.current?.stop(), []);
 
   const handleSpeechRecognition = () => {
     if (!isSpeechRecognitionSupported()) {
-      setError('Speech recognition is not supported in your browser');
+      setError(t('belief.speechUnsupported'));
+      return;
+    }
+
+    // The same button stops dictation
+    if (dictationRef.current) {
+      dictationRef.current.stop();
       return;
     }
 
     setIsListening(true);
     setError('');
+    setUnsurePhrases([]);
 
-    const recognition = createSpeechRecognition(
-      (transcript) => {
-        setBelief(transcript);
-        setIsListening(false);
+    dictationRef.current = startDictation({
+      lang: getLanguage(language).locale,
+      onInterim: setInterim,
+      onPhrase: (phrase) => {
+        setBelief((current) => appendPhrase(current, phrase.text));
+        if (phrase.unsure) {
+          setUnsurePhrases((current) => [...current, phrase]);
+        }
       },
-      (errorMessage) => {
-        setError(`Speech recognition error: ${errorMessage}`);
+      onError: (errorMessage) => {
+        const key = SPEECH_ERROR_KEYS[errorMessage];
+        setError(key ? t(key) : t('belief.speechError', { error: errorMessage }));
+      },
+      onEnd: () => {
+        dictationRef.current = null;
         setIsListening(false);
       }
-    );
+    });
+  };
+
+  const chooseAlternative = (phrase, alternative) => {
+    setBelief((current) => replacePhrase(current, phrase.text, alternative));
+    // Keep the swapped-out text as a candidate in case the first guess was right after all
+    setUnsurePhrases((current) => current.map((item) => (
+      item.id === phrase.id
+        ? { ...item, text: alternative, alternatives: [phrase.text, ...item.alternatives.filter((a) => a !== alternative)] }
+        : item
+    )));
+  };
 
-    recognition.start();
+  const dismissPhrase = (id) => {
+    setUnsurePhrases((current) => current.filter((item) => item.id !== id));
+  };
+
+  const canExtract = !isListening && !isExtracting && !candidates && isFreeFormText(belief);
+
+  const handleExtract = async () => {
+    setIsExtracting(true);
+    setError('');
+    const found = await findBeliefCandidates(belief.trim(), { language });
+    setCandidates(found);
+    setPicked(found.slice(0, 1));
+    setIsExtracting(false);
+  };
+
+  const togglePicked = (candidate) => {
+    // Keep ranking order so the best pick runs first
+    setPicked((current) => (
+      current.includes(candidate)
+        ? current.filter((item) => item !== candidate)
+        : candidates.filter((item) => item === candidate || current.includes(item))
+    ));
+  };
+
+  const usePicked = () => {
+    setBelief(picked[0]);
+    setQueued(picked.slice(1));
+    setCandidates(null);
+    setPicked([]);
+    setTwoVariable(false);
+  };
+
+  const closeCandidates = () => {
+    setCandidates(null);
+    setPicked([]);
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (belief.trim()) {
-      onBeliefSubmit(belief.trim());
+    if (!canSubmit) return;
+    dictationRef.current?.stop();
+
+    if (useTwoVariable) {
+      onBeliefSubmit(belief.trim(), {
+        mode: 'two-variable',
+        components: { a: components.a.trim(), b: components.b.trim() },
+        patterns,
+        rewordChallenges,
+        ratingBefore,
+        language,
+        queue: queued
+      });
+    } else {
+      onBeliefSubmit(belief.trim(), {
+        mode: 'single',
+        patterns: activePatterns,
+        rewordChallenges,
+        ratingBefore,
+        language,
+        queue: queued
+      });
     }
   };
 
@@ -40,19 +181,37 @@ export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
     <div className="card w-full max-w-2xl mx-auto">
       <div className="text-center mb-6">
         <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
-          What limiting belief would you like to explore?
+          {t('belief.heading')}
         </h2>
         <p className="text-gray-600 dark:text-gray-300">
-          Enter or speak your belief, and we'll guide you through Cartesian Logic
+          {t('belief.subheading')}
         </p>
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Language of the belief, the questions, the voice and the UI */}
+        <div className="flex items-center justify-end gap-2">
+          <label htmlFor="belief-language" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('belief.language')}
+          </label>
+          <select
+            id="belief-language"
+            value={language}
+            onChange={(e) => onLanguageChange(e.target.value)}
+            disabled={isProcessing || isListening}
+            className="px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm disabled:opacity-50"
+          >
+            {LANGUAGES.map((option) => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </div>
+
         <div className="relative">
           <textarea
             value={belief}
             onChange={(e) => setBelief(e.target.value)}
-            placeholder="Example: I can't be successful in my career..."
+            placeholder={t('belief.placeholder')}
             className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent resize-none h-32 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
             disabled={isProcessing}
           />
@@ -61,27 +220,34 @@ export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
             <button
               type="button"
               onClick={handleSpeechRecognition}
-              disabled={isListening || isProcessing}
+              disabled={isProcessing}
               className={`absolute bottom-3 right-3 p-2 rounded-full transition-all ${
                 isListening
                   ? 'bg-red-500 animate-pulse'
                   : 'bg-primary-100 hover:bg-primary-200 dark:bg-primary-800 dark:hover:bg-primary-700'
               }`}
-              title="Click to speak your belief"
+              title={isListening ? t('belief.stopDictation') : t('belief.speak')}
+              aria-pressed={isListening}
             >
-              <svg
-                className={`w-6 h-6 ${isListening ? 'text-white' : 'text-primary-600 dark:text-primary-300'}`}
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z"
-                />
-              </svg>
+              {isListening ? (
+                <svg className="w-6 h-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                  <rect x="6" y="6" width="12" height="12" rx="2" />
+                </svg>
+              ) : (
+                <svg
+                  className="w-6 h-6 text-primary-600 dark:text-primary-300"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z"
+                  />
+                </svg>
+              )}
             </button>
           )}
         </div>
@@ -91,14 +257,226 @@ export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
         )}
 
         {isListening && (
-          <div className="text-primary-600 dark:text-primary-400 text-sm animate-pulse">
-            🎤 Listening... Speak your belief now
+          <div className="text-sm">
+            <p className="text-primary-600 dark:text-primary-400 animate-pulse">{t('belief.listening')}</p>
+            {interim && (
+              <p className="mt-1 italic text-gray-500 dark:text-gray-400" aria-live="polite">{interim}</p>
+            )}
+          </div>
+        )}
+
+        {unsurePhrases.length > 0 && (
+          <div className="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 space-y-2">
+            <p className="text-xs font-semibold text-amber-800 dark:text-amber-300">{t('belief.unsure')}</p>
+            {unsurePhrases.map((phrase) => (
+              <div key={phrase.id} className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-700 dark:text-gray-200">“{phrase.text}”</span>
+                <span className="text-gray-400">→</span>
+                {phrase.alternatives.map((alternative) => (
+                  <button
+                    key={alternative}
+                    type="button"
+                    onClick={() => chooseAlternative(phrase, alternative)}
+                    className="px-2 py-0.5 rounded-full border border-amber-300 dark:border-amber-700 text-amber-900 dark:text-amber-200 hover:bg-amber-100 dark:hover:bg-amber-800/40"
+                  >
+                    {alternative}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => dismissPhrase(phrase.id)}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+                >
+                  {t('belief.keepPhrase')}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {canExtract && (
+          <div className="flex items-center justify-between gap-3 p-3 rounded-lg bg-primary-50 dark:bg-primary-900/20 text-sm">
+            <span className="text-primary-800 dark:text-primary-200">{t('extract.hint')}</span>
+            <button
+              type="button"
+              onClick={handleExtract}
+              disabled={isProcessing}
+              className="px-3 py-1 rounded-full text-xs font-semibold bg-primary-100 text-primary-800 hover:bg-primary-200 whitespace-nowrap"
+            >
+              {t('extract.find')}
+            </button>
+          </div>
+        )}
+
+        {isExtracting && (
+          <p className="text-sm text-primary-600 dark:text-primary-400 animate-pulse">{t('extract.finding')}</p>
+        )}
+
+        {candidates && (
+          <div className="p-3 rounded-lg bg-primary-50 dark:bg-primary-900/20 space-y-2 text-sm">
+            {candidates.length > 0 ? (
+              <>
+                <p className="text-xs font-semibold text-primary-800 dark:text-primary-300">{t('extract.heading')}</p>
+                {candidates.map((candidate) => (
+                  <label key={candidate} className="flex items-start gap-2 text-gray-800 dark:text-gray-200">
+                    <input
+                      type="checkbox"
+                      checked={picked.includes(candidate)}
+                      onChange={() => togglePicked(candidate)}
+                      className="mt-0.5 rounded text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>{candidate}</span>
+                  </label>
+                ))}
+              </>
+            ) : (
+              <p className="text-gray-700 dark:text-gray-300">{t('extract.none')}</p>
+            )}
+            <div className="flex gap-3">
+              {candidates.length > 0 && (
+                <button
+                  type="button"
+                  onClick={usePicked}
+                  disabled={picked.length === 0}
+                  className="px-3 py-1 rounded-full text-xs font-semibold bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {t('extract.use')}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={closeCandidates}
+                className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+              >
+                {t('extract.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {queued.length > 0 && (
+          <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50 text-sm">
+            <p className="text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">{t('extract.queued')}</p>
+            <ol className="list-decimal list-inside space-y-1 text-gray-800 dark:text-gray-200">
+              {queued.map((item) => (
+                <li key={item}>
+                  {item}{' '}
+                  <button
+                    type="button"
+                    onClick={() => setQueued((current) => current.filter((other) => other !== item))}
+                    className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+                  >
+                    {t('extract.remove')}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        {violations.length > 0 && !isListening && !candidates && (
+          <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+            <p className="text-xs font-semibold text-gray-600 dark:text-gray-300 mb-1">
+              {t('belief.metaModelMarkers')}
+            </p>
+            <HighlightedBelief
+              text={belief}
+              violations={violations}
+              className="text-sm text-gray-900 dark:text-white"
+              showLegend
+            />
           </div>
         )}
 
+        {english ? (
+          <PatternPicker selected={patterns} onChange={setPatterns} disabled={isProcessing} />
+        ) : (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{t('belief.englishOnly')}</p>
+        )}
+
+        {activePatterns.includes('metaModel') && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={rewordChallenges}
+              onChange={(e) => setRewordChallenges(e.target.checked)}
+              disabled={isProcessing}
+              className="rounded text-primary-600 focus:ring-primary-500"
+            />
+            {t('belief.rewordChallenges')}
+          </label>
+        )}
+
+        {isCauseEffect && runsCartesian && !twoVariable && (
+          <div className="flex items-center justify-between gap-3 p-3 rounded-lg bg-purple-50 dark:bg-purple-900/20 text-sm">
+            <span className="text-purple-800 dark:text-purple-200">
+              {t('belief.causeEffect')}
+            </span>
+            <button
+              type="button"
+              onClick={enableTwoVariable}
+              disabled={isProcessing}
+              className="px-3 py-1 rounded-full text-xs font-semibold bg-purple-100 text-purple-800 hover:bg-purple-200 whitespace-nowrap"
+            >
+              {t('belief.useTwoVariable')}
+            </button>
+          </div>
+        )}
+
+        {english && runsCartesian && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={twoVariable}
+              onChange={handleTwoVariableToggle}
+              disabled={isProcessing}
+              className="rounded text-primary-600 focus:ring-primary-500"
+            />
+            {t('belief.twoVariable')}
+          </label>
+        )}
+
+        {useTwoVariable && (
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-semibold text-blue-800 dark:text-blue-200 mb-1">
+                {t('belief.cause')}
+              </label>
+              <input
+                type="text"
+                value={components.a}
+                onChange={(e) => setComponents({ ...components, a: e.target.value })}
+                placeholder={t('belief.causePlaceholder')}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+                disabled={isProcessing}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-semibold text-purple-800 dark:text-purple-200 mb-1">
+                {t('belief.effect')}
+              </label>
+              <input
+                type="text"
+                value={components.b}
+                onChange={(e) => setComponents({ ...components, b: e.target.value })}
+                placeholder={t('belief.effectPlaceholder')}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400"
+                disabled={isProcessing}
+              />
+            </div>
+          </div>
+        )}
+
+        <IntensityRating
+          label={t('rating.before')}
+          value={ratingBefore}
+          onChange={setRatingBefore}
+          disabled={isProcessing}
+        />
+
         <button
           type="submit"
-          disabled={!belief.trim() || isProcessing}
+          disabled={!canSubmit || isProcessing}
           className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
         >
           {isProcessing ? (
@@ -107,10 +485,10 @@ export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
               </svg>
-              Generating Questions...
+              {t('belief.generating')}
             </span>
           ) : (
-            'Generate Cartesian Logic Questions'
+            runsCartesian ? t('belief.generateQuestions') : t('belief.generateReframes')
           )}
         </button>
       </form>
@@ -118,21 +496,18 @@ export default function BeliefInput({ onBeliefSubmit, isProcessing }) {
       <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
         <details className="text-sm text-gray-600 dark:text-gray-400">
           <summary className="cursor-pointer font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700">
-            What is Cartesian Logic?
+            {t('belief.about')}
           </summary>
           <div className="mt-3 space-y-2">
-            <p>
-              Cartesian Logic is an NLP technique that challenges limiting beliefs by exploring four
-              perspectives:
-            </p>
+            <p>{t('belief.aboutIntro')}</p>
             <ul className="list-disc list-inside space-y-1 ml-2">
-              <li><strong>Theorem:</strong> What would happen if you did?</li>
-              <li><strong>Converse:</strong> What wouldn't happen if you did?</li>
-              <li><strong>Inverse:</strong> What would happen if you didn't?</li>
-              <li><strong>Non-Mirror Reverse:</strong> What wouldn't happen if you didn't?</li>
+              {QUADRANT_KEYS.map((key) => (
+                <li key={key}><strong>{t(`quadrant.${key}`)}:</strong> {t(`quadrant.${key}.description`)}</li>
+              ))}
             </ul>
+            {english && <p>{t('belief.aboutTwoVariable')}</p>}
             <p className="mt-2 text-xs italic">
-              Based on NLP Master Practitioner Manual - Chapter 2: Quantum Linguistics
+              {t('belief.aboutSource')}
             </p>
           </div>
         </details>
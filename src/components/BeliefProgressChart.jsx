@@ -0,0 +1,80 @@
+import { useTranslation, getLanguage } from '../i18n';
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 24 };
+
+const formatDay = (timestamp, locale) => new Date(timestamp).toLocaleDateString(locale, { month: 'short', day: 'numeric' });
+
+export default function BeliefProgressChart({ progress }) {
+  const { language, t } = useTranslation();
+
+  if (progress.length === 0) {
+    return null;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (progress.length === 1 ? plotWidth / 2 : (index / (progress.length - 1)) * plotWidth);
+  const y = (rating) => PADDING.top + ((10 - rating) / 10) * plotHeight;
+
+  // One line per rating, skipping sessions where it wasn't given
+  const series = [
+    { key: 'before', label: t('chart.before'), className: 'text-gray-400' },
+    { key: 'after', label: t('chart.after'), className: 'text-primary-600' }
+  ].map((line) => ({
+    ...line,
+    points: progress
+      .map((session, index) => ({ session, index, rating: session[line.key] }))
+      .filter(({ rating }) => rating !== null && rating !== undefined)
+  }));
+
+  const first = progress.find((session) => session.before !== null) || progress[0];
+  const last = [...progress].reverse().find((session) => session.after !== null) || progress[progress.length - 1];
+  const start = first.before ?? first.after;
+  const end = last.after ?? last.before;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('chart.label')}>
+        {[0, 5, 10].map((rating) => (
+          <g key={rating}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(rating)} y2={y(rating)} className="stroke-gray-200 dark:stroke-gray-700" />
+            <text x={PADDING.left - 6} y={y(rating) + 3} textAnchor="end" className="fill-gray-500 text-[9px]">{rating}</text>
+          </g>
+        ))}
+        {progress.map((session, index) => (
+          <text key={session.id} x={x(index)} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-500 text-[9px]">
+            {formatDay(session.createdAt, getLanguage(language).locale)}
+          </text>
+        ))}
+        {series.map((line) => (
+          <g key={line.key} className={line.className}>
+            <polyline
+              points={line.points.map(({ index, rating }) => `${x(index)},${y(rating)}`).join(' ')}
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            />
+            {line.points.map(({ session, index, rating }) => (
+              <circle key={session.id} cx={x(index)} cy={y(rating)} r="3.5" fill="currentColor">
+                <title>{`${line.label}: ${rating}/10 - "${session.belief}"`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-gray-600 dark:text-gray-400">
+        <span className="flex gap-4">
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-gray-400"></span>{t('chart.beforeSession')}</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-primary-600"></span>{t('chart.afterSession')}</span>
+        </span>
+        {start !== null && end !== null && (
+          <span>
+            {t(progress.length === 1 ? 'chart.session' : 'chart.sessions', { count: progress.length, start, end })}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
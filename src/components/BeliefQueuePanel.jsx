@@ -0,0 +1,27 @@
+import { useTranslation } from '../i18n';
+
+export default function BeliefQueuePanel({ beliefs, onNext, disabled }) {
+  const { t } = useTranslation();
+  const [next, ...rest] = beliefs;
+
+  return (
+    <div className="card w-full max-w-2xl mx-auto">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div className="text-sm">
+          <p className="text-gray-800 dark:text-gray-200">{t('queue.upNext', { belief: next })}</p>
+          {rest.length > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('queue.more', { count: rest.length })}</p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={onNext}
+          disabled={disabled}
+          className="btn-primary px-4 py-2 whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {t('queue.next')}
+        </button>
+      </div>
+    </div>
+  );
+}
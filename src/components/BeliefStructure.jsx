@@ -0,0 +1,73 @@
+import { useTranslation } from '../i18n';
+
+export default function BeliefStructure({ analysis }) {
+  const { t } = useTranslation();
+  const { structure, components, verbType, isNegative, action } = analysis;
+  // Simple beliefs have no B, so only the two-part structures have component labels
+  const parts = structure === 'complex-equivalence' ? 'complex-equivalence' : 'cause-effect';
+
+  const markers = [
+    ...analysis.modalOperators.map((modal) => ({
+      label: t(`structure.modal.${modal.type}`),
+      text: modal.text
+    })),
+    ...analysis.universals.map((word) => ({ label: t('structure.universal'), text: word })),
+    ...analysis.nominalizations.map((word) => ({ label: t('structure.nominalization'), text: word })),
+    ...(analysis.lostPerformative ? [{ label: t('structure.lostPerformative'), text: analysis.lostPerformative }] : [])
+  ];
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+        {t('structure.title')}
+      </h4>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <span
+          className="px-3 py-1 rounded-full text-xs font-semibold bg-primary-100 text-primary-800"
+          title={t(`structure.${structure}.description`)}
+        >
+          {t(`structure.${structure}`)}
+        </span>
+        <span className="px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+          {t(`structure.verb.${verbType}`)}
+        </span>
+        {isNegative && (
+          <span className="px-3 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-800">
+            {t('structure.negated')}
+          </span>
+        )}
+      </div>
+
+      {components.b && (
+        <div className="grid md:grid-cols-2 gap-3 mb-3">
+          <div className="p-3 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+            <p className="text-xs font-semibold text-blue-800 dark:text-blue-200 mb-1">{t(`structure.${parts}.a`)}</p>
+            <p className="text-sm text-gray-900 dark:text-white">{components.a}</p>
+          </div>
+          <div className="p-3 rounded-lg bg-purple-50 dark:bg-purple-900/20">
+            <p className="text-xs font-semibold text-purple-800 dark:text-purple-200 mb-1">{t(`structure.${parts}.b`)}</p>
+            <p className="text-sm text-gray-900 dark:text-white">{components.b}</p>
+          </div>
+        </div>
+      )}
+
+      {action && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+          {t('structure.action')} <span className="font-medium text-gray-900 dark:text-white">{action.positive}</span>
+        </p>
+      )}
+
+      {markers.length > 0 && (
+        <ul className="text-sm space-y-1">
+          {markers.map((marker, index) => (
+            <li key={index} className="text-gray-600 dark:text-gray-400">
+              <span className="font-medium text-gray-700 dark:text-gray-300">{marker.label}:</span>{' '}
+              <span className="italic">"{marker.text}"</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
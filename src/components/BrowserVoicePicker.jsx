@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { loadBrowserVoices } from '../services/speakable';
+import { useTranslation } from '../i18n';
+
+export default function BrowserVoicePicker({ value, onChange, disabled }) {
+  const { t } = useTranslation();
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    loadBrowserVoices().then((list) => {
+      if (active) setVoices(list);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  if (voices.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center gap-3">
+      <label htmlFor="browser-voice" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+        {t('voice.browserVoice')}
+      </label>
+      <select
+        id="browser-voice"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="max-w-[16rem] px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+      >
+        <option value="">{t('voice.automatic')}</option>
+        {voices.map((voice) => (
+          <option key={voice.voiceURI} value={voice.voiceURI}>
+            {voice.name} ({voice.lang})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
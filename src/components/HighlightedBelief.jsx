@@ -0,0 +1,43 @@
+import { segmentByViolations, META_MODEL_CATEGORIES } from '../services/linguistics';
+
+const CATEGORY_STYLES = {
+  deletion: 'bg-sky-100 border-sky-500 dark:bg-sky-900/40',
+  distortion: 'bg-amber-100 border-amber-500 dark:bg-amber-900/40',
+  generalization: 'bg-rose-100 border-rose-500 dark:bg-rose-900/40'
+};
+
+export default function HighlightedBelief({ text, violations, className = '', showLegend = false }) {
+  const segments = segmentByViolations(text, violations);
+  const categories = [...new Set(violations.map((violation) => violation.category))];
+
+  return (
+    <div>
+      <p className={className}>
+        {segments.map((segment, index) =>
+          segment.violation ? (
+            <mark
+              key={index}
+              className={`rounded px-0.5 border-b-2 text-inherit ${CATEGORY_STYLES[segment.violation.category]}`}
+              title={`${segment.violation.label}: ${segment.violation.challenge}`}
+            >
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={index}>{segment.text}</span>
+          )
+        )}
+      </p>
+
+      {showLegend && categories.length > 0 && (
+        <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600 dark:text-gray-400">
+          {categories.map((category) => (
+            <span key={category} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded border-b-2 ${CATEGORY_STYLES[category]}`}></span>
+              {META_MODEL_CATEGORIES[category]}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
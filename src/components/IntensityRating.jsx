@@ -0,0 +1,34 @@
+import { useTranslation } from '../i18n';
+
+const RATINGS = Array.from({ length: 11 }, (_, value) => value);
+
+export default function IntensityRating({ label, value, onChange, disabled }) {
+  const { t } = useTranslation();
+
+  return (
+    <fieldset disabled={disabled}>
+      <legend className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{label}</legend>
+      <div className="flex gap-1">
+        {RATINGS.map((rating) => (
+          <button
+            key={rating}
+            type="button"
+            onClick={() => onChange(value === rating ? null : rating)}
+            aria-pressed={value === rating}
+            className={`flex-1 py-2 rounded text-sm font-semibold transition-colors disabled:opacity-50 ${
+              value === rating
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+          >
+            {rating}
+          </button>
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-xs text-gray-500 dark:text-gray-400">
+        <span>{t('rating.low')}</span>
+        <span>{t('rating.high')}</span>
+      </div>
+    </fieldset>
+  );
+}
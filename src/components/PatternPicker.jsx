@@ -0,0 +1,36 @@
+import { PATTERNS } from '../services/patterns';
+
+export default function PatternPicker({ selected, onChange, disabled }) {
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter((item) => item !== id) : [...selected, id]);
+  };
+
+  return (
+    <details className="text-sm" open={selected.length > 1}>
+      <summary className="cursor-pointer font-medium text-gray-700 dark:text-gray-300">
+        Patterns to run ({selected.length} selected)
+      </summary>
+      <div className="mt-3 grid sm:grid-cols-2 gap-2">
+        {PATTERNS.map((pattern) => (
+          <label
+            key={pattern.id}
+            className="flex items-start gap-2 p-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50"
+            title={pattern.description}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(pattern.id)}
+              onChange={() => toggle(pattern.id)}
+              disabled={disabled}
+              className="mt-0.5 rounded text-primary-600 focus:ring-primary-500"
+            />
+            <span>
+              <span className="font-medium text-gray-800 dark:text-gray-200">{pattern.name}</span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">{pattern.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,52 @@
+import { useTranslation } from '../i18n';
+
+export default function PatternResults({ items, currentIndex, isPlaying, title, subtitle }) {
+  const { t } = useTranslation();
+  return (
+    <div className="card w-full max-w-3xl mx-auto">
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
+          {title || t('app.patternsTitle')}
+        </h2>
+        <p className="text-gray-600 dark:text-gray-300">
+          {subtitle || t('app.patternsSubtitle')}
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {items.map((item, index) => {
+          const isActive = index === currentIndex && isPlaying;
+          return (
+            <div
+              key={item.key}
+              className={`p-5 rounded-lg border-2 transition-all duration-300 ${
+                isActive
+                  ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20 shadow-lg'
+                  : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800'
+              }`}
+            >
+              <div className="flex items-center gap-2 mb-1">
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${item.color}`}>
+                  {item.label}
+                </span>
+                {isActive && (
+                  <span className="text-primary-600 dark:text-primary-400 text-sm animate-pulse">
+                    Playing
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 italic">
+                {item.description}
+              </p>
+              <p className={`text-lg font-medium mt-3 ${
+                isActive ? 'text-primary-900 dark:text-primary-100' : 'text-gray-800 dark:text-gray-200'
+              }`}>
+                {item.question}
+              </p>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
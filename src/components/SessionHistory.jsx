@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { PATTERNS, getPattern } from '../services/patterns';
+import { isHistorySupported, listSessions, deleteSession, filterSessions } from '../services/sessionHistory';
+import { useTranslation, getLanguage } from '../i18n';
+
+const VERB_TYPES = ['being', 'doing', 'having'];
+
+const formatDate = (timestamp, locale) => new Date(timestamp).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+export default function SessionHistory({ enabled, onEnabledChange, onReplay, onDeleteAll }) {
+  const { language, t } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [query, setQuery] = useState('');
+  const [verbType, setVerbType] = useState('');
+  const [pattern, setPattern] = useState('');
+
+  useEffect(() => {
+    if (!isHistorySupported()) return;
+    let active = true;
+    listSessions()
+      .then((list) => {
+        if (active) setSessions(list);
+      })
+      .catch((error) => console.warn('Could not load session history:', error));
+    return () => {
+      active = false;
+    };
+  }, [enabled]);
+
+  if (!isHistorySupported()) {
+    return null;
+  }
+
+  const handleDelete = async (id) => {
+    await deleteSession(id);
+    setSessions((current) => current.filter((session) => session.id !== id));
+  };
+
+  const handleDeleteAll = async () => {
+    if (!window.confirm(t('history.confirmDeleteAll'))) return;
+    await onDeleteAll();
+    setSessions(await listSessions().catch(() => []));
+  };
+
+  const visible = filterSessions(sessions, { query, verbType, pattern });
+
+  return (
+    <div className="card w-full max-w-2xl mx-auto">
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{t('history.title')}</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => onEnabledChange(e.target.checked)}
+            className="rounded text-primary-600 focus:ring-primary-500"
+          />
+          {t('history.enable')}
+        </label>
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {enabled ? t('history.emptyEnabled') : t('history.emptyDisabled')}
+        </p>
+      ) : (
+        <>
+          {/* Search and filters */}
+          <div className="flex flex-col sm:flex-row gap-2 mb-4">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('history.search')}
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <select
+              value={verbType}
+              onChange={(e) => setVerbType(e.target.value)}
+              aria-label={t('history.verbType')}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              <option value="">{t('history.anyVerbType')}</option>
+              {VERB_TYPES.map((type) => (
+                <option key={type} value={type}>{t(`history.verb.${type}`)}</option>
+              ))}
+            </select>
+            <select
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              aria-label={t('history.pattern')}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              <option value="">{t('history.anyPattern')}</option>
+              {PATTERNS.map((option) => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">{t('history.noMatch')}</p>
+          ) : (
+            <ul className="space-y-3 max-h-96 overflow-y-auto">
+              {visible.map((session) => {
+                const answered = (session.answers || []).filter(Boolean).length;
+                return (
+                  <li key={session.id} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+                    <p className="italic text-gray-900 dark:text-white">"{session.belief}"</p>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      {formatDate(session.createdAt, getLanguage(language).locale)}
+                      {answered > 0 && ` • ${t(answered === 1 ? 'history.answer' : 'history.answers', { count: answered })}`}
+                      {session.ratings?.before != null && session.ratings?.after != null &&
+                        ` • ${t('history.felt', session.ratings)}`}
+                    </p>
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      {(session.patterns || []).map((id) => (
+                        <span key={id} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                          {getPattern(id)?.name || id}
+                        </span>
+                      ))}
+                      <div className="ml-auto flex gap-2">
+                        <button type="button" onClick={() => onReplay(session)} className="btn-primary px-3 py-1 text-sm">
+                          {t('history.replay')}
+                        </button>
+                        <button type="button" onClick={() => handleDelete(session.id)} className="btn-secondary px-3 py-1 text-sm">
+                          {t('history.delete')}
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 text-center">
+        <button type="button" onClick={handleDeleteAll} className="text-sm text-red-700 dark:text-red-400 hover:underline">
+          {t('history.deleteAll')}
+        </button>
+      </div>
+    </div>
+  );
+}
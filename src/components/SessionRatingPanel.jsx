@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import IntensityRating from './IntensityRating';
+import BeliefProgressChart from './BeliefProgressChart';
+import { listSessions, getBeliefProgress } from '../services/sessionHistory';
+import { useTranslation } from '../i18n';
+
+export default function SessionRatingPanel({ belief, ratings, onRate, played, keepHistory }) {
+  const { t } = useTranslation();
+  const [progress, setProgress] = useState([]);
+
+  // Past sessions on this belief (or a rewording of it), with the current ratings
+  useEffect(() => {
+    if (!keepHistory) {
+      setProgress([]);
+      return;
+    }
+    let active = true;
+    listSessions()
+      .then((sessions) => {
+        if (active) setProgress(getBeliefProgress(sessions, belief));
+      })
+      .catch((error) => console.warn('Could not load belief progress:', error));
+    return () => {
+      active = false;
+    };
+  }, [belief, ratings.before, ratings.after, keepHistory]);
+
+  return (
+    <div className="card w-full max-w-2xl mx-auto space-y-4">
+      {!played ? (
+        <IntensityRating
+          label={t('rating.before')}
+          value={ratings.before}
+          onChange={(value) => onRate('before', value)}
+        />
+      ) : (
+        <>
+          <IntensityRating
+            label={t('rating.after')}
+            value={ratings.after}
+            onChange={(value) => onRate('after', value)}
+          />
+          {ratings.before !== null && ratings.after !== null && (
+            <p className="text-sm text-center text-gray-700 dark:text-gray-300">
+              {ratings.before} → {ratings.after}
+              {ratings.after < ratings.before && ` ${t('rating.down', { count: ratings.before - ratings.after })}`}
+            </p>
+          )}
+        </>
+      )}
+
+      {progress.length > 1 && (
+        <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">{t('rating.progress')}</h4>
+          <BeliefProgressChart progress={progress} />
+        </div>
+      )}
+      {!keepHistory && played && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {t('rating.historyHint')}
+        </p>
+      )}
+    </div>
+  );
+}
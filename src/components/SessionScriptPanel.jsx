@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { SCRIPT_PARTS, getBuiltInScripts, getScript, createCustomScript } from '../services/sessionScripts';
+import { useTranslation } from '../i18n';
+
+export default function SessionScriptPanel({ scriptId, customScripts, onSelect, onSave, onDelete, disabled }) {
+  const { language, t } = useTranslation();
+  const [draft, setDraft] = useState(null); // { name, parts } while editing
+  const script = getScript(scriptId, customScripts, language);
+
+  const startEditing = () => {
+    const parts = {};
+    for (const part of SCRIPT_PARTS) {
+      parts[part] = script[part] || '';
+    }
+    setDraft({ name: script.custom ? script.name : t('script.copyName', { name: script.name }), parts });
+  };
+
+  const handleSave = () => {
+    onSave(createCustomScript(draft.name, draft.parts, script, language));
+    setDraft(null);
+  };
+
+  const handleSelect = (id) => {
+    setDraft(null);
+    onSelect(id);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-3">
+        <label htmlFor="session-script" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('script.label')}
+        </label>
+        <select
+          id="session-script"
+          value={scriptId}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={disabled}
+          className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+        >
+          <option value="">{t('script.none')}</option>
+          <optgroup label={t('script.builtIn')}>
+            {getBuiltInScripts(language).map((builtIn) => (
+              <option key={builtIn.id} value={builtIn.id}>{builtIn.name}</option>
+            ))}
+          </optgroup>
+          {customScripts.length > 0 && (
+            <optgroup label={t('script.mine')}>
+              {customScripts.map((custom) => (
+                <option key={custom.id} value={custom.id}>{custom.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      {script && !draft && (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{script.custom ? t('script.custom') : script.description}</p>
+          <div className="flex gap-2 shrink-0">
+            <button type="button" onClick={startEditing} disabled={disabled} className="btn-secondary px-3 py-1 text-sm disabled:opacity-50">
+              {t('script.edit')}
+            </button>
+            {script.custom && (
+              <button type="button" onClick={() => onDelete(script.id)} disabled={disabled} className="btn-secondary px-3 py-1 text-sm disabled:opacity-50">
+                {t('script.delete')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {draft && (
+        <div className="space-y-3">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder={t('script.name')}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          {SCRIPT_PARTS.map((part) => (
+            <label key={part} className="block text-sm text-gray-700 dark:text-gray-300">
+              {t(`script.part.${part}`)}
+              <textarea
+                value={draft.parts[part]}
+                onChange={(e) => setDraft({ ...draft, parts: { ...draft.parts, [part]: e.target.value } })}
+                rows={part === 'intro' || part === 'closing' ? 3 : 2}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white resize-y"
+              />
+            </label>
+          ))}
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {t('script.variables')}
+          </p>
+          <div className="flex gap-2 justify-end">
+            <button type="button" onClick={() => setDraft(null)} className="btn-secondary px-3 py-1 text-sm">
+              {t('script.cancel')}
+            </button>
+            <button type="button" onClick={handleSave} disabled={disabled} className="btn-primary px-3 py-1 text-sm disabled:opacity-50">
+              {script.custom ? t('script.save') : t('script.saveAsMine')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { formatTranscript } from '../services/answerCapture';
+import { useTranslation } from '../i18n';
+
+export default function SessionTranscript({ belief, items, answers }) {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(formatTranscript(belief, items, answers));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <div className="card w-full max-w-3xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold text-gray-800 dark:text-white">
+          {t('transcript.title')}
+        </h2>
+        <button onClick={handleCopy} className="btn-secondary px-4 py-2 text-sm">
+          {copied ? t('transcript.copied') : t('transcript.copy')}
+        </button>
+      </div>
+
+      <ol className="space-y-4">
+        {items.map((item, index) => (
+          <li key={`${item.label}-${index}`} className="border-l-4 border-primary-300 dark:border-primary-700 pl-4">
+            <p className="text-xs font-semibold text-gray-500 dark:text-gray-400">{item.label}</p>
+            <p className="font-medium text-gray-900 dark:text-white">{item.question}</p>
+            <p className={`mt-1 ${answers[index]?.text ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 italic'}`}>
+              {answers[index]?.text || t('transcript.noAnswer')}
+            </p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
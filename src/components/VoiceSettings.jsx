@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef } from 'react';
+import BrowserVoicePicker from './BrowserVoicePicker';
+import { AVAILABLE_VOICES, previewVoice } from '../services/ttsService';
+import { SPEED_OPTIONS } from '../services/playbackSettings';
+import { useTranslation } from '../i18n';
+
+export default function VoiceSettings({ settings, onSettingsChange, quadrants = [], sampleQuestion, disabled }) {
+  const { t } = useTranslation();
+  const [previewing, setPreviewing] = useState(null); // Voice id being previewed
+  const [perQuadrant, setPerQuadrant] = useState(Object.keys(settings.voiceOverrides).length > 0);
+  const previewRef = useRef(null);
+
+  // Stop any preview when the panel goes away
+  useEffect(() => () => previewRef.current?.stop(), []);
+
+  const handlePreview = (voiceId) => {
+    previewRef.current?.stop();
+    if (previewing === voiceId) {
+      setPreviewing(null);
+      return;
+    }
+
+    const preview = previewVoice(sampleQuestion || t('voice.sample'), voiceId, settings.speed);
+    previewRef.current = preview;
+    setPreviewing(voiceId);
+    preview.promise
+      .catch((err) => console.warn('Voice preview ended early:', err))
+      .finally(() => {
+        if (previewRef.current === preview) {
+          previewRef.current = null;
+          setPreviewing(null);
+        }
+      });
+  };
+
+  const handlePerQuadrantChange = (enabled) => {
+    setPerQuadrant(enabled);
+    if (!enabled) {
+      onSettingsChange({ ...settings, voiceOverrides: {} });
+    }
+  };
+
+  const handleOverrideChange = (key, voice) => {
+    const voiceOverrides = { ...settings.voiceOverrides };
+    if (voice === '') {
+      delete voiceOverrides[key];
+    } else {
+      voiceOverrides[key] = voice;
+    }
+    onSettingsChange({ ...settings, voiceOverrides });
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Voice */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {AVAILABLE_VOICES.map((voice) => (
+          <div
+            key={voice.id}
+            className={`flex items-center justify-between gap-2 p-3 rounded-lg border ${
+              settings.voice === voice.id
+                ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+                : 'border-gray-200 dark:border-gray-700'
+            }`}
+          >
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="radio"
+                name="tts-voice"
+                value={voice.id}
+                checked={settings.voice === voice.id}
+                onChange={() => onSettingsChange({ ...settings, voice: voice.id })}
+                disabled={disabled}
+                className="text-primary-600 focus:ring-primary-500"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900 dark:text-white">{voice.name}</span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">{t(`voice.description.${voice.id}`)}</span>
+              </span>
+            </label>
+            <button
+              type="button"
+              onClick={() => handlePreview(voice.id)}
+              className="btn-secondary px-3 py-1 text-xs"
+            >
+              {previewing === voice.id ? t('player.stop') : t('voice.preview')}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Speed */}
+      <div className="flex items-center gap-3">
+        <label htmlFor="tts-speed" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          {t('voice.speed')}
+        </label>
+        <select
+          id="tts-speed"
+          value={settings.speed}
+          onChange={(e) => onSettingsChange({ ...settings, speed: Number(e.target.value) })}
+          disabled={disabled}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+        >
+          {SPEED_OPTIONS.map((speed) => (
+            <option key={speed} value={speed}>
+              {speed}×{speed === 0.95 ? ` ${t('voice.contemplative')}` : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Per-quadrant voices */}
+      {quadrants.length > 0 && (
+        <div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={perQuadrant}
+              onChange={(e) => handlePerQuadrantChange(e.target.checked)}
+              disabled={disabled}
+              className="rounded text-primary-600 focus:ring-primary-500"
+            />
+            {t('voice.perQuestion')}
+          </label>
+          {perQuadrant && (
+            <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {quadrants.map((quadrant) => (
+                <label key={quadrant.key} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  {quadrant.label}
+                  <select
+                    value={settings.voiceOverrides[quadrant.key] ?? ''}
+                    onChange={(e) => handleOverrideChange(quadrant.key, e.target.value)}
+                    disabled={disabled}
+                    className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+                  >
+                    <option value="">{t('player.default')}</option>
+                    {AVAILABLE_VOICES.map((voice) => (
+                      <option key={voice.id} value={voice.id}>{voice.name}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Fallback voice when server speech is unavailable */}
+      <BrowserVoicePicker
+        value={settings.browserVoice}
+        onChange={(browserVoice) => onSettingsChange({ ...settings, browserVoice })}
+        disabled={disabled}
+      />
+    </div>
+  );
+}
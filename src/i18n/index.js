@@ -0,0 +1,70 @@
+/**
+ * Translations
+ * UI strings by language, looked up by key with {name} placeholders. English
+ * is the fallback for any key a catalog lacks. Components read the current
+ * language from LanguageContext through useTranslation(); code outside
+ * components calls translate() with the language directly.
+ */
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_LANGUAGE, LANGUAGES, LANGUAGE_IDS, getLanguage } from './languages';
+import en from './locales/en';
+import es from './locales/es';
+import de from './locales/de';
+import fr from './locales/fr';
+
+export { DEFAULT_LANGUAGE, LANGUAGES, getLanguage };
+
+const CATALOGS = { en, es, de, fr };
+const LANGUAGE_KEY = 'quantum-linguistics:language';
+
+export const LanguageContext = createContext(DEFAULT_LANGUAGE);
+
+/**
+ * Look up a UI string
+ * @param {string} language - Language id
+ * @param {string} key - Catalog key (e.g. 'player.playAll')
+ * @param {object} params - Values for the {name} placeholders
+ * @returns {string} - Translated text (the key itself if no catalog has it)
+ */
+export function translate(language, key, params = {}) {
+  const text = CATALOGS[language]?.[key] ?? en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translation helpers for the current language
+ * @returns {object} - { language, t(key, params) }
+ */
+export function useTranslation() {
+  const language = useContext(LanguageContext);
+  return { language, t: (key, params) => translate(language, key, params) };
+}
+
+/**
+ * Load the saved language, or the browser's if it is supported
+ * @returns {string} - Language id
+ */
+export function loadLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    if (LANGUAGE_IDS.includes(saved)) return saved;
+  } catch (error) {
+    console.warn('Could not load the language setting:', error);
+  }
+
+  const browser = typeof navigator !== 'undefined' ? (navigator.language || '').slice(0, 2).toLowerCase() : '';
+  return LANGUAGE_IDS.includes(browser) ? browser : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Remember the chosen language
+ * @param {string} language - Language id
+ */
+export function saveLanguage(language) {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, language);
+  } catch (error) {
+    console.warn('Could not save the language setting:', error);
+  }
+}
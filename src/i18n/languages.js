@@ -0,0 +1,30 @@
+/**
+ * Supported Languages
+ * The languages a session can run in: the belief is spoken or typed in it,
+ * the questions are generated and spoken in it, and the UI is shown in it.
+ * Pure module - shared with the API server, which only accepts these ids.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Each language has its native name for the picker, its English name for the
+ * model prompt, and the BCP 47 locale used for speech recognition and voices
+ */
+export const LANGUAGES = [
+  { id: 'en', name: 'English', englishName: 'English', locale: 'en-US' },
+  { id: 'es', name: 'Español', englishName: 'Spanish', locale: 'es-ES' },
+  { id: 'de', name: 'Deutsch', englishName: 'German', locale: 'de-DE' },
+  { id: 'fr', name: 'Français', englishName: 'French', locale: 'fr-FR' }
+];
+
+export const LANGUAGE_IDS = LANGUAGES.map((language) => language.id);
+
+/**
+ * Look up a language, falling back to English
+ * @param {string} id - Language id (en, es, de, fr)
+ * @returns {object} - { id, name, englishName, locale }
+ */
+export function getLanguage(id) {
+  return LANGUAGES.find((language) => language.id === id) || LANGUAGES[0];
+}
@@ -0,0 +1,312 @@
+/**
+ * German UI strings
+ */
+
+export default {
+  // App
+  'app.title': 'Quantenlinguistik',
+  'app.tagline': 'Einschränkende Glaubenssätze mit kartesischer Logik verwandeln',
+  'app.basedOn': 'Basierend auf NLP-Master-Practitioner-Techniken',
+  'app.yourBelief': 'Dein Glaubenssatz:',
+  'app.poweredBy': 'Mit GPT-5 und OpenAI TTS',
+  'app.patternsTitle': 'Sleight-of-Mouth-Reframes',
+  'app.patternsSubtitle': 'Jedes Reframe lenkt die Aufmerksamkeit auf einen anderen Teil des Glaubenssatzes',
+  'app.metaModelTitle': 'Meta-Modell-Fragen',
+  'app.metaModelSubtitle': 'Hole zurück, was der Glaubenssatz auslässt, verzerrt oder verallgemeinert',
+
+  // Errors
+  'error.audioFailed': 'Das Audio für die Fragen konnte nicht erzeugt werden. Prüfe deinen API-Schlüssel und versuche es erneut.',
+  'error.noViolations': 'In diesem Glaubenssatz wurden keine Meta-Modell-Verletzungen gefunden. Probiere ein anderes Muster.',
+  'error.generateFailed': 'Die Fragen konnten nicht erzeugt werden. Bitte versuche es erneut.',
+  'error.noAudio': 'Kein Audio verfügbar. Bitte erzeuge zuerst die Fragen.',
+  'error.playbackFailed': 'Die Wiedergabe ist fehlgeschlagen. Bitte versuche es erneut.',
+  'error.deleteFailed': 'Nicht alle gespeicherten Daten konnten gelöscht werden. Bitte versuche es erneut.',
+
+  // Session export
+  'export.rendering': 'Sitzungsaudio wird erstellt...',
+  'export.saved': '{filename} und die Kapitel-Playlist wurden gespeichert',
+  'export.savedSkipped': '{filename} wurde gespeichert. {skipped} Element(e), die von der Browserstimme gesprochen werden, konnten nicht aufgenommen werden.',
+  'export.failed': 'Export fehlgeschlagen: Es konnte kein aufgenommenes Audio erstellt werden. Prüfe deinen API-Schlüssel und versuche es erneut.',
+  'export.chapter': 'Frage {number}',
+
+  // Belief input
+  'belief.heading': 'Welchen einschränkenden Glaubenssatz möchtest du erkunden?',
+  'belief.subheading': 'Schreibe oder sprich deinen Glaubenssatz, und wir führen dich durch die kartesische Logik',
+  'belief.language': 'Sprache',
+  'belief.placeholder': 'Beispiel: Ich kann in meinem Beruf nicht erfolgreich sein...',
+  'belief.speak': 'Klicken, um den Glaubenssatz zu sprechen',
+  'belief.speechUnsupported': 'Dein Browser unterstützt keine Spracherkennung',
+  'belief.speechError': 'Fehler bei der Spracherkennung: {error}',
+  'belief.micBlocked': 'Der Mikrofonzugriff ist blockiert. Erlaube ihn in den Website-Einstellungen deines Browsers, um zu diktieren.',
+  'belief.noMicrophone': 'Es wurde kein Mikrofon gefunden. Schließe eines an und versuche es erneut.',
+  'belief.speechNetwork': 'Der Sprachdienst ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+  'belief.listening': '🎤 Ich höre zu... Sprich deinen Glaubenssatz und mach eine Pause oder klicke auf Stopp, wenn du fertig bist',
+  'belief.stopDictation': 'Diktat beenden',
+  'belief.unsure': 'Habe ich das richtig verstanden? Wähle, was du gesagt hast:',
+  'belief.keepPhrase': 'So lassen',
+  'belief.englishOnly': 'Sleight of Mouth, das Meta-Modell und der Zwei-Variablen-Modus sind nur auf Englisch verfügbar.',
+  'belief.metaModelMarkers': 'Meta-Modell-Markierungen (mit der Maus darüberfahren für die Frage)',
+  'belief.rewordChallenges': 'Meta-Modell-Fragen mit KI umformulieren',
+  'belief.causeEffect': 'Dieser Glaubenssatz verbindet eine Ursache mit einer Wirkung. Beide Variablen zusammen erkunden?',
+  'belief.useTwoVariable': 'A × B verwenden',
+  'belief.twoVariable': 'Zwei-Variablen-Modus (Ursache A mit Wirkung B kreuzen)',
+  'belief.cause': 'A (Ursache)',
+  'belief.effect': 'B (Wirkung)',
+  'belief.causePlaceholder': 'Ich sage meine Meinung',
+  'belief.effectPlaceholder': 'Ich werde gefeuert',
+  'belief.generating': 'Fragen werden erzeugt...',
+  'belief.generateQuestions': 'Fragen der kartesischen Logik erzeugen',
+  'belief.generateReframes': 'Reframes erzeugen',
+  'belief.about': 'Was ist kartesische Logik?',
+  'belief.aboutIntro': 'Die kartesische Logik ist eine NLP-Technik, die einschränkende Glaubenssätze aus vier Perspektiven hinterfragt:',
+  'belief.aboutTwoVariable': 'Bei Ursache-Wirkungs-Glaubenssätzen („Wenn ich meine Meinung sage, werde ich gefeuert“) kreuzt der Zwei-Variablen-Modus die Ursache A mit der Wirkung B: AB, ~AB, A~B und ~A~B.',
+  'belief.aboutSource': 'Basierend auf dem NLP Master Practitioner Manual - Kapitel 2: Quantenlinguistik',
+
+  // Glaubenssätze finden
+  'extract.hint': 'Das ist mehr als ein Satz. Sollen wir den Glaubenssatz darin finden?',
+  'extract.find': 'Glaubenssätze finden',
+  'extract.finding': 'Suche nach einschränkenden Glaubenssätzen...',
+  'extract.heading': 'Glaubenssätze in deinem Text. Wähle einen oder mehrere aus:',
+  'extract.none': 'Kein klarer einschränkender Glaubenssatz gefunden. Versuche, ihn in einem Satz zu sagen.',
+  'extract.use': 'Auswahl übernehmen',
+  'extract.cancel': 'Abbrechen',
+  'extract.queued': 'Danach an der Reihe:',
+  'extract.remove': 'Entfernen',
+  'queue.upNext': 'Als Nächstes: „{belief}“',
+  'queue.more': 'danach noch {count}',
+  'queue.next': 'Nächsten Glaubenssatz erkunden',
+
+  // Stapelsitzungen
+  'batch.title': 'Mehrere Glaubenssätze',
+  'batch.description': 'Bereite mehrere Glaubenssätze auf einmal vor: einen pro Zeile einfügen oder eine Text- oder CSV-Datei importieren (bis zu {max}). Ihre Fragen laufen nacheinander als eine Sitzung.',
+  'batch.placeholder': 'Ich bin nicht gut genug\nNiemand hört mir zu\nWenn ich etwas sage, werde ich gefeuert',
+  'batch.import': 'Datei importieren',
+  'batch.importFailed': 'Die Datei konnte nicht gelesen werden.',
+  'batch.countOne': '1 Glaubenssatz',
+  'batch.count': '{count} Glaubenssätze',
+  'batch.tooLong': '{count} ausgelassen, weil länger als {max} Zeichen.',
+  'batch.overLimit': '{count} ausgelassen: höchstens {max} Glaubenssätze pro Durchgang.',
+  'batch.run': 'Alle erzeugen',
+  'batch.resultsTitle': 'Sitzung mit mehreren Glaubenssätzen',
+  'batch.generating': 'Fragen werden erzeugt: {ready} von {total} fertig...',
+  'batch.summary': '{ready} von {total} Glaubenssätzen fertig. Spiele alle als eine Sitzung ab oder einzeln.',
+  'batch.cancel': 'Abbrechen',
+  'batch.status.queued': 'Wartet',
+  'batch.status.generating': 'Wird erzeugt',
+  'batch.status.ready': 'Fertig',
+  'batch.status.failed': 'Fehlgeschlagen',
+  'batch.failed': 'Für diesen Glaubenssatz konnten keine Fragen erzeugt werden.',
+  'batch.playBelief': 'Diesen Glaubenssatz abspielen',
+  'batch.retry': 'Erneut versuchen',
+  'batch.audioPending': 'Audio wird vorbereitet: {ready} von {total}...',
+  'batch.audioReady': 'Audio bereit',
+  'batch.audioFailed': 'Kein Audio für {failed} von {total}; diese werden übersprungen',
+  'batch.exportName': '{count} Glaubenssätze',
+
+  // Cartesian quadrants
+  'quadrant.theorem': 'Theorem',
+  'quadrant.converse': 'Umkehrung',
+  'quadrant.inverse': 'Inverse',
+  'quadrant.nonMirrorReverse': 'Nicht-spiegelbildliche Umkehrung',
+  'quadrant.theorem.description': 'Was würde passieren, wenn du es tätest?',
+  'quadrant.converse.description': 'Was würde nicht passieren, wenn du es tätest?',
+  'quadrant.inverse.description': 'Was würde passieren, wenn du es nicht tätest?',
+  'quadrant.nonMirrorReverse.description': 'Was würde nicht passieren, wenn du es nicht tätest?',
+
+  // Questions
+  'questions.heading': 'Fragen der kartesischen Logik',
+  'questions.subheading': 'Hör genau zu und denke über jede Frage nach',
+  'questions.playing': 'Läuft',
+  'questions.playOne': 'Diese Frage abspielen',
+  'questions.playLabel': '{label} abspielen',
+  'questions.not': 'nicht: {text}',
+  'questions.howTo': 'So geht’s',
+  'questions.tipListen': 'Hör dir jede Frage genau an',
+  'questions.tipReflect': 'Nimm dir einen Moment zum Nachdenken, bevor es weitergeht',
+  'questions.tipNotice': 'Achte darauf, welche Gedanken, Gefühle oder Einsichten auftauchen',
+  'questions.tipExplore': 'Es gibt keine richtigen oder falschen Antworten - es geht ums Erkunden',
+
+  // Interactive answers
+  'answer.listening': 'Ich höre auf deine Antwort...',
+  'answer.title': 'Deine Antwort',
+  'answer.orType': 'Oder tippe deine Antwort...',
+  'answer.type': 'Tippe deine Antwort...',
+  'answer.next': 'Weiter',
+  'answer.hint': 'Sag „weiter“, wenn du fertig bist, oder mach eine Pause, dann geht die Sitzung weiter.',
+
+  // Transcript
+  'transcript.title': 'Sitzungsprotokoll',
+  'transcript.copy': 'Kopieren',
+  'transcript.copied': 'Kopiert!',
+  'transcript.noAnswer': 'Keine Antwort aufgezeichnet',
+
+  // Audio player
+  'player.loading': 'Audio wird geladen...',
+  'player.loadingProgress': 'Audio wird geladen ({ready}/{total})...',
+  'player.paused': 'Pausiert',
+  'player.playing': 'Läuft...',
+  'player.playAll': 'Alle Fragen abspielen',
+  'player.previous': 'Vorherige Frage',
+  'player.next': 'Nächste Frage',
+  'player.pause': 'Pause',
+  'player.resume': 'Fortsetzen',
+  'player.stop': 'Stopp',
+  'player.pauseBetween': 'Pause zwischen den Fragen:',
+  'player.second': '{count} Sekunde',
+  'player.seconds': '{count} Sekunden',
+  'player.nowPlaying': 'Jetzt läuft: {segment}',
+  'player.preparing': 'Audio wird vorbereitet: {ready}/{total} fertig',
+  'player.skipped': '{failed} von {total} Fragen haben kein Audio und werden übersprungen',
+  'player.repeat': 'Sitzung wiederholen:',
+  'player.once': 'Einmal',
+  'player.times': '{count}-mal',
+  'player.script': 'Skript für die geführte Sitzung',
+  'player.voice': 'Stimme & Tempo',
+  'player.ambient': 'Hintergrundklang',
+  'player.pauseEach': 'Pause nach jeder Frage',
+  'player.default': 'Standard',
+  'player.interactive': 'Interaktiv: nach jeder Frage auf meine Antwort warten (Sprache oder Text)',
+  'player.rendering': 'Wird erstellt...',
+  'player.download': 'Sitzungsaudio herunterladen',
+  'player.newSession': 'Neue Sitzung beginnen',
+  'player.instructions': 'Klicke auf „Alle Fragen abspielen“, um jede Frage der kartesischen Logik mit Pausen zum Nachdenken zu hören',
+
+  // Voice settings
+  'voice.sample': 'Was würde passieren, wenn du diesen Glaubenssatz loslässt?',
+  'voice.preview': 'Anhören',
+  'voice.speed': 'Sprechtempo:',
+  'voice.contemplative': '(besinnlich)',
+  'voice.perQuestion': 'Für jede Frage eine andere Stimme verwenden',
+  'voice.browserVoice': 'Browser-Stimme:',
+  'voice.automatic': 'Automatisch',
+  'voice.description.alloy': 'Neutral und ausgewogen',
+  'voice.description.echo': 'Ruhig und professionell',
+  'voice.description.fable': 'Warm und ausdrucksstark',
+  'voice.description.onyx': 'Tief und bestimmt',
+  'voice.description.nova': 'Hell und energiegeladen',
+  'voice.description.shimmer': 'Sanft und behutsam',
+
+  // Background sound
+  'ambient.unsupported': 'Hintergrundklang wird in diesem Browser nicht unterstützt.',
+  'ambient.background': 'Hintergrund:',
+  'ambient.bed.none': 'Keiner',
+  'ambient.bed.brownNoise': 'Braunes Rauschen',
+  'ambient.bed.brownNoise.description': 'Tiefes, weiches Rauschen wie ferne Brandung',
+  'ambient.bed.binaural': 'Binaurale Töne',
+  'ambient.bed.binaural.description': '200 Hz links, 206 Hz rechts (Theta); mit Kopfhörern hören',
+  'ambient.volume': 'Lautstärke Hintergrund',
+  'ambient.chime': 'Sanfter Gong zwischen den Fragen',
+  'ambient.chimeVolume': 'Lautstärke Gong',
+  'ambient.ducking': 'Der Hintergrund wird automatisch leiser, während eine Frage gesprochen wird. Änderungen gelten sofort, auch mitten in der Sitzung.',
+
+  // Session scripts
+  'script.label': 'Skript:',
+  'script.none': 'Keins - nur Fragen',
+  'script.builtIn': 'Mitgeliefert',
+  'script.mine': 'Meine Skripte',
+  'script.edit': 'Bearbeiten',
+  'script.delete': 'Löschen',
+  'script.cancel': 'Abbrechen',
+  'script.name': 'Name des Skripts',
+  'script.copyName': 'Mein {name}',
+  'script.variables': 'Variablen: {{belief}}, und rund um jede Frage {{question}}, {{label}}, {{number}} und {{total}}. Lass einen Teil leer, um ihn zu überspringen.',
+  'script.save': 'Speichern',
+  'script.saveAsMine': 'Als mein Skript speichern',
+  'script.custom': 'Dein eigenes Skript',
+  'script.defaultName': 'Mein Skript',
+  'script.part.intro': 'Einleitung',
+  'script.part.belief': 'Glaubenssatz wiederholt',
+  'script.part.leadIn': 'Vor jeder Frage',
+  'script.part.reflection': 'Nach jeder Frage',
+  'script.part.closing': 'Abschluss',
+  'script.relaxedReflection.name': 'Entspannte Reflexion',
+  'script.relaxedReflection.description': 'Eine kurze Entspannung, dann jede Frage mit Zeit, wahrzunehmen, was auftaucht',
+  'script.relaxedReflection.intro': 'Mach es dir bequem und schließ die Augen, wenn es sich stimmig anfühlt. Atme langsam ein... und lass los. Mit jedem Ausatmen darfst du ein wenig mehr zur Ruhe kommen.',
+  'script.relaxedReflection.belief': 'Seit einer Weile trägst du diesen Glaubenssatz mit dir: {{belief}}. Sei in den nächsten Minuten einfach neugierig darauf.',
+  'script.relaxedReflection.leadIn': 'Hier ist Frage {{number}}.',
+  'script.relaxedReflection.reflection': 'Nimm dir Zeit und bemerke, was auch immer auftaucht.',
+  'script.relaxedReflection.closing': 'Gleich kommst du zurück in den Raum. Stell dir einen Moment in den nächsten Tagen vor, in dem sich dieser alte Glaubenssatz gemeldet hätte, und bemerke, wie anders du jetzt reagieren kannst. Wenn du so weit bist, öffne die Augen.',
+  'script.deepTrance.name': 'Tiefe Trance',
+  'script.deepTrance.description': 'Eine längere Induktion mit Rückwärtszählen und langsamerem Tempo für tiefe Arbeit',
+  'script.deepTrance.intro': 'Lass deinen Körper bequem werden und deinen Atem langsamer. Gleich zähle ich von fünf bis eins, und mit jeder Zahl kannst du doppelt so tief sinken. Fünf... deine Schultern werden weich. Vier... dein Atem wird langsamer. Drei... dein Geist wird still. Zwei... noch tiefer. Eins... ganz unten, sicher und entspannt.',
+  'script.deepTrance.belief': 'Irgendwo hier ist der alte Gedanke: {{belief}}. Dein Unbewusstes kann ihn jetzt aus sicherer Entfernung betrachten.',
+  'script.deepTrance.leadIn': 'Und während du tiefer sinkst, kann dein Geist sich fragen...',
+  'script.deepTrance.reflection': 'Lass die Antwort in ihrem eigenen Tempo kommen... es gibt nichts, was du tun musst.',
+  'script.deepTrance.closing': 'Was sich verändert hat, kann sich ganz von selbst weiter verändern, noch lange nach dieser Sitzung. Komm jetzt langsam zurück. Eins... zwei... drei... vier... fünf, Augen auf, hellwach und mit einem guten Gefühl.',
+  'script.quickCheckIn.name': 'Kurzer Check-in',
+  'script.quickCheckIn.description': 'Keine Induktion; ein Satz zum Einstieg und ein kurzer Abschluss',
+  'script.quickCheckIn.intro': 'Nehmen wir uns zwei Minuten dafür.',
+  'script.quickCheckIn.belief': 'Der Glaubenssatz lautet: {{belief}}.',
+  'script.quickCheckIn.leadIn': '{{label}}.',
+  'script.quickCheckIn.reflection': '',
+  'script.quickCheckIn.closing': 'Das war die letzte Frage. Bemerke, was sich jetzt anders anfühlt.',
+  'script.coaching.name': 'Coaching-Gespräch',
+  'script.coaching.description': 'Ein direkter, gesprächsnaher Stil für die Arbeit mit Coach oder Partner',
+  'script.coaching.intro': 'Wir schauen uns einen Glaubenssatz aus vier Richtungen an. Antworte laut, wenn du kannst; es gibt keine falschen Antworten.',
+  'script.coaching.belief': 'Du hast gesagt: {{belief}}. Prüfen wir, wie fest das wirklich steht.',
+  'script.coaching.leadIn': 'Frage {{number}} von {{total}}.',
+  'script.coaching.reflection': 'Was ist deine Antwort?',
+  'script.coaching.closing': 'Wenn du auf diese Antworten zurückblickst, was fällt dir jetzt an dem Glaubenssatz auf? Und was ist eine Sache, die du diese Woche anders machen wirst?',
+
+  // Belief structure
+  'structure.title': 'Wie dein Glaubenssatz aufgebaut ist',
+  'structure.simple': 'Einfache Aussage',
+  'structure.cause-effect': 'Ursache–Wirkung',
+  'structure.complex-equivalence': 'Komplexe Äquivalenz',
+  'structure.simple.description': 'Eine einzelne Aussage über dich oder die Welt',
+  'structure.cause-effect.description': 'Eines soll ein anderes verursachen',
+  'structure.complex-equivalence.description': 'Eines soll ein anderes bedeuten',
+  'structure.cause-effect.a': 'A (Ursache)',
+  'structure.cause-effect.b': 'B (Wirkung)',
+  'structure.complex-equivalence.a': 'A (Beleg)',
+  'structure.complex-equivalence.b': 'B (Bedeutung)',
+  'structure.verb.being': 'Sein',
+  'structure.verb.doing': 'Tun',
+  'structure.verb.having': 'Haben',
+  'structure.negated': 'Verneint',
+  'structure.action': 'Kernhandlung, die die Fragen untersuchen:',
+  'structure.modal.necessity': 'Modaloperator der Notwendigkeit',
+  'structure.modal.possibility': 'Modaloperator der Möglichkeit',
+  'structure.modal.future': 'Zukunftsmarker',
+  'structure.universal': 'Universalquantor',
+  'structure.nominalization': 'Nominalisierung',
+  'structure.lostPerformative': 'Verlorener Performativ',
+
+  // Intensity ratings
+  'rating.before': 'Wie wahr fühlt sich dieser Glaubenssatz gerade an? (0-10, optional)',
+  'rating.after': 'Und jetzt, nach der Sitzung: Wie wahr fühlt er sich an?',
+  'rating.low': 'Gar nicht',
+  'rating.high': 'Völlig wahr',
+  'rating.down': '({count} weniger)',
+  'rating.progress': 'Dein Fortschritt mit diesem Glaubenssatz',
+  'rating.historyHint': 'Aktiviere den Sitzungsverlauf, um diesen Glaubenssatz über mehrere Sitzungen zu verfolgen.',
+  'chart.label': 'Intensität des Glaubenssatzes über die Sitzungen',
+  'chart.before': 'Vorher',
+  'chart.after': 'Nachher',
+  'chart.beforeSession': 'Vor der Sitzung',
+  'chart.afterSession': 'Nach der Sitzung',
+  'chart.session': '{count} Sitzung: {start} → {end}',
+  'chart.sessions': '{count} Sitzungen: {start} → {end}',
+
+  // Session history
+  'history.title': 'Sitzungsverlauf',
+  'history.enable': 'Meine Sitzungen auf diesem Gerät speichern',
+  'history.emptyEnabled': 'Hier erscheinen deine Sitzungen: der Glaubenssatz, seine Fragen und deine Antworten.',
+  'history.emptyDisabled': 'Nichts wird gespeichert, solange du das nicht aktivierst. Sitzungen bleiben nur auf diesem Gerät.',
+  'history.search': 'Glaubenssätze, Fragen und Antworten durchsuchen',
+  'history.verbType': 'Verbtyp',
+  'history.anyVerbType': 'Jeder Verbtyp',
+  'history.verb.being': 'Sein',
+  'history.verb.doing': 'Tun',
+  'history.verb.having': 'Haben',
+  'history.pattern': 'Muster',
+  'history.anyPattern': 'Jedes Muster',
+  'history.noMatch': 'Keine passenden Sitzungen.',
+  'history.answer': '{count} Antwort',
+  'history.answers': '{count} Antworten',
+  'history.felt': 'gefühlt {before}/10 → {after}/10',
+  'history.replay': 'Wiederholen',
+  'history.delete': 'Löschen',
+  'history.deleteAll': 'Alle meine Daten löschen',
+  'history.confirmDeleteAll': 'Sitzungsverlauf, zwischengespeichertes Audio, gespeicherte Skripte und Einstellungen von diesem Gerät löschen?'
+};
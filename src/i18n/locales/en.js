@@ -0,0 +1,312 @@
+/**
+ * English UI strings (the fallback for every other catalog)
+ */
+
+export default {
+  // App
+  'app.title': 'Quantum Linguistics',
+  'app.tagline': 'Transform limiting beliefs using Cartesian Logic',
+  'app.basedOn': 'Based on NLP Master Practitioner Techniques',
+  'app.yourBelief': 'Your Belief:',
+  'app.poweredBy': 'Powered by GPT-5 and OpenAI TTS',
+  'app.patternsTitle': 'Sleight of Mouth Reframes',
+  'app.patternsSubtitle': 'Each reframe shifts attention to a different part of the belief',
+  'app.metaModelTitle': 'Meta Model Challenges',
+  'app.metaModelSubtitle': 'Recover what the belief leaves out, distorts or generalizes',
+
+  // Errors
+  'error.audioFailed': 'Failed to generate audio for questions. Please check your API key and try again.',
+  'error.noViolations': 'No Meta Model violations found in this belief. Try another pattern.',
+  'error.generateFailed': 'Failed to generate questions. Please try again.',
+  'error.noAudio': 'No audio available. Please generate questions first.',
+  'error.playbackFailed': 'Playback failed. Please try again.',
+  'error.deleteFailed': 'Could not delete all saved data. Please try again.',
+
+  // Session export
+  'export.rendering': 'Rendering session audio...',
+  'export.saved': 'Saved {filename} and its chapter playlist',
+  'export.savedSkipped': "Saved {filename}. {skipped} item(s) spoken by the browser voice couldn't be included.",
+  'export.failed': 'Export failed: no recorded audio could be rendered. Check your API key and try again.',
+  'export.chapter': 'Question {number}',
+
+  // Belief input
+  'belief.heading': 'What limiting belief would you like to explore?',
+  'belief.subheading': "Enter or speak your belief, and we'll guide you through Cartesian Logic",
+  'belief.language': 'Language',
+  'belief.placeholder': "Example: I can't be successful in my career...",
+  'belief.speak': 'Click to speak your belief',
+  'belief.speechUnsupported': 'Speech recognition is not supported in your browser',
+  'belief.speechError': 'Speech recognition error: {error}',
+  'belief.micBlocked': "Microphone access is blocked. Allow it in your browser's site settings to dictate.",
+  'belief.noMicrophone': 'No microphone was found. Connect one and try again.',
+  'belief.speechNetwork': "Couldn't reach the speech service. Check your connection and try again.",
+  'belief.listening': "🎤 Listening... Speak your belief, then pause or click stop when you're done",
+  'belief.stopDictation': 'Stop dictation',
+  'belief.unsure': 'Did I hear that right? Pick what you said:',
+  'belief.keepPhrase': 'Keep as is',
+  'belief.englishOnly': 'Sleight of Mouth, the Meta Model and two-variable mode are only available in English.',
+  'belief.metaModelMarkers': 'Meta Model markers (hover for the challenge question)',
+  'belief.rewordChallenges': 'Reword the Meta Model challenges with AI',
+  'belief.causeEffect': 'This belief links a cause to an effect. Explore both variables together?',
+  'belief.useTwoVariable': 'Use A × B',
+  'belief.twoVariable': 'Two-variable mode (cross cause A with effect B)',
+  'belief.cause': 'A (cause)',
+  'belief.effect': 'B (effect)',
+  'belief.causePlaceholder': 'I speak up',
+  'belief.effectPlaceholder': "I'll get fired",
+  'belief.generating': 'Generating Questions...',
+  'belief.generateQuestions': 'Generate Cartesian Logic Questions',
+  'belief.generateReframes': 'Generate Reframes',
+  'belief.about': 'What is Cartesian Logic?',
+  'belief.aboutIntro': 'Cartesian Logic is an NLP technique that challenges limiting beliefs by exploring four perspectives:',
+  'belief.aboutTwoVariable': 'For cause-effect beliefs ("If I speak up, I\'ll get fired"), two-variable mode crosses the cause A with the effect B: AB, ~AB, A~B and ~A~B.',
+  'belief.aboutSource': 'Based on NLP Master Practitioner Manual - Chapter 2: Quantum Linguistics',
+
+  // Belief extraction
+  'extract.hint': 'This reads like more than one sentence. Want help finding the belief in it?',
+  'extract.find': 'Find the beliefs',
+  'extract.finding': 'Looking for limiting beliefs...',
+  'extract.heading': 'Beliefs in what you wrote. Pick one or more to explore:',
+  'extract.none': 'No clear limiting belief stood out. Try putting it in one sentence.',
+  'extract.use': 'Use selected',
+  'extract.cancel': 'Cancel',
+  'extract.queued': 'Explored after this one:',
+  'extract.remove': 'Remove',
+  'queue.upNext': 'Up next: “{belief}”',
+  'queue.more': '{count} more after that',
+  'queue.next': 'Explore the next belief',
+
+  // Batch sessions
+  'batch.title': 'Batch of beliefs',
+  'batch.description': 'Prepare several beliefs at once: paste one per line, or import a text or CSV file (up to {max}). Their questions play back to back as one session.',
+  'batch.placeholder': "I'm not good enough\nNobody listens to me\nIf I speak up, I'll get fired",
+  'batch.import': 'Import file',
+  'batch.importFailed': "Couldn't read that file.",
+  'batch.countOne': '1 belief',
+  'batch.count': '{count} beliefs',
+  'batch.tooLong': '{count} left out for being longer than {max} characters.',
+  'batch.overLimit': '{count} left out: a batch holds up to {max} beliefs.',
+  'batch.run': 'Run Batch',
+  'batch.resultsTitle': 'Batch Session',
+  'batch.generating': 'Generating questions: {ready} of {total} ready...',
+  'batch.summary': '{ready} of {total} beliefs ready. Play them all as one session, or one at a time.',
+  'batch.cancel': 'Cancel',
+  'batch.status.queued': 'Queued',
+  'batch.status.generating': 'Generating',
+  'batch.status.ready': 'Ready',
+  'batch.status.failed': 'Failed',
+  'batch.failed': "Couldn't generate questions for this belief.",
+  'batch.playBelief': 'Play this belief',
+  'batch.retry': 'Try again',
+  'batch.audioPending': 'Preparing audio: {ready} of {total}...',
+  'batch.audioReady': 'Audio ready',
+  'batch.audioFailed': 'No audio for {failed} of {total}; those are skipped',
+  'batch.exportName': 'Batch of {count} beliefs',
+
+  // Cartesian quadrants
+  'quadrant.theorem': 'Theorem',
+  'quadrant.converse': 'Converse',
+  'quadrant.inverse': 'Inverse',
+  'quadrant.nonMirrorReverse': 'Non-Mirror Reverse',
+  'quadrant.theorem.description': 'What would happen if you did?',
+  'quadrant.converse.description': "What wouldn't happen if you did?",
+  'quadrant.inverse.description': "What would happen if you didn't?",
+  'quadrant.nonMirrorReverse.description': "What wouldn't happen if you didn't?",
+
+  // Questions
+  'questions.heading': 'Cartesian Logic Questions',
+  'questions.subheading': 'Listen carefully and reflect on each question',
+  'questions.playing': 'Playing',
+  'questions.playOne': 'Play this question',
+  'questions.playLabel': 'Play {label}',
+  'questions.not': 'not: {text}',
+  'questions.howTo': 'How to Use',
+  'questions.tipListen': 'Listen to each question carefully',
+  'questions.tipReflect': 'Take a moment to reflect before moving to the next',
+  'questions.tipNotice': 'Notice what thoughts, feelings, or insights arise',
+  'questions.tipExplore': 'There are no right or wrong answers - this is about exploration',
+
+  // Interactive answers
+  'answer.listening': 'Listening for your answer...',
+  'answer.title': 'Your answer',
+  'answer.orType': 'Or type your answer...',
+  'answer.type': 'Type your answer...',
+  'answer.next': 'Next',
+  'answer.hint': 'Say "next" when you\'re done, or pause and the session will move on.',
+
+  // Transcript
+  'transcript.title': 'Session Transcript',
+  'transcript.copy': 'Copy',
+  'transcript.copied': 'Copied!',
+  'transcript.noAnswer': 'No answer recorded',
+
+  // Audio player
+  'player.loading': 'Loading Audio...',
+  'player.loadingProgress': 'Loading Audio ({ready}/{total})...',
+  'player.paused': 'Paused',
+  'player.playing': 'Playing...',
+  'player.playAll': 'Play All Questions',
+  'player.previous': 'Previous question',
+  'player.next': 'Next question',
+  'player.pause': 'Pause',
+  'player.resume': 'Resume',
+  'player.stop': 'Stop',
+  'player.pauseBetween': 'Pause between questions:',
+  'player.second': '{count} second',
+  'player.seconds': '{count} seconds',
+  'player.nowPlaying': 'Now playing: {segment}',
+  'player.preparing': 'Preparing audio: {ready}/{total} ready',
+  'player.skipped': '{failed} of {total} questions have no audio and will be skipped',
+  'player.repeat': 'Repeat session:',
+  'player.once': 'Once',
+  'player.times': '{count} times',
+  'player.script': 'Guided session script',
+  'player.voice': 'Voice & speed',
+  'player.ambient': 'Background sound',
+  'player.pauseEach': 'Pause after each question',
+  'player.default': 'Default',
+  'player.interactive': 'Interactive: wait for my answer after each question (voice or text)',
+  'player.rendering': 'Rendering...',
+  'player.download': 'Download Session Audio',
+  'player.newSession': 'Start New Session',
+  'player.instructions': 'Click "Play All Questions" to hear each Cartesian Logic question with pauses for reflection',
+
+  // Voice settings
+  'voice.sample': 'What would happen if you let go of this belief?',
+  'voice.preview': 'Preview',
+  'voice.speed': 'Speaking speed:',
+  'voice.contemplative': '(contemplative)',
+  'voice.perQuestion': 'Use a different voice for each question',
+  'voice.browserVoice': 'Browser voice:',
+  'voice.automatic': 'Automatic',
+  'voice.description.alloy': 'Neutral and balanced',
+  'voice.description.echo': 'Calm and professional',
+  'voice.description.fable': 'Warm and expressive',
+  'voice.description.onyx': 'Deep and authoritative',
+  'voice.description.nova': 'Bright and energetic',
+  'voice.description.shimmer': 'Soft and gentle',
+
+  // Background sound
+  'ambient.unsupported': "Background sound isn't supported in this browser.",
+  'ambient.background': 'Background:',
+  'ambient.bed.none': 'None',
+  'ambient.bed.brownNoise': 'Brown noise',
+  'ambient.bed.brownNoise.description': 'Deep, soft rumble like distant surf',
+  'ambient.bed.binaural': 'Binaural tones',
+  'ambient.bed.binaural.description': '200 Hz left, 206 Hz right (theta); use headphones',
+  'ambient.volume': 'Background volume',
+  'ambient.chime': 'Soft chime between questions',
+  'ambient.chimeVolume': 'Chime volume',
+  'ambient.ducking': 'The background is lowered automatically while a question is spoken. Changes apply straight away, even mid-session.',
+
+  // Session scripts
+  'script.label': 'Script:',
+  'script.none': 'None - questions only',
+  'script.builtIn': 'Built-in',
+  'script.mine': 'My scripts',
+  'script.edit': 'Edit',
+  'script.delete': 'Delete',
+  'script.cancel': 'Cancel',
+  'script.name': 'Script name',
+  'script.copyName': 'My {name}',
+  'script.variables': 'Variables: {{belief}}, and around each question {{question}}, {{label}}, {{number}} and {{total}}. Leave a part empty to skip it.',
+  'script.save': 'Save',
+  'script.saveAsMine': 'Save as my script',
+  'script.custom': 'Your own script',
+  'script.defaultName': 'My Script',
+  'script.part.intro': 'Intro',
+  'script.part.belief': 'Belief restated',
+  'script.part.leadIn': 'Before each question',
+  'script.part.reflection': 'After each question',
+  'script.part.closing': 'Closing',
+  'script.relaxedReflection.name': 'Relaxed Reflection',
+  'script.relaxedReflection.description': 'A short relaxation, then each question with time to notice what comes up',
+  'script.relaxedReflection.intro': 'Find a comfortable position, and let your eyes close if that feels right. Breathe in slowly... and let it go. With each breath out, allow yourself to settle a little more.',
+  'script.relaxedReflection.belief': 'For a while now you have been holding the belief: {{belief}}. For the next few minutes, simply get curious about it.',
+  'script.relaxedReflection.leadIn': 'Here is question {{number}}.',
+  'script.relaxedReflection.reflection': 'Take your time, and notice whatever comes up.',
+  'script.relaxedReflection.closing': 'In a moment you will come back to the room. Imagine a time in the next few days when that old belief would have shown up, and notice how differently you can respond now. When you are ready, open your eyes.',
+  'script.deepTrance.name': 'Deep Trance',
+  'script.deepTrance.description': 'A longer counted-down induction and slower pacing for deep work',
+  'script.deepTrance.intro': 'Let your body get comfortable and your breathing slow down. In a moment I will count down from five to one, and with each number you can drift twice as deep. Five... your shoulders soften. Four... your breathing slows. Three... your mind quiets. Two... deeper still. One... all the way down, safe and relaxed.',
+  'script.deepTrance.belief': 'Somewhere in here is the old thought: {{belief}}. Your unconscious mind can look at it from a safe distance now.',
+  'script.deepTrance.leadIn': 'And as you drift, your mind can wonder...',
+  'script.deepTrance.reflection': 'Let the answer come in its own time... there is nothing you need to do.',
+  'script.deepTrance.closing': 'Whatever shifted can keep shifting, all by itself, long after this session. Now begin to come back. One... two... three... four... five, eyes open, wide awake and feeling good.',
+  'script.quickCheckIn.name': 'Quick Check-In',
+  'script.quickCheckIn.description': 'No induction; a one-line intro and a short wrap-up',
+  'script.quickCheckIn.intro': 'Let us take two minutes with this.',
+  'script.quickCheckIn.belief': 'The belief is: {{belief}}.',
+  'script.quickCheckIn.leadIn': '{{label}}.',
+  'script.quickCheckIn.reflection': '',
+  'script.quickCheckIn.closing': 'That was the last question. Notice what feels different.',
+  'script.coaching.name': 'Coaching Conversation',
+  'script.coaching.description': 'A direct, conversational style for working with a coach or partner',
+  'script.coaching.intro': 'We are going to look at one belief from four directions. Answer out loud if you can; there are no wrong answers.',
+  'script.coaching.belief': 'You said: {{belief}}. Let us test how solid that really is.',
+  'script.coaching.leadIn': 'Question {{number}} of {{total}}.',
+  'script.coaching.reflection': 'What is your answer?',
+  'script.coaching.closing': 'Looking back over those answers, what do you notice about the belief now? And what is one thing you will do differently this week?',
+
+  // Belief structure
+  'structure.title': 'How your belief is built',
+  'structure.simple': 'Simple Statement',
+  'structure.cause-effect': 'Cause–Effect',
+  'structure.complex-equivalence': 'Complex Equivalence',
+  'structure.simple.description': 'A single statement about you or the world',
+  'structure.cause-effect.description': 'One thing is believed to cause another',
+  'structure.complex-equivalence.description': 'One thing is believed to mean another',
+  'structure.cause-effect.a': 'A (cause)',
+  'structure.cause-effect.b': 'B (effect)',
+  'structure.complex-equivalence.a': 'A (evidence)',
+  'structure.complex-equivalence.b': 'B (meaning)',
+  'structure.verb.being': 'Being',
+  'structure.verb.doing': 'Doing',
+  'structure.verb.having': 'Having',
+  'structure.negated': 'Negated',
+  'structure.action': 'Core action explored by the questions:',
+  'structure.modal.necessity': 'Modal operator of necessity',
+  'structure.modal.possibility': 'Modal operator of possibility',
+  'structure.modal.future': 'Future marker',
+  'structure.universal': 'Universal quantifier',
+  'structure.nominalization': 'Nominalization',
+  'structure.lostPerformative': 'Lost performative',
+
+  // Intensity ratings
+  'rating.before': 'How true does this belief feel right now? (0-10, optional)',
+  'rating.after': 'And now, after the session, how true does it feel?',
+  'rating.low': 'Not at all',
+  'rating.high': 'Completely true',
+  'rating.down': '(down {count})',
+  'rating.progress': 'Your progress with this belief',
+  'rating.historyHint': 'Turn on session history to chart this belief across sessions.',
+  'chart.label': 'Belief intensity across sessions',
+  'chart.before': 'Before',
+  'chart.after': 'After',
+  'chart.beforeSession': 'Before session',
+  'chart.afterSession': 'After session',
+  'chart.session': '{count} session: {start} → {end}',
+  'chart.sessions': '{count} sessions: {start} → {end}',
+
+  // Session history
+  'history.title': 'Session History',
+  'history.enable': 'Save my sessions on this device',
+  'history.emptyEnabled': 'Your sessions will appear here: the belief, its questions and any answers you give.',
+  'history.emptyDisabled': 'Nothing is saved unless you turn this on. Sessions stay on this device only.',
+  'history.search': 'Search beliefs, questions and answers',
+  'history.verbType': 'Verb type',
+  'history.anyVerbType': 'Any verb type',
+  'history.verb.being': 'Being',
+  'history.verb.doing': 'Doing',
+  'history.verb.having': 'Having',
+  'history.pattern': 'Pattern',
+  'history.anyPattern': 'Any pattern',
+  'history.noMatch': 'No sessions match.',
+  'history.answer': '{count} answer',
+  'history.answers': '{count} answers',
+  'history.felt': 'felt {before}/10 → {after}/10',
+  'history.replay': 'Replay',
+  'history.delete': 'Delete',
+  'history.deleteAll': 'Delete all my data',
+  'history.confirmDeleteAll': 'Delete your session history, cached audio, saved scripts and settings from this device?'
+};
@@ -0,0 +1,312 @@
+/**
+ * Spanish UI strings
+ */
+
+export default {
+  // App
+  'app.title': 'Lingüística Cuántica',
+  'app.tagline': 'Transforma creencias limitantes con la Lógica Cartesiana',
+  'app.basedOn': 'Basado en técnicas de PNL de nivel Master Practitioner',
+  'app.yourBelief': 'Tu creencia:',
+  'app.poweredBy': 'Con tecnología de GPT-5 y OpenAI TTS',
+  'app.patternsTitle': 'Reencuadres de Sleight of Mouth',
+  'app.patternsSubtitle': 'Cada reencuadre dirige la atención a otra parte de la creencia',
+  'app.metaModelTitle': 'Desafíos del Metamodelo',
+  'app.metaModelSubtitle': 'Recupera lo que la creencia omite, distorsiona o generaliza',
+
+  // Errors
+  'error.audioFailed': 'No se pudo generar el audio de las preguntas. Revisa tu clave de API e inténtalo de nuevo.',
+  'error.noViolations': 'No se encontraron violaciones del Metamodelo en esta creencia. Prueba otro patrón.',
+  'error.generateFailed': 'No se pudieron generar las preguntas. Inténtalo de nuevo.',
+  'error.noAudio': 'No hay audio disponible. Genera primero las preguntas.',
+  'error.playbackFailed': 'La reproducción falló. Inténtalo de nuevo.',
+  'error.deleteFailed': 'No se pudieron borrar todos los datos guardados. Inténtalo de nuevo.',
+
+  // Session export
+  'export.rendering': 'Generando el audio de la sesión...',
+  'export.saved': 'Se guardó {filename} y su lista de capítulos',
+  'export.savedSkipped': 'Se guardó {filename}. {skipped} elemento(s) leídos por la voz del navegador no se pudieron incluir.',
+  'export.failed': 'La exportación falló: no se pudo generar ningún audio grabado. Revisa tu clave de API e inténtalo de nuevo.',
+  'export.chapter': 'Pregunta {number}',
+
+  // Belief input
+  'belief.heading': '¿Qué creencia limitante te gustaría explorar?',
+  'belief.subheading': 'Escribe o di tu creencia y te guiaremos con la Lógica Cartesiana',
+  'belief.language': 'Idioma',
+  'belief.placeholder': 'Ejemplo: No puedo tener éxito en mi carrera...',
+  'belief.speak': 'Haz clic para decir tu creencia',
+  'belief.speechUnsupported': 'Tu navegador no admite el reconocimiento de voz',
+  'belief.speechError': 'Error de reconocimiento de voz: {error}',
+  'belief.micBlocked': 'El acceso al micrófono está bloqueado. Permítelo en los ajustes del sitio de tu navegador para dictar.',
+  'belief.noMicrophone': 'No se encontró ningún micrófono. Conecta uno e inténtalo de nuevo.',
+  'belief.speechNetwork': 'No se pudo conectar con el servicio de voz. Revisa tu conexión e inténtalo de nuevo.',
+  'belief.listening': '🎤 Escuchando... Di tu creencia y haz una pausa o pulsa detener cuando termines',
+  'belief.stopDictation': 'Detener el dictado',
+  'belief.unsure': '¿Lo entendí bien? Elige lo que dijiste:',
+  'belief.keepPhrase': 'Dejarlo así',
+  'belief.englishOnly': 'Sleight of Mouth, el Metamodelo y el modo de dos variables solo están disponibles en inglés.',
+  'belief.metaModelMarkers': 'Marcadores del Metamodelo (pasa el cursor para ver la pregunta)',
+  'belief.rewordChallenges': 'Reformular los desafíos del Metamodelo con IA',
+  'belief.causeEffect': 'Esta creencia une una causa con un efecto. ¿Explorar ambas variables juntas?',
+  'belief.useTwoVariable': 'Usar A × B',
+  'belief.twoVariable': 'Modo de dos variables (cruzar la causa A con el efecto B)',
+  'belief.cause': 'A (causa)',
+  'belief.effect': 'B (efecto)',
+  'belief.causePlaceholder': 'Digo lo que pienso',
+  'belief.effectPlaceholder': 'Me despedirán',
+  'belief.generating': 'Generando preguntas...',
+  'belief.generateQuestions': 'Generar preguntas de Lógica Cartesiana',
+  'belief.generateReframes': 'Generar reencuadres',
+  'belief.about': '¿Qué es la Lógica Cartesiana?',
+  'belief.aboutIntro': 'La Lógica Cartesiana es una técnica de PNL que cuestiona las creencias limitantes explorando cuatro perspectivas:',
+  'belief.aboutTwoVariable': 'En las creencias de causa-efecto («Si digo lo que pienso, me despedirán»), el modo de dos variables cruza la causa A con el efecto B: AB, ~AB, A~B y ~A~B.',
+  'belief.aboutSource': 'Basado en el Manual de Master Practitioner en PNL - Capítulo 2: Lingüística Cuántica',
+
+  // Extracción de creencias
+  'extract.hint': 'Parece más de una frase. ¿Quieres ayuda para encontrar la creencia?',
+  'extract.find': 'Encontrar las creencias',
+  'extract.finding': 'Buscando creencias limitantes...',
+  'extract.heading': 'Creencias en lo que escribiste. Elige una o varias para explorar:',
+  'extract.none': 'No se ve una creencia limitante clara. Prueba a expresarla en una frase.',
+  'extract.use': 'Usar las elegidas',
+  'extract.cancel': 'Cancelar',
+  'extract.queued': 'Se explorarán después de esta:',
+  'extract.remove': 'Quitar',
+  'queue.upNext': 'A continuación: “{belief}”',
+  'queue.more': '{count} más después',
+  'queue.next': 'Explorar la siguiente creencia',
+
+  // Sesiones por lotes
+  'batch.title': 'Lote de creencias',
+  'batch.description': 'Prepara varias creencias a la vez: pega una por línea o importa un archivo de texto o CSV (hasta {max}). Sus preguntas se reproducen seguidas como una sola sesión.',
+  'batch.placeholder': 'No soy lo bastante bueno\nNadie me escucha\nSi hablo, me despedirán',
+  'batch.import': 'Importar archivo',
+  'batch.importFailed': 'No se pudo leer ese archivo.',
+  'batch.countOne': '1 creencia',
+  'batch.count': '{count} creencias',
+  'batch.tooLong': '{count} omitidas por tener más de {max} caracteres.',
+  'batch.overLimit': '{count} omitidas: un lote admite hasta {max} creencias.',
+  'batch.run': 'Procesar lote',
+  'batch.resultsTitle': 'Sesión por lotes',
+  'batch.generating': 'Generando preguntas: {ready} de {total} listas...',
+  'batch.summary': '{ready} de {total} creencias listas. Reprodúcelas todas como una sesión, o una a una.',
+  'batch.cancel': 'Cancelar',
+  'batch.status.queued': 'En cola',
+  'batch.status.generating': 'Generando',
+  'batch.status.ready': 'Lista',
+  'batch.status.failed': 'Error',
+  'batch.failed': 'No se pudieron generar preguntas para esta creencia.',
+  'batch.playBelief': 'Reproducir esta creencia',
+  'batch.retry': 'Reintentar',
+  'batch.audioPending': 'Preparando el audio: {ready} de {total}...',
+  'batch.audioReady': 'Audio listo',
+  'batch.audioFailed': 'Sin audio para {failed} de {total}; se omitirán',
+  'batch.exportName': 'Lote de {count} creencias',
+
+  // Cartesian quadrants
+  'quadrant.theorem': 'Teorema',
+  'quadrant.converse': 'Recíproco',
+  'quadrant.inverse': 'Inverso',
+  'quadrant.nonMirrorReverse': 'Reverso no especular',
+  'quadrant.theorem.description': '¿Qué pasaría si lo hicieras?',
+  'quadrant.converse.description': '¿Qué no pasaría si lo hicieras?',
+  'quadrant.inverse.description': '¿Qué pasaría si no lo hicieras?',
+  'quadrant.nonMirrorReverse.description': '¿Qué no pasaría si no lo hicieras?',
+
+  // Questions
+  'questions.heading': 'Preguntas de Lógica Cartesiana',
+  'questions.subheading': 'Escucha con atención y reflexiona sobre cada pregunta',
+  'questions.playing': 'Reproduciendo',
+  'questions.playOne': 'Reproducir esta pregunta',
+  'questions.playLabel': 'Reproducir {label}',
+  'questions.not': 'no: {text}',
+  'questions.howTo': 'Cómo usarlo',
+  'questions.tipListen': 'Escucha cada pregunta con atención',
+  'questions.tipReflect': 'Tómate un momento para reflexionar antes de pasar a la siguiente',
+  'questions.tipNotice': 'Observa qué pensamientos, sentimientos o ideas surgen',
+  'questions.tipExplore': 'No hay respuestas correctas ni incorrectas: se trata de explorar',
+
+  // Interactive answers
+  'answer.listening': 'Escuchando tu respuesta...',
+  'answer.title': 'Tu respuesta',
+  'answer.orType': 'O escribe tu respuesta...',
+  'answer.type': 'Escribe tu respuesta...',
+  'answer.next': 'Siguiente',
+  'answer.hint': 'Di «siguiente» cuando termines, o haz una pausa y la sesión continuará.',
+
+  // Transcript
+  'transcript.title': 'Transcripción de la sesión',
+  'transcript.copy': 'Copiar',
+  'transcript.copied': '¡Copiado!',
+  'transcript.noAnswer': 'Sin respuesta',
+
+  // Audio player
+  'player.loading': 'Cargando audio...',
+  'player.loadingProgress': 'Cargando audio ({ready}/{total})...',
+  'player.paused': 'En pausa',
+  'player.playing': 'Reproduciendo...',
+  'player.playAll': 'Reproducir todas las preguntas',
+  'player.previous': 'Pregunta anterior',
+  'player.next': 'Pregunta siguiente',
+  'player.pause': 'Pausar',
+  'player.resume': 'Reanudar',
+  'player.stop': 'Detener',
+  'player.pauseBetween': 'Pausa entre preguntas:',
+  'player.second': '{count} segundo',
+  'player.seconds': '{count} segundos',
+  'player.nowPlaying': 'Reproduciendo: {segment}',
+  'player.preparing': 'Preparando audio: {ready}/{total} listos',
+  'player.skipped': '{failed} de {total} preguntas no tienen audio y se omitirán',
+  'player.repeat': 'Repetir sesión:',
+  'player.once': 'Una vez',
+  'player.times': '{count} veces',
+  'player.script': 'Guion de la sesión guiada',
+  'player.voice': 'Voz y velocidad',
+  'player.ambient': 'Sonido de fondo',
+  'player.pauseEach': 'Pausa después de cada pregunta',
+  'player.default': 'Predeterminada',
+  'player.interactive': 'Interactivo: esperar mi respuesta después de cada pregunta (voz o texto)',
+  'player.rendering': 'Generando...',
+  'player.download': 'Descargar el audio de la sesión',
+  'player.newSession': 'Empezar una nueva sesión',
+  'player.instructions': 'Haz clic en «Reproducir todas las preguntas» para escuchar cada pregunta de Lógica Cartesiana con pausas para reflexionar',
+
+  // Voice settings
+  'voice.sample': '¿Qué pasaría si soltaras esta creencia?',
+  'voice.preview': 'Escuchar',
+  'voice.speed': 'Velocidad de habla:',
+  'voice.contemplative': '(contemplativa)',
+  'voice.perQuestion': 'Usar una voz distinta para cada pregunta',
+  'voice.browserVoice': 'Voz del navegador:',
+  'voice.automatic': 'Automática',
+  'voice.description.alloy': 'Neutra y equilibrada',
+  'voice.description.echo': 'Tranquila y profesional',
+  'voice.description.fable': 'Cálida y expresiva',
+  'voice.description.onyx': 'Grave y con autoridad',
+  'voice.description.nova': 'Luminosa y enérgica',
+  'voice.description.shimmer': 'Suave y delicada',
+
+  // Background sound
+  'ambient.unsupported': 'Este navegador no admite sonido de fondo.',
+  'ambient.background': 'Fondo:',
+  'ambient.bed.none': 'Ninguno',
+  'ambient.bed.brownNoise': 'Ruido marrón',
+  'ambient.bed.brownNoise.description': 'Un rumor grave y suave, como olas a lo lejos',
+  'ambient.bed.binaural': 'Tonos binaurales',
+  'ambient.bed.binaural.description': '200 Hz a la izquierda, 206 Hz a la derecha (theta); usa auriculares',
+  'ambient.volume': 'Volumen del fondo',
+  'ambient.chime': 'Campanilla suave entre preguntas',
+  'ambient.chimeVolume': 'Volumen de la campanilla',
+  'ambient.ducking': 'El fondo baja automáticamente mientras se dice una pregunta. Los cambios se aplican al instante, incluso durante la sesión.',
+
+  // Session scripts
+  'script.label': 'Guion:',
+  'script.none': 'Ninguno - solo preguntas',
+  'script.builtIn': 'Incluidos',
+  'script.mine': 'Mis guiones',
+  'script.edit': 'Editar',
+  'script.delete': 'Eliminar',
+  'script.cancel': 'Cancelar',
+  'script.name': 'Nombre del guion',
+  'script.copyName': 'Mi {name}',
+  'script.variables': 'Variables: {{belief}}, y alrededor de cada pregunta {{question}}, {{label}}, {{number}} y {{total}}. Deja una parte vacía para omitirla.',
+  'script.save': 'Guardar',
+  'script.saveAsMine': 'Guardar como mi guion',
+  'script.custom': 'Tu propio guion',
+  'script.defaultName': 'Mi guion',
+  'script.part.intro': 'Introducción',
+  'script.part.belief': 'Creencia repetida',
+  'script.part.leadIn': 'Antes de cada pregunta',
+  'script.part.reflection': 'Después de cada pregunta',
+  'script.part.closing': 'Cierre',
+  'script.relaxedReflection.name': 'Reflexión relajada',
+  'script.relaxedReflection.description': 'Una breve relajación y luego cada pregunta con tiempo para notar lo que surge',
+  'script.relaxedReflection.intro': 'Busca una posición cómoda y cierra los ojos si te parece bien. Inspira despacio... y suelta el aire. Con cada exhalación, permítete relajarte un poco más.',
+  'script.relaxedReflection.belief': 'Desde hace un tiempo llevas contigo la creencia: {{belief}}. Durante los próximos minutos, simplemente siente curiosidad por ella.',
+  'script.relaxedReflection.leadIn': 'Esta es la pregunta {{number}}.',
+  'script.relaxedReflection.reflection': 'Tómate tu tiempo y observa lo que surja.',
+  'script.relaxedReflection.closing': 'En un momento volverás a la habitación. Imagina un momento de los próximos días en el que esa vieja creencia habría aparecido, y nota lo distinto que puedes responder ahora. Cuando quieras, abre los ojos.',
+  'script.deepTrance.name': 'Trance profundo',
+  'script.deepTrance.description': 'Una inducción más larga con cuenta atrás y un ritmo más lento para un trabajo profundo',
+  'script.deepTrance.intro': 'Deja que tu cuerpo se acomode y que tu respiración se haga más lenta. En un momento contaré de cinco a uno, y con cada número puedes ir el doble de profundo. Cinco... tus hombros se aflojan. Cuatro... tu respiración se calma. Tres... tu mente se aquieta. Dos... más profundo aún. Uno... hasta el fondo, con calma y en paz.',
+  'script.deepTrance.belief': 'En algún lugar de aquí está el viejo pensamiento: {{belief}}. Tu mente inconsciente puede mirarlo ahora desde una distancia segura.',
+  'script.deepTrance.leadIn': 'Y mientras te dejas llevar, tu mente puede preguntarse...',
+  'script.deepTrance.reflection': 'Deja que la respuesta llegue a su tiempo... no hay nada que tengas que hacer.',
+  'script.deepTrance.closing': 'Lo que haya cambiado puede seguir cambiando, por sí solo, mucho después de esta sesión. Ahora empieza a volver. Uno... dos... tres... cuatro... cinco, con los ojos abiertos, con plena atención y sintiéndote bien.',
+  'script.quickCheckIn.name': 'Revisión rápida',
+  'script.quickCheckIn.description': 'Sin inducción; una introducción de una línea y un cierre breve',
+  'script.quickCheckIn.intro': 'Tomemos dos minutos para esto.',
+  'script.quickCheckIn.belief': 'La creencia es: {{belief}}.',
+  'script.quickCheckIn.leadIn': '{{label}}.',
+  'script.quickCheckIn.reflection': '',
+  'script.quickCheckIn.closing': 'Esa fue la última pregunta. Nota qué se siente diferente.',
+  'script.coaching.name': 'Conversación de coaching',
+  'script.coaching.description': 'Un estilo directo y conversacional para trabajar con un coach o un compañero',
+  'script.coaching.intro': 'Vamos a mirar una creencia desde cuatro direcciones. Responde en voz alta si puedes; no hay respuestas incorrectas.',
+  'script.coaching.belief': 'Dijiste: {{belief}}. Veamos qué tan sólida es en realidad.',
+  'script.coaching.leadIn': 'Pregunta {{number}} de {{total}}.',
+  'script.coaching.reflection': '¿Cuál es tu respuesta?',
+  'script.coaching.closing': 'Mirando esas respuestas, ¿qué notas ahora sobre la creencia? ¿Y qué es algo que harás de otra manera esta semana?',
+
+  // Belief structure
+  'structure.title': 'Cómo está construida tu creencia',
+  'structure.simple': 'Afirmación simple',
+  'structure.cause-effect': 'Causa–efecto',
+  'structure.complex-equivalence': 'Equivalencia compleja',
+  'structure.simple.description': 'Una sola afirmación sobre ti o el mundo',
+  'structure.cause-effect.description': 'Se cree que una cosa causa otra',
+  'structure.complex-equivalence.description': 'Se cree que una cosa significa otra',
+  'structure.cause-effect.a': 'A (causa)',
+  'structure.cause-effect.b': 'B (efecto)',
+  'structure.complex-equivalence.a': 'A (evidencia)',
+  'structure.complex-equivalence.b': 'B (significado)',
+  'structure.verb.being': 'Ser',
+  'structure.verb.doing': 'Hacer',
+  'structure.verb.having': 'Tener',
+  'structure.negated': 'Negada',
+  'structure.action': 'Acción central que exploran las preguntas:',
+  'structure.modal.necessity': 'Operador modal de necesidad',
+  'structure.modal.possibility': 'Operador modal de posibilidad',
+  'structure.modal.future': 'Marcador de futuro',
+  'structure.universal': 'Cuantificador universal',
+  'structure.nominalization': 'Nominalización',
+  'structure.lostPerformative': 'Performativo perdido',
+
+  // Intensity ratings
+  'rating.before': '¿Cuánto te parece cierta esta creencia ahora mismo? (0-10, opcional)',
+  'rating.after': 'Y ahora, después de la sesión, ¿cuánto te parece cierta?',
+  'rating.low': 'Nada',
+  'rating.high': 'Totalmente cierta',
+  'rating.down': '(baja {count})',
+  'rating.progress': 'Tu progreso con esta creencia',
+  'rating.historyHint': 'Activa el historial de sesiones para ver esta creencia a lo largo de las sesiones.',
+  'chart.label': 'Intensidad de la creencia a lo largo de las sesiones',
+  'chart.before': 'Antes',
+  'chart.after': 'Después',
+  'chart.beforeSession': 'Antes de la sesión',
+  'chart.afterSession': 'Después de la sesión',
+  'chart.session': '{count} sesión: {start} → {end}',
+  'chart.sessions': '{count} sesiones: {start} → {end}',
+
+  // Session history
+  'history.title': 'Historial de sesiones',
+  'history.enable': 'Guardar mis sesiones en este dispositivo',
+  'history.emptyEnabled': 'Tus sesiones aparecerán aquí: la creencia, sus preguntas y las respuestas que des.',
+  'history.emptyDisabled': 'No se guarda nada a menos que lo actives. Las sesiones solo se quedan en este dispositivo.',
+  'history.search': 'Buscar creencias, preguntas y respuestas',
+  'history.verbType': 'Tipo de verbo',
+  'history.anyVerbType': 'Cualquier tipo de verbo',
+  'history.verb.being': 'Ser',
+  'history.verb.doing': 'Hacer',
+  'history.verb.having': 'Tener',
+  'history.pattern': 'Patrón',
+  'history.anyPattern': 'Cualquier patrón',
+  'history.noMatch': 'Ninguna sesión coincide.',
+  'history.answer': '{count} respuesta',
+  'history.answers': '{count} respuestas',
+  'history.felt': 'se sentía {before}/10 → {after}/10',
+  'history.replay': 'Repetir',
+  'history.delete': 'Borrar',
+  'history.deleteAll': 'Borrar todos mis datos',
+  'history.confirmDeleteAll': '¿Borrar de este dispositivo tu historial de sesiones, el audio en caché, los guiones guardados y los ajustes?'
+};
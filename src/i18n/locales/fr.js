@@ -0,0 +1,312 @@
+/**
+ * French UI strings
+ */
+
+export default {
+  // App
+  'app.title': 'Linguistique quantique',
+  'app.tagline': 'Transformez vos croyances limitantes grâce à la logique cartésienne',
+  'app.basedOn': 'Inspiré des techniques PNL de niveau Maître Praticien',
+  'app.yourBelief': 'Votre croyance :',
+  'app.poweredBy': 'Propulsé par GPT-5 et OpenAI TTS',
+  'app.patternsTitle': 'Recadrages Sleight of Mouth',
+  'app.patternsSubtitle': "Chaque recadrage porte l'attention sur une autre partie de la croyance",
+  'app.metaModelTitle': 'Questions du Méta-modèle',
+  'app.metaModelSubtitle': 'Retrouvez ce que la croyance omet, déforme ou généralise',
+
+  // Errors
+  'error.audioFailed': "Impossible de générer l'audio des questions. Vérifiez votre clé d'API et réessayez.",
+  'error.noViolations': "Aucune violation du Méta-modèle n'a été trouvée dans cette croyance. Essayez un autre modèle.",
+  'error.generateFailed': 'Impossible de générer les questions. Veuillez réessayer.',
+  'error.noAudio': "Aucun audio disponible. Générez d'abord les questions.",
+  'error.playbackFailed': 'La lecture a échoué. Veuillez réessayer.',
+  'error.deleteFailed': 'Impossible de supprimer toutes les données enregistrées. Veuillez réessayer.',
+
+  // Session export
+  'export.rendering': "Création de l'audio de la séance...",
+  'export.saved': '{filename} et sa playlist de chapitres ont été enregistrés',
+  'export.savedSkipped': "{filename} a été enregistré. {skipped} élément(s) lu(s) par la voix du navigateur n'ont pas pu être inclus.",
+  'export.failed': "L'export a échoué : aucun audio enregistré n'a pu être créé. Vérifiez votre clé d'API et réessayez.",
+  'export.chapter': 'Question {number}',
+
+  // Belief input
+  'belief.heading': 'Quelle croyance limitante aimeriez-vous explorer ?',
+  'belief.subheading': 'Écrivez ou dites votre croyance, et nous vous guiderons avec la logique cartésienne',
+  'belief.language': 'Langue',
+  'belief.placeholder': 'Exemple : Je ne peux pas réussir dans ma carrière...',
+  'belief.speak': 'Cliquez pour dire votre croyance',
+  'belief.speechUnsupported': 'Votre navigateur ne prend pas en charge la reconnaissance vocale',
+  'belief.speechError': 'Erreur de reconnaissance vocale : {error}',
+  'belief.micBlocked': "L'accès au micro est bloqué. Autorisez-le dans les paramètres du site de votre navigateur pour dicter.",
+  'belief.noMicrophone': "Aucun micro n'a été trouvé. Branchez-en un et réessayez.",
+  'belief.speechNetwork': 'Impossible de joindre le service vocal. Vérifiez votre connexion et réessayez.',
+  'belief.listening': '🎤 À l’écoute... Dites votre croyance, puis faites une pause ou cliquez sur arrêter quand vous avez terminé',
+  'belief.stopDictation': 'Arrêter la dictée',
+  'belief.unsure': 'Ai-je bien compris ? Choisissez ce que vous avez dit :',
+  'belief.keepPhrase': 'Garder tel quel',
+  'belief.englishOnly': "Sleight of Mouth, le Méta-modèle et le mode à deux variables ne sont disponibles qu'en anglais.",
+  'belief.metaModelMarkers': 'Marqueurs du Méta-modèle (survolez pour voir la question)',
+  'belief.rewordChallenges': "Reformuler les questions du Méta-modèle avec l'IA",
+  'belief.causeEffect': 'Cette croyance relie une cause à un effet. Explorer les deux variables ensemble ?',
+  'belief.useTwoVariable': 'Utiliser A × B',
+  'belief.twoVariable': 'Mode à deux variables (croiser la cause A avec l’effet B)',
+  'belief.cause': 'A (cause)',
+  'belief.effect': 'B (effet)',
+  'belief.causePlaceholder': 'Je donne mon avis',
+  'belief.effectPlaceholder': 'Je vais être licencié',
+  'belief.generating': 'Génération des questions...',
+  'belief.generateQuestions': 'Générer les questions de logique cartésienne',
+  'belief.generateReframes': 'Générer des recadrages',
+  'belief.about': "Qu'est-ce que la logique cartésienne ?",
+  'belief.aboutIntro': 'La logique cartésienne est une technique de PNL qui remet en question les croyances limitantes en explorant quatre perspectives :',
+  'belief.aboutTwoVariable': "Pour les croyances de cause à effet (« Si je donne mon avis, je vais être licencié »), le mode à deux variables croise la cause A avec l'effet B : AB, ~AB, A~B et ~A~B.",
+  'belief.aboutSource': 'Inspiré du manuel Maître Praticien en PNL - Chapitre 2 : Linguistique quantique',
+
+  // Extraction des croyances
+  'extract.hint': 'Cela ressemble à plus d\'une phrase. Voulez-vous de l\'aide pour y trouver la croyance ?',
+  'extract.find': 'Trouver les croyances',
+  'extract.finding': 'Recherche des croyances limitantes...',
+  'extract.heading': 'Croyances dans votre texte. Choisissez-en une ou plusieurs à explorer :',
+  'extract.none': 'Aucune croyance limitante claire. Essayez de la formuler en une phrase.',
+  'extract.use': 'Utiliser la sélection',
+  'extract.cancel': 'Annuler',
+  'extract.queued': 'Explorées ensuite :',
+  'extract.remove': 'Retirer',
+  'queue.upNext': 'Ensuite : « {belief} »',
+  'queue.more': 'encore {count} après',
+  'queue.next': 'Explorer la croyance suivante',
+
+  // Sessions groupées
+  'batch.title': 'Plusieurs croyances',
+  'batch.description': 'Préparez plusieurs croyances à la fois : collez-en une par ligne ou importez un fichier texte ou CSV (jusqu\'à {max}). Leurs questions s\'enchaînent en une seule session.',
+  'batch.placeholder': 'Je ne suis pas assez bien\nPersonne ne m\'écoute\nSi je prends la parole, je serai renvoyé',
+  'batch.import': 'Importer un fichier',
+  'batch.importFailed': 'Impossible de lire ce fichier.',
+  'batch.countOne': '1 croyance',
+  'batch.count': '{count} croyances',
+  'batch.tooLong': '{count} écartées car plus longues que {max} caractères.',
+  'batch.overLimit': '{count} écartées : un lot contient au plus {max} croyances.',
+  'batch.run': 'Tout générer',
+  'batch.resultsTitle': 'Session groupée',
+  'batch.generating': 'Génération des questions : {ready} sur {total} prêtes...',
+  'batch.summary': '{ready} croyances prêtes sur {total}. Écoutez-les toutes en une session, ou une par une.',
+  'batch.cancel': 'Annuler',
+  'batch.status.queued': 'En attente',
+  'batch.status.generating': 'En cours',
+  'batch.status.ready': 'Prête',
+  'batch.status.failed': 'Échec',
+  'batch.failed': 'Impossible de générer des questions pour cette croyance.',
+  'batch.playBelief': 'Écouter cette croyance',
+  'batch.retry': 'Réessayer',
+  'batch.audioPending': "Préparation de l'audio : {ready} sur {total}...",
+  'batch.audioReady': 'Audio prêt',
+  'batch.audioFailed': "Pas d'audio pour {failed} sur {total} ; ils seront ignorés",
+  'batch.exportName': 'Lot de {count} croyances',
+
+  // Cartesian quadrants
+  'quadrant.theorem': 'Théorème',
+  'quadrant.converse': 'Réciproque',
+  'quadrant.inverse': 'Inverse',
+  'quadrant.nonMirrorReverse': 'Inverse non miroir',
+  'quadrant.theorem.description': 'Que se passerait-il si vous le faisiez ?',
+  'quadrant.converse.description': 'Que ne se passerait-il pas si vous le faisiez ?',
+  'quadrant.inverse.description': 'Que se passerait-il si vous ne le faisiez pas ?',
+  'quadrant.nonMirrorReverse.description': 'Que ne se passerait-il pas si vous ne le faisiez pas ?',
+
+  // Questions
+  'questions.heading': 'Questions de logique cartésienne',
+  'questions.subheading': 'Écoutez attentivement et réfléchissez à chaque question',
+  'questions.playing': 'Lecture',
+  'questions.playOne': 'Écouter cette question',
+  'questions.playLabel': 'Écouter {label}',
+  'questions.not': 'non : {text}',
+  'questions.howTo': 'Mode d’emploi',
+  'questions.tipListen': 'Écoutez attentivement chaque question',
+  'questions.tipReflect': 'Prenez un moment pour réfléchir avant de passer à la suivante',
+  'questions.tipNotice': 'Remarquez les pensées, émotions ou prises de conscience qui surgissent',
+  'questions.tipExplore': "Il n'y a pas de bonne ou de mauvaise réponse - il s'agit d'explorer",
+
+  // Interactive answers
+  'answer.listening': 'À l’écoute de votre réponse...',
+  'answer.title': 'Votre réponse',
+  'answer.orType': 'Ou tapez votre réponse...',
+  'answer.type': 'Tapez votre réponse...',
+  'answer.next': 'Suivant',
+  'answer.hint': 'Dites « suivant » quand vous avez terminé, ou faites une pause et la séance continuera.',
+
+  // Transcript
+  'transcript.title': 'Transcription de la séance',
+  'transcript.copy': 'Copier',
+  'transcript.copied': 'Copié !',
+  'transcript.noAnswer': 'Aucune réponse enregistrée',
+
+  // Audio player
+  'player.loading': "Chargement de l'audio...",
+  'player.loadingProgress': "Chargement de l'audio ({ready}/{total})...",
+  'player.paused': 'En pause',
+  'player.playing': 'Lecture...',
+  'player.playAll': 'Écouter toutes les questions',
+  'player.previous': 'Question précédente',
+  'player.next': 'Question suivante',
+  'player.pause': 'Pause',
+  'player.resume': 'Reprendre',
+  'player.stop': 'Arrêter',
+  'player.pauseBetween': 'Pause entre les questions :',
+  'player.second': '{count} seconde',
+  'player.seconds': '{count} secondes',
+  'player.nowPlaying': 'En cours : {segment}',
+  'player.preparing': "Préparation de l'audio : {ready}/{total} prêts",
+  'player.skipped': "{failed} question(s) sur {total} n'ont pas d'audio et seront ignorées",
+  'player.repeat': 'Répéter la séance :',
+  'player.once': 'Une fois',
+  'player.times': '{count} fois',
+  'player.script': 'Script de la séance guidée',
+  'player.voice': 'Voix et vitesse',
+  'player.ambient': 'Fond sonore',
+  'player.pauseEach': 'Pause après chaque question',
+  'player.default': 'Par défaut',
+  'player.interactive': 'Interactif : attendre ma réponse après chaque question (voix ou texte)',
+  'player.rendering': 'Création...',
+  'player.download': "Télécharger l'audio de la séance",
+  'player.newSession': 'Commencer une nouvelle séance',
+  'player.instructions': 'Cliquez sur « Écouter toutes les questions » pour entendre chaque question de logique cartésienne avec des pauses pour réfléchir',
+
+  // Voice settings
+  'voice.sample': 'Que se passerait-il si vous lâchiez cette croyance ?',
+  'voice.preview': 'Écouter',
+  'voice.speed': 'Vitesse de parole :',
+  'voice.contemplative': '(contemplative)',
+  'voice.perQuestion': 'Utiliser une voix différente pour chaque question',
+  'voice.browserVoice': 'Voix du navigateur :',
+  'voice.automatic': 'Automatique',
+  'voice.description.alloy': 'Neutre et équilibrée',
+  'voice.description.echo': 'Calme et professionnelle',
+  'voice.description.fable': 'Chaleureuse et expressive',
+  'voice.description.onyx': 'Grave et assurée',
+  'voice.description.nova': 'Lumineuse et énergique',
+  'voice.description.shimmer': 'Douce et délicate',
+
+  // Background sound
+  'ambient.unsupported': "Le son d'ambiance n'est pas pris en charge par ce navigateur.",
+  'ambient.background': 'Ambiance :',
+  'ambient.bed.none': 'Aucune',
+  'ambient.bed.brownNoise': 'Bruit brun',
+  'ambient.bed.brownNoise.description': 'Grondement doux et profond, comme un ressac lointain',
+  'ambient.bed.binaural': 'Sons binauraux',
+  'ambient.bed.binaural.description': '200 Hz à gauche, 206 Hz à droite (thêta) ; utilisez un casque',
+  'ambient.volume': "Volume de l'ambiance",
+  'ambient.chime': 'Carillon doux entre les questions',
+  'ambient.chimeVolume': 'Volume du carillon',
+  'ambient.ducking': "L'ambiance baisse automatiquement pendant qu'une question est lue. Les modifications s'appliquent immédiatement, même en cours de séance.",
+
+  // Session scripts
+  'script.label': 'Script :',
+  'script.none': 'Aucun - questions seulement',
+  'script.builtIn': 'Intégrés',
+  'script.mine': 'Mes scripts',
+  'script.edit': 'Modifier',
+  'script.delete': 'Supprimer',
+  'script.cancel': 'Annuler',
+  'script.name': 'Nom du script',
+  'script.copyName': 'Mon {name}',
+  'script.variables': 'Variables : {{belief}}, et autour de chaque question {{question}}, {{label}}, {{number}} et {{total}}. Laissez une partie vide pour la sauter.',
+  'script.save': 'Enregistrer',
+  'script.saveAsMine': 'Enregistrer comme mon script',
+  'script.custom': 'Votre propre script',
+  'script.defaultName': 'Mon script',
+  'script.part.intro': 'Introduction',
+  'script.part.belief': 'Croyance reformulée',
+  'script.part.leadIn': 'Avant chaque question',
+  'script.part.reflection': 'Après chaque question',
+  'script.part.closing': 'Conclusion',
+  'script.relaxedReflection.name': 'Réflexion détendue',
+  'script.relaxedReflection.description': 'Une courte relaxation, puis chaque question avec le temps de remarquer ce qui vient',
+  'script.relaxedReflection.intro': 'Installez-vous confortablement et fermez les yeux si cela vous convient. Inspirez lentement... et relâchez. À chaque expiration, laissez-vous vous poser un peu plus.',
+  'script.relaxedReflection.belief': "Depuis un moment, vous portez cette croyance : {{belief}}. Pendant les prochaines minutes, laissez simplement votre curiosité s'éveiller à son sujet.",
+  'script.relaxedReflection.leadIn': 'Voici la question {{number}}.',
+  'script.relaxedReflection.reflection': 'Prenez votre temps, et remarquez ce qui vient.',
+  'script.relaxedReflection.closing': 'Dans un instant, vous allez revenir dans la pièce. Imaginez un moment des prochains jours où cette vieille croyance se serait manifestée, et remarquez à quel point vous pouvez réagir différemment maintenant. Quand vous le souhaitez, ouvrez les yeux.',
+  'script.deepTrance.name': 'Transe profonde',
+  'script.deepTrance.description': 'Une induction plus longue avec compte à rebours et un rythme plus lent pour un travail en profondeur',
+  'script.deepTrance.intro': "Laissez votre corps s'installer confortablement et votre respiration ralentir. Dans un instant, je vais compter de cinq à un, et à chaque chiffre vous pouvez descendre deux fois plus profondément. Cinq... vos épaules se relâchent. Quatre... votre respiration ralentit. Trois... votre esprit s'apaise. Deux... plus profondément encore. Un... tout au fond, en sécurité, dans un calme profond.",
+  'script.deepTrance.belief': "Quelque part ici se trouve la vieille pensée : {{belief}}. Votre inconscient peut maintenant l'observer à distance, en toute sécurité.",
+  'script.deepTrance.leadIn': 'Et tandis que vous vous laissez aller, votre esprit peut se demander...',
+  'script.deepTrance.reflection': "Laissez la réponse venir à son rythme... vous n'avez rien à faire.",
+  'script.deepTrance.closing': "Ce qui a changé peut continuer à changer, tout seul, bien après cette séance. Commencez maintenant à revenir. Un... deux... trois... quatre... cinq, les yeux ouverts, l'esprit clair, avec une agréable sensation de bien-être.",
+  'script.quickCheckIn.name': 'Point rapide',
+  'script.quickCheckIn.description': "Pas d'induction ; une phrase d'introduction et une courte conclusion",
+  'script.quickCheckIn.intro': 'Prenons deux minutes pour cela.',
+  'script.quickCheckIn.belief': 'La croyance est : {{belief}}.',
+  'script.quickCheckIn.leadIn': '{{label}}.',
+  'script.quickCheckIn.reflection': '',
+  'script.quickCheckIn.closing': "C'était la dernière question. Remarquez ce qui est différent maintenant.",
+  'script.coaching.name': 'Conversation de coaching',
+  'script.coaching.description': 'Un style direct et conversationnel pour travailler avec un coach ou un partenaire',
+  'script.coaching.intro': "Nous allons regarder une croyance sous quatre angles. Répondez à voix haute si vous le pouvez ; il n'y a pas de mauvaise réponse.",
+  'script.coaching.belief': "Vous avez dit : {{belief}}. Voyons à quel point c'est vraiment solide.",
+  'script.coaching.leadIn': 'Question {{number}} sur {{total}}.',
+  'script.coaching.reflection': 'Quelle est votre réponse ?',
+  'script.coaching.closing': 'En repensant à ces réponses, que remarquez-vous maintenant à propos de cette croyance ? Et quelle est une chose que vous ferez différemment cette semaine ?',
+
+  // Belief structure
+  'structure.title': 'Comment votre croyance est construite',
+  'structure.simple': 'Affirmation simple',
+  'structure.cause-effect': 'Cause–effet',
+  'structure.complex-equivalence': 'Équivalence complexe',
+  'structure.simple.description': 'Une seule affirmation sur vous ou le monde',
+  'structure.cause-effect.description': 'Une chose est censée en causer une autre',
+  'structure.complex-equivalence.description': 'Une chose est censée en signifier une autre',
+  'structure.cause-effect.a': 'A (cause)',
+  'structure.cause-effect.b': 'B (effet)',
+  'structure.complex-equivalence.a': 'A (preuve)',
+  'structure.complex-equivalence.b': 'B (signification)',
+  'structure.verb.being': 'Être',
+  'structure.verb.doing': 'Faire',
+  'structure.verb.having': 'Avoir',
+  'structure.negated': 'Négative',
+  'structure.action': 'Action centrale explorée par les questions :',
+  'structure.modal.necessity': 'Opérateur modal de nécessité',
+  'structure.modal.possibility': 'Opérateur modal de possibilité',
+  'structure.modal.future': 'Marqueur du futur',
+  'structure.universal': 'Quantificateur universel',
+  'structure.nominalization': 'Nominalisation',
+  'structure.lostPerformative': 'Performatif perdu',
+
+  // Intensity ratings
+  'rating.before': 'À quel point cette croyance vous semble-t-elle vraie en ce moment ? (0-10, facultatif)',
+  'rating.after': 'Et maintenant, après la séance, à quel point vous semble-t-elle vraie ?',
+  'rating.low': 'Pas du tout',
+  'rating.high': 'Totalement vraie',
+  'rating.down': '(en baisse de {count})',
+  'rating.progress': 'Votre progression avec cette croyance',
+  'rating.historyHint': "Activez l'historique des séances pour suivre cette croyance d'une séance à l'autre.",
+  'chart.label': "Intensité de la croyance au fil des séances",
+  'chart.before': 'Avant',
+  'chart.after': 'Après',
+  'chart.beforeSession': 'Avant la séance',
+  'chart.afterSession': 'Après la séance',
+  'chart.session': '{count} séance : {start} → {end}',
+  'chart.sessions': '{count} séances : {start} → {end}',
+
+  // Session history
+  'history.title': 'Historique des séances',
+  'history.enable': 'Enregistrer mes séances sur cet appareil',
+  'history.emptyEnabled': 'Vos séances apparaîtront ici : la croyance, ses questions et vos réponses.',
+  'history.emptyDisabled': "Rien n'est enregistré tant que vous ne l'activez pas. Les séances restent uniquement sur cet appareil.",
+  'history.search': 'Rechercher dans les croyances, questions et réponses',
+  'history.verbType': 'Type de verbe',
+  'history.anyVerbType': 'Tous les types de verbe',
+  'history.verb.being': 'Être',
+  'history.verb.doing': 'Faire',
+  'history.verb.having': 'Avoir',
+  'history.pattern': 'Modèle',
+  'history.anyPattern': 'Tous les modèles',
+  'history.noMatch': 'Aucune séance ne correspond.',
+  'history.answer': '{count} réponse',
+  'history.answers': '{count} réponses',
+  'history.felt': 'ressenti {before}/10 → {after}/10',
+  'history.replay': 'Rejouer',
+  'history.delete': 'Supprimer',
+  'history.deleteAll': 'Supprimer toutes mes données',
+  'history.confirmDeleteAll': "Supprimer de cet appareil votre historique de séances, l'audio en cache, les scripts enregistrés et les réglages ?"
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseBeliefList, getBatchItems, MAX_BATCH_BELIEFS, MAX_BATCH_BELIEF_LENGTH } from '../batchSession';
+
+describe('parseBeliefList', () => {
+  it.each([
+    // description, text, options, beliefs
+    ['one belief per line', "I'm not good enough\nI always fail", {}, ["I'm not good enough", 'I always fail']],
+    ['blank lines and CRLF', 'I am lazy\r\n\r\n  I am slow  \r\n', {}, ['I am lazy', 'I am slow']],
+    ['list markers', '- I am lazy\n* I am slow\n• I am late\n1. I am weak\n2) I am shy', {}, ['I am lazy', 'I am slow', 'I am late', 'I am weak', 'I am shy']],
+    ['surrounding quotes', '"I am lazy"\n“I am slow”', {}, ['I am lazy', 'I am slow']],
+    ['repeats, ignoring case', 'I am lazy\ni am LAZY\nI am slow', {}, ['I am lazy', 'I am slow']],
+    ['a byte order mark', '\uFEFFI am lazy', {}, ['I am lazy']],
+    ['commas in plain text', 'If I speak up, I get fired', {}, ['If I speak up, I get fired']],
+    ['a belief header column', 'id,belief\n1,I am lazy\n2,"If I speak up, I get fired"', {}, ['I am lazy', 'If I speak up, I get fired']],
+    ['a translated header', 'Creencia;Notas\nNo soy suficiente;x', {}, ['No soy suficiente']],
+    ['semicolon cells', 'belief;note\nI am lazy;a, b, c', {}, ['I am lazy']],
+    ['escaped quotes', 'belief\n"I said ""no"" again"', {}, ['I said "no" again']],
+    ['CSV without a header', 'I am lazy,note\nI am slow,other', { csv: true }, ['I am lazy', 'I am slow']],
+    ['a quoted cell across lines', 'belief\n"I am\nlazy"', {}, ['I am\nlazy']]
+  ])('%s', (description, text, options, beliefs) => {
+    expect(parseBeliefList(text, options).beliefs).toEqual(beliefs);
+  });
+
+  it('counts beliefs over the length limit', () => {
+    const long = 'a'.repeat(MAX_BATCH_BELIEF_LENGTH + 1);
+    expect(parseBeliefList(`I am lazy\n${long}`)).toEqual({ beliefs: ['I am lazy'], tooLong: 1, overLimit: 0 });
+  });
+
+  it('keeps the first beliefs up to the count limit', () => {
+    const lines = Array.from({ length: MAX_BATCH_BELIEFS + 3 }, (_, i) => `Belief ${i + 1}`);
+    const { beliefs, tooLong, overLimit } = parseBeliefList(lines.join('\n'));
+    expect(beliefs).toHaveLength(MAX_BATCH_BELIEFS);
+    expect(beliefs[0]).toBe('Belief 1');
+    expect({ tooLong, overLimit }).toEqual({ tooLong: 0, overLimit: 3 });
+  });
+
+  it('reads nothing from empty text', () => {
+    expect(parseBeliefList('')).toEqual({ beliefs: [], tooLong: 0, overLimit: 0 });
+  });
+});
+
+describe('getBatchItems', () => {
+  it('numbers the questions of ready entries by belief', () => {
+    const entries = [
+      { status: 'ready', items: [{ key: 'theorem', label: 'Theorem' }] },
+      { status: 'failed' },
+      { status: 'ready', items: [{ key: 'inverse', label: 'Inverse' }] }
+    ];
+    expect(getBatchItems(entries)).toEqual([
+      { key: 'theorem', label: '1. Theorem', beliefIndex: 0 },
+      { key: 'inverse', label: '3. Inverse', beliefIndex: 2 }
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { postJson } from '../apiClient';
+import { generateCartesianQuestions } from '../cartesianLogic';
+
+vi.mock('../apiClient', () => ({ postJson: vi.fn() }));
+
+const VALID = {
+  theorem: 'What would happen if you spoke up?',
+  converse: "What wouldn't happen if you spoke up?",
+  inverse: "What would happen if you didn't speak up?",
+  nonMirrorReverse: "What wouldn't happen if you didn't speak up?"
+};
+
+// What the offline engine asks for "I can't speak up"
+const TEMPLATE = {
+  theorem: 'What would happen if you did speak up?',
+  converse: "What wouldn't happen if you did speak up?",
+  inverse: "What would happen if you didn't speak up?",
+  nonMirrorReverse: "What wouldn't happen if you didn't speak up?"
+};
+
+describe('generateCartesianQuestions', () => {
+  beforeEach(() => {
+    postJson.mockReset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it.each([
+    // description, responses in order, expected questions, requests sent
+    ['keeps valid questions', [VALID], VALID, 1],
+    ['takes a retry that fixes a quadrant', [{ ...VALID, converse: 'What would happen if you spoke up?' }, VALID], VALID, 2],
+    ['keeps an earlier valid quadrant the retry broke',
+      [{ ...VALID, converse: 'What happened?' }, { ...VALID, theorem: 'What could happen if you spoke up?' }], VALID, 2],
+    ['repairs what stays invalid from the template',
+      [{ ...VALID, inverse: 'What would happen if I stayed quiet?' }, { ...VALID, inverse: '' }], { ...VALID, inverse: TEMPLATE.inverse }, 2],
+    ['uses the template when the server fails', [new Error('offline')], TEMPLATE, 1]
+  ])('%s', async (description, responses, questions, requests) => {
+    for (const response of responses) {
+      if (response instanceof Error) postJson.mockRejectedValueOnce(response);
+      else postJson.mockResolvedValueOnce(response);
+    }
+    expect(await generateCartesianQuestions("I can't speak up")).toEqual(questions);
+    expect(postJson).toHaveBeenCalledTimes(requests);
+  });
+
+  it('sends the broken rules back with the retry', async () => {
+    postJson.mockResolvedValueOnce({ ...VALID, theorem: 'What would happen if you could speak up?' }).mockResolvedValueOnce(VALID);
+    await generateCartesianQuestions("I can't speak up");
+    expect(postJson.mock.calls[1][1].retry).toEqual({
+      previous: { ...VALID, theorem: 'What would happen if you could speak up?' },
+      errors: { theorem: ['could'] }
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { validateQuestion, validateQuestions, describeRule, RULE_FEEDBACK } from '../questionValidator';
+
+describe('validateQuestion', () => {
+  it.each([
+    // key, question, mode, language, broken rules
+    ['theorem', 'What would happen if you spoke up?', 'single', 'en', []],
+    ['converse', "What wouldn't happen if you spoke up?", 'single', 'en', []],
+    ['nonMirrorReverse', "What would not happen if you didn't speak up?", 'single', 'en', []],
+    ['theorem', '  What would happen if you were good enough?  ', 'single', 'en', []],
+    ['theorem', undefined, 'single', 'en', ['missing']],
+    ['theorem', '   ', 'single', 'en', ['missing']],
+    ['theorem', 42, 'single', 'en', ['missing']],
+    ['theorem', "What wouldn't happen if you spoke up?", 'single', 'en', ['prefix']],
+    ['converse', 'What would happen if you spoke up?', 'single', 'en', ['prefix']],
+    ['theorem', 'What happened when you spoke up?', 'single', 'en', ['pastTense']],
+    ['converse', "What didn't happen when you spoke up?", 'single', 'en', ['pastTense']],
+    ['theorem', 'What would happen if you could speak up?', 'single', 'en', ['could']],
+    ['inverse', "What would happen if you couldn't speak up?", 'single', 'en', ['could']],
+    ['theorem', 'What would happen if I spoke up?', 'single', 'en', ['notSecondPerson']],
+    ['theorem', 'What would happen if my boss listened?', 'single', 'en', ['notSecondPerson']],
+    ['theorem', 'What would happen if the world were fair?', 'single', 'en', ['notSecondPerson']],
+    ['theorem', 'What would happen if you spoke up at every single meeting with your manager and your whole team present today?', 'single', 'en', ['tooLong']],
+    // Two-variable: every quadrant asks what WOULD happen, naming A and B
+    ['converse', "What would happen if you didn't speak up and got fired?", 'two-variable', 'en', []],
+    ['converse', "What wouldn't happen if you spoke up and got fired?", 'two-variable', 'en', ['prefix']],
+    ['theorem', 'What would happen if you spoke up?', 'two-variable', 'en', ['notCombined']],
+    ['theorem', 'What would happen if you spoke up at the weekly meeting with your manager and got fired by her that very afternoon?', 'two-variable', 'en', []],
+    // Other languages: the quadrant frame and the length limit only
+    ['theorem', '¿Qué pasaría si «eres suficiente» fuera cierto?', 'single', 'es', []],
+    ['converse', '¿Qué no pasaría si «eres suficiente» fuera cierto?', 'single', 'es', []],
+    ['converse', '¿Qué pasaría si «eres suficiente» fuera cierto?', 'single', 'es', ['prefix']],
+    ['inverse', 'Was würde passieren, wenn „du bist gut genug“ nicht wahr wäre?', 'single', 'de', []],
+    ['theorem', 'Que ne se passerait-il pas si « vous êtes assez bon » était vrai ?', 'single', 'fr', ['prefix']]
+  ])('%s: %s (%s, %s)', (key, question, mode, language, errors) => {
+    expect(validateQuestion(key, question, mode, language)).toEqual(errors);
+  });
+});
+
+describe('validateQuestions', () => {
+  it('maps each broken quadrant to its rules', () => {
+    const questions = {
+      theorem: 'What would happen if you spoke up?',
+      converse: 'What would happen if you spoke up?',
+      inverse: "What would happen if you didn't speak up?"
+    };
+    expect(validateQuestions(questions)).toEqual({
+      valid: false,
+      errors: { converse: ['prefix'], nonMirrorReverse: ['missing'] }
+    });
+  });
+
+  it('accepts four valid quadrants', () => {
+    expect(validateQuestions({
+      theorem: 'What would happen if you spoke up?',
+      converse: "What wouldn't happen if you spoke up?",
+      inverse: "What would happen if you didn't speak up?",
+      nonMirrorReverse: "What wouldn't happen if you didn't speak up?"
+    })).toEqual({ valid: true, errors: {} });
+  });
+
+  it('treats a missing response as four missing questions', () => {
+    expect(validateQuestions(null).errors).toEqual({
+      theorem: ['missing'], converse: ['missing'], inverse: ['missing'], nonMirrorReverse: ['missing']
+    });
+  });
+});
+
+describe('describeRule', () => {
+  it.each([
+    ['could', 'single', 'en', RULE_FEEDBACK.could],
+    ['prefix', 'single', 'en', RULE_FEEDBACK.prefix],
+    ['prefix', 'two-variable', 'en', 'Every question must start with "What would happen if"'],
+    ['prefix', 'single', 'de', '"Was würde passieren" for Theorem/Inverse, "Was würde nicht passieren" for Converse'],
+    ['tooLong', 'two-variable', 'en', 'under 30 words']
+  ])('%s (%s, %s)', (code, mode, language, text) => {
+    expect(describeRule(code, mode, language)).toContain(text);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getExportFilename, createChapterPlaylist } from '../sessionExport';
+
+describe('getExportFilename', () => {
+  it.each([
+    // belief, extension, file name
+    ["I can't be happy", 'wav', 'i-cant-be-happy.wav'],
+    ['No puedo hablar en público', 'wav', 'no-puedo-hablar-en-publico.wav'],
+    ['Ich bin nicht groß genug', 'm3u', 'ich-bin-nicht-gross-genug.m3u'],
+    ['Je ne suis pas à la hauteur', 'wav', 'je-ne-suis-pas-a-la-hauteur.wav'],
+    ['  "Nobody" listens!  ', 'wav', 'nobody-listens.wav'],
+    // Nothing usable left in the belief
+    ['', 'wav', 'session.wav'],
+    ['¿?', 'wav', 'session.wav'],
+    [undefined, 'wav', 'session.wav']
+  ])('%s', (belief, extension, filename) => {
+    expect(getExportFilename(belief, extension)).toBe(filename);
+  });
+
+  it('cuts long beliefs at a word break', () => {
+    const filename = getExportFilename('I always mess up every single interview I have ever gone to in my life', 'wav');
+    expect(filename).toBe('i-always-mess-up-every-single-interview-i-have-ever-gone-to.wav');
+    expect(filename.length).toBeLessThanOrEqual(64);
+  });
+});
+
+describe('createChapterPlaylist', () => {
+  it('runs each chapter until the next one starts, and the last to its own end', () => {
+    const chapters = [
+      { title: 'What would happen if you spoke up?', start: 0.5, duration: 3.2 },
+      { title: "What wouldn't happen if you spoke up?", start: 5.7, duration: 2.6 }
+    ];
+    expect(createChapterPlaylist(chapters, 'i-cant-speak-up.wav')).toBe([
+      '#EXTM3U',
+      '#EXTINF:5,1. What would happen if you spoke up?',
+      '#EXTVLCOPT:start-time=0.50',
+      '#EXTVLCOPT:stop-time=5.70',
+      'i-cant-speak-up.wav',
+      "#EXTINF:3,2. What wouldn't happen if you spoke up?",
+      '#EXTVLCOPT:start-time=5.70',
+      '#EXTVLCOPT:stop-time=8.30',
+      'i-cant-speak-up.wav',
+      ''
+    ].join('\n'));
+  });
+
+  it('is just the header without chapters', () => {
+    expect(createChapterPlaylist([], 'session.wav')).toBe('#EXTM3U\n');
+  });
+});
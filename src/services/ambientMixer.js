@@ -0,0 +1,223 @@
+/**
+ * Ambient Mixer
+ * Web Audio layers played under the spoken questions: a looping ambient bed
+ * (brown noise or binaural-style tones, generated in code so there is nothing
+ * to download) and a soft chime between questions. The bed is ducked while a
+ * question is spoken and comes back up in the pauses.
+ */
+
+// Bed ids; names and descriptions are in the i18n catalogs (ambient.bed.<id>)
+export const AMBIENT_BEDS = ['none', 'brownNoise', 'binaural'];
+
+const DUCK_RATIO = 0.3; // Bed level while a question is spoken
+const RAMP_SECONDS = 0.15; // Time constant for volume changes, so they never click
+const NOISE_SECONDS = 8; // Length of the looped noise buffer
+const BINAURAL_BASE_HZ = 200;
+const BINAURAL_BEAT_HZ = 6;
+const CHIME_HZ = 660;
+const CHIME_PARTIALS = [
+  { ratio: 1, gain: 1, decay: 2.5 },
+  { ratio: 2.76, gain: 0.4, decay: 1.4 },
+  { ratio: 5.4, gain: 0.15, decay: 0.8 }
+];
+
+/**
+ * Check if the browser can mix ambient audio
+ * @returns {boolean}
+ */
+export function isWebAudioSupported() {
+  return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+}
+
+/**
+ * Check whether any ambient layer would be heard
+ * @param {object|null} layers - As for createAmbientMixer
+ * @returns {boolean} - false when the bed is off and the chime is off or silent
+ */
+export function hasAmbientLayers(layers) {
+  if (!layers) return false;
+  const bed = layers.ambientBed !== 'none' && layers.ambientVolume > 0;
+  const chime = layers.chime && layers.chimeVolume > 0;
+  return Boolean(bed || chime);
+}
+
+/**
+ * Create the mixer; call it from a click so the browser lets it play
+ * @param {object} layers
+ * @param {string} layers.ambientBed - Bed id from AMBIENT_BEDS
+ * @param {number} layers.ambientVolume - Bed volume, 0-1
+ * @param {boolean} layers.chime - Play a chime between questions
+ * @param {number} layers.chimeVolume - Chime volume, 0-1
+ * @returns {object|null} - { update, duck, chime, pause, resume, close }, or null without Web Audio
+ */
+export function createAmbientMixer(layers) {
+  if (!isWebAudioSupported()) {
+    console.warn('Web Audio not supported, playing without ambient audio');
+    return null;
+  }
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const ambientGain = context.createGain();
+  const chimeGain = context.createGain();
+  ambientGain.connect(context.destination);
+  chimeGain.connect(context.destination);
+
+  let current = { ambientBed: 'none', ambientVolume: 0, chime: false, chimeVolume: 0 };
+  let bedNodes = [];
+  let ducked = false;
+  let closed = false;
+
+  const stopBed = () => {
+    bedNodes.forEach((node) => {
+      if (node.stop) node.stop();
+      node.disconnect();
+    });
+    bedNodes = [];
+  };
+
+  const mixer = {
+    // Apply changed layer settings (bed, volumes, chime), even mid-session
+    update: (next) => {
+      if (closed) return;
+      const previous = current;
+      current = { ...current, ...next };
+      if (current.ambientBed !== previous.ambientBed) {
+        stopBed();
+        console.log(`🌊 Ambient bed: ${current.ambientBed}`);
+        bedNodes = startBed(context, current.ambientBed, ambientGain);
+      }
+      setBedLevel(ambientGain.gain, current.ambientVolume, ducked, context.currentTime);
+      chimeGain.gain.value = current.chimeVolume;
+    },
+    // Lower the bed while a question is spoken
+    duck: (on) => {
+      if (closed || ducked === on) return;
+      ducked = on;
+      setBedLevel(ambientGain.gain, current.ambientVolume, ducked, context.currentTime);
+    },
+    chime: () => {
+      if (closed || !current.chime || current.chimeVolume === 0) return;
+      scheduleChime(context, chimeGain, context.currentTime);
+    },
+    pause: () => {
+      if (!closed) context.suspend();
+    },
+    resume: () => {
+      if (!closed) context.resume();
+    },
+    close: () => {
+      if (closed) return;
+      closed = true;
+      stopBed();
+      context.close();
+    }
+  };
+
+  ambientGain.gain.value = 0;
+  mixer.update(layers);
+  // Some browsers start the context suspended until it is resumed in a gesture
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+  return mixer;
+}
+
+/**
+ * Start an ambient bed (also used for offline rendering)
+ * @param {BaseAudioContext} context - Live or offline audio context
+ * @param {string} id - Bed id from AMBIENT_BEDS
+ * @param {AudioNode} destination - Node to play into
+ * @param {number} when - Context time to start at (default now)
+ * @returns {array} - The bed's nodes, to stop and disconnect later
+ */
+export function startBed(context, id, destination, when = 0) {
+  if (id === 'brownNoise') {
+    const source = context.createBufferSource();
+    source.buffer = createBrownNoise(context);
+    source.loop = true;
+    source.connect(destination);
+    source.start(when);
+    return [source];
+  }
+
+  if (id === 'binaural') {
+    // One tone per ear; the difference is heard as a slow beat
+    const merger = context.createChannelMerger(2);
+    const toneGain = context.createGain();
+    toneGain.gain.value = 0.25; // Pure tones sound much louder than noise
+    const left = context.createOscillator();
+    const right = context.createOscillator();
+    left.frequency.value = BINAURAL_BASE_HZ;
+    right.frequency.value = BINAURAL_BASE_HZ + BINAURAL_BEAT_HZ;
+    left.connect(merger, 0, 0);
+    right.connect(merger, 0, 1);
+    merger.connect(toneGain);
+    toneGain.connect(destination);
+    left.start(when);
+    right.start(when);
+    return [left, right, merger, toneGain];
+  }
+
+  return [];
+}
+
+/**
+ * Move the bed's gain to its full or ducked level
+ * @param {AudioParam} param - The bed's gain
+ * @param {number} volume - Bed volume, 0-1
+ * @param {boolean} ducked - A question is being spoken
+ * @param {number} when - Context time of the change
+ */
+export function setBedLevel(param, volume, ducked, when) {
+  param.setTargetAtTime(volume * (ducked ? DUCK_RATIO : 1), when, RAMP_SECONDS);
+}
+
+/**
+ * Ring the chime once
+ * @param {BaseAudioContext} context - Live or offline audio context
+ * @param {AudioNode} destination - Node to play into (its gain sets the volume)
+ * @param {number} when - Context time to ring at
+ * @returns {number} - How long the chime rings, in seconds
+ */
+export function scheduleChime(context, destination, when) {
+  CHIME_PARTIALS.forEach(({ ratio, gain, decay }) => {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.frequency.value = CHIME_HZ * ratio;
+    envelope.gain.setValueAtTime(0, when);
+    envelope.gain.linearRampToValueAtTime(gain * 0.3, when + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, when + decay);
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(when);
+    oscillator.stop(when + decay);
+    oscillator.onended = () => envelope.disconnect();
+  });
+  return Math.max(...CHIME_PARTIALS.map((partial) => partial.decay));
+}
+
+// Integrated white noise; the extra tail is crossfaded into the start so the loop is seamless
+function createBrownNoise(context) {
+  const length = NOISE_SECONDS * context.sampleRate;
+  const fade = Math.floor(context.sampleRate * 0.5);
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  const noise = new Float32Array(length + fade);
+
+  for (let channel = 0; channel < 2; channel++) {
+    let last = 0;
+    for (let i = 0; i < noise.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      noise[i] = last * 3.5;
+    }
+
+    const data = buffer.getChannelData(channel);
+    data.set(noise.subarray(0, length));
+    for (let i = 0; i < fade; i++) {
+      const mix = i / fade;
+      data[i] = noise[i] * mix + noise[length + i] * (1 - mix);
+    }
+  }
+
+  return buffer;
+}
@@ -0,0 +1,146 @@
+/**
+ * Reflective Answer Capture
+ * Listens for the user's answer after a question, by voice or text.
+ * The answer ends on a spoken "next", after a stretch of silence, or when
+ * the user submits it from the text box. The silence timer waits while
+ * there is unsubmitted text in the box, and stops once the microphone fails.
+ */
+
+import { createSpeechRecognition, isSpeechRecognitionSupported } from './speechRecognition';
+import { DEFAULT_LANGUAGE, getLanguage } from '../i18n';
+
+// "...and that's it, next" / "next question" / "move on" at the end of a phrase, by language
+const NEXT_COMMANDS = {
+  en: /(?:^|[\s,.])(next(?: question)?|move on|continue)[\s.!]*$/i,
+  es: /(?:^|[\s,.])(siguiente(?: pregunta)?|sigamos|continuar)[\s.!]*$/i,
+  de: /(?:^|[\s,.])(weiter|nächste(?: Frage)?)[\s.!]*$/i,
+  fr: /(?:^|[\s,.])(suivant(?:e)?|question suivante|continuer|continuons)[\s.!]*$/i
+};
+
+/**
+ * Start capturing an answer
+ * @param {object} options
+ * @param {number} options.silenceMs - Advance after this long without new speech (default 8000)
+ * @param {function} options.onTranscript - Callback with the answer so far
+ * @param {function} options.onListeningChange - Callback with false when voice input fails
+ * @param {string} options.language - Language to listen in (default en)
+ * @returns {object} - { promise, finish(text), touch(text), cancel(), listening }; promise resolves
+ *   to the answer as { text, source } where source is voice | text | mixed. touch() passes the
+ *   text box's content as it is typed; listening is whether voice input is still on
+ */
+export function captureAnswer({ silenceMs = 8000, onTranscript, onListeningChange, language = DEFAULT_LANGUAGE } = {}) {
+  const useVoice = isSpeechRecognitionSupported();
+  const nextCommand = NEXT_COMMANDS[language] || NEXT_COMMANDS[DEFAULT_LANGUAGE];
+  const spoken = [];
+  let recognition = null;
+  let silenceTimer = null;
+  let done = false;
+  let voiceFailed = false;
+  let draft = ''; // Typed but not yet submitted
+  let resolveAnswer;
+
+  const promise = new Promise((resolve) => {
+    resolveAnswer = resolve;
+  });
+
+  const transcript = () => spoken.join(' ').trim();
+
+  const complete = (typed = draft) => {
+    if (done) return;
+    done = true;
+    clearTimeout(silenceTimer);
+    if (recognition) {
+      recognition.abort();
+    }
+
+    const voiceText = transcript();
+    const typedText = typed.trim();
+    const text = [voiceText, typedText].filter(Boolean).join(' ');
+    const source = voiceText && typedText ? 'mixed' : typedText ? 'text' : 'voice';
+    console.log(`📝 Answer captured (${source}): ${text || '(no answer)'}`);
+    resolveAnswer({ text, source });
+  };
+
+  const resetSilenceTimer = () => {
+    clearTimeout(silenceTimer);
+    // Someone still typing, or no voice input to be silent in
+    if (draft.trim() || !useVoice || voiceFailed) return;
+    silenceTimer = setTimeout(() => {
+      console.log(`🤫 ${silenceMs}ms of silence - moving on`);
+      complete();
+    }, silenceMs);
+  };
+
+  if (useVoice) {
+    recognition = createSpeechRecognition(
+      (phrase) => {
+        const match = phrase.match(nextCommand);
+        const words = match ? phrase.slice(0, match.index).trim() : phrase.trim();
+        if (words) {
+          spoken.push(words);
+          if (onTranscript) onTranscript(transcript());
+        }
+
+        if (match) {
+          console.log('⏭️ Heard "next"');
+          complete();
+        } else {
+          resetSilenceTimer();
+        }
+      },
+      (error) => {
+        // "no-speech" and "aborted" are normal here; silence handling moves on
+        if (error === 'no-speech' || error === 'aborted') return;
+        console.warn('Answer capture error:', error);
+        // Without a microphone or the recognition service ("network"), restarting would
+        // just fail again, as in dictation; the text box still works
+        voiceFailed = true;
+        clearTimeout(silenceTimer);
+        if (onListeningChange) onListeningChange(false);
+      },
+      {
+        continuous: true,
+        lang: getLanguage(language).locale,
+        // Browsers end recognition after a while even in continuous mode
+        onEnd: () => {
+          if (!done && !voiceFailed) recognition.start();
+        }
+      }
+    );
+
+    recognition.start();
+    resetSilenceTimer();
+  }
+
+  return {
+    promise,
+    finish: (typed) => complete(typed),
+    touch: (typed) => {
+      draft = typed;
+      resetSilenceTimer();
+    },
+    cancel: () => complete(),
+    get listening() {
+      return useVoice && !voiceFailed && !done;
+    }
+  };
+}
+
+/**
+ * Build a plain-text transcript of the session
+ * @param {string} belief - The user's belief
+ * @param {array} items - Formatted questions in playback order ({ label, question })
+ * @param {array} answers - Answers by question index ({ text, source })
+ * @returns {string} - Transcript text
+ */
+export function formatTranscript(belief, items, answers) {
+  const lines = [`Belief: "${belief}"`, ''];
+
+  items.forEach((item, index) => {
+    lines.push(`${item.label}: ${item.question}`);
+    lines.push(`Answer: ${answers[index]?.text || '(no answer)'}`);
+    lines.push('');
+  });
+
+  return lines.join('\n').trim();
+}
@@ -0,0 +1,105 @@
+/**
+ * API Client
+ * Talks to the app's own API server, which holds the OpenAI key.
+ * The server rate limits each client across all routes, so every request
+ * waits out a 429 (per its Retry-After) and paced requests share one schedule.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '';
+
+const MAX_RATE_LIMIT_WAITS = 3; // Times one request waits out a 429 before failing
+const DEFAULT_RETRY_AFTER_SECONDS = 10; // When a 429 has no Retry-After header
+
+let rateLimitedUntil = 0; // No request is sent before this time (ms) after a 429
+let nextRequestAt = 0; // Earliest start of the next paced request (ms)
+
+/**
+ * Wait until a request may be sent: after any 429 has expired and, when
+ * paced, at least interval ms after the previous paced request
+ * @param {number} interval - Minimum ms between paced requests (0 to send at once)
+ */
+async function waitForRequestSlot(interval) {
+  // Slots are claimed on sending, so requests held up by a 429 stay paced afterwards
+  for (;;) {
+    const wait = Math.max(rateLimitedUntil, interval > 0 ? nextRequestAt : 0) - Date.now();
+    if (wait <= 0) break;
+    await delay(wait);
+  }
+  if (interval > 0) nextRequestAt = Date.now() + interval;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+/**
+ * POST a JSON body to an API route, waiting out the server's rate limit
+ * @param {string} path - Route path, e.g. '/api/questions'
+ * @param {object} body - JSON-serializable request body
+ * @param {object} options
+ * @param {number} options.interval - Minimum ms between paced requests (default 0: not paced)
+ * @returns {Promise<Response>} - Successful fetch response; errors carry status, and
+ *   retryAfter (seconds) when the server is still rate limiting
+ */
+async function post(path, body, { interval = 0 } = {}) {
+  for (let waits = 0; ; waits++) {
+    await waitForRequestSlot(interval);
+    try {
+      return await send(path, body);
+    } catch (error) {
+      if (error.status !== 429 || waits >= MAX_RATE_LIMIT_WAITS) throw error;
+      const seconds = error.retryAfter || DEFAULT_RETRY_AFTER_SECONDS;
+      console.log(`⏳ Rate limited on ${path} - waiting ${seconds}s`);
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + seconds * 1000);
+    }
+  }
+}
+
+// One POST; non-2xx responses become errors with status and retryAfter
+async function send(path, body) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    let message = response.statusText;
+    try {
+      message = (await response.json()).error || message;
+    } catch {
+      // Non-JSON error body; keep the status text
+    }
+    const error = new Error(message);
+    error.status = response.status;
+    const retryAfter = Number(response.headers.get('Retry-After'));
+    if (retryAfter > 0) error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * POST to an API route and parse the JSON response
+ * @param {string} path - Route path
+ * @param {object} body - Request body
+ * @param {object} options - { interval } as for post()
+ * @returns {Promise<object>} - Parsed response
+ */
+export async function postJson(path, body, options) {
+  const response = await post(path, body, options);
+  return response.json();
+}
+
+/**
+ * POST to an API route and read the response as a Blob
+ * @param {string} path - Route path
+ * @param {object} body - Request body
+ * @param {object} options - { interval } as for post()
+ * @returns {Promise<Blob>} - Response body
+ */
+export async function postForBlob(path, body, options) {
+  const response = await post(path, body, options);
+  return response.blob();
+}
@@ -0,0 +1,149 @@
+/**
+ * Audio Cache
+ * Keeps generated question speech in IndexedDB so a belief can be replayed
+ * without paying for (or waiting on) the TTS API again, including offline.
+ * Entries are content-addressed by model + voice + speed + text and evicted
+ * least-recently-used first once the cache grows past its limits.
+ */
+
+const DB_NAME = 'quantum-linguistics-audio';
+const DB_VERSION = 1;
+const STORE = 'audio';
+
+export const MAX_CACHE_BYTES = 50 * 1024 * 1024; // 50 MB
+export const MAX_CACHE_ENTRIES = 500;
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean}
+ */
+export function isAudioCacheSupported() {
+  return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one transaction; resolves with the callback's result once it commits
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const result = callback(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(result.value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Build the cache key for a piece of speech
+ * @param {object} params
+ * @param {string} params.text - Spoken text
+ * @param {string} params.voice - TTS voice
+ * @param {number} params.speed - Speech speed
+ * @param {string} params.model - TTS model
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+export async function makeAudioCacheKey({ text, voice, speed, model }) {
+  const data = new TextEncoder().encode(JSON.stringify([model, voice, speed, text]));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up cached speech, marking it as recently used
+ * @param {string} key - Cache key from makeAudioCacheKey
+ * @returns {Promise<Blob|null>} - Audio blob, or null on a miss
+ */
+export async function getCachedAudio(key) {
+  return withStore('readwrite', (store) => {
+    const result = { value: null };
+    const request = store.get(key);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (entry) {
+        result.value = entry.blob;
+        store.put({ ...entry, lastUsed: Date.now() });
+      }
+    };
+    return result;
+  });
+}
+
+/**
+ * Store speech, then evict old entries beyond the size and count limits
+ * @param {string} key - Cache key from makeAudioCacheKey
+ * @param {Blob} blob - Audio blob
+ */
+export async function putCachedAudio(key, blob) {
+  if (blob.size > MAX_CACHE_BYTES) return;
+
+  const now = Date.now();
+  await withStore('readwrite', (store) => {
+    store.put({ key, blob, size: blob.size, createdAt: now, lastUsed: now });
+    return { value: undefined };
+  });
+  await evictAudio();
+}
+
+/**
+ * Delete least-recently-used entries until the cache is within its limits
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function evictAudio() {
+  return withStore('readwrite', (store) => {
+    const result = { value: 0 };
+    const entries = [];
+
+    // Walk newest first, keeping entries until a limit is reached
+    store.index('lastUsed').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        entries.push({ key: cursor.value.key, size: cursor.value.size });
+        cursor.continue();
+        return;
+      }
+
+      let totalBytes = 0;
+      entries.forEach((entry, index) => {
+        totalBytes += entry.size;
+        if (totalBytes > MAX_CACHE_BYTES || index >= MAX_CACHE_ENTRIES) {
+          store.delete(entry.key);
+          result.value++;
+        }
+      });
+      if (result.value > 0) {
+        console.log(`🧹 Evicted ${result.value} cached audio file(s)`);
+      }
+    };
+    return result;
+  });
+}
+
+/**
+ * Remove every cached audio file
+ */
+export async function clearAudioCache() {
+  await withStore('readwrite', (store) => {
+    store.clear();
+    return { value: undefined };
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * Batch Sessions
+ * Runs a prepared list of beliefs (pasted one per line, or imported from a
+ * text or CSV file) through question generation a couple at a time, then
+ * joins the results into one longer session that plays the beliefs back to
+ * back. Each belief keeps its own status so the queue can be shown while it
+ * runs and a failed belief can be retried on its own.
+ */
+
+import { buildPlaybackItems } from './sessionScripts';
+
+export const MAX_BATCH_BELIEFS = 20;
+export const MAX_BATCH_BELIEF_LENGTH = 500; // The API server's belief limit
+export const BATCH_CONCURRENCY = 2; // Beliefs generating at once
+// A full batch sends dozens of question, reframe and speech requests; pacing them all
+// to about 20 a minute keeps the batch under the server's 30 per client per minute
+export const BATCH_REQUEST_INTERVAL_MS = 3000;
+
+// Column headers that name the belief column of an imported CSV
+const BELIEF_HEADERS = ['belief', 'beliefs', 'limiting belief', 'creencia', 'glaubenssatz', 'croyance'];
+
+/**
+ * Read a list of beliefs from pasted text or an imported file
+ * @param {string} text - One belief per line, or CSV
+ * @param {object} options
+ * @param {boolean} options.csv - Read the text as CSV (default: only when the first row is a belief header)
+ * @returns {object} - { beliefs, tooLong, overLimit }: the beliefs to run, and how many were
+ *   left out for being over MAX_BATCH_BELIEF_LENGTH or past MAX_BATCH_BELIEFS
+ */
+export function parseBeliefList(text, { csv } = {}) {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const lines = source.split(/\r?\n/);
+  let cells = lines;
+
+  // Spreadsheets in some locales separate cells with semicolons
+  const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+  // Pasted beliefs often contain commas, so plain text is only split into columns under a header
+  const header = parseCsv(lines[0], delimiter)[0].map((cell) => cell.trim().toLowerCase());
+  const column = header.findIndex((cell) => BELIEF_HEADERS.includes(cell));
+  if (csv || column !== -1) {
+    const rows = parseCsv(source, delimiter);
+    cells = (column !== -1 ? rows.slice(1) : rows).map((row) => row[Math.max(column, 0)] || '');
+  }
+
+  const seen = new Set();
+  const beliefs = [];
+  let tooLong = 0;
+  let overLimit = 0;
+  for (const cell of cells) {
+    const belief = cell
+      .trim()
+      .replace(/^(?:[-*•]|\d+[.)])\s+/, '') // List markers
+      .replace(/^["'“”]+|["'“”]+$/g, '')
+      .trim();
+    const key = belief.toLowerCase();
+    if (!belief || seen.has(key)) continue;
+    seen.add(key);
+
+    if (belief.length > MAX_BATCH_BELIEF_LENGTH) {
+      tooLong++;
+    } else if (beliefs.length >= MAX_BATCH_BELIEFS) {
+      overLimit++;
+    } else {
+      beliefs.push(belief);
+    }
+  }
+
+  return { beliefs, tooLong, overLimit };
+}
+
+/**
+ * Start a batch queue
+ * @param {array} beliefs - Beliefs in playback order
+ * @returns {array} - Entries ({ id, belief, status: 'queued' })
+ */
+export function createBatchEntries(beliefs) {
+  return beliefs.map((belief, index) => ({ id: `belief-${index + 1}`, belief, status: 'queued' }));
+}
+
+/**
+ * Generate each entry, a few at a time, in queue order
+ * @param {array} entries - Batch entries to run
+ * @param {function} generate - Async (belief) => fields to merge into the entry once it is ready
+ * @param {object} options
+ * @param {number} options.concurrency - Beliefs generating at once (default BATCH_CONCURRENCY)
+ * @param {function} options.onUpdate - Callback with (id, changes) as each entry starts,
+ *   is ready ({ status: 'ready', ...fields }) or fails ({ status: 'failed', error })
+ * @returns {Promise<object>} - { ready, failed } counts once every entry has settled; never rejects
+ */
+export async function runBatch(entries, generate, { concurrency = BATCH_CONCURRENCY, onUpdate } = {}) {
+  console.log(`📋 Generating ${entries.length} belief(s), ${concurrency} at a time`);
+  const update = (id, changes) => {
+    if (onUpdate) onUpdate(id, changes);
+  };
+
+  // Workers pull the next belief in queue order until none are left
+  let next = 0;
+  let ready = 0;
+  let failed = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const { id, belief } = entries[next++];
+      update(id, { status: 'generating', error: null });
+      try {
+        const fields = await generate(belief);
+        ready++;
+        update(id, { status: 'ready', ...fields });
+      } catch (error) {
+        failed++;
+        console.error(`Batch belief failed: ${belief}`, error);
+        update(id, { status: 'failed', error: error.message });
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, entries.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return { ready, failed };
+}
+
+/**
+ * The questions of every ready entry, in playback order
+ * @param {array} entries - Batch entries; each ready one has items ({ key, label, question })
+ * @returns {array} - Items with beliefIndex (the entry's position) and the belief's number in their label
+ */
+export function getBatchItems(entries) {
+  return entries.flatMap((entry, beliefIndex) => (
+    entry.status === 'ready'
+      ? entry.items.map((item) => ({ ...item, label: `${beliefIndex + 1}. ${item.label}`, beliefIndex }))
+      : []
+  ));
+}
+
+/**
+ * Build the spoken playback list for a batch: each ready belief in turn,
+ * wrapped in the session script with one intro before the first belief and
+ * one closing after the last
+ * @param {object|null} script - Session script, or null for the bare questions
+ * @param {array} entries - Batch entries
+ * @param {string} language - Language of the session (default en)
+ * @returns {array} - Playback items as from buildPlaybackItems, with beliefIndex on each;
+ *   questionIndex is the item's position in getBatchItems(entries)
+ */
+export function buildBatchPlaybackItems(script, entries, language) {
+  const items = getBatchItems(entries);
+  const ready = entries
+    .map((entry, beliefIndex) => ({ entry, beliefIndex }))
+    .filter(({ entry }) => entry.status === 'ready');
+  let offset = 0;
+
+  return ready.flatMap(({ entry, beliefIndex }, position) => {
+    // Script text reads the belief's own labels; the numbered ones are for the session
+    const playback = buildPlaybackItems(script, entry.belief, entry.items, language)
+      .filter((item) => (item.key !== 'script-intro' || position === 0) && (item.key !== 'script-closing' || position === ready.length - 1))
+      .map((item) => (item.questionIndex === -1
+        ? { ...item, beliefIndex }
+        : { ...item, label: items[item.questionIndex + offset].label, beliefIndex, questionIndex: item.questionIndex + offset }));
+    offset += entry.items.length;
+    return playback;
+  });
+}
+
+/**
+ * Audio progress of each belief in a batch session
+ * @param {array} playbackItems - Playback items from buildBatchPlaybackItems
+ * @param {array} statuses - pending | ready | failed for each playback item's audio
+ * @returns {object} - { ready, failed, total } keyed by beliefIndex
+ */
+export function getBatchAudioStatus(playbackItems, statuses) {
+  const byBelief = {};
+  playbackItems.forEach((item, index) => {
+    const counts = byBelief[item.beliefIndex] ?? { ready: 0, failed: 0, total: 0 };
+    counts.total++;
+    if (statuses[index] === 'ready') counts.ready++;
+    if (statuses[index] === 'failed') counts.failed++;
+    byBelief[item.beliefIndex] = counts;
+  });
+  return byBelief;
+}
+
+// Split CSV text into rows of cells ("quoted, cells" and "" escapes included)
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows;
+}
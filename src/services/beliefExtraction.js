@@ -0,0 +1,56 @@
+/**
+ * Belief Extraction
+ * Turns free-form text or a dictated transcript into a ranked list of
+ * candidate limiting beliefs through the API server, falling back to the
+ * offline extractor (linguistics/extraction.js) when the server is
+ * unavailable or returns nothing usable.
+ */
+
+import { postJson } from './apiClient';
+import { extractBeliefs, MAX_EXTRACTED_WORDS, MAX_CANDIDATES } from './linguistics';
+import { DEFAULT_LANGUAGE } from '../i18n';
+
+/**
+ * Find the candidate beliefs in free-form text
+ * @param {string} text - What the user typed or dictated
+ * @param {object} options
+ * @param {string} options.language - Language of the text (default en)
+ * @returns {Promise<array>} - Candidate beliefs, best first (empty when none stand out)
+ */
+export async function findBeliefCandidates(text, { language = DEFAULT_LANGUAGE } = {}) {
+  try {
+    console.log('Requesting belief extraction from API server...');
+    const { beliefs } = await postJson('/api/extract-beliefs', { text, language });
+    const usable = keepUsableBeliefs(beliefs);
+    if (usable.length > 0) {
+      return usable;
+    }
+    console.warn('Belief extraction returned nothing usable - using the offline extractor');
+  } catch (error) {
+    console.error('Belief extraction API Error - falling back to the offline extractor');
+    console.error('Error details:', {
+      message: error.message,
+      status: error.status
+    });
+  }
+
+  return extractBeliefs(text, language).map((candidate) => candidate.belief);
+}
+
+// Single statements of a sensible length, without quotes or repeats
+function keepUsableBeliefs(beliefs) {
+  if (!Array.isArray(beliefs)) return [];
+
+  const seen = new Set();
+  const usable = [];
+  for (const belief of beliefs) {
+    if (typeof belief !== 'string') continue;
+    const text = belief.trim().replace(/^["'“”«»„]+|["'“”«»„]+$/g, '').trim();
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const key = text.toLowerCase();
+    if (words < 2 || words > MAX_EXTRACTED_WORDS || text.endsWith('?') || seen.has(key)) continue;
+    seen.add(key);
+    usable.push(text);
+  }
+  return usable.slice(0, MAX_CANDIDATES);
+}
@@ -7,212 +7,182 @@
  * 2. Converse (~AB): What wouldn't happen if you did?
  * 3. Inverse (A~B): What would happen if you didn't?
  * 4. Non-Mirror Image Reverse (~A~B): What wouldn't happen if you didn't?
+ *
+ * In two-variable mode the quadrants cross a cause A with its effect B
+ * ("What would happen if you spoke up and didn't get fired?").
  */
 
-import OpenAI from 'openai';
+import { postJson } from './apiClient';
+import { QUADRANT_KEYS, validateQuestion, validateQuestions } from './questionValidator';
+import { analyzeBeliefStructure, analyzeMetaModel, generateEngineQuestions, generateTwoVariableQuestions } from './linguistics';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
 
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  dangerouslyAllowBrowser: true // Note: In production, route through backend
-});
+// Regenerate once with targeted feedback before repairing from templates
+const MAX_VALIDATION_RETRIES = 1;
 
 /**
- * Parse the belief to extract the verb type (being/doing/having)
+ * Parse the belief into its linguistic structure
  * @param {string} belief - The user's limiting belief
- * @returns {object} - Parsed belief structure
+ * @returns {object} - Parsed belief structure: verbType (being/doing/having),
+ *   isNegative, structure (simple/cause-effect/complex-equivalence), components
+ *   ({ a, b, connector }), modalOperators, universals, nominalizations,
+ *   lostPerformative and the core action
  */
 export function parseBelief(belief) {
-  const beliefLower = belief.toLowerCase().trim();
-
-  // Detect verb type
-  let verbType = 'doing'; // default
-  if (beliefLower.match(/\b(am|is|are|be|being)\b/)) {
-    verbType = 'being';
-  } else if (beliefLower.match(/\b(have|has|having|had|get|getting|got)\b/)) {
-    verbType = 'having';
-  }
-
   return {
     original: belief,
-    verbType,
-    isNegative: beliefLower.includes("can't") || beliefLower.includes("cannot") || beliefLower.includes("not")
+    ...analyzeBeliefStructure(belief)
   };
 }
 
 /**
- * Generate Cartesian Logic questions using GPT-5
+ * Tag the belief's Meta Model violations (deletions, distortions, generalizations)
  * @param {string} belief - The user's limiting belief
- * @returns {Promise<object>} - Object containing the four questions
+ * @returns {array} - Violations in text order: type, label, category, text,
+ *   start/end character offsets and the matching challenge question
  */
-export async function generateCartesianQuestions(belief) {
-  const parsed = parseBelief(belief);
-
-  const systemPrompt = `You are an expert NLP Master Practitioner specializing in Quantum Linguistics and Cartesian Logic.
-
-Your task is to take a limiting belief and generate exactly 4 questions following the Cartesian Coordinates framework:
-
-1. THEOREM (AB) - What would happen if you did/were/had [belief]?
-2. CONVERSE (~AB) - What wouldn't happen if you did/were/had [belief]?
-3. INVERSE (A~B) - What would happen if you didn't/weren't/hadn't [belief]?
-4. NON-MIRROR IMAGE REVERSE (~A~B) - What wouldn't happen if you didn't/weren't/hadn't [belief]?
-
-CRITICAL RULES - Quantum Linguistics requires pure logical transformation:
-- EVERY question MUST start with "What would happen" or "What wouldn't happen" (conditional/hypothetical)
-- NEVER use "What happened" or "What didn't happen" (past tense) - these are WRONG
-- Focus on the CORE ACTION, not meta-language about doing it
-- REMOVE wrapper phrases like "get myself to", "make myself", "force myself to", "convince myself to"
-- Use the EXACT wording from the belief's core action - do NOT add reframes, timeframes, or qualifiers
-- Do NOT add phrases like "even for two minutes", "just for", "today", "this week", etc.
-- Do NOT make therapeutic suggestions or embellishments
-- Transform ONLY the logical structure (positive/negative) according to Cartesian coordinates
-- REMOVE modal verbs about capability (can/can't/could/couldn't) from the belief and use simple past tense (did/didn't)
-- The action uses past tense (did/didn't) but the question frame uses conditional (would/wouldn't)
-- Convert first person "I" to second person "you" for proper questioning format
-- Keep each question concise (under 20 words)
-- Return ONLY the 4 questions as a JSON object with keys: theorem, converse, inverse, nonMirrorReverse
-
-Examples:
-Belief: "I can't get myself to workout in the morning"
-Correct: "What would happen if you did workout in the morning?"
-WRONG: "What would happen if you did get yourself to workout in the morning?" (kept meta-language)
-WRONG: "What happened if you did workout in the morning?" (past tense, not conditional)
-WRONG: "What would happen if you could workout in the morning?" (using 'could' instead of 'did')
-
-Belief: "I can't make myself exercise"
-Correct: "What would happen if you did exercise?"
-WRONG: "What would happen if you did make yourself exercise?" (kept meta-language)
-
-Belief: "I can't get up and workout"
-Correct: "What would happen if you did get up and workout?"
-
-Belief: "I'm not confident"
-Correct: "What would happen if you were confident?"
-WRONG: "What happened if you were confident?" (past tense, not conditional)`;
+export function parseMetaModel(belief) {
+  return analyzeMetaModel(belief);
+}
 
+/**
+ * Generate Cartesian Logic questions using GPT-5 (via the API server)
+ * Output is validated against the prompt's rules; invalid quadrants are retried
+ * with feedback, then repaired from the template questions.
+ * @param {string} belief - The user's limiting belief
+ * @param {object} options
+ * @param {string} options.mode - single (default) or two-variable
+ * @param {object} options.components - { a, b } cause and effect, required in two-variable mode
+ * @param {string} options.language - Language of the belief and questions (default en; single mode only)
+ * @param {number} options.requestInterval - Minimum ms between paced server requests (default 0)
+ * @returns {Promise<object>} - Object containing the four questions
+ */
+export async function generateCartesianQuestions(belief, { mode = 'single', components, language = DEFAULT_LANGUAGE, requestInterval = 0 } = {}) {
+  const attempts = [];
+  const request = mode === 'two-variable'
+    ? { belief, mode, components: { a: components.a, b: components.b } }
+    : { belief, language };
 
   try {
-    console.log('Calling GPT-5 API for question generation...');
-    const response = await openai.chat.completions.create({
-      model: 'gpt-5', // Using GPT-5 as specified
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Generate Cartesian Logic questions for this belief: "${belief}"` }
-      ],
-      response_format: { type: "json_object" },
-      reasoning_effort: "medium", // GPT-5 parameter: balanced reasoning
-      verbosity: "medium", // GPT-5 parameter: concise but complete
-      // Note: temperature, top_p, logprobs NOT supported for GPT-5
-    });
-
-    const content = response.choices[0].message.content;
-    console.log('GPT-5 response received successfully');
-    return JSON.parse(content);
+    console.log('Requesting questions from API server...');
+    let questions = await postJson('/api/questions', request, { interval: requestInterval });
+    attempts.push(questions);
+    console.log('Questions received successfully');
+
+    for (let retry = 0; retry < MAX_VALIDATION_RETRIES; retry++) {
+      const { valid, errors } = validateQuestions(questions, mode, language);
+      if (valid) break;
+
+      console.warn('Questions failed validation, retrying with feedback:', errors);
+      questions = await postJson('/api/questions', {
+        ...request,
+        retry: { previous: pickQuestionStrings(questions), errors }
+      }, { interval: requestInterval });
+      attempts.push(questions);
+    }
   } catch (error) {
-    console.error('GPT-5 API Error - falling back to template questions');
+    console.error('Question API Error - falling back to template questions');
     console.error('Error details:', {
       message: error.message,
       status: error.status,
       type: error.type
     });
-    // Fallback to template-based questions
-    return generateTemplateQuestions(belief, parsed);
   }
+
+  const template = mode === 'two-variable'
+    ? generateTwoVariableQuestions(components.a, components.b)
+    : generateTemplateQuestions(belief, language);
+  return repairQuestions(attempts, template, mode, language);
 }
 
 /**
- * Fallback: Generate template-based questions (no API needed)
- * @param {string} belief - The user's limiting belief
- * @param {object} parsed - Parsed belief structure
+ * Pick the first valid question per quadrant, newest attempt first,
+ * filling any remaining gaps from the template questions
+ * @param {array} attempts - Question objects returned by the model, in order
+ * @param {object} template - Template questions for the same belief and mode
+ * @param {string} mode - single | two-variable
+ * @param {string} language - Language of the questions
  * @returns {object} - Object containing the four questions
  */
-function generateTemplateQuestions(belief, parsed) {
-  const { verbType, isNegative } = parsed;
-
-  // Clean the belief - convert from first person to second person
-  let cleanedBelief = belief.trim();
-
-  // Remove negative prefixes and convert "I" statements to "you" statements
-  cleanedBelief = cleanedBelief
-    .replace(/^I\s+can't\s+/i, 'you did ')
-    .replace(/^I\s+cannot\s+/i, 'you did ')
-    .replace(/^I\s+am\s+not\s+/i, 'you were ')
-    .replace(/^I\s+don't\s+/i, 'you did ')
-    .replace(/^I\s+haven't\s+/i, 'you had ')
-    .replace(/^I'm\s+/i, 'you were ')
-    .replace(/^I\s+am\s+/i, 'you were ')
-    .replace(/^I\s+/i, 'you ');
-
-  // Remove meta-language wrapper phrases that are part of the limiting belief structure
-  cleanedBelief = cleanedBelief
-    .replace(/\bget\s+(yourself|myself)\s+to\s+/gi, '')
-    .replace(/\bmake\s+(yourself|myself)\s+/gi, '')
-    .replace(/\bforce\s+(yourself|myself)\s+to\s+/gi, '')
-    .replace(/\bconvince\s+(yourself|myself)\s+to\s+/gi, '');
-
-  // Convert all pronouns from first person to second person
-  cleanedBelief = cleanedBelief
-    .replace(/\bmyself\b/gi, 'yourself')
-    .replace(/\bme\b/gi, 'you')
-    .replace(/\bmy\b/gi, 'your')
-    .replace(/\bmine\b/gi, 'yours');
-
-  // For negative beliefs, create positive version
-  const positiveAction = cleanedBelief;
-
-  // Create negative version by reversing
-  let negativeAction;
-  if (cleanedBelief.includes('did ')) {
-    negativeAction = cleanedBelief.replace('did ', "didn't ");
-  } else if (cleanedBelief.includes('were ')) {
-    negativeAction = cleanedBelief.replace('were ', "weren't ");
-  } else if (cleanedBelief.includes('had ')) {
-    negativeAction = cleanedBelief.replace('had ', "hadn't ");
-  } else {
-    negativeAction = 'you did not ' + cleanedBelief.replace(/^you\s+/, '');
+function repairQuestions(attempts, template, mode, language) {
+  const candidates = [...attempts].reverse();
+  const questions = {};
+
+  for (const key of QUADRANT_KEYS) {
+    const valid = candidates.find((attempt) => validateQuestion(key, attempt?.[key], mode, language).length === 0);
+    if (valid) {
+      questions[key] = valid[key].trim();
+    } else {
+      if (attempts.length > 0) {
+        console.warn(`Repairing ${key} from template question`);
+      }
+      questions[key] = template[key];
+    }
   }
 
-  return {
-    theorem: `What would happen if ${positiveAction}?`,
-    converse: `What wouldn't happen if ${positiveAction}?`,
-    inverse: `What would happen if ${negativeAction}?`,
-    nonMirrorReverse: `What wouldn't happen if ${negativeAction}?`
-  };
+  return questions;
+}
+
+/**
+ * Keep only string quadrant values so a malformed response can be echoed back
+ * @param {object} questions - Questions object from the model
+ * @returns {object} - Quadrant strings
+ */
+function pickQuestionStrings(questions) {
+  const previous = {};
+  for (const key of QUADRANT_KEYS) {
+    if (typeof questions?.[key] === 'string') {
+      previous[key] = questions[key].slice(0, 300);
+    }
+  }
+  return previous;
+}
+
+/**
+ * Fallback: Generate template-based questions (no API needed)
+ * Uses the offline linguistic engine to restate the belief as A / ~A
+ * @param {string} belief - The user's limiting belief
+ * @param {string} language - Language of the belief
+ * @returns {object} - Object containing the four questions
+ */
+function generateTemplateQuestions(belief, language) {
+  return generateEngineQuestions(belief, language);
 }
 
+// Quadrant descriptions when A and B are crossed explicitly
+const TWO_VARIABLE_DESCRIPTIONS = {
+  theorem: 'What would happen if A and B?',
+  converse: 'What would happen if not A, but B?',
+  inverse: 'What would happen if A, but not B?',
+  nonMirrorReverse: 'What would happen if neither A nor B?'
+};
+
+// Quadrant layout: position, truth values and badge colors
+const QUADRANTS = [
+  { id: 1, key: 'theorem', notation: 'AB', color: 'bg-blue-100 text-blue-800', cell: { a: true, b: true } },
+  { id: 2, key: 'converse', notation: '~AB', color: 'bg-purple-100 text-purple-800', cell: { a: false, b: true } },
+  { id: 3, key: 'inverse', notation: 'A~B', color: 'bg-indigo-100 text-indigo-800', cell: { a: true, b: false } },
+  { id: 4, key: 'nonMirrorReverse', notation: '~A~B', color: 'bg-violet-100 text-violet-800', cell: { a: false, b: false } }
+];
+
 /**
  * Format questions for display
  * @param {object} questions - Questions object from generateCartesianQuestions
- * @returns {array} - Array of formatted question objects
+ * @param {string} mode - single (default) or two-variable
+ * @param {string} language - Language for the labels and descriptions (default en)
+ * @returns {array} - Array of formatted question objects; each has a matrix
+ *   cell ({ a, b } truth values) for the two-variable grid
  */
-export function formatQuestionsForDisplay(questions) {
-  return [
-    {
-      id: 1,
-      label: 'Theorem (AB)',
-      description: 'What would happen if you did?',
-      question: questions.theorem,
-      color: 'bg-blue-100 text-blue-800'
-    },
-    {
-      id: 2,
-      label: 'Converse (~AB)',
-      description: "What wouldn't happen if you did?",
-      question: questions.converse,
-      color: 'bg-purple-100 text-purple-800'
-    },
-    {
-      id: 3,
-      label: 'Inverse (A~B)',
-      description: "What would happen if you didn't?",
-      question: questions.inverse,
-      color: 'bg-indigo-100 text-indigo-800'
-    },
-    {
-      id: 4,
-      label: 'Non-Mirror Reverse (~A~B)',
-      description: "What wouldn't happen if you didn't?",
-      question: questions.nonMirrorReverse,
-      color: 'bg-violet-100 text-violet-800'
-    }
-  ];
+export function formatQuestionsForDisplay(questions, mode = 'single', language = DEFAULT_LANGUAGE) {
+  return QUADRANTS.map(({ id, key, notation, color, cell }) => ({
+    id,
+    key,
+    label: `${translate(language, `quadrant.${key}`)} (${notation})`,
+    description: mode === 'two-variable'
+      ? TWO_VARIABLE_DESCRIPTIONS[key]
+      : translate(language, `quadrant.${key}.description`),
+    question: questions[key],
+    color,
+    cell
+  }));
 }
@@ -0,0 +1,130 @@
+/**
+ * Belief Dictation
+ * Continuous speech-to-text for the belief box. Words show up while the user
+ * is still speaking, each finished phrase is appended to what is already
+ * typed, and phrases the recognizer was unsure of keep their alternatives so
+ * the user can pick the right one. Dictation ends on request or after a
+ * stretch of silence.
+ */
+
+import { createSpeechRecognition } from './speechRecognition';
+
+// Below this confidence a phrase with other candidates is offered for correction
+export const UNSURE_CONFIDENCE = 0.75;
+
+/**
+ * Start dictating
+ * @param {object} options
+ * @param {string} options.lang - Locale to recognize (default en-US)
+ * @param {number} options.silenceMs - Stop after this long without speech (default 5000)
+ * @param {function} options.onPhrase - Callback with each final phrase as
+ *   { id, text, alternatives, unsure }; alternatives are the other candidate transcripts
+ * @param {function} options.onInterim - Callback with the words heard so far in the current phrase
+ * @param {function} options.onError - Callback with a recognition error that ended dictation
+ * @param {function} options.onEnd - Callback once dictation has stopped, for any reason
+ * @returns {object} - { stop() }; the phrase being spoken is still delivered after stop()
+ */
+export function startDictation({ lang = 'en-US', silenceMs = 5000, onPhrase, onInterim, onError, onEnd } = {}) {
+  let state = 'listening'; // listening | stopping | stopped
+  let silenceTimer = null;
+  let phraseCount = 0;
+  let recognition = null;
+
+  const finish = () => {
+    if (state === 'stopped') return;
+    state = 'stopped';
+    clearTimeout(silenceTimer);
+    if (onInterim) onInterim('');
+    if (onEnd) onEnd();
+  };
+
+  const stop = () => {
+    if (state !== 'listening') return;
+    state = 'stopping';
+    clearTimeout(silenceTimer);
+    // stop() rather than abort() so the recognizer finalizes what it has heard
+    recognition.stop();
+  };
+
+  const resetSilenceTimer = () => {
+    if (state !== 'listening') return;
+    clearTimeout(silenceTimer);
+    silenceTimer = setTimeout(() => {
+      console.log(`🤫 ${silenceMs}ms of silence - stopping dictation`);
+      stop();
+    }, silenceMs);
+  };
+
+  recognition = createSpeechRecognition(
+    (transcript, alternatives) => {
+      const text = transcript.trim();
+      if (!text) return;
+
+      const others = [...new Set(alternatives.slice(1).map((alternative) => alternative.transcript.trim()))]
+        .filter((candidate) => candidate && candidate.toLowerCase() !== text.toLowerCase());
+      // Some browsers report 0 when they don't measure confidence at all
+      const confidence = alternatives[0]?.confidence || 0;
+      const unsure = others.length > 0 && confidence > 0 && confidence < UNSURE_CONFIDENCE;
+
+      phraseCount += 1;
+      console.log(`🎙️ Dictated: ${text}${unsure ? ` (unsure, ${others.length} alternative(s))` : ''}`);
+      if (onPhrase) onPhrase({ id: phraseCount, text, alternatives: others, unsure });
+      resetSilenceTimer();
+    },
+    (error) => {
+      // "no-speech" and "aborted" are normal here; the silence timer ends dictation
+      if (error === 'no-speech' || error === 'aborted') return;
+      console.warn('Dictation error:', error);
+      if (onError) onError(error);
+      // A failed restart never fires "end", so finish here rather than wait for it
+      finish();
+    },
+    {
+      continuous: true,
+      interimResults: true,
+      maxAlternatives: 3,
+      lang,
+      onInterim: (text) => {
+        if (text) resetSilenceTimer();
+        if (onInterim) onInterim(text);
+      },
+      // Browsers end recognition after a while even in continuous mode
+      onEnd: () => {
+        if (state === 'listening') {
+          recognition.start();
+        } else {
+          finish();
+        }
+      }
+    }
+  );
+
+  recognition.start();
+  resetSilenceTimer();
+
+  return { stop };
+}
+
+/**
+ * Append a dictated phrase to the text already in the box
+ * @param {string} text - Current text
+ * @param {string} phrase - Final phrase to add
+ * @returns {string} - Text with the phrase appended after a space
+ */
+export function appendPhrase(text, phrase) {
+  const base = text.trimEnd();
+  return base ? `${base} ${phrase}` : phrase;
+}
+
+/**
+ * Swap a dictated phrase for one of its alternatives
+ * @param {string} text - Current text
+ * @param {string} phrase - Phrase as it was appended
+ * @param {string} replacement - Alternative the user picked
+ * @returns {string} - Text with the last occurrence replaced, or unchanged if the user edited it away
+ */
+export function replacePhrase(text, phrase, replacement) {
+  const index = text.lastIndexOf(phrase);
+  if (index === -1) return text;
+  return text.slice(0, index) + replacement + text.slice(index + phrase.length);
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { generateEngineQuestions, generateTwoVariableQuestions } from '../index.js';
+
+describe('generateEngineQuestions', () => {
+  it.each([
+    // belief, A (theorem and converse), ~A (inverse and non-mirror reverse)
+    ["I'm not good enough", 'you were good enough', "you weren't good enough"],
+    ['I knot rope', 'you did knot rope', "you didn't knot rope"],
+    ['I always mess up interviews', 'you did mess up interviews', "you didn't mess up interviews"],
+    ['The world is against me', 'the world were against you', "the world weren't against you"],
+    ['Nothing ever works out for me', 'something did work out for you', 'nothing worked out for you'],
+    ["I can't get myself to workout", 'you did workout', "you didn't workout"],
+    // Cause-effect and complex equivalence: A, or the whole belief when A is a noun phrase
+    ['When I speak up, I get fired', 'you did speak up', "you didn't speak up"],
+    ["Being late means I'm disrespectful", 'you were late', "you weren't late"],
+    ['My husband makes me angry', 'your husband did make you angry', "your husband didn't make you angry"],
+    // No clause at all: the statement as a whole
+    ['The interview', '"The interview" were true', '"The interview" weren\'t true']
+  ])('%s', (belief, positive, negative) => {
+    expect(generateEngineQuestions(belief)).toEqual({
+      theorem: `What would happen if ${positive}?`,
+      converse: `What wouldn't happen if ${positive}?`,
+      inverse: `What would happen if ${negative}?`,
+      nonMirrorReverse: `What wouldn't happen if ${negative}?`
+    });
+  });
+
+  it('never keeps universal quantifiers', () => {
+    const questions = Object.values(generateEngineQuestions('I always mess up interviews'));
+    expect(questions.some((question) => /\balways\b/.test(question))).toBe(false);
+  });
+});
+
+describe('generateTwoVariableQuestions', () => {
+  it.each([
+    ['I speak up', "I'll get fired", 'you spoke up and got fired', "you didn't speak up and got fired", "you spoke up and didn't get fired", "you didn't speak up and didn't get fired"],
+    ['Being late', "I'm disrespectful", 'you were late and were disrespectful', "you weren't late and were disrespectful", "you were late and weren't disrespectful", "you weren't late and weren't disrespectful"]
+  ])('%s / %s', (a, b, theorem, converse, inverse, nonMirrorReverse) => {
+    expect(generateTwoVariableQuestions(a, b)).toEqual({
+      theorem: `What would happen if ${theorem}?`,
+      converse: `What would happen if ${converse}?`,
+      inverse: `What would happen if ${inverse}?`,
+      nonMirrorReverse: `What would happen if ${nonMirrorReverse}?`
+    });
+  });
+});
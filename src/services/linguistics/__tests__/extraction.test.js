@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { extractBeliefs, isFreeFormText, MAX_CANDIDATES } from '../extraction.js';
+
+const beliefs = (text, language) => extractBeliefs(text, language).map((candidate) => candidate.belief);
+
+describe('extractBeliefs', () => {
+  it.each([
+    // language, text, beliefs best first
+    ['en', "Honestly, I feel like I'm not good enough. Yesterday I went to the store.", ["I'm not good enough"]],
+    // Dictation: no punctuation, lowercase "i", cut before each new subject
+    ['en', "i always mess everything up i can't do anything right you know", ['I always mess everything up', "I can't do anything"]],
+    // A condition keeps its consequence
+    ['en', "If I speak up I'll get fired, and nobody listens to me anyway.", ['Nobody listens to me', "If I speak up I'll get fired"]],
+    // Rewordings of a better candidate are dropped
+    ['en', "I'm not good enough. I am just not good enough for this.", ["I'm not good enough"]],
+    // Hedges and narration about the world aren't beliefs
+    ['en', "I don't know. The weather was nice.", []],
+    ['es', 'Bueno, creo que no soy suficientemente bueno. Ayer fui al cine.', ['No soy suficientemente bueno']],
+    ['de', 'Ehrlich gesagt, ich bin nicht gut genug. Gestern ging ich einkaufen.', ['Ich bin nicht gut genug']],
+    ['fr', 'En fait, je ne suis pas assez intelligente. Hier je suis allée au marché.', ['Je ne suis pas assez intelligente']]
+  ])('%s: %s', (language, text, expected) => {
+    expect(beliefs(text, language)).toEqual(expected);
+  });
+
+  it.each([
+    // A question about a belief isn't the belief; a trailing "you know?" doesn't make one
+    ['Why does nobody ever call me back?', []],
+    ['Nobody ever calls me back, you know?', ['Nobody ever calls me back']]
+  ])('%s', (text, expected) => {
+    expect(beliefs(text)).toEqual(expected);
+  });
+
+  it('returns at most MAX_CANDIDATES', () => {
+    const text = [
+      "I'm not good enough", 'Nobody likes me', "I can't lose weight", 'I always fail tests',
+      'I never finish my projects', "I'm useless at cooking", 'I must be perfect at work'
+    ].join('. ');
+    expect(extractBeliefs(text)).toHaveLength(MAX_CANDIDATES);
+  });
+});
+
+describe('isFreeFormText', () => {
+  it.each([
+    ['I am lazy', false],
+    ['I am lazy. I never try.', true],
+    [Array(30).fill('word').join(' '), true]
+  ])('%s', (text, freeForm) => {
+    expect(isFreeFormText(text)).toBe(freeForm);
+  });
+});
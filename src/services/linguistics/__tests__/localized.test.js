@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { toLocalizedStatement, generateLocalizedQuestions } from '../localized.js';
+
+describe('toLocalizedStatement', () => {
+  it.each([
+    // language, belief, A (second person, without negation or universal adverbs)
+    ['es', 'No soy suficiente', 'eres suficiente'],
+    ['es', 'Nunca termino nada', 'terminas algo'],
+    ['es', 'No merezco amor', 'mereces amor'],
+    ['es', 'Siempre llego tarde', 'llegas tarde'],
+    ['es', 'Nadie me quiere', 'alguien te quiere'],
+    ['es', 'Me siento solo', 'te sientes solo'],
+    ['es', 'Creo que nunca termino nada', 'crees que terminas algo'],
+    ['es', 'Cuando hablo, nadie me escucha', 'cuando hablas, alguien te escucha'],
+    ['es', 'Fallé en todo', 'fallaste en todo'],
+    ['es', 'El mundo está contra mí', 'el mundo está contra ti'],
+    ['de', 'Ich arbeite zu viel', 'du arbeitest zu viel'],
+    ['de', 'Ich bin nicht gut genug', 'du bist gut genug'],
+    ['de', 'Ich habe keine Zeit', 'du hast Zeit'],
+    ['de', 'Ich verdiene keinen Erfolg', 'du verdienst einen Erfolg'],
+    ['de', 'Ich spreche nie vor Leuten', 'du sprichst vor Leuten'],
+    ['de', 'Immer mache ich Fehler', 'du machst Fehler'],
+    ['de', 'Ich glaube, ich bin nichts wert', 'du glaubst, du bist etwas wert'],
+    ['de', 'Es ist zu spät, weil ich keine Zeit habe', 'es ist zu spät, weil du Zeit hast'],
+    ['de', 'Niemand liebt mich', 'jemand liebt dich'],
+    ['de', 'Geld macht mich nicht glücklich', 'Geld macht dich glücklich'],
+    ['fr', "Je n'arrive pas à maigrir", 'vous arrivez à maigrir'],
+    ['fr', "Je ne mérite pas d'être aimé", "vous méritez d'être aimé"],
+    ['fr', 'Je ne suis pas assez bon', 'vous êtes assez bon'],
+    ['fr', 'Je ne finis jamais rien', 'vous finissez quelque chose'],
+    ['fr', "Je m'ennuie", 'vous vous ennuyez'],
+    ['fr', "Personne ne m'aime", "quelqu'un vous aime"],
+    ['fr', 'Je rate toujours tout', 'vous ratez tout']
+  ])('%s: %s', (language, belief, statement) => {
+    expect(toLocalizedStatement(belief, language)).toEqual({ statement, negated: false });
+  });
+
+  it.each([
+    // First-person verbs the rules don't know: the belief as written
+    ['es', 'Yo no era feliz', 'yo no era feliz', true],
+    ['de', 'Ich schaff das nicht', 'ich schaff das nicht', true],
+    ['fr', 'Je romps toujours', 'je romps toujours', false]
+  ])('%s: %s', (language, belief, statement, negated) => {
+    expect(toLocalizedStatement(belief, language)).toEqual({ statement, negated });
+  });
+});
+
+describe('generateLocalizedQuestions', () => {
+  it.each([
+    ['es', 'Nunca termino nada.', {
+      theorem: '¿Qué pasaría si «terminas algo» fuera cierto?',
+      converse: '¿Qué no pasaría si «terminas algo» fuera cierto?',
+      inverse: '¿Qué pasaría si «terminas algo» no fuera cierto?',
+      nonMirrorReverse: '¿Qué no pasaría si «terminas algo» no fuera cierto?'
+    }],
+    ['de', 'Ich arbeite zu viel', {
+      theorem: 'Was würde passieren, wenn „du arbeitest zu viel“ wahr wäre?',
+      converse: 'Was würde nicht passieren, wenn „du arbeitest zu viel“ wahr wäre?',
+      inverse: 'Was würde passieren, wenn „du arbeitest zu viel“ nicht wahr wäre?',
+      nonMirrorReverse: 'Was würde nicht passieren, wenn „du arbeitest zu viel“ nicht wahr wäre?'
+    }],
+    ['fr', "Je n'arrive pas à maigrir", {
+      theorem: 'Que se passerait-il si « vous arrivez à maigrir » était vrai ?',
+      converse: 'Que ne se passerait-il pas si « vous arrivez à maigrir » était vrai ?',
+      inverse: "Que se passerait-il si « vous arrivez à maigrir » n'était pas vrai ?",
+      nonMirrorReverse: "Que ne se passerait-il pas si « vous arrivez à maigrir » n'était pas vrai ?"
+    }],
+    // Quoted as written, a negative belief is A when it isn't true
+    ['es', 'Yo no era feliz', {
+      theorem: '¿Qué pasaría si «yo no era feliz» no fuera cierto?',
+      converse: '¿Qué no pasaría si «yo no era feliz» no fuera cierto?',
+      inverse: '¿Qué pasaría si «yo no era feliz» fuera cierto?',
+      nonMirrorReverse: '¿Qué no pasaría si «yo no era feliz» fuera cierto?'
+    }]
+  ])('%s: %s', (language, belief, questions) => {
+    expect(generateLocalizedQuestions(belief, language)).toEqual(questions);
+  });
+});
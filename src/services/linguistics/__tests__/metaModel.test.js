@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeMetaModel, segmentByViolations } from '../metaModel.js';
+
+const challengeFor = (belief, type) => analyzeMetaModel(belief).find((violation) => violation.type === type)?.challenge;
+
+describe('analyzeMetaModel', () => {
+  it.each([
+    // belief, violation type, challenge
+    ["I can't speak up", 'modalPossibility', "Can't, according to whom? What stops you? What would happen if you did?"],
+    ['I always mess up', 'universal', "Always? Has there ever been a time when that wasn't so?"],
+    ['Everyone has to like me', 'modalNecessity', "Has to? What would happen if you didn't? Who says you have to?"],
+    ['People think I am weird', 'mindReading', 'How do you know that? What tells you what they think?'],
+    // Cause and effect are quoted the way the engine states them: second person, no capital
+    ['She makes me angry', 'causeEffect', 'How specifically does "she" cause "you are angry"?'],
+    ['My husband makes me angry', 'causeEffect', 'How specifically does "your husband" cause "you are angry"?'],
+    ['When I speak up, I get fired', 'causeEffect', 'How specifically does "you speak up" cause "you get fired"?'],
+    ["Being late means I'm disrespectful", 'complexEquivalence', `How does "being late" mean "you're disrespectful"? Has it ever not meant that?`]
+  ])('%s (%s)', (belief, type, challenge) => {
+    expect(challengeFor(belief, type)).toBe(challenge);
+  });
+
+  it('keeps offsets into the original text', () => {
+    const belief = 'I’m never good enough';
+    const [universal] = analyzeMetaModel(belief);
+    expect(belief.slice(universal.start, universal.end)).toBe('never');
+  });
+
+  it('finds nothing in an empty belief', () => {
+    expect(analyzeMetaModel('  ')).toEqual([]);
+  });
+});
+
+describe('segmentByViolations', () => {
+  it('covers the whole text', () => {
+    const belief = 'I always mess up';
+    const segments = segmentByViolations(belief, analyzeMetaModel(belief));
+    expect(segments.map((segment) => segment.text).join('')).toBe(belief);
+    expect(segments.filter((segment) => segment.violation).map((segment) => segment.text)).toEqual(['always', 'mess up']);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { SAME_BELIEF_THRESHOLD, compareBeliefs, isSameBelief } from '../similarity.js';
+
+describe('isSameBelief', () => {
+  it.each([
+    // a, b, same belief
+    ["I'm not good enough", 'I am just not good enough for this', true],
+    ['I feel like I\'m a failure', "I'm a failure", true],
+    ["I can't lose weight", 'I am unable to lose weight', true],
+    ['I always fail tests', 'I always failed the test', true],
+    ['Nobody likes me', "There isn't anybody who likes me", true],
+    // Opposite polarity is never the same belief, however many words match
+    ["I'm not good enough", "I'm good enough", false],
+    ['Nobody likes me', 'Somebody likes me', false],
+    // A different subject, or too few shared terms
+    ['I am lazy', 'My boss is lazy', false],
+    ['I never finish anything', 'I never finish things', false],
+    ['', '', false]
+  ])('%s / %s', (a, b, same) => {
+    expect(isSameBelief(a, b)).toBe(same);
+    expect(isSameBelief(b, a)).toBe(same);
+  });
+});
+
+describe('compareBeliefs', () => {
+  it('scores opposite polarity as 0', () => {
+    expect(compareBeliefs("I'm not good enough", "I'm good enough")).toBe(0);
+  });
+
+  it('scores rewordings at or above the threshold and partial overlaps below it', () => {
+    expect(compareBeliefs('Nobody likes me', "There isn't anybody who likes me")).toBeGreaterThanOrEqual(SAME_BELIEF_THRESHOLD);
+    expect(compareBeliefs('I am lazy', 'My boss is lazy')).toBeLessThan(SAME_BELIEF_THRESHOLD);
+  });
+});
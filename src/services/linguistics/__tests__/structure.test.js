@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeBeliefStructure, isNominalization, findLostPerformative } from '../structure.js';
+
+describe('analyzeBeliefStructure', () => {
+  it.each([
+    // belief, structure, A, B, connector as written
+    ["I'm not good enough", 'simple', "I'm not good enough", null, null],
+    ['It\'s selfish to rest', 'simple', 'It\'s selfish to rest', null, null],
+    ["If I speak up, I'll get fired", 'cause-effect', 'I speak up', "I'll get fired", 'if'],
+    ["If I speak up I'll get fired", 'cause-effect', 'I speak up', "I'll get fired", 'if'],
+    ['When I speak up, I get fired', 'cause-effect', 'I speak up', 'I get fired', 'when'],
+    ['Every time I try, I fail', 'cause-effect', 'I try', 'I fail', 'every time'],
+    ['My husband makes me angry', 'cause-effect', 'My husband', 'I am angry', 'makes'],
+    ['My boss makes me feel worthless', 'cause-effect', 'My boss', 'I feel worthless', 'makes'],
+    ["I fail because I'm lazy", 'cause-effect', "I'm lazy", 'I fail', 'because'],
+    ['I fail because of my laziness', 'cause-effect', 'my laziness', 'I fail', 'because of'],
+    ['Criticism leads to rejection', 'cause-effect', 'Criticism', 'rejection', 'leads to'],
+    ["Being late means I'm disrespectful", 'complex-equivalence', 'Being late', "I'm disrespectful", 'means'],
+    ["My failure proves I'm worthless", 'complex-equivalence', 'My failure', "I'm worthless", 'proves'],
+    ["Success is a sign that I'm lucky", 'complex-equivalence', 'Success', "I'm lucky", 'is a sign that']
+  ])('%s', (belief, structure, a, b, connector) => {
+    const analysis = analyzeBeliefStructure(belief);
+    expect(analysis.structure).toBe(structure);
+    expect(analysis.components).toEqual({ a, b, connector });
+  });
+
+  it.each([
+    // belief, core action (A, or the whole belief when A is a noun phrase)
+    ["If I speak up, I'll get fired", 'you did speak up'],
+    ["Being late means I'm disrespectful", 'you were late'],
+    ["I fail because I'm lazy", 'you were lazy'],
+    ['My husband makes me angry', 'your husband did make you angry']
+  ])('action: %s', (belief, positive) => {
+    expect(analyzeBeliefStructure(belief).action.positive).toBe(positive);
+  });
+
+  it.each([
+    // belief, modal operators, universals, nominalizations, verb type, negative
+    ['I have to be perfect', [{ text: 'have to', type: 'necessity' }], [], [], 'being', false],
+    ["I can't trust anyone", [{ text: "can't", type: 'possibility' }], ['anyone'], ['trust'], 'doing', true],
+    ['I will never be rich', [{ text: 'will', type: 'future' }], ['never'], [], 'being', true],
+    ["I won't ever succeed", [{ text: "won't", type: 'possibility' }], [], [], 'doing', true],
+    ["If I speak up, I'll get fired", [{ text: 'will', type: 'future' }], [], [], 'doing', false],
+    ["Everyone thinks I'm stupid", [], ['everyone'], [], 'doing', false],
+    ['I always mess up interviews', [], ['always'], [], 'doing', false],
+    ['Criticism leads to rejection', [], [], ['criticism', 'rejection'], 'doing', false],
+    ["I'm not good enough", [], [], [], 'being', true],
+    ['No one cares about me', [], ['no one'], [], 'doing', true]
+  ])('markers: %s', (belief, modalOperators, universals, nominalizations, verbType, isNegative) => {
+    expect(analyzeBeliefStructure(belief)).toMatchObject({ modalOperators, universals, nominalizations, verbType, isNegative });
+  });
+
+  it('strips closing punctuation before analyzing', () => {
+    expect(analyzeBeliefStructure("I'm not good enough!").components.a).toBe("I'm not good enough");
+  });
+});
+
+describe('isNominalization', () => {
+  it.each([
+    ['rejection', true],
+    ['failure', true],
+    ['happiness', true],
+    ['moment', false],
+    ['business', false],
+    ['walk', false]
+  ])('%s → %s', (word, expected) => {
+    expect(isNominalization(word)).toBe(expected);
+  });
+});
+
+describe('findLostPerformative', () => {
+  it.each([
+    ["It's selfish to rest", "It's selfish"],
+    ['Being angry is wrong', 'Being angry is wrong'],
+    ["People shouldn't complain", "People shouldn't"],
+    ['I am tired', null]
+  ])('%s', (text, expected) => {
+    expect(findLostPerformative(text)).toBe(expected);
+  });
+});
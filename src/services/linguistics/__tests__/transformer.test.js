@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { transformBelief, toSecondPerson } from '../transformer.js';
+
+describe('transformBelief', () => {
+  it.each([
+    // belief, positive (A), negative (~A), verb type, negated
+    ["I can't get myself to workout", 'you did workout', "you didn't workout", 'doing', true],
+    ['My boss never listens to me', 'your boss did listen to you', "your boss didn't listen to you", 'doing', true],
+    ["People like me don't get promoted", 'people like you did get promoted', "people like you didn't get promoted", 'having', true],
+    ["I won't ever be thin", 'you were thin', "you weren't thin", 'being', true],
+    ['No one cares about me', 'someone did care about you', 'no one cared about you', 'doing', true],
+    ['I have no time', 'you had time', "you didn't have any time", 'having', true],
+    ["I'm not good enough", 'you were good enough', "you weren't good enough", 'being', true],
+    ["I can't speak up", 'you did speak up', "you didn't speak up", 'doing', true],
+    ['Nobody likes me', 'somebody did like you', 'nobody liked you', 'doing', true],
+    ["I haven't found the right job yet", 'you had found the right job', "you hadn't found the right job yet", 'having', true],
+    ['I have to be perfect', 'you were perfect', "you weren't perfect", 'being', false],
+    ["There's no point in trying", 'there were a point in trying', "there weren't any point in trying", 'being', true],
+    ["I feel like I'm a failure", 'you were a failure', "you weren't a failure", 'being', false],
+    ["I've never been good at math", 'you had been good at math', "you hadn't been good at math", 'having', true],
+    ["Can't focus", 'you did focus', "you didn't focus", 'doing', true],
+    ['Never good enough', 'you were good enough', "you weren't good enough", 'being', true],
+    ["I don't deserve love", 'you did deserve love', "you didn't deserve love", 'doing', true],
+    ['I never finish anything', 'you did finish something', "you didn't finish anything", 'doing', true],
+    ["My husband doesn't respect me", 'your husband did respect you', "your husband didn't respect you", 'doing', true],
+    ["I just can't relax", 'you did relax', "you didn't relax", 'doing', true],
+    ["I don't have any friends", 'you had some friends', "you didn't have any friends", 'having', true],
+    // Verbs the lexicon doesn't know are still verbs after a stated subject
+    ['I knot rope', 'you did knot rope', "you didn't knot rope", 'doing', false],
+    ["I'm worthless", 'you were worthless', "you weren't worthless", 'being', false],
+    // Universal quantifiers are not part of the action
+    ['I always mess up interviews', 'you did mess up interviews', "you didn't mess up interviews", 'doing', false],
+    ['My boss always ignores me', 'your boss did ignore you', "your boss didn't ignore you", 'doing', false],
+    ["I'm always late", 'you were late', "you weren't late", 'being', false],
+    ["I'll be alone forever", 'you were alone', "you weren't alone", 'being', false]
+  ])('%s', (belief, positive, negative, verbType, negated) => {
+    const transform = transformBelief(belief);
+    expect(transform).toMatchObject({ positive, negative, verbType, negated });
+  });
+
+  it.each([
+    ["I can't speak up", 'you spoke up', "you didn't speak up"],
+    ['I knot rope', 'you knotted rope', "you didn't knot rope"],
+    ['I always mess up interviews', 'you messed up interviews', "you didn't mess up interviews"]
+  ])('simple style: %s', (belief, positive, negative) => {
+    expect(transformBelief(belief, { style: 'simple' })).toMatchObject({ positive, negative });
+  });
+
+  it('records the modals it removed', () => {
+    expect(transformBelief("I can't get myself to workout").removedModals).toEqual(["can't", 'get myself to']);
+  });
+
+  it.each(['', '...', 'the interview'])('returns null without a clause: %j', (belief) => {
+    expect(transformBelief(belief)).toBeNull();
+  });
+});
+
+describe('toSecondPerson', () => {
+  it.each([
+    ["I'm not good enough.", "you're not good enough"],
+    ['My boss ignores me', 'your boss ignores you'],
+    ['I was never loved', 'you were never loved']
+  ])('%s', (text, expected) => {
+    expect(toSecondPerson(text)).toBe(expected);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Belief Extraction
+ * Finds candidate limiting beliefs in free-form text: a paragraph about the
+ * week, or a dictated transcript with no punctuation at all. The text is cut
+ * into sentences and clauses, framing and filler are trimmed ("honestly, I
+ * feel like ..."), and each clause is scored on what marks a limiting belief.
+ * First person, negation, modal operators of necessity, universal quantifiers
+ * and harsh self-judgment count for it; questions and narration of events
+ * count against it.
+ */
+
+import { analyzeBeliefStructure } from './structure.js';
+import { isSameBelief } from './similarity.js';
+
+// Longest clause still offered as a belief
+export const MAX_EXTRACTED_WORDS = 25;
+
+// Most candidates returned
+export const MAX_CANDIDATES = 5;
+
+// Clauses scoring below this aren't offered
+const MIN_SCORE = 3;
+
+const WEIGHTS = {
+  firstPerson: 2,
+  negation: 2,
+  modal: 2,
+  universal: 1.5,
+  judgment: 3,
+  causal: 1.5,
+  narration: -1.5,
+  question: -3
+};
+
+const MARKERS = ['firstPerson', 'negation', 'modal', 'universal', 'judgment', 'narration'];
+
+// Elided French words ("j'", "qu'") run straight into the next word
+const bound = (alternative) => (alternative.endsWith("'") ? alternative : `${alternative}(?![\\p{L}])`);
+const anyWord = (...list) => new RegExp(`(?<![\\p{L}'])(?:${list.map(bound).join('|')})`, 'iu');
+const leading = (...list) => new RegExp(`^(?:(?:${list.map(bound).join('|')})[\\s,]*)+`, 'iu');
+const trailing = (...list) => new RegExp(`(?:[\\s,]+(?:${list.join('|')}))+$`, 'iu');
+
+/**
+ * Per-language markers. Run-on splitting cuts before a subject pronoun
+ * (subjects) unless the word before introduces it (keepBefore) or the clause
+ * so far is a condition (subordinators), so "if I speak up I'll get fired" stays whole.
+ */
+const LANGUAGE_MARKERS = {
+  en: {
+    firstPerson: anyWord('i', "i'm", "i've", "i'll", "i'd", 'me', 'my', 'myself', 'mine'),
+    negation: anyWord('not', "\\p{L}+n't", 'no', 'never', 'nobody', 'nothing', 'no one', 'none', 'nowhere', 'cannot'),
+    modal: anyWord("can't", 'cannot', "couldn't", "won't", 'unable to', 'must', 'should', 'have to', 'has to', 'need to', 'got to', 'supposed to', 'impossible'),
+    universal: anyWord('always', 'never', 'every(?:one|body|thing|time)?', 'all', 'nobody', 'no one', 'nothing', 'forever', 'constantly'),
+    judgment: anyWord(
+      'not \\p{L}+ enough', 'too \\p{L}+ (?:to|for)', 'a (?:failure|fraud|loser|disappointment|burden|mess)', 'useless', 'worthless',
+      'stupid', 'hopeless', 'unlovable', 'incompetent', '(?:bad|terrible|awful|hopeless) at', '(?:mess|screw)(?:ed)? (?:\\p{L}+ )?up', 'ruin(?:ed|s)?', 'fail(?:ed|ing|s)?'
+    ),
+    narration: anyWord('yesterday', 'today', 'tonight', 'last (?:week|night|month|year)', 'this (?:morning|week|weekend)', 'earlier', 'went', 'told me', 'asked me'),
+    lead: leading(
+      'and', 'but', 'so', 'because', 'like', 'well', 'um+', 'uh+', 'oh', 'yeah', 'okay', 'ok', 'anyway', 'honestly', 'basically', 'actually',
+      'i mean', 'you know', 'the thing is', 'the truth is', 'the problem is', 'deep down', 'i guess', 'i (?:think|feel|believe|know)(?: like| that)?', 'it (?:feels|seems) like'
+    ),
+    trail: trailing('you know', 'i guess', 'or whatever', 'or something', 'honestly', 'really', 'right', 'like', 'anyway'),
+    hedge: /^(?:i (?:don't|do not) know|i'm not sure|i (?:don't|do not) think so|i (?:can't|don't) remember|not really|no idea)$/iu,
+    clauseBreak: /,\s*(?:and|but|so)\s+|\s+(?:but|and then|and so)\s+|\s+and\s+(?=(?:honestly|actually|if|when|i|i'm|i've|i'll|nobody|everyone|everybody|my)(?![\p{L}']))/iu,
+    subjects: /^(?:i|i'm|i've|i'll|i'd|nobody|everyone|everybody)$/,
+    keepBefore: new Set(['that', 'if', 'when', 'because', 'like', 'think', 'feel', 'know', 'guess', 'believe', 'say', 'said', 'and', 'but', 'so', 'maybe', 'what', 'where']),
+    subordinators: new Set(['if', 'when', 'whenever', 'unless', 'because', 'since', 'as'])
+  },
+  es: {
+    firstPerson: anyWord('yo', 'me', 'mi', 'mis', 'conmigo', 'soy', 'estoy', 'tengo', 'sé', 'valgo', 'merezco'),
+    negation: anyWord('no', 'nunca', 'jamás', 'nadie', 'nada', 'ningún', 'ninguna', 'ninguno'),
+    modal: anyWord('debo', 'debería', 'tengo que', 'hay que', 'necesito'),
+    universal: anyWord('siempre', 'nunca', 'jamás', 'nadie', 'todos', 'todo el mundo', 'nada'),
+    judgment: anyWord(
+      '(?:lo )?(?:suficientemente|bastante) \\p{L}+', 'suficiente', 'un fracaso', 'un desastre', 'inútil', 'tont[oa]', 'incapaz',
+      'demasiado \\p{L}+ para', 'arruino', 'fracaso', 'fallo'
+    ),
+    narration: anyWord('ayer', 'hoy', 'anoche', 'esta mañana', 'la semana pasada', 'fui', 'me dijo', 'me pidió'),
+    lead: leading('y', 'pero', 'así que', 'porque', 'bueno', 'pues', 'o sea', 'la verdad(?: es que)?', 'en fin', 'sinceramente', 'creo que', 'siento que', 'pienso que', 'es que'),
+    trail: trailing('sabes', 'o algo así', 'la verdad', 'no sé'),
+    hedge: /^(?:no sé|no estoy segur[oa]|ni idea)$/iu,
+    clauseBreak: /,\s*(?:y|pero|así que)\s+|\s+(?:pero|y luego|así que)\s+|\s+y\s+(?=(?:yo|nadie|siempre|nunca)(?![\p{L}]))/iu,
+    subjects: /^(?:yo|nadie)$/,
+    keepBefore: new Set(['que', 'si', 'cuando', 'porque', 'y', 'pero', 'creo', 'siento']),
+    subordinators: new Set(['si', 'cuando', 'porque', 'aunque'])
+  },
+  de: {
+    firstPerson: anyWord('ich', 'mich', 'mir', 'mein(?:e|en|em|er|es)?'),
+    negation: anyWord('nicht', 'nie', 'niemals', 'kein(?:e|en|em|er|es)?', 'niemand', 'nichts'),
+    modal: anyWord('muss', 'müsste', 'sollte', 'soll'),
+    universal: anyWord('immer', 'nie', 'niemals', 'niemand', 'alle', 'alles', 'nichts', 'jede[rsnm]?'),
+    judgment: anyWord(
+      'nicht \\p{L}+ genug', 'gut genug', 'zu \\p{L}+ (?:für|um)', 'eine? Versager(?:in)?', 'nutzlos', 'wertlos', 'dumm', 'unfähig',
+      'vermassel\\p{L}*', 'versag\\p{L}*'
+    ),
+    narration: anyWord('gestern', 'heute', 'letzte Woche', 'heute Morgen', 'ging', 'hat mir gesagt', 'hat mich gebeten'),
+    lead: leading('und', 'aber', 'also', 'weil', 'naja', 'na ja', 'ja', 'ehrlich gesagt', 'eigentlich', 'irgendwie', 'ich (?:glaube|denke|finde|habe das Gefühl)(?:,? dass)?'),
+    trail: trailing('weißt du', 'oder so', 'irgendwie', 'halt'),
+    hedge: /^(?:ich weiß (?:es )?nicht|keine Ahnung|ich bin mir nicht sicher)$/iu,
+    clauseBreak: /,\s*(?:und|aber|also)\s+|\s+(?:aber|und dann)\s+|\s+und\s+(?=(?:ich|niemand)(?![\p{L}]))/iu,
+    subjects: /^(?:ich|niemand)$/,
+    keepBefore: new Set(['dass', 'wenn', 'weil', 'ob', 'und', 'aber', 'glaube', 'denke', 'finde']),
+    subordinators: new Set(['wenn', 'weil', 'falls', 'sobald', 'obwohl'])
+  },
+  fr: {
+    firstPerson: anyWord('je', "j'", 'me', "m'", 'moi', 'mon', 'ma', 'mes'),
+    negation: anyWord('ne', "n'", 'pas', 'jamais', 'personne', 'rien', 'aucune?'),
+    modal: anyWord('dois', 'devrais', 'faut'),
+    universal: anyWord('toujours', 'jamais', 'personne', 'tous', 'tout le monde', 'rien', 'chaque'),
+    judgment: anyWord(
+      'pas assez \\p{L}+', 'pas à la hauteur', 'trop \\p{L}+ pour', 'nulle?', 'un échec', 'incapable', 'inutile', 'bête', 'ratée?',
+      'gâche\\p{L}*', 'échoue\\p{L}*'
+    ),
+    narration: anyWord('hier', "aujourd'hui", 'ce matin', 'la semaine dernière', 'suis allée?', "m'a dit", "m'a demandé"),
+    lead: leading(
+      'et', 'mais', 'donc', 'alors', 'parce que', "parce qu'", 'bon', 'ben', 'en fait', 'franchement', 'honnêtement', 'bref',
+      'je (?:pense|crois|sens) que', "je (?:pense|crois|sens) qu'", "j'ai l'impression que", "j'ai l'impression qu'"
+    ),
+    trail: trailing('tu vois', 'vous voyez', 'ou un truc comme ça', 'franchement', 'quoi'),
+    hedge: /^(?:je ne sais pas|je sais pas|aucune idée|je ne suis pas sûre?)$/iu,
+    clauseBreak: /,\s*(?:et|mais|donc|alors)\s+|\s+(?:mais|et puis|et donc|donc)\s+|\s+et\s+(?=(?:je|j'|personne))/iu,
+    subjects: /^(?:je|j'.+|personne)$/,
+    keepBefore: new Set(['que', "qu'", 'si', 'quand', 'parce', 'et', 'mais', 'pense', 'crois']),
+    subordinators: new Set(['si', "s'", 'quand', 'lorsque', 'parce'])
+  }
+};
+
+/**
+ * Whether text reads as free-form (several sentences, or too long to be one belief)
+ * @param {string} text - What the user typed or dictated
+ * @returns {boolean}
+ */
+export function isFreeFormText(text) {
+  return countWords(text) > MAX_EXTRACTED_WORDS || splitSentences(normalize(text)).length > 1;
+}
+
+/**
+ * Pull candidate limiting beliefs out of free-form text, best first
+ * @param {string} text - A paragraph, or a dictated transcript
+ * @param {string} language - Language id (default en)
+ * @returns {array} - Candidates { belief, score, markers } where markers name what counted
+ */
+export function extractBeliefs(text, language = 'en') {
+  const markers = LANGUAGE_MARKERS[language] || LANGUAGE_MARKERS.en;
+  const candidates = [];
+
+  splitSentences(normalize(text)).forEach((sentence) => {
+    // A tag like "..., you know?" doesn't make the sentence a question
+    const question = /^¿/.test(sentence) ||
+      (sentence.endsWith('?') && !markers.trail.test(sentence.replace(/[\s?]+$/, '')));
+
+    for (const clause of splitClauses(sentence, markers)) {
+      const belief = cleanClause(clause, markers, language);
+      const words = countWords(belief);
+      if (words < 3 || words > MAX_EXTRACTED_WORDS || markers.hedge.test(belief)) continue;
+
+      const found = MARKERS.filter((name) => markers[name].test(belief));
+      // A belief is about the person, or about how the world always is
+      if (!found.includes('firstPerson') && !found.includes('universal')) continue;
+
+      // The structure parser only reads English
+      if (language === 'en' && analyzeBeliefStructure(belief).structure !== 'simple') {
+        found.push('causal');
+      }
+      if (question) {
+        found.push('question');
+      }
+
+      const score = found.reduce((sum, name) => sum + WEIGHTS[name], 0);
+      if (score >= MIN_SCORE) {
+        candidates.push({ belief, score, markers: found, position: candidates.length });
+      }
+    }
+  });
+
+  // Best first, then in the order they were said; drop rewordings of a better candidate
+  const ranked = candidates.sort((a, b) => b.score - a.score || a.position - b.position);
+  const unique = [];
+  for (const candidate of ranked) {
+    if (!unique.some((kept) => isDuplicate(kept.belief, candidate.belief, language))) {
+      unique.push(candidate);
+    }
+  }
+
+  return unique.slice(0, MAX_CANDIDATES).map(({ belief, score, markers: found }) => ({ belief, score, markers: found }));
+}
+
+function normalize(text) {
+  return (text || '').replace(/[‘’ʼ]/g, "'").replace(/[“”«»„]/g, '"');
+}
+
+function countWords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?…])\s+|[\n;]+/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+// Clauses joined by "but", ", and", "and then" ...; run-ons (and dictation, which
+// often has no punctuation at all) are also cut before a new subject
+function splitClauses(sentence, markers) {
+  const unpunctuated = !/[,.!?;:]/.test(sentence);
+  return sentence
+    .split(markers.clauseBreak)
+    .flatMap((clause) => (unpunctuated || countWords(clause) > MAX_EXTRACTED_WORDS ? splitRunOn(clause, markers) : [clause]));
+}
+
+function splitRunOn(clause, markers) {
+  const words = clause.split(/\s+/).filter(Boolean);
+  const pieces = [];
+  let current = [];
+
+  const bare = (word) => word.toLowerCase().replace(/[^\p{L}']/gu, '');
+
+  for (const word of words) {
+    const previous = current.length > 0 ? bare(current[current.length - 1]) : '';
+    const conditional = current.some((earlier) => markers.subordinators.has(bare(earlier)));
+    if (current.length >= 3 && markers.subjects.test(bare(word)) && !markers.keepBefore.has(previous) && !conditional) {
+      pieces.push(current.join(' '));
+      current = [];
+    }
+    current.push(word);
+  }
+  pieces.push(current.join(' '));
+  return pieces;
+}
+
+function cleanClause(clause, markers, language) {
+  let text = clause.trim().replace(/^[\s"'(¿¡-]+|[\s"'),.!?…:-]+$/g, '');
+  text = text.replace(markers.lead, '').replace(markers.trail, '').replace(/[\s,]+$/, '');
+  if (language === 'en') {
+    // Dictation sometimes lowercases "I"
+    text = text.replace(/(?<![\p{L}'])i(?=['\s]|$)/gu, 'I');
+  }
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function isDuplicate(a, b, language) {
+  if (language === 'en') return isSameBelief(a, b);
+  const plain = (text) => text.toLowerCase().replace(/[^\p{L}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  return plain(a) === plain(b);
+}
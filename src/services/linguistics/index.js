@@ -0,0 +1,88 @@
+/**
+ * Linguistic Engine
+ * Offline, rule-based belief analysis and Cartesian question generation.
+ * Pure module - shared with the API server's mock provider.
+ */
+
+import { transformBelief, transformGerund, toSecondPerson } from './transformer.js';
+import { analyzeBeliefStructure } from './structure.js';
+import { lemmatize } from './morphology.js';
+import { hasLocalizedFrames, generateLocalizedQuestions } from './localized.js';
+
+export { transformBelief, toSecondPerson, analyzeBeliefStructure, lemmatize };
+export { analyzeMetaModel, segmentByViolations, META_MODEL_CATEGORIES } from './metaModel.js';
+export { tokenize, detokenize } from './tokenizer.js';
+export { toPast } from './morphology.js';
+export { compareBeliefs, isSameBelief } from './similarity.js';
+export { hasLocalizedFrames, getQuadrantFrame, getAddressForm, toLocalizedStatement } from './localized.js';
+export { extractBeliefs, isFreeFormText, MAX_EXTRACTED_WORDS, MAX_CANDIDATES } from './extraction.js';
+
+/**
+ * Generate the four Cartesian Logic questions without any network access
+ * Cause-effect and complex equivalence beliefs act on their A component
+ * ("If I speak up, I'll get fired" → "you did speak up", "Being late means I'm
+ * disrespectful" → "you were late"); when A is only a noun phrase the whole belief
+ * is the action ("My husband makes me angry" → "your husband did make you angry").
+ * Other languages ask about the whole belief in their own frames (see localized.js).
+ * @param {string} belief - The user's limiting belief
+ * @param {string} language - Language id of the belief (default en)
+ * @returns {object} - Object containing the four questions
+ */
+export function generateEngineQuestions(belief, language = 'en') {
+  if (hasLocalizedFrames(language)) {
+    return generateLocalizedQuestions(belief, language);
+  }
+
+  const transform = analyzeBeliefStructure(belief).action;
+
+  // No recognizable clause: ask about the statement as a whole
+  const statement = `"${toSecondPerson(belief)}"`;
+  const positive = transform ? transform.positive : `${statement} were true`;
+  const negative = transform ? transform.negative : `${statement} weren't true`;
+
+  return {
+    theorem: `What would happen if ${positive}?`,
+    converse: `What wouldn't happen if ${positive}?`,
+    inverse: `What would happen if ${negative}?`,
+    nonMirrorReverse: `What wouldn't happen if ${negative}?`
+  };
+}
+
+/**
+ * Generate the four Cartesian Logic questions that cross a cause A with its effect B
+ * ("If I speak up, I'll get fired" → "What would happen if you spoke up and didn't get fired?")
+ * @param {string} a - Antecedent (cause) in the user's words
+ * @param {string} b - Consequent (effect) in the user's words
+ * @returns {object} - Object containing the four questions
+ */
+export function generateTwoVariableQuestions(a, b) {
+  const actionA = describeVariable(a);
+  const actionB = describeVariable(b);
+
+  // Drop B's subject when it repeats A's ("you spoke up and didn't get fired")
+  const sharedSubject = actionA.subject && actionA.subject === actionB.subject;
+  const join = (first, second, secondPhrase) =>
+    `${first} and ${sharedSubject && secondPhrase ? secondPhrase : second}`;
+
+  return {
+    theorem: `What would happen if ${join(actionA.positive, actionB.positive, actionB.positiveVerbPhrase)}?`,
+    converse: `What would happen if ${join(actionA.negative, actionB.positive, actionB.positiveVerbPhrase)}?`,
+    inverse: `What would happen if ${join(actionA.positive, actionB.negative, actionB.negativeVerbPhrase)}?`,
+    nonMirrorReverse: `What would happen if ${join(actionA.negative, actionB.negative, actionB.negativeVerbPhrase)}?`
+  };
+}
+
+// Positive/negative forms of one variable, falling back to the quoted statement
+function describeVariable(text) {
+  const transform = transformBelief(text, { style: 'simple' }) || transformGerund(text, { style: 'simple' });
+  if (transform) return transform;
+
+  const statement = `"${toSecondPerson(text)}"`;
+  return {
+    positive: `${statement} were true`,
+    negative: `${statement} weren't true`,
+    subject: null,
+    positiveVerbPhrase: null,
+    negativeVerbPhrase: null
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Lexicon
+ * Closed-class word lists and verb tables used by the linguistic engine.
+ * All entries are lowercase.
+ */
+
+/**
+ * First person → second person
+ */
+export const PRONOUN_SHIFT = {
+  i: 'you',
+  me: 'you',
+  my: 'your',
+  mine: 'yours',
+  myself: 'yourself',
+  we: 'you',
+  us: 'you',
+  our: 'your',
+  ours: 'yours',
+  ourselves: 'yourselves'
+};
+
+export const SUBJECT_PRONOUNS = new Set(['i', 'you', 'he', 'she', 'it', 'we', 'they', 'this', 'that', 'there']);
+
+/**
+ * Forms of "be", "have" and "do" when used as auxiliaries (after contraction splitting)
+ */
+export const BE_FORMS = new Set(['am', 'is', 'are', 'was', 'were', 'be', "'m", "'s", "'re", 'ai']);
+export const HAVE_FORMS = new Set(['have', 'has', 'had', "'ve", "'d"]);
+export const DO_FORMS = new Set(['do', 'does', 'did']);
+
+/**
+ * Modal verbs - removed from the action, which is restated as did/didn't
+ */
+export const MODALS = new Set([
+  'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', "'ll", 'wo', 'ca', 'sha'
+]);
+
+/**
+ * Multi-word modal expressions that behave like modals: "have to", "need to" ...
+ * Matched against the words after the subject (or after an auxiliary).
+ */
+export const SEMI_MODALS = [
+  ['ought', 'to'],
+  ['have', 'to'],
+  ['has', 'to'],
+  ['had', 'to'],
+  ['have', 'got', 'to'],
+  ['has', 'got', 'to'],
+  ['got', 'to'],
+  ['gotta'],
+  ['need', 'to'],
+  ['needs', 'to'],
+  ['going', 'to'],
+  ['gonna'],
+  ['able', 'to'],
+  ['been', 'able', 'to'],
+  ['supposed', 'to']
+];
+
+/**
+ * Semi-modals that negate the action ("I'm unable to focus")
+ */
+export const NEGATIVE_SEMI_MODALS = [
+  ['unable', 'to'],
+  ['incapable', 'of']
+];
+
+/**
+ * Meta-language wrappers around the core action, stripped from the belief
+ * ("get myself to workout" → "workout"). Reflexives match before pronoun shifting.
+ */
+export const ACTION_WRAPPERS = [
+  ['get', 'myself', 'to'],
+  ['make', 'myself'],
+  ['force', 'myself', 'to'],
+  ['convince', 'myself', 'to'],
+  ['bring', 'myself', 'to'],
+  ['push', 'myself', 'to'],
+  ['seem', 'to'],
+  ['manage', 'to'],
+  ['be', 'able', 'to'],
+  ['figure', 'out', 'how', 'to']
+];
+
+/**
+ * Words that negate the clause when they appear before the main verb
+ */
+export const NEGATORS = new Set(['not', "n't", 'never', 'hardly', 'barely', 'scarcely', 'rarely', 'seldom']);
+
+/**
+ * Adverbs that belong to the action and are kept between the auxiliary and the verb
+ */
+export const PRE_VERB_ADVERBS = new Set([
+  'still', 'usually', 'often', 'sometimes', 'already',
+  'finally', 'easily', 'fully', 'completely', 'totally'
+]);
+
+/**
+ * Universal quantifiers used as adverbs, dropped from the restated action so
+ * the questions test the action itself ("I always mess up" → "you did mess up")
+ */
+export const UNIVERSAL_ADVERBS = new Set(['always', 'constantly', 'forever']);
+
+/**
+ * Emphasis and stance adverbs, dropped from the restated action
+ * ("I just can't relax" → "you did relax")
+ */
+export const EMPHASIS_ADVERBS = new Set([
+  'really', 'just', 'even', 'simply', 'actually', 'honestly', 'truly', 'genuinely',
+  'definitely', 'probably', 'possibly', 'ultimately', 'literally', 'necessarily', 'also',
+  'ever', 'so'
+]);
+
+/**
+ * Negative polarity items and their counterparts
+ * [negative-only form, positive form]
+ */
+export const POLARITY_PAIRS = {
+  any: 'some',
+  anything: 'something',
+  anyone: 'someone',
+  anybody: 'somebody',
+  anywhere: 'somewhere'
+};
+
+/**
+ * Words dropped from the restated action because they only make sense
+ * next to a negation ("I won't ever be thin" → "you were thin")
+ */
+export const DROPPED_POLARITY_WORDS = new Set(['ever', 'anymore']);
+
+/**
+ * Words dropped only from the positive action ("haven't found it yet")
+ */
+export const DROPPED_POSITIVE_WORDS = new Set(['yet', 'either']);
+
+/**
+ * Negative quantifiers: [positive replacement, negative-clause replacement]
+ */
+export const NEGATIVE_QUANTIFIERS = {
+  nobody: ['somebody', 'anybody'],
+  nothing: ['something', 'anything'],
+  nowhere: ['somewhere', 'anywhere'],
+  none: ['some', 'any'],
+  'no one': ['someone', 'anyone']
+};
+
+/**
+ * Belief frames in front of the actual belief ("I feel like I'm not good enough")
+ */
+export const BELIEF_FRAMES = [
+  ['i', 'feel', 'like'],
+  ['i', 'feel', 'that'],
+  ['i', 'think', 'that'],
+  ['i', 'believe', 'that'],
+  ['i', 'know', 'that'],
+  ['i', 'guess'],
+  ['i', 'feel'],
+  ['i', 'think'],
+  ['i', 'believe'],
+  ['i', 'know'],
+  ['deep', 'down'],
+  ['honestly'],
+  ['the', 'truth', 'is'],
+  ['the', 'problem', 'is'],
+  ['it', 'seems', 'like'],
+  ['it', 'feels', 'like']
+];
+
+/**
+ * Irregular verbs: base → [past, past participle]
+ */
+export const IRREGULAR_VERBS = {
+  be: ['was', 'been'],
+  have: ['had', 'had'],
+  do: ['did', 'done'],
+  go: ['went', 'gone'],
+  get: ['got', 'gotten'],
+  make: ['made', 'made'],
+  say: ['said', 'said'],
+  see: ['saw', 'seen'],
+  know: ['knew', 'known'],
+  think: ['thought', 'thought'],
+  take: ['took', 'taken'],
+  come: ['came', 'come'],
+  give: ['gave', 'given'],
+  find: ['found', 'found'],
+  tell: ['told', 'told'],
+  become: ['became', 'become'],
+  leave: ['left', 'left'],
+  feel: ['felt', 'felt'],
+  bring: ['brought', 'brought'],
+  begin: ['began', 'begun'],
+  keep: ['kept', 'kept'],
+  hold: ['held', 'held'],
+  write: ['wrote', 'written'],
+  stand: ['stood', 'stood'],
+  hear: ['heard', 'heard'],
+  let: ['let', 'let'],
+  mean: ['meant', 'meant'],
+  set: ['set', 'set'],
+  meet: ['met', 'met'],
+  run: ['ran', 'run'],
+  pay: ['paid', 'paid'],
+  sit: ['sat', 'sat'],
+  speak: ['spoke', 'spoken'],
+  lie: ['lay', 'lain'],
+  lead: ['led', 'led'],
+  read: ['read', 'read'],
+  grow: ['grew', 'grown'],
+  lose: ['lost', 'lost'],
+  fall: ['fell', 'fallen'],
+  send: ['sent', 'sent'],
+  build: ['built', 'built'],
+  understand: ['understood', 'understood'],
+  draw: ['drew', 'drawn'],
+  break: ['broke', 'broken'],
+  spend: ['spent', 'spent'],
+  cut: ['cut', 'cut'],
+  rise: ['rose', 'risen'],
+  drive: ['drove', 'driven'],
+  buy: ['bought', 'bought'],
+  wear: ['wore', 'worn'],
+  choose: ['chose', 'chosen'],
+  seek: ['sought', 'sought'],
+  throw: ['threw', 'thrown'],
+  catch: ['caught', 'caught'],
+  deal: ['dealt', 'dealt'],
+  win: ['won', 'won'],
+  forget: ['forgot', 'forgotten'],
+  forgive: ['forgave', 'forgiven'],
+  sell: ['sold', 'sold'],
+  fight: ['fought', 'fought'],
+  eat: ['ate', 'eaten'],
+  sleep: ['slept', 'slept'],
+  teach: ['taught', 'taught'],
+  put: ['put', 'put'],
+  hit: ['hit', 'hit'],
+  hurt: ['hurt', 'hurt'],
+  quit: ['quit', 'quit'],
+  shut: ['shut', 'shut'],
+  fit: ['fit', 'fit'],
+  cost: ['cost', 'cost'],
+  sing: ['sang', 'sung'],
+  swim: ['swam', 'swum'],
+  drink: ['drank', 'drunk'],
+  ride: ['rode', 'ridden'],
+  fly: ['flew', 'flown'],
+  show: ['showed', 'shown'],
+  wake: ['woke', 'woken'],
+  steal: ['stole', 'stolen'],
+  shake: ['shook', 'shaken'],
+  hide: ['hid', 'hidden'],
+  bite: ['bit', 'bitten'],
+  feed: ['fed', 'fed'],
+  light: ['lit', 'lit'],
+  stick: ['stuck', 'stuck'],
+  strike: ['struck', 'struck'],
+  swear: ['swore', 'sworn'],
+  tear: ['tore', 'torn'],
+  bear: ['bore', 'borne'],
+  beat: ['beat', 'beaten'],
+  bend: ['bent', 'bent'],
+  bet: ['bet', 'bet'],
+  bleed: ['bled', 'bled'],
+  blow: ['blew', 'blown'],
+  dig: ['dug', 'dug'],
+  freeze: ['froze', 'frozen'],
+  hang: ['hung', 'hung'],
+  kneel: ['knelt', 'knelt'],
+  lend: ['lent', 'lent'],
+  ring: ['rang', 'rung'],
+  shine: ['shone', 'shone'],
+  shoot: ['shot', 'shot'],
+  sink: ['sank', 'sunk'],
+  slide: ['slid', 'slid'],
+  spin: ['spun', 'spun'],
+  split: ['split', 'split'],
+  spread: ['spread', 'spread'],
+  sting: ['stung', 'stung'],
+  stink: ['stank', 'stunk'],
+  sweep: ['swept', 'swept'],
+  swing: ['swung', 'swung'],
+  weep: ['wept', 'wept'],
+  wind: ['wound', 'wound'],
+  withdraw: ['withdrew', 'withdrawn'],
+  overcome: ['overcame', 'overcome']
+};
+
+/**
+ * Common base-form verbs, used to find the main verb when there is no auxiliary
+ * ("My boss never listens to me"). Irregular verbs are included implicitly.
+ */
+export const COMMON_VERBS = new Set([
+  'accept', 'achieve', 'act', 'add', 'admit', 'afford', 'agree', 'allow', 'answer', 'apologize',
+  'appear', 'apply', 'appreciate', 'argue', 'arrive', 'ask', 'attend', 'avoid', 'believe', 'belong',
+  'blame', 'borrow', 'breathe', 'call', 'calm', 'care', 'carry', 'cause', 'change', 'chase',
+  'cheat', 'check', 'clean', 'climb', 'close', 'commit', 'communicate', 'compare', 'compete',
+  'complain', 'complete', 'concentrate', 'connect', 'consider', 'continue', 'control', 'cook',
+  'cope', 'count', 'create', 'cry', 'dance', 'date', 'decide', 'defend', 'delegate', 'depend',
+  'deserve', 'die', 'disappoint', 'discipline', 'dress', 'earn', 'enjoy', 'escape', 'exercise',
+  'exist', 'expect', 'explain', 'express', 'fail', 'fear', 'fill', 'finish', 'fix', 'focus',
+  'follow', 'force', 'function', 'gain', 'handle', 'happen', 'hate', 'heal', 'help', 'hire', 'hope',
+  'ignore', 'improve', 'include', 'interrupt', 'interview', 'invest', 'invite', 'join', 'judge',
+  'jump', 'kill', 'kiss', 'laugh', 'learn', 'like', 'listen', 'live', 'look', 'love', 'manage',
+  'marry', 'matter', 'meditate', 'mess', 'mind', 'miss', 'move', 'need', 'notice', 'obey',
+  'offer', 'open', 'order', 'organize', 'own', 'pass', 'perform', 'pick', 'plan', 'play',
+  'please', 'practice', 'practise', 'praise', 'prepare', 'present', 'pretend', 'prevent',
+  'procrastinate', 'progress', 'promise', 'promote', 'protect', 'prove', 'pull', 'push',
+  'qualify', 'question', 'reach', 'react', 'realize', 'receive', 'recover', 'reject', 'relax',
+  'rely', 'remember', 'repeat', 'reply', 'respect', 'respond', 'rest', 'return', 'risk', 'save',
+  'score', 'seem', 'settle', 'share', 'shop', 'sign', 'smile', 'solve', 'start', 'stay', 'stop',
+  'study', 'succeed', 'suffer', 'support', 'survive', 'talk', 'thank', 'touch', 'train', 'travel',
+  'treat', 'trust', 'try', 'turn', 'use', 'value', 'visit', 'wait', 'walk', 'want', 'wash',
+  'waste', 'watch', 'welcome', 'wish', 'wonder', 'work', 'workout', 'worry', 'yell'
+]);
+
+/**
+ * Base verbs that end in a double consonant (not undoubled when lemmatizing "-ed")
+ */
+export const DOUBLE_CONSONANT_VERBS = new Set(['add', 'err', 'purr', 'butt', 'ebb', 'buzz']);
@@ -0,0 +1,389 @@
+/**
+ * Localized Cartesian Questions
+ * Question frames for the non-English languages. The clause transforms in
+ * transformer.js only parse English, so these ask about the belief as a whole,
+ * inside each language's own conditional:
+ * - Spanish puts the condition in the imperfect subjunctive:
+ *   "¿Qué no pasaría si «...» no fuera cierto?"
+ * - German uses Konjunktiv II with the verb at the end of the "wenn" clause
+ *   and "nicht" before it: "Was würde nicht passieren, wenn „...“ nicht wahr wäre?"
+ * - French never puts the conditional after "si" (imperfect instead) and wraps
+ *   the verb in ne ... pas: "Que ne se passerait-il pas si « ... » n'était pas vrai ?"
+ *
+ * As in English, the quoted statement is A: the belief in the second person,
+ * with its first-person verbs conjugated to match and its negation and
+ * universal adverbs dropped ("Nunca termino nada" → "terminas algo", "Je n'arrive
+ * pas à maigrir" → "vous arrivez à maigrir"). When a first-person verb isn't one
+ * the rules know, the belief is quoted as written and a negative belief takes
+ * the "not true" condition for A.
+ */
+
+const FRAMES = {
+  es: {
+    would: 'Qué pasaría',
+    wouldNot: 'Qué no pasaría',
+    ask: (frame, condition) => `¿${frame} si ${condition}?`,
+    positive: (statement) => `«${statement}» fuera cierto`,
+    negative: (statement) => `«${statement}» no fuera cierto`,
+    address: 'tú'
+  },
+  de: {
+    would: 'Was würde passieren',
+    wouldNot: 'Was würde nicht passieren',
+    ask: (frame, condition) => `${frame}, wenn ${condition}?`,
+    positive: (statement) => `„${statement}“ wahr wäre`,
+    negative: (statement) => `„${statement}“ nicht wahr wäre`,
+    address: 'du'
+  },
+  fr: {
+    would: 'Que se passerait-il',
+    wouldNot: 'Que ne se passerait-il pas',
+    ask: (frame, condition) => `${frame} si ${condition} ?`,
+    positive: (statement) => `« ${statement} » était vrai`,
+    negative: (statement) => `« ${statement} » n'était pas vrai`,
+    address: 'vous'
+  }
+};
+
+// Which frame and condition (for A, or for not A) each quadrant uses
+const QUADRANTS = {
+  theorem: ['would', 'positive'],
+  converse: ['wouldNot', 'positive'],
+  inverse: ['would', 'negative'],
+  nonMirrorReverse: ['wouldNot', 'negative']
+};
+
+// First-person pronouns and possessives with their second-person equivalents
+// (informal in Spanish and German, "vous" in French)
+const SECOND_PERSON = {
+  es: {
+    yo: 'tú', mi: 'tu', mis: 'tus', me: 'te', mí: 'ti', conmigo: 'contigo',
+    mío: 'tuyo', mía: 'tuya', míos: 'tuyos', mías: 'tuyas'
+  },
+  de: {
+    ich: 'du', mich: 'dich', mir: 'dir', mein: 'dein', meine: 'deine', meinen: 'deinen',
+    meinem: 'deinem', meiner: 'deiner', meines: 'deines'
+  },
+  fr: {
+    je: 'vous', "j'": 'vous ', me: 'vous', "m'": 'vous ', moi: 'vous', mon: 'votre', ma: 'votre', mes: 'vos'
+  }
+};
+
+// Negation words: dropped, or swapped for their positive ("nada" → "algo")
+const NEGATIONS = {
+  es: {
+    no: '', nunca: '', jamás: '', tampoco: 'también', nada: 'algo', nadie: 'alguien',
+    ningún: 'algún', ninguno: 'alguno', ninguna: 'alguna', ningunos: 'algunos', ningunas: 'algunas'
+  },
+  de: {
+    nicht: '', nie: '', niemals: '', nichts: 'etwas', niemand: 'jemand', nirgends: 'irgendwo',
+    nirgendwo: 'irgendwo', kein: 'ein', keine: '', keinen: 'einen', keinem: 'einem', keiner: 'einer', keines: 'eines'
+  },
+  // rien, personne, plus and aucun only negate alongside ne
+  fr: { ne: '', "n'": '', pas: '', jamais: '', guère: '' }
+};
+
+const FRENCH_NE_NEGATIONS = { rien: 'quelque chose', personne: "quelqu'un", plus: '', aucun: 'un', aucune: 'une' };
+
+const UNIVERSAL_ADVERBS = {
+  es: new Set(['siempre']),
+  de: new Set(['immer', 'stets']),
+  fr: new Set(['toujours'])
+};
+
+// Spanish first-person forms the -o/-é/-í endings don't cover
+const SPANISH_VERBS = {
+  soy: 'eres', estoy: 'estás', voy: 'vas', doy: 'das', sé: 'sabes', he: 'has', veo: 'ves',
+  tengo: 'tienes', vengo: 'vienes', digo: 'dices', hago: 'haces', pongo: 'pones', salgo: 'sales',
+  valgo: 'vales', oigo: 'oyes', caigo: 'caes', traigo: 'traes', sigo: 'sigues', consigo: 'consigues',
+  elijo: 'eliges', escojo: 'escoges', protejo: 'proteges', fui: 'fuiste', estuve: 'estuviste',
+  tuve: 'tuviste', hice: 'hiciste', pude: 'pudiste', quise: 'quisiste', dije: 'dijiste', supe: 'supiste'
+};
+
+// -er and -ir verbs (first person -o, second person -es); other -o forms are -ar verbs
+const SPANISH_ER_IR_VERBS = new Set([
+  'como', 'bebo', 'vivo', 'escribo', 'leo', 'creo', 'aprendo', 'comprendo', 'entiendo', 'pierdo', 'sufro',
+  'decido', 'recibo', 'corro', 'temo', 'rompo', 'subo', 'abro', 'cumplo', 'permito', 'pido', 'repito',
+  'sirvo', 'siento', 'miento', 'prefiero', 'duermo', 'muero', 'vuelvo', 'resuelvo', 'muevo', 'existo',
+  'insisto', 'resisto', 'vendo', 'respondo', 'escondo', 'defiendo', 'atiendo', 'dependo', 'meto',
+  'cometo', 'prometo', 'asumo', 'puedo', 'quiero', 'debo'
+]);
+
+// Words that may stand between a clause start and its verb ("Yo nunca me rindo")
+const SPANISH_VERB_PREFIXES = new Set([
+  'yo', 'no', 'nunca', 'jamás', 'tampoco', 'siempre', 'ya', 'todavía', 'aún', 'también', 'solo', 'sólo',
+  'me', 'te', 'se', 'lo', 'la', 'le', 'los', 'las', 'les', 'nos'
+]);
+
+// Clause openings followed by a first-person verb when the subject is dropped
+const SPANISH_CLAUSE_STARTS = new Set(['yo', 'que', 'cuando', 'si', 'porque']);
+
+// -o words that open a clause without being verbs
+const SPANISH_NON_VERBS = new Set(['todo', 'algo', 'mucho', 'poco', 'demasiado', 'eso', 'esto', 'pero', 'otro', 'cuando']);
+
+// German first-person forms the -e/-te endings don't cover (strong verbs change their vowel)
+const GERMAN_VERBS = {
+  bin: 'bist', habe: 'hast', hab: 'hast', kann: 'kannst', muss: 'musst', will: 'willst', darf: 'darfst',
+  soll: 'sollst', mag: 'magst', werde: 'wirst', weiß: 'weißt', war: 'warst', tu: 'tust',
+  esse: 'isst', gebe: 'gibst', helfe: 'hilfst', nehme: 'nimmst', spreche: 'sprichst', treffe: 'triffst',
+  vergesse: 'vergisst', sehe: 'siehst', lese: 'liest', werfe: 'wirfst', sterbe: 'stirbst', breche: 'brichst',
+  fahre: 'fährst', falle: 'fällst', fange: 'fängst', halte: 'hältst', lasse: 'lässt', laufe: 'läufst',
+  schlafe: 'schläfst', trage: 'trägst', wachse: 'wächst', wasche: 'wäschst'
+};
+
+// Subordinate clauses put the verb last ("weil ich keine Zeit habe")
+const GERMAN_SUBORDINATORS = new Set([
+  'weil', 'dass', 'wenn', 'ob', 'als', 'obwohl', 'damit', 'bevor', 'nachdem', 'sobald', 'während', 'da', 'falls', 'bis', 'seit', 'wie'
+]);
+
+// -e words that can follow "ich" without being its verb
+const GERMAN_NON_VERBS = new Set(['alleine', 'gerne', 'eine', 'keine', 'meine', 'deine', 'seine', 'ihre', 'diese', 'jede', 'alle', 'selbe']);
+
+// Sentence openings that aren't nouns, so they are lowercased inside the quotes
+const GERMAN_LOWERCASE_STARTS = new Set([
+  'ich', 'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'es', 'er', 'sie', 'wir',
+  'ihr', 'man', 'alle', 'alles', 'jeder', 'jede', 'jedes', 'etwas', 'heute', 'hier', 'manchmal', 'deshalb',
+  'wenn', 'weil', 'dass', 'wer', 'was', 'so', 'auch', 'nur', 'dieser', 'diese', 'dieses'
+]);
+
+// French first-person forms the -e/-is endings don't cover
+const FRENCH_VERBS = {
+  suis: 'êtes', ai: 'avez', vais: 'allez', peux: 'pouvez', dois: 'devez', veux: 'voulez', sais: 'savez',
+  fais: 'faites', dis: 'dites', vis: 'vivez', crois: 'croyez', vois: 'voyez', bois: 'buvez', lis: 'lisez',
+  écris: 'écrivez', prends: 'prenez', comprends: 'comprenez', apprends: 'apprenez', viens: 'venez',
+  deviens: 'devenez', tiens: 'tenez', mets: 'mettez', sors: 'sortez', pars: 'partez', dors: 'dormez',
+  sens: 'sentez', ressens: 'ressentez', mens: 'mentez', connais: 'connaissez', reconnais: 'reconnaissez',
+  parais: 'paraissez', perds: 'perdez', attends: 'attendez', entends: 'entendez', réponds: 'répondez',
+  vaux: 'valez', reçois: 'recevez', cours: 'courez', plais: 'plaisez',
+  // -e verbs whose stem doesn't follow the ending
+  appelle: 'appelez', rappelle: 'rappelez', jette: 'jetez', rejette: 'rejetez', préfère: 'préférez',
+  répète: 'répétez', espère: 'espérez', considère: 'considérez', gère: 'gérez', exagère: 'exagérez',
+  suggère: 'suggérez', cède: 'cédez', possède: 'possédez', protège: 'protégez', tolère: 'tolérez',
+  libère: 'libérez', récupère: 'récupérez', règle: 'réglez', inquiète: 'inquiétez', complète: 'complétez',
+  digère: 'digérez', accélère: 'accélérez'
+};
+
+// Object pronouns and ne between "je" and its verb
+const FRENCH_VERB_PREFIXES = new Set(['ne', "n'", 'me', "m'", 'te', "t'", 'se', "s'", 'le', 'la', 'les', "l'", 'lui', 'leur', 'y', 'en']);
+
+// Spanish -o (present), -é and -í (preterite) first-person forms
+function conjugateSpanish(word) {
+  if (SPANISH_VERBS[word]) return SPANISH_VERBS[word];
+  if (SPANISH_NON_VERBS.has(word) || word.length < 3) return null;
+  if (word.endsWith('zco')) return `${word.slice(0, -3)}ces`;
+  if (word.endsWith('o')) return `${word.slice(0, -1)}${SPANISH_ER_IR_VERBS.has(word) ? 'es' : 'as'}`;
+  if (word.endsWith('é')) return `${word.slice(0, -1)}aste`;
+  if (word.endsWith('í')) return `${word.slice(0, -1)}iste`;
+  return null;
+}
+
+// German -e (present) and -te (past) first-person forms
+function conjugateGerman(word) {
+  if (!word) return null;
+  if (GERMAN_VERBS[word]) return GERMAN_VERBS[word];
+  if (GERMAN_NON_VERBS.has(word) || word.length < 3 || !word.endsWith('e')) return null;
+  if (word.endsWith('te')) return `${word}st`;
+  const stem = word.slice(0, -1);
+  if (/(?:[dt]|chn|ffn|gn|[bcdfgkptvwxz][mn])$/.test(stem)) return `${stem}est`;
+  if (/[sßxz]$/.test(stem)) return `${stem}t`;
+  return `${stem}st`;
+}
+
+// French -e (first group) and -is (second group) first-person forms
+function conjugateFrench(word) {
+  if (FRENCH_VERBS[word]) return FRENCH_VERBS[word];
+  if (/[aou]ie$/.test(word)) return `${word.slice(0, -2)}yez`;
+  if (word.endsWith('e')) return `${word.slice(0, -1).replace(/è(?=[^è]*$)/, 'e')}ez`;
+  if (word.endsWith('is')) return `${word.slice(0, -1)}ssez`;
+  return null;
+}
+
+// Spanish verbs follow the clause start, after any "no" or object pronouns ("Nunca me rindo")
+function restateSpanish(words) {
+  let negated = false;
+  let slot = 'start'; // A clause just began: 'start', or 'subject' after "yo"
+  let known = true;
+
+  const restated = words.map((word) => {
+    const lower = word.toLowerCase();
+    if (slot && !SPANISH_VERB_PREFIXES.has(lower)) {
+      const verb = conjugateSpanish(lower);
+      if (!verb && slot === 'subject') known = false;
+      slot = null;
+      if (verb) return verb;
+    }
+    if (SPANISH_CLAUSE_STARTS.has(lower)) slot = lower === 'yo' ? 'subject' : 'start';
+    if (lower in NEGATIONS.es) {
+      negated = true;
+      return NEGATIONS.es[lower];
+    }
+    if (UNIVERSAL_ADVERBS.es.has(lower)) return '';
+    return SECOND_PERSON.es[lower] ?? word;
+  });
+
+  return known ? { words: restated, negated } : null;
+}
+
+// German verbs stand next to "ich" ("Ich arbeite", "Heute arbeite ich"), or end its clause after "weil", "dass"...
+function restateGerman(words, gaps) {
+  const lower = words.map((word) => word.toLowerCase());
+  const restated = [...words];
+  const verbs = new Set();
+  let inverted = -1;
+
+  for (let i = 0; i < lower.length; i++) {
+    if (lower[i] !== 'ich') continue;
+    let verb = -1;
+    if (i > 0 && GERMAN_SUBORDINATORS.has(lower[i - 1])) {
+      verb = i + 1;
+      while (verb < lower.length - 1 && !/[,;:.!?–]/.test(gaps[verb])) verb++;
+    } else if (conjugateGerman(lower[i + 1])) {
+      verb = i + 1;
+    } else if (i > 0 && conjugateGerman(lower[i - 1])) {
+      verb = i - 1;
+      inverted = verb;
+    }
+    const conjugated = conjugateGerman(lower[verb]);
+    if (!conjugated) return null;
+    restated[verb] = conjugated;
+    verbs.add(verb);
+  }
+
+  let negated = false;
+  lower.forEach((word, i) => {
+    if (verbs.has(i)) return;
+    if (word in NEGATIONS.de) {
+      negated = true;
+      restated[i] = NEGATIONS.de[word];
+    } else if (UNIVERSAL_ADVERBS.de.has(word)) {
+      restated[i] = '';
+    } else if (SECOND_PERSON.de[word]) {
+      restated[i] = SECOND_PERSON.de[word];
+    }
+  });
+
+  // With "Immer" or "Nie" gone, "mache ich Fehler" would read as a question
+  if (inverted !== -1 && restated.slice(0, inverted).every((word) => !word)) {
+    [restated[inverted], restated[inverted + 1]] = [restated[inverted + 1], restated[inverted]];
+  }
+  return { words: restated, negated };
+}
+
+// French verbs follow "je" after any ne or object pronouns ("je ne me sens")
+function restateFrench(words) {
+  const lower = words.map((word) => word.toLowerCase());
+  const withNe = lower.some((word) => word === 'ne' || word === "n'");
+  let negated = false;
+  let slot = false;
+  let known = true;
+
+  const restated = words.map((word, i) => {
+    const current = lower[i];
+    if (slot && !FRENCH_VERB_PREFIXES.has(current)) {
+      slot = false;
+      const verb = conjugateFrench(current);
+      if (!verb) known = false;
+      return verb ?? word;
+    }
+    if (current === 'je' || current === "j'") slot = true;
+    if (current in NEGATIONS.fr || (withNe && current in FRENCH_NE_NEGATIONS)) {
+      negated = true;
+      return NEGATIONS.fr[current] ?? FRENCH_NE_NEGATIONS[current];
+    }
+    if (UNIVERSAL_ADVERBS.fr.has(current)) return '';
+    return SECOND_PERSON.fr[current] ?? word;
+  });
+
+  return known && !slot ? { words: restated, negated } : null;
+}
+
+const RESTATE = { es: restateSpanish, de: restateGerman, fr: restateFrench };
+
+// Lowercase the opening word inside the quotes (German keeps its nouns capitalized)
+function lowercaseStart(text, language) {
+  const first = text.match(/^\p{L}+/u)?.[0] ?? '';
+  if (language === 'de' && !GERMAN_LOWERCASE_STARTS.has(first.toLowerCase())) return text;
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * Whether the language has its own question frames (English uses the clause transforms)
+ * @param {string} language - Language id
+ * @returns {boolean}
+ */
+export function hasLocalizedFrames(language) {
+  return Boolean(FRAMES[language]);
+}
+
+/**
+ * The exact opening a quadrant's question must have
+ * @param {string} language - Language id (es, de, fr)
+ * @param {string} key - Quadrant key (theorem, converse, inverse, nonMirrorReverse)
+ * @returns {string} - e.g. "Qué no pasaría" for the Spanish Converse
+ */
+export function getQuadrantFrame(language, key) {
+  return FRAMES[language][QUADRANTS[key][0]];
+}
+
+/**
+ * How the questions address the person
+ * @param {string} language - Language id (es, de, fr)
+ * @returns {string} - The "you" to use (tú, du, vous)
+ */
+export function getAddressForm(language) {
+  return FRAMES[language].address;
+}
+
+/**
+ * Restate a belief as A: second person, without its negation or universal adverbs
+ * ("No soy suficiente" → "eres suficiente", "Ich arbeite immer zu viel" → "du arbeitest zu viel")
+ * @param {string} text - Belief in the given language
+ * @param {string} language - Language id (es, de, fr)
+ * @returns {object} - { statement, negated }: the restated text without surrounding quotes or
+ *   end punctuation; or, when a first-person verb isn't one the rules know, the belief as
+ *   written with negated telling whether it is negative
+ */
+export function toLocalizedStatement(text, language) {
+  const belief = text.trim()
+    .replace(/’/g, "'")
+    .replace(/^[\s¿¡«„“"]+|[\s.!?»“”"]+$/gu, '');
+  const parts = belief.split(/(\p{L}+'?)/u);
+  const words = parts.filter((_, i) => i % 2 === 1);
+  const gaps = parts.filter((_, i) => i % 2 === 0).slice(1);
+
+  const restated = RESTATE[language](words, gaps);
+  const statement = restated && parts
+    .map((part, i) => (i % 2 === 1 ? restated.words[(i - 1) / 2] : part))
+    .join('')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,;:])/g, '$1')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+
+  if (statement) {
+    return { statement: lowercaseStart(statement, language), negated: false };
+  }
+  const negations = NEGATIONS[language];
+  return {
+    statement: lowercaseStart(belief, language),
+    negated: words.some((word) => word.toLowerCase() in negations)
+  };
+}
+
+/**
+ * Generate the four Cartesian Logic questions in a non-English language
+ * @param {string} belief - The user's limiting belief, in that language
+ * @param {string} language - Language id (es, de, fr)
+ * @returns {object} - Object containing the four questions
+ */
+export function generateLocalizedQuestions(belief, language) {
+  const frames = FRAMES[language];
+  const { statement, negated } = toLocalizedStatement(belief, language);
+  const questions = {};
+
+  for (const [key, [frame, condition]] of Object.entries(QUADRANTS)) {
+    // A negative belief quoted as written is A when it isn't true
+    const polarity = negated ? (condition === 'positive' ? 'negative' : 'positive') : condition;
+    questions[key] = frames.ask(frames[frame], frames[polarity](statement));
+  }
+  return questions;
+}
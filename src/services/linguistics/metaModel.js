@@ -0,0 +1,215 @@
+/**
+ * Meta Model Analysis
+ * Tags the deletions, distortions and generalizations in a belief and pairs
+ * each with the Meta Model question that recovers the missing content
+ * ("Can't, according to whom?", "Always?", "How specifically?").
+ *
+ * Violations carry character offsets into the original text so the UI can
+ * highlight them inline.
+ */
+
+import { analyzeBeliefStructure, isNominalization, findLostPerformative } from './structure.js';
+import { lemmatize } from './morphology.js';
+import { toSecondPerson } from './transformer.js';
+
+export const META_MODEL_CATEGORIES = {
+  deletion: 'Deletion',
+  distortion: 'Distortion',
+  generalization: 'Generalization'
+};
+
+// "Who says you has to?" → "Who says you have to?"
+const SECOND_PERSON_MODALS = { 'has to': 'have to', 'needs to': 'need to' };
+
+/**
+ * Violation types, in priority order: when two matches overlap, the earlier
+ * rule wins ("everyone" is a universal quantifier before it is an
+ * unspecified referential index)
+ */
+const RULES = [
+  {
+    type: 'lostPerformative',
+    label: 'Lost performative',
+    category: 'distortion',
+    find: (text) => {
+      const match = findLostPerformative(text);
+      return match ? [{ start: text.indexOf(match), text: match }] : [];
+    },
+    challenge: (text) => `${capitalize(text)}, according to whom? Who says so?`
+  },
+  {
+    type: 'modalPossibility',
+    label: 'Modal operator of possibility',
+    category: 'generalization',
+    pattern: /\b(can't|cannot|can not|couldn't|won't|will not|unable to|not able to|impossible)\b/gi,
+    challenge: (text) => `${capitalize(text)}, according to whom? What stops you? What would happen if you did?`
+  },
+  {
+    type: 'modalNecessity',
+    label: 'Modal operator of necessity',
+    category: 'generalization',
+    pattern: /\b(must(?:n't)?|should(?:n't)?|ought to|have to|has to|need to|needs to|got to|supposed to)\b/gi,
+    challenge: (text) => {
+      const modal = text.toLowerCase();
+      return `${capitalize(text)}? What would happen if you didn't? Who says you ${SECOND_PERSON_MODALS[modal] || modal}?`;
+    }
+  },
+  {
+    type: 'universal',
+    label: 'Universal quantifier',
+    category: 'generalization',
+    pattern: /\b(always|never|every(?:one|body|thing|where)?|all|nobody|no one|nothing|nowhere|none|forever|constantly)\b/gi,
+    challenge: (text) => `${capitalize(text)}? Has there ever been a time when that wasn't so?`
+  },
+  {
+    type: 'mindReading',
+    label: 'Mind reading',
+    category: 'distortion',
+    pattern: /\b(?:he|she|they|people|others|my \w+|his \w+|her \w+|their \w+)\s+(?:\w+\s+)?(?:thinks?|knows?|believes?|wants?|judges?|hates?|(?:don't|doesn't|do not|does not)\s+(?:like|care|want|respect|trust))\b/gi,
+    challenge: () => 'How do you know that? What tells you what they think?'
+  },
+  {
+    type: 'causeEffect',
+    label: 'Cause–effect',
+    category: 'distortion',
+    find: (text, analysis) => analysis.structure === 'cause-effect'
+      ? findConnector(text, /\b(makes?|made|causes?|caused|forces?|forced|drives?|drove|leads? to|led to|results? in|because|so|if|when|whenever|every time)\b/i)
+      : [],
+    challenge: (text, analysis) =>
+      `How specifically does "${toStatement(analysis.components.a)}" cause "${toStatement(analysis.components.b)}"?`
+  },
+  {
+    type: 'complexEquivalence',
+    label: 'Complex equivalence',
+    category: 'distortion',
+    find: (text, analysis) => analysis.structure === 'complex-equivalence'
+      ? findConnector(text, /\b(means?|meant|proves?|proved|shows?|showed|is a sign|is proof)\b/i)
+      : [],
+    challenge: (text, analysis) =>
+      `How does "${toStatement(analysis.components.a)}" mean "${toStatement(analysis.components.b)}"? Has it ever not meant that?`
+  },
+  {
+    type: 'comparativeDeletion',
+    label: 'Comparative deletion',
+    category: 'deletion',
+    pattern: /\b(good enough|enough|too \w+|better|worse|best|worst|more|less|harder|easier|smarter)\b(?!\s+than\b)/gi,
+    challenge: (text) => /enough$/i.test(text)
+      ? `${capitalize(text)} for what? By whose standard?`
+      : `${capitalize(text)} compared to what? By whose standard?`
+  },
+  {
+    type: 'unspecifiedReferentialIndex',
+    label: 'Unspecified referential index',
+    category: 'deletion',
+    pattern: /\b(people|they|them|someone|somebody|others|men|women)\b/gi,
+    challenge: (text) => (text.toLowerCase() === 'people' ? 'Which people, specifically?' : 'Who, specifically?')
+  },
+  {
+    type: 'unspecifiedVerb',
+    label: 'Unspecified verb',
+    category: 'deletion',
+    pattern: /\b(hurts?|hurt|helps?|helped|fail(?:s|ed|ing)?|try|tries|tried|trying|handl(?:e|es|ed|ing)|ruin(?:s|ed)?|rejects?|rejected|mess(?:es|ed)? up|let (?:me |you |them )?down|deal with|cope)\b/gi,
+    challenge: (text) => {
+      const [verb, ...rest] = text.toLowerCase().split(' ');
+      return `${capitalize([lemmatize(verb).base, ...rest].join(' '))} how, specifically?`;
+    }
+  },
+  {
+    type: 'nominalization',
+    label: 'Nominalization',
+    category: 'distortion',
+    find: (text) => [...text.matchAll(/\b[A-Za-z]+\b/g)]
+      .filter((match) => isNominalization(match[0].toLowerCase()))
+      .map((match) => ({ start: match.index, text: match[0] })),
+    challenge: (text) => `What do you mean by "${text.toLowerCase()}"? Who is doing what, and how?`
+  }
+];
+
+/**
+ * @typedef {object} MetaModelViolation
+ * @property {string} type - Rule type, e.g. universal, modalPossibility, mindReading
+ * @property {string} label - Human-readable name
+ * @property {string} category - deletion | distortion | generalization
+ * @property {string} text - Matched text from the belief
+ * @property {number} start - Character offset of the match
+ * @property {number} end - Character offset after the match
+ * @property {string} challenge - Meta Model question that recovers the missing content
+ */
+
+/**
+ * Tag the Meta Model violations in a belief
+ * @param {string} belief - The user's limiting belief
+ * @returns {MetaModelViolation[]} - Violations in text order (non-overlapping)
+ */
+export function analyzeMetaModel(belief) {
+  // Same-length normalization keeps offsets valid for the original text
+  const text = belief.replace(/[‘’ʼ]/g, "'");
+  if (!text.trim()) return [];
+
+  const analysis = analyzeBeliefStructure(text);
+  const violations = [];
+
+  for (const rule of RULES) {
+    const matches = rule.find
+      ? rule.find(text, analysis)
+      : [...text.matchAll(rule.pattern)].map((match) => ({ start: match.index, text: match[0] }));
+
+    for (const match of matches) {
+      const end = match.start + match.text.length;
+      if (violations.some((violation) => match.start < violation.end && end > violation.start)) continue;
+
+      violations.push({
+        type: rule.type,
+        label: rule.label,
+        category: rule.category,
+        text: belief.slice(match.start, end),
+        start: match.start,
+        end,
+        challenge: rule.challenge(match.text, analysis)
+      });
+    }
+  }
+
+  return violations.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Split text into plain and violation segments for inline highlighting
+ * @param {string} text - The belief text
+ * @param {MetaModelViolation[]} violations - Result of analyzeMetaModel
+ * @returns {array} - Segments { text, violation } where violation is null for plain text
+ */
+export function segmentByViolations(text, violations) {
+  const segments = [];
+  let position = 0;
+
+  for (const violation of violations) {
+    if (violation.start > position) {
+      segments.push({ text: text.slice(position, violation.start), violation: null });
+    }
+    segments.push({ text: text.slice(violation.start, violation.end), violation });
+    position = violation.end;
+  }
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), violation: null });
+  }
+
+  return segments;
+}
+
+function findConnector(text, pattern) {
+  const match = text.match(pattern);
+  return match ? [{ start: match.index, text: match[0] }] : [];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// A quoted part of the belief, shaped like the engine's statements: second
+// person, and no capital mid-sentence unless it's an acronym ("She" → "she")
+function toStatement(text) {
+  const statement = toSecondPerson(text);
+  const [first] = statement.split(' ');
+  return first === first.toUpperCase() ? statement : statement.charAt(0).toLowerCase() + statement.slice(1);
+}
@@ -0,0 +1,134 @@
+/**
+ * Verb Morphology
+ * Lemmatization (listens → listen, failed → fail) and past-tense formation
+ */
+
+import { IRREGULAR_VERBS, COMMON_VERBS, DOUBLE_CONSONANT_VERBS } from './lexicon.js';
+
+// Reverse lookups for irregular forms: past/participle → base
+const IRREGULAR_PAST = new Map();
+const IRREGULAR_PARTICIPLES = new Map();
+for (const [base, [past, participle]] of Object.entries(IRREGULAR_VERBS)) {
+  if (!IRREGULAR_PAST.has(past)) IRREGULAR_PAST.set(past, base);
+  if (!IRREGULAR_PARTICIPLES.has(participle)) IRREGULAR_PARTICIPLES.set(participle, base);
+}
+
+const IRREGULAR_THIRD_PERSON = { has: 'have', does: 'do', goes: 'go', is: 'be' };
+
+/**
+ * Check whether a word is a known base-form verb
+ * @param {string} base - Lowercase word
+ * @returns {boolean}
+ */
+export function isKnownVerb(base) {
+  return COMMON_VERBS.has(base) || Object.hasOwn(IRREGULAR_VERBS, base);
+}
+
+/**
+ * Reduce a verb form to its base form
+ * @param {string} word - Lowercase verb form
+ * @returns {{ base: string, form: string, known: boolean }} - form is base | third | past | participle | gerund
+ */
+export function lemmatize(word) {
+  if (isKnownVerb(word)) {
+    return { base: word, form: 'base', known: true };
+  }
+  if (IRREGULAR_THIRD_PERSON[word]) {
+    return { base: IRREGULAR_THIRD_PERSON[word], form: 'third', known: true };
+  }
+  if (IRREGULAR_PAST.has(word)) {
+    return { base: IRREGULAR_PAST.get(word), form: 'past', known: true };
+  }
+  if (IRREGULAR_PARTICIPLES.has(word)) {
+    return { base: IRREGULAR_PARTICIPLES.get(word), form: 'participle', known: true };
+  }
+
+  if (word.endsWith('ing') && word.length > 4) {
+    const match = pickCandidate(stemCandidates(word.slice(0, -3)));
+    if (match) return { base: match, form: 'gerund', known: true };
+  }
+
+  if (word.endsWith('ed') && word.length > 3) {
+    const stem = word.slice(0, -2);
+    const candidates = word.endsWith('ied')
+      ? [`${word.slice(0, -3)}y`]
+      : stemCandidates(stem);
+    const match = pickCandidate(candidates);
+    return { base: match || guessBase(stem), form: 'past', known: !!match };
+  }
+
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 2) {
+    let candidates;
+    if (word.endsWith('ies') && word.length > 4) {
+      candidates = [`${word.slice(0, -3)}y`];
+    } else if (/(ch|sh|ss|x|zz|o)es$/.test(word)) {
+      candidates = [word.slice(0, -2), word.slice(0, -1)];
+    } else {
+      candidates = [word.slice(0, -1)];
+    }
+    const match = pickCandidate(candidates);
+    return { base: match || candidates[0], form: 'third', known: !!match };
+  }
+
+  return { base: word, form: 'base', known: false };
+}
+
+// Possible base forms for a stem left after removing "-ed"/"-ing"
+function stemCandidates(stem) {
+  const candidates = [stem, `${stem}e`];
+  const last = stem[stem.length - 1];
+  if (last === stem[stem.length - 2] && !DOUBLE_CONSONANT_VERBS.has(stem)) {
+    candidates.unshift(stem.slice(0, -1));
+  }
+  return candidates;
+}
+
+function pickCandidate(candidates) {
+  return candidates.find((candidate) => isKnownVerb(candidate));
+}
+
+// Unknown regular verb: undo consonant doubling, restore a dropped "e" after v/c/g/z
+function guessBase(stem) {
+  const last = stem[stem.length - 1];
+  if (last === stem[stem.length - 2] && /[bdgmnprt]/.test(last) && !DOUBLE_CONSONANT_VERBS.has(stem)) {
+    return stem.slice(0, -1);
+  }
+  if (/[vcgz]$/.test(stem)) {
+    return `${stem}e`;
+  }
+  return stem;
+}
+
+/**
+ * Check whether a word looks like a past participle (for perfect "have" + participle)
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+export function isParticiple(word) {
+  if (IRREGULAR_PARTICIPLES.has(word)) return true;
+  const { form } = lemmatize(word);
+  return form === 'past' || form === 'participle';
+}
+
+/**
+ * Form the simple past of a base-form verb
+ * @param {string} base - Lowercase base form
+ * @returns {string} - Past tense
+ */
+export function toPast(base) {
+  if (Object.hasOwn(IRREGULAR_VERBS, base)) {
+    return IRREGULAR_VERBS[base][0];
+  }
+  if (base.endsWith('e')) {
+    return `${base}d`;
+  }
+  if (/[^aeiou]y$/.test(base)) {
+    return `${base.slice(0, -1)}ied`;
+  }
+  // Double the final consonant of one-syllable consonant-vowel-consonant verbs (stop → stopped)
+  const syllables = base.match(/[aeiouy]+/g) || [];
+  if (syllables.length === 1 && /[^aeiou][aeiou][^aeiouwxy]$/.test(base)) {
+    return `${base}${base[base.length - 1]}ed`;
+  }
+  return `${base}ed`;
+}
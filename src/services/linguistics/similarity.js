@@ -0,0 +1,110 @@
+/**
+ * Belief Similarity
+ * Decides whether two beliefs are rewordings of each other ("I'm not good
+ * enough" / "I am just not good enough for this") by comparing their content
+ * words after dropping belief frames, pronouns, auxiliaries and filler, and
+ * reducing verbs to their base form. Beliefs with opposite polarity never match.
+ */
+
+import { tokenize } from './tokenizer.js';
+import { lemmatize } from './morphology.js';
+import {
+  BELIEF_FRAMES,
+  NEGATORS,
+  NEGATIVE_QUANTIFIERS,
+  POLARITY_PAIRS,
+  DROPPED_POLARITY_WORDS,
+  PRONOUN_SHIFT,
+  SUBJECT_PRONOUNS,
+  BE_FORMS,
+  HAVE_FORMS,
+  DO_FORMS,
+  MODALS
+} from './lexicon.js';
+
+// Same belief when this share of the content words is shared
+export const SAME_BELIEF_THRESHOLD = 0.6;
+
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'of', 'for', 'and', 'or', 'so', 'that', 'this', 'it', 'just', 'really', 'very',
+  'too', 'even', 'all', 'at', 'in', 'on', 'your', 'yours', 'yourself', 'being', 'been', 'able'
+]);
+
+// Negative words that stand for a negation plus a positive word ("unable" = "not able")
+const NEGATIVE_WORDS = { unable: 'able' };
+
+// Spellings that mean the same thing
+const SYNONYMS = { somebody: 'someone', anybody: 'anyone', everybody: 'everyone', nobody: 'no one' };
+
+/**
+ * Reduce a belief to what it is about
+ * @param {string} belief - The belief
+ * @returns {{ terms: Set<string>, negative: boolean }} - Content words (verbs in base form) and polarity
+ */
+export function getBeliefTerms(belief) {
+  let words = tokenize(belief || '').filter((token) => !token.punct).map((token) => token.norm);
+
+  // "I feel like ...", "Deep down ..." frame the belief without changing it
+  const frame = BELIEF_FRAMES.find((parts) => parts.every((part, index) => words[index] === part));
+  if (frame) {
+    words = words.slice(frame.length);
+  }
+
+  let negations = 0;
+  const terms = new Set();
+  for (let i = 0; i < words.length; i++) {
+    let word = SYNONYMS[words[i]] || words[i];
+    if (word === 'no' && words[i + 1] === 'one') {
+      word = 'no one';
+      i++;
+    }
+
+    if (NEGATORS.has(word) || word === 'no') {
+      negations++;
+    } else if (NEGATIVE_QUANTIFIERS[word] || NEGATIVE_WORDS[word]) {
+      // "Nobody likes me" says the same as "There isn't anybody who likes me"
+      negations++;
+      if (NEGATIVE_QUANTIFIERS[word]) terms.add(NEGATIVE_QUANTIFIERS[word][0]);
+    } else if (POLARITY_PAIRS[word]) {
+      terms.add(SYNONYMS[POLARITY_PAIRS[word]] || POLARITY_PAIRS[word]);
+    } else if (
+      !DROPPED_POLARITY_WORDS.has(word) &&
+      !FILLER_WORDS.has(word) && !PRONOUN_SHIFT[word] && !SUBJECT_PRONOUNS.has(word) &&
+      !BE_FORMS.has(word) && !HAVE_FORMS.has(word) && !DO_FORMS.has(word) && !MODALS.has(word)
+    ) {
+      terms.add(lemmatize(word).base);
+    }
+  }
+
+  return { terms, negative: negations % 2 === 1 };
+}
+
+/**
+ * How alike two beliefs are
+ * @param {string} a - One belief
+ * @param {string} b - The other belief
+ * @returns {number} - 0 (unrelated or opposite) to 1 (same content words)
+ */
+export function compareBeliefs(a, b) {
+  const first = getBeliefTerms(a);
+  const second = getBeliefTerms(b);
+  if (first.negative !== second.negative) return 0;
+  if (first.terms.size === 0 || second.terms.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of first.terms) {
+    if (second.terms.has(term)) shared++;
+  }
+  // Jaccard similarity of the content words
+  return shared / (first.terms.size + second.terms.size - shared);
+}
+
+/**
+ * Whether two beliefs are the same belief, possibly reworded
+ * @param {string} a - One belief
+ * @param {string} b - The other belief
+ * @returns {boolean}
+ */
+export function isSameBelief(a, b) {
+  return compareBeliefs(a, b) >= SAME_BELIEF_THRESHOLD;
+}
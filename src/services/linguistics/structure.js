@@ -0,0 +1,248 @@
+/**
+ * Belief Structure Analysis
+ * Classifies how a belief is built, following the Meta Model / Quantum
+ * Linguistics distinctions in the manual:
+ *
+ * - Cause-effect: "X makes me Y", "If X, Y", "Y because X"
+ * - Complex equivalence: "X means Y", "X is a sign that Y"
+ * - Modal operators of necessity (must, should, have to) and possibility (can't, won't),
+ *   and the future marker "will"
+ * - Universal quantifiers (always, never, everyone)
+ * - Nominalizations (process words frozen into nouns: failure, rejection)
+ * - Lost performatives (judgments with no one making them: "It's selfish to rest")
+ */
+
+import { tokenize, detokenize } from './tokenizer.js';
+import { transformBelief, transformGerund } from './transformer.js';
+import { lemmatize } from './morphology.js';
+import { NEGATORS, NEGATIVE_QUANTIFIERS, NEGATIVE_SEMI_MODALS } from './lexicon.js';
+
+const NECESSITY_MODALS = [
+  ['must'], ['have', 'to'], ['has', 'to'], ['had', 'to'], ['need', 'to'], ['needs', 'to'],
+  ['should'], ['ought', 'to'], ['got', 'to'], ['gotta'], ['supposed', 'to'], ['necessary']
+];
+
+const POSSIBILITY_MODALS = [
+  ['can'], ['ca'], ['could'], ['would'], ['may'], ['might'],
+  ['able', 'to'], ['unable', 'to'], ['possible'], ['impossible'], ['incapable', 'of']
+];
+
+// "will" only predicts; negated ("won't", "will not") it limits what is possible, as in the Meta Model
+const FUTURE_MARKERS = [['will'], ['wo'], ["'ll"]];
+
+const UNIVERSALS = new Set([
+  'all', 'every', 'each', 'everyone', 'everybody', 'everything', 'everywhere', 'always',
+  'never', 'nobody', 'nothing', 'none', 'nowhere', 'forever', 'constantly', 'anyone',
+  'anybody', 'anything'
+]);
+
+const NOMINALIZATION_SUFFIXES = /(tion|sion|ment|ness|ance|ence|ity|ship|hood)$/;
+const NOMINALIZATION_WORDS = new Set([
+  'love', 'fear', 'success', 'failure', 'respect', 'trust', 'help', 'support', 'anger',
+  'pain', 'hope', 'change', 'growth', 'progress', 'pressure', 'criticism', 'stress', 'guilt',
+  'shame', 'worth', 'freedom', 'wisdom', 'loss', 'belief', 'decision', 'choice', 'control',
+  'confidence', 'rejection', 'attention', 'approval', 'money', 'time'
+]);
+// Suffix matches that are not nominalizations
+const NOMINALIZATION_EXCEPTIONS = new Set([
+  'moment', 'apartment', 'element', 'city', 'pity', 'nation', 'station', 'mention', 'business',
+  'witness', 'sentence', 'science', 'experience', 'audience', 'office'
+]);
+
+const JUDGMENT_WORDS = '(wrong|bad|selfish|right|good|important|stupid|weak|rude|lazy|irresponsible|dangerous|shameful|pathetic|unacceptable|arrogant|greedy|childish)';
+
+const LOST_PERFORMATIVE_PATTERNS = [
+  new RegExp(`^(it|that|this)(?:'s|\\s+is)\\s+(?:\\w+\\s+)?${JUDGMENT_WORDS}\\b`, 'i'),
+  new RegExp(`^(?:being|to)\\s+.+?\\s+is\\s+${JUDGMENT_WORDS}\\b`, 'i'),
+  /^(people|men|women|one|you|adults|parents|a (?:good|real) \w+|real \w+)\s+(should|shouldn't|must|mustn't|ought to|need to|have to|don't|never)\b/i
+];
+
+/**
+ * Complex equivalence patterns: A = evidence, B = what it "means"
+ * (a, b and connector are match groups; the connector is kept as the user wrote it)
+ */
+const COMPLEX_EQUIVALENCE_PATTERNS = [
+  { pattern: /^(?:if|when|whenever)\s+(.+?),?\s+(?:then\s+)?(?:it|that|this)\s+(means|proves|shows)\s+(?:that\s+)?(.+)$/i, a: 1, b: 3, connector: 2 },
+  { pattern: /^(.+?)\s+((?:is|are|was)\s+(?:a\s+)?(?:sign|proof)\s+(?:that|of))\s+(.+)$/i, a: 1, b: 3, connector: 2 },
+  { pattern: /^(.+?)\s+(means|meant)\s+(?:that\s+)?(.+)$/i, a: 1, b: 3, connector: 2 },
+  { pattern: /^(.+?)\s+(proves|proved|shows|showed)\s+(?:that\s+)?(.+)$/i, a: 1, b: 3, connector: 2 }
+];
+
+/**
+ * Cause-effect patterns: A = cause, B = effect (match groups, as above)
+ */
+const CAUSE_EFFECT_PATTERNS = [
+  { pattern: /^(if|when|whenever|every time|once)\s+(.+?)\s*(?:,|\bthen\b)\s*(?:then\s+)?(.+)$/i, a: 2, b: 3, connector: 1 },
+  // No comma: split where the second clause's subject starts ("If I speak up I'll get fired")
+  { pattern: /^(if|when|whenever|every time|once)\s+(.+?)\s+((?:I|I'll|I'm|I'd|I've|you|they|people|everyone|nobody|no one|it|my|our)\b.+)$/i, a: 2, b: 3, connector: 1 },
+  { pattern: /^(.+?)\s+(makes?|made|causes?|caused|forces?|forced|drives?|drove)\s+(me|us|people|them|him|her)\s+(.+)$/i, a: 1, b: 4, object: 3, connector: 2 },
+  { pattern: /^(.+?)\s+((?:leads?|led)\s+to)\s+(.+)$/i, a: 1, b: 3, connector: 2 },
+  { pattern: /^(.+?)\s+((?:results?|resulted)\s+in)\s+(.+)$/i, a: 1, b: 3, connector: 2 },
+  { pattern: /^(.+?),?\s+(because(?:\s+of)?)\s+(.+)$/i, a: 3, b: 1, connector: 2 },
+  { pattern: /^(because)\s+(.+?),\s*(.+)$/i, a: 2, b: 3, connector: 1 },
+  { pattern: /^(.+?)(?:,\s*|\s+)(so)\s+(I|we|they|people|nobody|no one)\b(.+)$/i, a: 1, b: [3, 4], connector: 2 }
+];
+
+// Object pronoun of "makes me ..." → subject of the effect clause
+const OBJECT_TO_SUBJECT = { me: 'I', us: 'we', them: 'they', him: 'he', her: 'she', people: 'people' };
+
+/**
+ * @typedef {object} BeliefStructure
+ * @property {string} verbType - being | doing | having
+ * @property {boolean} isNegative - Belief contains a negation (whole-word match)
+ * @property {string} structure - simple | cause-effect | complex-equivalence
+ * @property {object} components - { a, b, connector } in the user's own words (b is null for simple beliefs)
+ * @property {object[]} modalOperators - { text, type } where type is necessity | possibility | future
+ * @property {string[]} universals - Universal quantifiers found
+ * @property {string[]} nominalizations - Nominalized process words found
+ * @property {string|null} lostPerformative - The unsourced judgment, if any
+ * @property {object|null} action - Transform of the core action ({ positive, negative, ... })
+ */
+
+/**
+ * Analyze how a belief is built
+ * @param {string} belief - The user's limiting belief
+ * @returns {BeliefStructure}
+ */
+export function analyzeBeliefStructure(belief) {
+  const text = belief.trim().replace(/[‘’ʼ]/g, "'").replace(/[.!?]+$/, '');
+  const tokens = tokenize(text);
+  const words = tokens.filter((token) => !token.punct).map((token) => token.norm);
+
+  const { structure, components } = splitComponents(text);
+  const action = pickAction(components, text);
+
+  return {
+    verbType: action?.verbType || guessVerbType(words),
+    isNegative: words.some((word) => NEGATORS.has(word) || Object.hasOwn(NEGATIVE_QUANTIFIERS, word)) ||
+      hasSequence(words, ['no', 'one']) || NEGATIVE_SEMI_MODALS.some((sequence) => hasSequence(words, sequence)),
+    structure,
+    components,
+    modalOperators: findModalOperators(tokens),
+    universals: unique(words.filter((word) => UNIVERSALS.has(word)).concat(hasSequence(words, ['no', 'one']) ? ['no one'] : [])),
+    nominalizations: findNominalizations(words),
+    lostPerformative: findLostPerformative(text),
+    action
+  };
+}
+
+function splitComponents(text) {
+  for (const { pattern, a, b, connector } of COMPLEX_EQUIVALENCE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return {
+        structure: 'complex-equivalence',
+        components: { a: clean(match[a]), b: clean(match[b]), connector: connectorText(match[connector]) }
+      };
+    }
+  }
+
+  for (const { pattern, a, b, object, connector } of CAUSE_EFFECT_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    let effect = Array.isArray(b) ? b.map((group) => match[group]).join('') : match[b];
+    if (object) {
+      effect = effectClause(OBJECT_TO_SUBJECT[match[object].toLowerCase()], effect);
+    }
+    return {
+      structure: 'cause-effect',
+      components: { a: clean(match[a]), b: clean(effect), connector: connectorText(match[connector]) }
+    };
+  }
+
+  return { structure: 'simple', components: { a: text, b: null, connector: null } };
+}
+
+// "makes me feel worthless" → "I feel worthless", "makes me angry" → "I am angry"
+function effectClause(subject, rest) {
+  const words = rest.trim().split(/\s+/);
+  if (words[0].toLowerCase() === 'to') words.shift();
+  const { known } = lemmatize(words[0].toLowerCase());
+  const be = subject === 'I' ? 'am' : ['he', 'she'].includes(subject) ? 'is' : 'are';
+  return known ? `${subject} ${words.join(' ')}` : `${subject} ${be} ${words.join(' ')}`;
+}
+
+// "When", "Leads  to" → "when", "leads to"
+function connectorText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function clean(part) {
+  return part.trim().replace(/^(then|that)\s+/i, '').replace(/[,;]+$/, '').trim();
+}
+
+// The clause the Cartesian questions act on: the cause or evidence A ("Being late" → "you were
+// late"), or the whole belief when A is only a noun phrase ("My husband makes me angry")
+function pickAction(components, text) {
+  if (!components.b) return transformBelief(text);
+  return transformBelief(components.a) || transformGerund(components.a) ||
+    transformBelief(text) || transformBelief(components.b);
+}
+
+function guessVerbType(words) {
+  if (words.some((word) => ['am', 'is', 'are', 'be', 'being', "'m", "'re"].includes(word))) return 'being';
+  if (words.some((word) => ['have', 'has', 'having', 'had', 'get', 'getting', 'got'].includes(word))) return 'having';
+  return 'doing';
+}
+
+function findModalOperators(tokens) {
+  const words = tokens.map((token) => token.norm);
+  const found = [];
+
+  for (let i = 0; i < words.length; i++) {
+    for (const [type, sequences] of [['necessity', NECESSITY_MODALS], ['possibility', POSSIBILITY_MODALS], ['future', FUTURE_MARKERS]]) {
+      const sequence = sequences.find((candidate) => candidate.every((word, k) => words[i + k] === word));
+      if (!sequence) continue;
+
+      // Include a following negation in the text ("can't", "won't", "shouldn't")
+      let end = i + sequence.length;
+      const negated = words[end] === "n't" || words[end] === 'not';
+      if (negated) end++;
+      const text = detokenize(tokens.slice(i, end)).toLowerCase();
+      found.push({
+        text: text.startsWith("'ll") ? text.replace("'ll", 'will') : text,
+        type: type === 'future' && negated ? 'possibility' : type
+      });
+      i = end - 1;
+      break;
+    }
+  }
+
+  return found;
+}
+
+function findNominalizations(words) {
+  return unique(words.filter(isNominalization));
+}
+
+/**
+ * Check whether a word is a nominalization (a process frozen into a noun)
+ * @param {string} word - Lowercase word
+ * @returns {boolean}
+ */
+export function isNominalization(word) {
+  return !NOMINALIZATION_EXCEPTIONS.has(word) &&
+    (NOMINALIZATION_WORDS.has(word) || (word.length >= 6 && NOMINALIZATION_SUFFIXES.test(word)));
+}
+
+/**
+ * Find an unsourced judgment ("It's selfish to rest")
+ * @param {string} text - Belief text
+ * @returns {string|null} - The matched judgment
+ */
+export function findLostPerformative(text) {
+  for (const pattern of LOST_PERFORMATIVE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+function hasSequence(words, sequence) {
+  return words.some((_, i) => sequence.every((word, k) => words[i + k] === word));
+}
+
+function unique(list) {
+  return [...new Set(list)];
+}
@@ -0,0 +1,85 @@
+/**
+ * Tokenizer
+ * Splits a belief into word and punctuation tokens. Contractions are split the
+ * Penn Treebank way ("can't" → "ca" + "n't", "I'm" → "I" + "'m") so every
+ * token carries its surface text plus a normalized form.
+ */
+
+const CONTRACTION_SUFFIXES = ["n't", "'m", "'re", "'s", "'ve", "'d", "'ll"];
+
+// Negative contractions whose stem is irregular
+const NEGATIVE_STEMS = { ca: 'can', wo: 'will', sha: 'shall', ai: 'am' };
+
+/**
+ * @typedef {object} Token
+ * @property {string} text - Surface text as typed
+ * @property {string} norm - Lowercase normalized form (n't → "n't", "cannot" → "can" + "not")
+ * @property {boolean} join - Attach to the previous token without a space
+ * @property {boolean} punct - Punctuation token
+ */
+
+/**
+ * Split text into tokens
+ * @param {string} text - Input text
+ * @returns {Token[]} - Tokens
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const normalized = text.replace(/[‘’ʼ]/g, "'").replace(/[“”]/g, '"');
+  const pieces = normalized.match(/[A-Za-z0-9]+(?:['-][A-Za-z0-9]+)*'?|[^\sA-Za-z0-9]/g) || [];
+
+  for (const piece of pieces) {
+    if (!/[A-Za-z0-9]/.test(piece)) {
+      tokens.push({ text: piece, norm: piece, join: !/["(]/.test(piece), punct: true });
+      continue;
+    }
+
+    const lower = piece.toLowerCase();
+
+    if (lower === 'cannot') {
+      tokens.push(word(piece.slice(0, 3), 'can'), { ...word(piece.slice(3), 'not'), join: true });
+      continue;
+    }
+
+    const suffix = CONTRACTION_SUFFIXES.find((s) => lower.endsWith(s) && lower.length > s.length);
+    if (suffix) {
+      const stemText = piece.slice(0, piece.length - suffix.length);
+      const stemLower = stemText.toLowerCase();
+      const stemNorm = suffix === "n't" ? (NEGATIVE_STEMS[stemLower] || stemLower) : stemLower;
+      tokens.push(word(stemText, stemNorm));
+      tokens.push({ text: piece.slice(stemText.length), norm: suffix, join: true, punct: false });
+      continue;
+    }
+
+    tokens.push(word(piece, lower));
+  }
+
+  return tokens;
+}
+
+function word(text, norm) {
+  return { text, norm, join: false, punct: false };
+}
+
+/**
+ * Join tokens back into text
+ * @param {Token[]} tokens - Tokens
+ * @returns {string} - Text
+ */
+export function detokenize(tokens) {
+  return tokens
+    .reduce((text, token, index) => {
+      if (index === 0) return token.text;
+      return token.join ? text + token.text : `${text} ${token.text}`;
+    }, '')
+    .trim();
+}
+
+/**
+ * Build a word token from text (used when the engine inserts words)
+ * @param {string} text - Word text
+ * @returns {Token} - Token
+ */
+export function makeToken(text) {
+  return word(text, text.toLowerCase());
+}
@@ -0,0 +1,562 @@
+/**
+ * Belief Transformer
+ * Rule-based analysis of a belief sentence into subject + verb group + predicate,
+ * restated in the second person as a positive action (A) and its negation (~A):
+ *
+ *   "My boss never listens to me"  → "your boss did listen to you" / "your boss didn't listen to you"
+ *   "I won't ever be thin"         → "you were thin" / "you weren't thin"
+ *   "No one cares about me"        → "someone did care about you" / "no one cared about you"
+ *
+ * Modals (can't, won't, should, have to, ...) and meta-language wrappers
+ * ("get myself to") are removed so only the core action remains, matching the
+ * rules of the question generation prompt.
+ */
+
+import { tokenize, detokenize, makeToken } from './tokenizer.js';
+import {
+  PRONOUN_SHIFT,
+  SUBJECT_PRONOUNS,
+  BE_FORMS,
+  HAVE_FORMS,
+  DO_FORMS,
+  MODALS,
+  SEMI_MODALS,
+  NEGATIVE_SEMI_MODALS,
+  ACTION_WRAPPERS,
+  NEGATORS,
+  PRE_VERB_ADVERBS,
+  EMPHASIS_ADVERBS,
+  UNIVERSAL_ADVERBS,
+  POLARITY_PAIRS,
+  DROPPED_POLARITY_WORDS,
+  DROPPED_POSITIVE_WORDS,
+  NEGATIVE_QUANTIFIERS,
+  BELIEF_FRAMES
+} from './lexicon.js';
+import { lemmatize, isKnownVerb, isParticiple, toPast } from './morphology.js';
+
+const SENTENCE_END = new Set(['.', '!', '?', ';']);
+
+// Polarity swaps only apply to the main clause, not to what follows these
+const CLAUSE_BOUNDARIES = new Set([
+  ',', 'because', 'when', 'if', 'unless', 'since', 'but', 'so', 'although', 'though', 'until', 'while'
+]);
+
+// Words after which the next word still belongs to the subject noun phrase
+const NOUN_PHRASE_OPENERS = new Set([
+  'my', 'your', 'his', 'her', 'its', 'our', 'their', 'the', 'a', 'an', 'this', 'that', 'these',
+  'those', 'some', 'most', 'all', 'every', 'each', 'many', 'no', 'any', "'s", 'of', 'in', 'at',
+  'with', 'from', 'for', 'who', 'like'
+]);
+
+const OBJECT_PRONOUNS = new Set(['me', 'us', 'you', 'him', 'her', 'them', 'myself']);
+
+// Endings that mark an unknown word as an adjective rather than a verb ("I'm hopeless", "I worthless")
+const ADJECTIVE_ENDINGS = /(ful|less|ous|ive|able|ible|ish|ic|al|ent|ant|y)$/;
+
+// Subject words that are nouns even though they look like verbs ("Work is ...")
+const DO_OBJECT_STARTERS = new Set([
+  'nothing', 'anything', 'everything', 'something', 'it', 'this', 'that', 'enough', 'a', 'the', 'my', 'much', 'well'
+]);
+
+/**
+ * @typedef {object} BeliefTransform
+ * @property {string} positive - Second-person positive action, e.g. "you did speak up"
+ * @property {string} negative - Second-person negated action, e.g. "you didn't speak up"
+ * @property {string} subject - Second-person subject of the positive action
+ * @property {string} positiveVerbPhrase - Positive action without its subject ("did speak up")
+ * @property {string|null} negativeVerbPhrase - Negated action without its subject (null when the subject carries the negation)
+ * @property {string} verbType - being | doing | having
+ * @property {string} form - Verb construction: be | perfect | possess | do
+ * @property {boolean} negated - Whether the original belief was negative
+ * @property {string[]} removedModals - Modal/meta-language words that were stripped
+ */
+
+/**
+ * Transform a belief into its positive and negated second-person actions
+ * @param {string} belief - The user's limiting belief
+ * @param {object} options
+ * @param {string} options.style - emphatic ("you did speak up", default) or simple ("you spoke up")
+ * @returns {BeliefTransform|null} - null when no clause structure could be found
+ */
+export function transformBelief(belief, { style = 'emphatic' } = {}) {
+  let tokens = firstSentence(tokenize(belief));
+  tokens = stripBeliefFrame(tokens);
+  if (tokens.length === 0) return null;
+
+  const subjectEnd = findSubjectEnd(tokens);
+  if (subjectEnd === -1) return null;
+
+  const subjectTokens = subjectEnd === 0 ? [makeToken('I')] : tokens.slice(0, subjectEnd);
+  const group = parseVerbGroup(tokens, subjectEnd);
+  if (!group) return null;
+
+  const subject = analyzeSubject(subjectTokens);
+  const predicate = shiftPronouns(tokens.slice(group.predicateStart));
+  const objectNegated = !group.negated && !subject.negated && hasNegativeObject(predicate);
+  const negated = group.negated || subject.negated || objectNegated;
+
+  const positivePredicate = applyPolarity(predicate, 'positive', objectNegated);
+  const negativePredicate = applyPolarity(predicate, 'negative', objectNegated);
+
+  // "There's no point" → "there were a point" rather than "there were point"
+  if (objectNegated && subject.positive[0]?.norm === 'there' && predicate[0]?.norm === 'no') {
+    positivePredicate.unshift(makeToken('a'));
+  }
+  const adverbs = group.adverbs;
+  const negativeVerb = (word) => makeToken(subject.negated ? word : `${word}n't`);
+
+  // Verb phrases without the subject
+  let positive;
+  let negative;
+
+  switch (group.form) {
+    case 'be':
+      positive = [makeToken('were'), ...adverbs, ...positivePredicate];
+      negative = [negativeVerb('were'), ...adverbs, ...negativePredicate];
+      break;
+    case 'perfect':
+      positive = [makeToken('had'), ...adverbs, ...positivePredicate];
+      negative = [negativeVerb('had'), ...adverbs, ...negativePredicate];
+      break;
+    case 'possess':
+      positive = [...adverbs, makeToken('had'), ...positivePredicate];
+      negative = subject.negated
+        ? [...adverbs, makeToken('had'), ...negativePredicate]
+        : [makeToken("didn't"), ...adverbs, makeToken('have'), ...negativePredicate];
+      break;
+    default:
+      positive = style === 'simple'
+        ? [...adverbs, makeToken(toPast(group.verb)), ...positivePredicate]
+        : [makeToken('did'), ...adverbs, makeToken(group.verb), ...positivePredicate];
+      negative = subject.negated
+        ? [...adverbs, makeToken(toPast(group.verb)), ...negativePredicate]
+        : [makeToken("didn't"), ...adverbs, makeToken(group.verb), ...negativePredicate];
+  }
+
+  const negativeSubject = subject.negated ? subject.negative : subject.positive;
+
+  return {
+    positive: detokenize([...subject.positive, ...positive]),
+    negative: detokenize([...negativeSubject, ...negative]),
+    subject: detokenize(subject.positive),
+    positiveVerbPhrase: detokenize(positive),
+    negativeVerbPhrase: subject.negated ? null : detokenize(negative),
+    verbType: classifyVerbType(group),
+    form: group.form,
+    negated,
+    removedModals: group.removed
+  };
+}
+
+/**
+ * Transform a subjectless gerund clause: "Being late" → "I be late" → "you were late"
+ * @param {string} text - Clause starting with a gerund
+ * @param {object} options - As for transformBelief
+ * @returns {BeliefTransform|null} - null when the text doesn't start with a gerund
+ */
+export function transformGerund(text, options) {
+  const [first, ...rest] = text.trim().split(/\s+/);
+  const { base, form } = lemmatize(first.toLowerCase());
+  if (form !== 'gerund') return null;
+  return transformBelief(['I', base, ...rest].join(' '), options);
+}
+
+/**
+ * Restate arbitrary text in the second person (pronoun shifting only)
+ * @param {string} text - Text in the first person
+ * @returns {string} - Text in the second person
+ */
+export function toSecondPerson(text) {
+  const shifted = shiftPronouns(tokenize(text));
+  while (shifted.length && shifted[shifted.length - 1].punct) shifted.pop();
+  return detokenize(shifted);
+}
+
+function classifyVerbType(group) {
+  if (group.form === 'be') return 'being';
+  if (group.form === 'perfect' || group.form === 'possess') return 'having';
+  return group.verb === 'get' ? 'having' : 'doing';
+}
+
+function firstSentence(tokens) {
+  const end = tokens.findIndex((token) => SENTENCE_END.has(token.norm));
+  const sentence = end === -1 ? tokens : tokens.slice(0, end);
+  // Drop trailing commas/quotes and leading quotes
+  while (sentence.length && sentence[sentence.length - 1].punct) sentence.pop();
+  while (sentence.length && sentence[0].punct) sentence.shift();
+  return sentence;
+}
+
+function stripBeliefFrame(tokens) {
+  for (const frame of BELIEF_FRAMES) {
+    const length = matchAt(tokens, 0, frame);
+    if (length) {
+      let rest = tokens.slice(length);
+      while (rest.length && rest[0].punct) rest = rest.slice(1);
+      // Only strip when a clause with its own subject follows ("I feel like I'm ...")
+      if (rest.length > 1 && findSubjectEnd(rest) > 0) return rest;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Find where the subject ends (index of the first verb-group token)
+ * @returns {number} - 0 for an implied "I", -1 when there is no verb group
+ */
+function findSubjectEnd(tokens) {
+  const first = tokens[0].norm;
+
+  // "Can't focus", "Never good enough" → implied "I"
+  if (MODALS.has(first) || DO_FORMS.has(first) || NEGATORS.has(first) || HAVE_FORMS.has(first)) {
+    return 0;
+  }
+  if (startsVerbGroup(tokens, 0) && !startsVerbGroup(tokens, 1)) {
+    return 0;
+  }
+  if (SUBJECT_PRONOUNS.has(first) || (Object.hasOwn(NEGATIVE_QUANTIFIERS, first) && first !== 'none')) {
+    return tokens.length > 1 ? 1 : -1;
+  }
+  if (matchAt(tokens, 0, ['no', 'one'])) {
+    return tokens.length > 2 ? 2 : -1;
+  }
+
+  for (let i = 1; i < tokens.length; i++) {
+    const previous = tokens[i - 1].norm;
+    const token = tokens[i].norm;
+
+    if (tokens[i].punct) return -1;
+    if (token === "'s" && !SUBJECT_PRONOUNS.has(previous)) continue; // Possessive
+    if (token === 'like' && OBJECT_PRONOUNS.has(tokens[i + 1]?.norm)) continue; // "people like me"
+    if (NOUN_PHRASE_OPENERS.has(previous) && previous !== "'s") continue;
+    if (OBJECT_PRONOUNS.has(token) && previous === 'like') continue;
+    if (startsVerbGroup(tokens, i)) return i;
+  }
+
+  return -1;
+}
+
+function startsVerbGroup(tokens, index) {
+  const token = tokens[index];
+  if (!token || token.punct) return false;
+  const word = token.norm;
+
+  if (MODALS.has(word) || DO_FORMS.has(word) || NEGATORS.has(word)) return true;
+  if (BE_FORMS.has(word) || HAVE_FORMS.has(word)) return true;
+  if (PRE_VERB_ADVERBS.has(word) || EMPHASIS_ADVERBS.has(word) || UNIVERSAL_ADVERBS.has(word)) return true;
+  if (matchAny(tokens, index, SEMI_MODALS) || matchAny(tokens, index, NEGATIVE_SEMI_MODALS)) return true;
+
+  const lemma = lemmatize(word);
+  return lemma.known && lemma.form !== 'gerund' && lemma.form !== 'participle';
+}
+
+/**
+ * Parse auxiliaries, modals, negation and adverbs up to the main verb
+ * @returns {object|null} - { form, verb, negated, adverbs, removed, predicateStart }
+ */
+function parseVerbGroup(tokens, start) {
+  const group = { form: null, verb: null, negated: false, adverbs: [], removed: [], predicateStart: -1 };
+  let aux = null; // be | have | do | modal
+  let i = start;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const word = token.norm;
+    let length;
+
+    if (token.punct) return null;
+
+    if (NEGATORS.has(word)) {
+      group.negated = true;
+      i++;
+      continue;
+    }
+    if (EMPHASIS_ADVERBS.has(word) || UNIVERSAL_ADVERBS.has(word) || DROPPED_POLARITY_WORDS.has(word)) {
+      i++;
+      continue;
+    }
+    if (PRE_VERB_ADVERBS.has(word)) {
+      group.adverbs.push(token);
+      i++;
+      continue;
+    }
+    if ((length = matchAny(tokens, i, NEGATIVE_SEMI_MODALS))) {
+      group.negated = true;
+      group.removed.push(detokenize(tokens.slice(i, i + length)));
+      aux = 'modal';
+      i += length;
+      continue;
+    }
+    if ((length = matchAny(tokens, i, SEMI_MODALS))) {
+      group.removed.push(detokenize(tokens.slice(i, i + length)));
+      aux = 'modal';
+      i += length;
+      continue;
+    }
+    if (MODALS.has(word) || (word === "'d" && !isParticiple(peekContent(tokens, i + 1)?.norm || ''))) {
+      // Contracted negatives keep their "n't" ("ca" + "n't" → "can't")
+      group.removed.push(tokens[i + 1]?.norm === "n't" ? `${token.text}n't` : token.text);
+      aux = 'modal';
+      i++;
+      continue;
+    }
+
+    const next = peekContent(tokens, i + 1);
+    const isHasContraction = word === "'s" && (next?.norm === 'been' || next?.norm === 'got');
+
+    if (BE_FORMS.has(word) && !isHasContraction && aux !== 'have') {
+      aux = 'be';
+      i++;
+      continue;
+    }
+    if ((HAVE_FORMS.has(word) || isHasContraction) && aux !== 'have') {
+      if (next && next.norm !== 'got' && isParticiple(next.norm)) {
+        aux = 'have';
+        i++;
+        continue;
+      }
+      // Possessive "have" ("I have no time", "I haven't got time")
+      group.form = 'possess';
+      i = skipNegationAndAdverbs(tokens, i + 1, group);
+      if (tokens[i]?.norm === 'got') i++;
+      group.predicateStart = i;
+      return group;
+    }
+    if (DO_FORMS.has(word) && aux === null) {
+      const following = tokens[i + 1];
+      const isAuxiliary = following && (NEGATORS.has(following.norm) || !DO_OBJECT_STARTERS.has(following.norm));
+      if (isAuxiliary && following && !following.punct) {
+        aux = 'do';
+        i++;
+        continue;
+      }
+    }
+
+    // Main verb (or the complement of "be")
+    if (aux === 'be') {
+      group.form = 'be';
+      group.predicateStart = i;
+      return group;
+    }
+    if (aux === 'have') {
+      group.form = 'perfect';
+      group.predicateStart = i;
+      return group;
+    }
+    return parseMainVerb(tokens, i, aux, group, start === 0);
+  }
+
+  return null;
+}
+
+function parseMainVerb(tokens, index, aux, group, impliedSubject) {
+  // Strip meta-language wrappers: "get myself to workout" → "workout"
+  let i = index;
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const wrapper of ACTION_WRAPPERS) {
+      const length = matchAt(tokens, i, wrapper, true);
+      if (length && i + length < tokens.length) {
+        group.removed.push(detokenize(tokens.slice(i, i + length)));
+        i += length;
+        stripped = true;
+        break;
+      }
+    }
+  }
+
+  const word = tokens[i].norm;
+  const lemma = lemmatize(word);
+  // After do/modal the verb is already in base form; otherwise lemmatize it
+  const base = aux && (isKnownVerb(word) || !lemma.known) ? word : lemma.base;
+
+  if (base === 'be' || word === 'been') {
+    group.form = 'be';
+    group.predicateStart = i + 1;
+    return group;
+  }
+  if (base === 'have') {
+    group.form = 'possess';
+    group.predicateStart = tokens[i + 1]?.norm === 'got' ? i + 2 : i + 1;
+    return group;
+  }
+  // An unknown word after a stated subject and before an object is a verb the
+  // lexicon lacks ("I knot rope"); otherwise there is no verb at all ("Never good enough")
+  const unknownVerb = !impliedSubject && i + 1 < tokens.length && !ADJECTIVE_ENDINGS.test(word);
+  if (!aux && !lemma.known && lemma.form === 'base' && !unknownVerb) {
+    // Treat it as a state
+    group.form = 'be';
+    group.predicateStart = i;
+    return group;
+  }
+
+  group.form = 'do';
+  group.verb = base;
+  group.predicateStart = i + 1;
+  return group;
+}
+
+function skipNegationAndAdverbs(tokens, index, group) {
+  let i = index;
+  while (i < tokens.length) {
+    const word = tokens[i].norm;
+    if (NEGATORS.has(word)) {
+      group.negated = true;
+    } else if (PRE_VERB_ADVERBS.has(word)) {
+      group.adverbs.push(tokens[i]);
+    } else if (!EMPHASIS_ADVERBS.has(word) && !UNIVERSAL_ADVERBS.has(word) && !DROPPED_POLARITY_WORDS.has(word)) {
+      break;
+    }
+    i++;
+  }
+  return i;
+}
+
+function peekContent(tokens, index) {
+  let i = index;
+  while (i < tokens.length && (NEGATORS.has(tokens[i].norm) || PRE_VERB_ADVERBS.has(tokens[i].norm) ||
+    EMPHASIS_ADVERBS.has(tokens[i].norm) || UNIVERSAL_ADVERBS.has(tokens[i].norm) || DROPPED_POLARITY_WORDS.has(tokens[i].norm))) {
+    i++;
+  }
+  return tokens[i];
+}
+
+/**
+ * Shift the subject to the second person and split off negative quantifiers
+ */
+function analyzeSubject(tokens) {
+  const shifted = shiftPronouns(tokens);
+  const first = shifted[0];
+
+  // Lowercase the sentence-initial word unless it's an acronym
+  if (first && first.text !== first.text.toUpperCase()) {
+    shifted[0] = { ...first, text: first.text.toLowerCase() };
+  }
+
+  const firstWord = shifted[0].norm;
+  const twoWords = shifted.length > 1 ? `${firstWord} ${shifted[1].norm}` : '';
+
+  if (Object.hasOwn(NEGATIVE_QUANTIFIERS, twoWords)) {
+    return {
+      positive: [makeToken(NEGATIVE_QUANTIFIERS[twoWords][0]), ...shifted.slice(2)],
+      negative: shifted,
+      negated: true
+    };
+  }
+  if (Object.hasOwn(NEGATIVE_QUANTIFIERS, firstWord)) {
+    return {
+      positive: [makeToken(NEGATIVE_QUANTIFIERS[firstWord][0]), ...shifted.slice(1)],
+      negative: shifted,
+      negated: true
+    };
+  }
+  if (firstWord === 'no' && shifted.length > 1) {
+    return { positive: [makeToken('some'), ...shifted.slice(1)], negative: shifted, negated: true };
+  }
+
+  return { positive: shifted, negative: shifted, negated: false };
+}
+
+/**
+ * Shift first-person pronouns to the second person, fixing verb agreement
+ * ("I'm" → "you're", "I was" → "you were")
+ */
+function shiftPronouns(tokens) {
+  return tokens.map((token, index) => {
+    if (Object.hasOwn(PRONOUN_SHIFT, token.norm)) {
+      const text = PRONOUN_SHIFT[token.norm];
+      return { ...token, text, norm: text };
+    }
+    if (tokens[index - 1]?.norm === 'i') {
+      const agreement = { "'m": "'re", am: 'are', was: 'were' }[token.norm];
+      if (agreement) return { ...token, text: agreement, norm: agreement };
+    }
+    return token;
+  });
+}
+
+function hasNegativeObject(tokens) {
+  for (let i = 0; i < tokens.length && !CLAUSE_BOUNDARIES.has(tokens[i].norm); i++) {
+    const word = tokens[i].norm;
+    if (Object.hasOwn(NEGATIVE_QUANTIFIERS, word) || (word === 'no' && tokens[i + 1] && !tokens[i + 1].punct)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Adjust negative polarity words in the main clause for one side of the transform
+ * @param {Token[]} tokens - Predicate tokens
+ * @param {string} polarity - positive | negative
+ * @param {boolean} objectNegated - Negation came from the object ("I have no time")
+ */
+function applyPolarity(tokens, polarity, objectNegated) {
+  const result = [];
+  let inMainClause = true;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const word = token.norm;
+
+    if (CLAUSE_BOUNDARIES.has(word)) inMainClause = false;
+    if (!inMainClause) {
+      result.push(token);
+      continue;
+    }
+
+    if (DROPPED_POLARITY_WORDS.has(word) || UNIVERSAL_ADVERBS.has(word)) continue;
+    if (polarity === 'positive' && DROPPED_POSITIVE_WORDS.has(word)) continue;
+    if (polarity === 'positive' && Object.hasOwn(POLARITY_PAIRS, word)) {
+      result.push({ ...token, text: POLARITY_PAIRS[word], norm: POLARITY_PAIRS[word] });
+      continue;
+    }
+
+    if (objectNegated) {
+      const twoWords = `${word} ${tokens[i + 1]?.norm}`;
+      const side = polarity === 'positive' ? 0 : 1;
+      if (Object.hasOwn(NEGATIVE_QUANTIFIERS, twoWords)) {
+        result.push(makeToken(NEGATIVE_QUANTIFIERS[twoWords][side]));
+        i++;
+        continue;
+      }
+      if (Object.hasOwn(NEGATIVE_QUANTIFIERS, word)) {
+        result.push(makeToken(NEGATIVE_QUANTIFIERS[word][side]));
+        continue;
+      }
+      if (word === 'no') {
+        if (polarity === 'negative') result.push(makeToken('any'));
+        continue;
+      }
+    }
+
+    result.push(token);
+  }
+
+  return result;
+}
+
+/**
+ * Match a word sequence at a position
+ * @param {boolean} byLemma - Compare the first word by lemma ("gets myself to" matches "get myself to")
+ * @returns {number} - Matched length, or 0
+ */
+function matchAt(tokens, index, sequence, byLemma = false) {
+  for (let k = 0; k < sequence.length; k++) {
+    const token = tokens[index + k];
+    if (!token) return 0;
+    const word = byLemma && k === 0 ? lemmatize(token.norm).base : token.norm;
+    if (word !== sequence[k]) return 0;
+  }
+  return sequence.length;
+}
+
+function matchAny(tokens, index, sequences) {
+  for (const sequence of sequences) {
+    const length = matchAt(tokens, index, sequence);
+    if (length) return length;
+  }
+  return 0;
+}
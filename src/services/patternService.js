@@ -0,0 +1,129 @@
+/**
+ * Sleight of Mouth Reframes and Meta Model Challenges
+ * Runs the selected patterns from the registry (./patterns) through the API
+ * server, replacing any missing or unusable answer with its offline template.
+ */
+
+import { postJson } from './apiClient';
+import { getPattern, generatePatternTemplates, validatePatternResponses, validateMetaModelChallenges } from './patterns';
+import { analyzeMetaModel, META_MODEL_CATEGORIES } from './linguistics';
+
+const CATEGORY_COLORS = {
+  deletion: 'bg-sky-100 text-sky-800',
+  distortion: 'bg-amber-100 text-amber-800',
+  generalization: 'bg-rose-100 text-rose-800'
+};
+
+/**
+ * Generate reframes for the selected Sleight of Mouth patterns
+ * @param {string} belief - The user's limiting belief
+ * @param {array} ids - Sleight of Mouth pattern ids
+ * @param {object} options
+ * @param {number} options.requestInterval - Minimum ms between paced server requests (default 0)
+ * @returns {Promise<object>} - Reframe text keyed by pattern id
+ */
+export async function generatePatternResponses(belief, ids, { requestInterval = 0 } = {}) {
+  const templates = generatePatternTemplates(belief, ids);
+  let reframes = {};
+  let received = false;
+
+  try {
+    console.log(`Requesting ${ids.length} reframe(s) from API server...`);
+    const response = await postJson('/api/patterns', { belief, patterns: ids }, { interval: requestInterval });
+    if (response && typeof response === 'object' && !Array.isArray(response)) {
+      reframes = response;
+      received = true;
+    } else {
+      console.warn('Pattern API returned no reframes object - using template reframes');
+    }
+  } catch (error) {
+    console.error('Pattern API Error - falling back to template reframes');
+    console.error('Error details:', {
+      message: error.message,
+      status: error.status
+    });
+  }
+
+  const { invalid } = validatePatternResponses(reframes, ids);
+  if (received && invalid.length === ids.length) {
+    console.warn('Every reframe from the API server was invalid - using template reframes');
+  } else if (invalid.length > 0 && invalid.length < ids.length) {
+    console.warn('Repairing reframes from templates:', invalid);
+  }
+
+  const responses = {};
+  for (const id of ids) {
+    responses[id] = invalid.includes(id) ? templates[id] : reframes[id].trim();
+  }
+  return responses;
+}
+
+/**
+ * Format reframes for display, in the order the patterns were picked
+ * @param {object} responses - Reframe text keyed by pattern id
+ * @param {array} ids - Sleight of Mouth pattern ids
+ * @returns {array} - Array of formatted items ({ id, key, label, description, question, color })
+ */
+export function formatPatternsForDisplay(responses, ids) {
+  return ids.map((id, index) => {
+    const pattern = getPattern(id);
+    return {
+      id: index + 1,
+      key: id,
+      label: pattern.name,
+      description: pattern.description,
+      question: responses[id],
+      color: pattern.color
+    };
+  });
+}
+
+/**
+ * Generate Meta Model challenges for the belief's violations
+ * The rule-based challenges are used as-is unless useModel is set, in which
+ * case the model rewords them and any unusable question keeps its rule-based form.
+ * @param {string} belief - The user's limiting belief
+ * @param {object} options
+ * @param {boolean} options.useModel - Reword the challenges with the LLM
+ * @param {number} options.requestInterval - Minimum ms between paced server requests (default 0)
+ * @returns {Promise<array>} - Violations, each with its challenge question
+ */
+export async function generateMetaModelChallenges(belief, { useModel = false, requestInterval = 0 } = {}) {
+  const violations = analyzeMetaModel(belief);
+  if (!useModel || violations.length === 0) {
+    return violations;
+  }
+
+  let challenges = [];
+  try {
+    console.log('Requesting Meta Model challenges from API server...');
+    ({ challenges } = await postJson('/api/meta-model', { belief }, { interval: requestInterval }));
+  } catch (error) {
+    console.error('Meta Model API Error - using rule-based challenges');
+    console.error('Error details:', {
+      message: error.message,
+      status: error.status
+    });
+  }
+
+  const { invalid } = validateMetaModelChallenges(challenges, violations.length);
+  return violations.map((violation, index) =>
+    invalid.includes(index) ? violation : { ...violation, challenge: challenges[index].trim() }
+  );
+}
+
+/**
+ * Format Meta Model challenges for display
+ * @param {array} violations - Result of generateMetaModelChallenges
+ * @returns {array} - Array of formatted items ({ id, key, label, description, question, color })
+ */
+export function formatMetaModelForDisplay(violations) {
+  return violations.map((violation, index) => ({
+    id: index + 1,
+    key: `${violation.type}-${violation.start}`,
+    label: violation.label,
+    description: `${META_MODEL_CATEGORIES[violation.category]}: "${violation.text}"`,
+    question: violation.challenge,
+    color: CATEGORY_COLORS[violation.category]
+  }));
+}
@@ -0,0 +1,119 @@
+/**
+ * Belief Pattern Registry
+ * Cartesian Logic plus the Sleight of Mouth reframes. Pure module - shared
+ * with the API server, which builds the prompts and validates pattern ids.
+ */
+
+import { analyzeBeliefStructure, transformBelief, toSecondPerson } from '../linguistics/index.js';
+import { SLEIGHT_OF_MOUTH_PATTERNS } from './sleightOfMouth.js';
+
+export { SLEIGHT_OF_MOUTH_PATTERNS };
+
+// Reframes are spoken aloud, so keep them short
+export const MAX_REFRAME_WORDS = 40;
+
+// Meta Model challenges are kept short: one question per violation
+export const MAX_CHALLENGE_WORDS = 25;
+
+/**
+ * Every pattern the user can pick. Cartesian Logic runs through its own
+ * generator (cartesianLogic.js) and Meta Model challenges through
+ * /api/meta-model; the Sleight of Mouth reframes go through /api/patterns.
+ */
+export const PATTERNS = [
+  {
+    id: 'cartesian',
+    name: 'Cartesian Logic',
+    description: 'The four Cartesian coordinate questions (Theorem, Converse, Inverse, Non-Mirror Reverse)'
+  },
+  {
+    id: 'metaModel',
+    name: 'Meta Model Challenges',
+    description: 'Recover the deleted, distorted and generalized content of the belief ("According to whom?", "Always?")'
+  },
+  ...SLEIGHT_OF_MOUTH_PATTERNS
+];
+
+export const PATTERN_IDS = PATTERNS.map((pattern) => pattern.id);
+
+export const REFRAME_PATTERN_IDS = SLEIGHT_OF_MOUTH_PATTERNS.map((pattern) => pattern.id);
+
+/**
+ * Look up a pattern by id
+ * @param {string} id - Pattern id
+ * @returns {object|undefined}
+ */
+export function getPattern(id) {
+  return PATTERNS.find((pattern) => pattern.id === id);
+}
+
+/**
+ * Generate reframes offline from the pattern templates
+ * @param {string} belief - The user's limiting belief
+ * @param {array} ids - Sleight of Mouth pattern ids
+ * @returns {object} - Reframe text keyed by pattern id
+ */
+export function generatePatternTemplates(belief, ids) {
+  const context = buildTemplateContext(belief);
+  const reframes = {};
+  for (const id of ids) {
+    const pattern = SLEIGHT_OF_MOUTH_PATTERNS.find((candidate) => candidate.id === id);
+    if (pattern) {
+      reframes[id] = pattern.template(context);
+    }
+  }
+  return reframes;
+}
+
+/**
+ * Validate reframes returned by the model
+ * @param {object} reframes - Reframe text keyed by pattern id
+ * @param {array} ids - Requested pattern ids
+ * @returns {object} - { valid, invalid } where invalid lists the ids to replace
+ */
+export function validatePatternResponses(reframes, ids) {
+  const invalid = ids.filter((id) => {
+    const text = reframes?.[id];
+    return typeof text !== 'string' || !text.trim() || text.trim().split(/\s+/).length > MAX_REFRAME_WORDS;
+  });
+  return { valid: invalid.length === 0, invalid };
+}
+
+/**
+ * Validate Meta Model challenges returned by the model
+ * @param {*} challenges - Challenge questions, one per violation in order
+ * @param {number} count - Number of violations
+ * @returns {object} - { valid, invalid } where invalid lists the indexes to replace
+ */
+export function validateMetaModelChallenges(challenges, count) {
+  const invalid = [];
+  for (let i = 0; i < count; i++) {
+    const text = Array.isArray(challenges) ? challenges[i] : undefined;
+    if (typeof text !== 'string' || !text.trim().endsWith('?') || text.trim().split(/\s+/).length > MAX_CHALLENGE_WORDS) {
+      invalid.push(i);
+    }
+  }
+  return { valid: invalid.length === 0, invalid };
+}
+
+// Second-person statement plus the actions the templates can work with
+function buildTemplateContext(belief) {
+  const text = belief.trim().replace(/[.!?]+$/, '');
+  const { components } = analyzeBeliefStructure(text);
+  const simple = (clause) => (clause ? transformBelief(clause, { style: 'simple' }) : null);
+
+  const cause = components.b ? simple(components.a) : null;
+  const effect = components.b ? simple(components.b) : null;
+
+  return {
+    statement: lowerFirst(toSecondPerson(text)),
+    action: cause || simple(text),
+    cause: cause && effect ? cause : null,
+    effect: cause && effect ? effect : null
+  };
+}
+
+// "If you speak up..." → "if you speak up...", leaving acronyms ("NASA") alone
+function lowerFirst(text) {
+  return /^[A-Z][a-z]/.test(text) ? text[0].toLowerCase() + text.slice(1) : text;
+}
@@ -0,0 +1,147 @@
+/**
+ * Sleight of Mouth Patterns
+ * Belief-challenging reframes from the Master Practitioner chapter on
+ * Quantum Linguistics. Each pattern carries its own prompt instruction, an
+ * offline template and its display styling.
+ *
+ * Templates receive a context built by the registry (see index.js):
+ * - statement: the belief restated in the second person ("you can't speak up")
+ * - action: the core action in the simple past ({ positive, negative, ... }), or null
+ * - cause / effect: the A and B actions of a cause-effect belief, or null
+ */
+
+export const SLEIGHT_OF_MOUTH_PATTERNS = [
+  {
+    id: 'intention',
+    name: 'Intention',
+    description: 'Direct attention to the positive purpose behind the belief',
+    color: 'bg-emerald-100 text-emerald-800',
+    instruction: 'Ask about the positive intention or purpose the belief serves (e.g. "What is believing that trying to protect you from?").',
+    template: ({ statement }) =>
+      `What positive intention might be behind believing that ${statement}? What is it trying to protect you from?`
+  },
+  {
+    id: 'redefine',
+    name: 'Redefine',
+    description: 'Replace a word in the belief with one that means something similar but shifts its implications',
+    color: 'bg-teal-100 text-teal-800',
+    instruction: 'Restate the belief replacing one key word with a similar word that changes its implications (e.g. "fired" → "free to find a better job"), as a question.',
+    template: ({ statement }) =>
+      `What else could "${statement}" mean, if you described it in different words?`
+  },
+  {
+    id: 'consequence',
+    name: 'Consequence',
+    description: 'Direct attention to an effect of holding the belief',
+    color: 'bg-cyan-100 text-cyan-800',
+    instruction: 'Ask where holding on to the belief itself will lead (the consequence of believing it, not of the situation).',
+    template: ({ statement }) =>
+      `Where will believing that ${statement} lead you if you keep holding on to it?`
+  },
+  {
+    id: 'chunkDown',
+    name: 'Chunk Down',
+    description: 'Break the belief into smaller elements that change how it is seen',
+    color: 'bg-sky-100 text-sky-800',
+    instruction: 'Break an element of the belief into smaller, specific pieces and ask about them (e.g. "Which specific words would get you fired?").',
+    template: ({ statement }) =>
+      `Which specific part of "${statement}" matters most, and what exactly happens there?`
+  },
+  {
+    id: 'chunkUp',
+    name: 'Chunk Up',
+    description: 'Generalize an element of the belief to a larger classification',
+    color: 'bg-blue-100 text-blue-800',
+    instruction: 'Generalize an element of the belief to a larger class or principle and ask about that (e.g. "Is any honest communication dangerous?").',
+    template: ({ statement }) =>
+      `What bigger belief about yourself or the world sits behind the idea that ${statement}?`
+  },
+  {
+    id: 'counterExample',
+    name: 'Counter-Example',
+    description: 'Find an exception that challenges the generalization',
+    color: 'bg-indigo-100 text-indigo-800',
+    instruction: 'Ask for a time when the cause happened without the effect, or when the belief was not true.',
+    template: ({ action, cause, effect }) => {
+      if (cause && effect) {
+        return `Can you remember a time when ${conjoin(cause, effect)}?`;
+      }
+      // "money weren't the root of all evil" only reads well as a hypothetical
+      if (!action || (action.form === 'be' && action.subject !== 'you')) {
+        return 'Can you think of a single example where that was not true?';
+      }
+      return `Can you remember a time when ${action.negated ? action.positive : action.negative}?`;
+    }
+  },
+  {
+    id: 'anotherOutcome',
+    name: 'Another Outcome',
+    description: 'Switch to a different outcome than the one the belief addresses',
+    color: 'bg-violet-100 text-violet-800',
+    instruction: 'Ask about a different outcome that matters more than the one the belief is about.',
+    template: ({ statement, cause, effect }) =>
+      cause && effect
+        ? `What else might happen if ${cause.positive}, other than that ${effect.positive}?`
+        : `Setting aside the idea that ${statement}, what outcome do you actually want?`
+  },
+  {
+    id: 'metaphor',
+    name: 'Metaphor',
+    description: 'Find a relationship analogous to the belief that challenges it',
+    color: 'bg-purple-100 text-purple-800',
+    instruction: 'Offer a short metaphor or analogy that challenges the belief, ending with a question that applies it back to the person.',
+    template: ({ statement }) =>
+      `A seed that hasn't sprouted yet isn't a failed plant. How might that apply to the idea that ${statement}?`
+  },
+  {
+    id: 'applyToSelf',
+    name: 'Apply to Self',
+    description: 'Evaluate the belief according to its own criteria',
+    color: 'bg-fuchsia-100 text-fuchsia-800',
+    instruction: 'Turn the belief back on itself (e.g. "Has this belief always been true, or could it change like everything else?").',
+    template: ({ statement }) =>
+      `Have you always believed that ${statement}, or did that belief have to be learned?`
+  },
+  {
+    id: 'hierarchyOfCriteria',
+    name: 'Hierarchy of Criteria',
+    description: 'Reassess the belief against a criterion that is more important',
+    color: 'bg-pink-100 text-pink-800',
+    instruction: 'Ask about a value or criterion that is more important than the one the belief protects.',
+    template: ({ statement }) =>
+      `What matters more to you than the belief that ${statement}?`
+  },
+  {
+    id: 'modelOfTheWorld',
+    name: 'Model of the World',
+    description: 'Reevaluate the belief from the framework of a different model of the world',
+    color: 'bg-rose-100 text-rose-800',
+    instruction: 'Invite the person to see the belief through someone else\'s model of the world.',
+    template: ({ statement }) =>
+      `Who do you know who would see it differently? Is "${statement}" a fact, or one way of seeing the world?`
+  },
+  {
+    id: 'realityStrategy',
+    name: 'Reality Strategy',
+    description: 'Reevaluate the belief based on how beliefs are perceived',
+    color: 'bg-orange-100 text-orange-800',
+    instruction: 'Ask how the person knows the belief is true: what they see, hear or feel that tells them.',
+    template: ({ statement }) =>
+      `How do you know that ${statement}? What do you see, hear or feel that tells you it's true?`
+  },
+  {
+    id: 'metaFrame',
+    name: 'Meta-Frame',
+    description: 'Evaluate the belief from the frame of an ongoing, personally oriented context',
+    color: 'bg-amber-100 text-amber-800',
+    instruction: 'Ask about the belief about the belief: what led the person to form it in the first place.',
+    template: ({ statement }) =>
+      `What might have led you to believe that ${statement} in the first place?`
+  }
+];
+
+// "you spoke up and didn't get fired", dropping the repeated subject
+function conjoin(cause, effect) {
+  const sharedSubject = cause.subject === effect.subject && effect.negativeVerbPhrase;
+  return `${cause.positive} and ${sharedSubject ? effect.negativeVerbPhrase : effect.negative}`;
+}
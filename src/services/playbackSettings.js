@@ -0,0 +1,154 @@
+/**
+ * Playback Settings
+ * Pause duration, voices, speech speed, per-quadrant pause overrides, loop
+ * count, session script and ambient layers, persisted in localStorage
+ * between sessions.
+ */
+
+const STORAGE_KEY = 'quantum-linguistics:playback-settings';
+
+export const DEFAULT_PLAYBACK_SETTINGS = {
+  pauseDuration: 2000, // ms between questions
+  voice: 'alloy', // OpenAI voice (see AVAILABLE_VOICES)
+  voiceOverrides: {}, // OpenAI voice keyed by item key, e.g. { inverse: 'nova' }
+  browserVoice: '', // Browser speech voiceURI; empty picks a calm en-US voice
+  speed: 0.95, // Slightly slower for contemplation
+  pauseOverrides: {}, // ms keyed by item key, e.g. { nonMirrorReverse: 5000 }
+  loops: 1, // Play the whole session this many times (repetition drills)
+  scriptId: '', // Guided session script (see sessionScripts.js); empty plays the bare questions
+  ambientBed: 'none', // Background sound (see AMBIENT_BEDS)
+  ambientVolume: 0.3, // 0-1, lowered automatically while a question is spoken
+  chime: false, // Soft chime between questions
+  chimeVolume: 0.5 // 0-1
+};
+
+export const PAUSE_OPTIONS = [1000, 2000, 3000, 5000, 8000, 10000];
+export const LOOP_OPTIONS = [1, 2, 3, 5, 10];
+export const SPEED_OPTIONS = [0.75, 0.85, 0.95, 1, 1.1, 1.25];
+
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4;
+
+/**
+ * Keep only known settings with usable values
+ * @param {object} settings - Settings from storage or the UI
+ * @returns {object} - Complete settings, defaults filling any gaps
+ */
+export function normalizePlaybackSettings(settings) {
+  const result = { ...DEFAULT_PLAYBACK_SETTINGS, pauseOverrides: {}, voiceOverrides: {} };
+  if (!settings || typeof settings !== 'object') {
+    return result;
+  }
+
+  if (isPause(settings.pauseDuration)) {
+    result.pauseDuration = settings.pauseDuration;
+  }
+  if (typeof settings.voice === 'string' && settings.voice) {
+    result.voice = settings.voice;
+  }
+  if (typeof settings.browserVoice === 'string') {
+    result.browserVoice = settings.browserVoice;
+  }
+  if (typeof settings.speed === 'number' && settings.speed >= MIN_SPEED && settings.speed <= MAX_SPEED) {
+    result.speed = settings.speed;
+  }
+  if (typeof settings.scriptId === 'string') {
+    result.scriptId = settings.scriptId;
+  }
+  if (typeof settings.ambientBed === 'string' && settings.ambientBed) {
+    result.ambientBed = settings.ambientBed;
+  }
+  if (isVolume(settings.ambientVolume)) {
+    result.ambientVolume = settings.ambientVolume;
+  }
+  if (typeof settings.chime === 'boolean') {
+    result.chime = settings.chime;
+  }
+  if (isVolume(settings.chimeVolume)) {
+    result.chimeVolume = settings.chimeVolume;
+  }
+  if (Number.isInteger(settings.loops) && settings.loops >= 1 && settings.loops <= 10) {
+    result.loops = settings.loops;
+  }
+  if (settings.voiceOverrides && typeof settings.voiceOverrides === 'object') {
+    for (const [key, voice] of Object.entries(settings.voiceOverrides)) {
+      if (typeof voice === 'string' && voice) {
+        result.voiceOverrides[key] = voice;
+      }
+    }
+  }
+  if (settings.pauseOverrides && typeof settings.pauseOverrides === 'object') {
+    for (const [key, pause] of Object.entries(settings.pauseOverrides)) {
+      if (isPause(pause)) {
+        result.pauseOverrides[key] = pause;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load the saved settings
+ * @returns {object} - Saved settings, or the defaults
+ */
+export function loadPlaybackSettings() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return normalizePlaybackSettings(saved ? JSON.parse(saved) : null);
+  } catch (error) {
+    console.warn('Could not load playback settings:', error);
+    return normalizePlaybackSettings(null);
+  }
+}
+
+/**
+ * Save settings for the next session
+ * @param {object} settings - Playback settings
+ */
+export function savePlaybackSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizePlaybackSettings(settings)));
+  } catch (error) {
+    console.warn('Could not save playback settings:', error);
+  }
+}
+
+/**
+ * Pause to leave after each item: its override, the item's own pause (script
+ * parts), or the default pause
+ * @param {array} items - Formatted items in playback order ({ key, pause? })
+ * @param {object} settings - Playback settings
+ * @returns {array} - Pause in ms after each item
+ */
+export function getPauseDurations(items, settings) {
+  return items.map((item) => settings.pauseOverrides[item.key] ?? item.pause ?? settings.pauseDuration);
+}
+
+/**
+ * OpenAI voice for each item: its override, or the default voice
+ * @param {array} items - Formatted items in playback order ({ key })
+ * @param {object} settings - Playback settings
+ * @returns {array} - Voice for each item
+ */
+export function getItemVoices(items, settings) {
+  return items.map((item) => settings.voiceOverrides[item.key] ?? settings.voice);
+}
+
+/**
+ * Ambient layers for the mixer
+ * @param {object} settings - Playback settings
+ * @returns {object} - { ambientBed, ambientVolume, chime, chimeVolume }
+ */
+export function getAmbientLayers(settings) {
+  const { ambientBed, ambientVolume, chime, chimeVolume } = settings;
+  return { ambientBed, ambientVolume, chime, chimeVolume };
+}
+
+function isVolume(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function isPause(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 60000;
+}
@@ -0,0 +1,311 @@
+/**
+ * LLM Prompts
+ * Shared by the browser services and the API server, so this module must stay
+ * free of browser globals and `import.meta.env`.
+ */
+
+import { QUADRANT_KEYS, MAX_TWO_VARIABLE_QUESTION_WORDS, describeRule } from './questionValidator.js';
+import {
+  analyzeBeliefStructure,
+  transformBelief,
+  hasLocalizedFrames,
+  getQuadrantFrame,
+  getAddressForm,
+  MAX_EXTRACTED_WORDS,
+  MAX_CANDIDATES
+} from './linguistics/index.js';
+import { getLanguage } from '../i18n/languages.js';
+import { SLEIGHT_OF_MOUTH_PATTERNS, MAX_REFRAME_WORDS, MAX_CHALLENGE_WORDS } from './patterns/index.js';
+
+/**
+ * System prompt for Cartesian Logic question generation
+ */
+export const CARTESIAN_SYSTEM_PROMPT = `You are an expert NLP Master Practitioner specializing in Quantum Linguistics and Cartesian Logic.
+
+Your task is to take a limiting belief and generate exactly 4 questions following the Cartesian Coordinates framework:
+
+1. THEOREM (AB) - What would happen if you did/were/had [belief]?
+2. CONVERSE (~AB) - What wouldn't happen if you did/were/had [belief]?
+3. INVERSE (A~B) - What would happen if you didn't/weren't/hadn't [belief]?
+4. NON-MIRROR IMAGE REVERSE (~A~B) - What wouldn't happen if you didn't/weren't/hadn't [belief]?
+
+CRITICAL RULES - Quantum Linguistics requires pure logical transformation:
+- EVERY question MUST start with "What would happen" or "What wouldn't happen" (conditional/hypothetical)
+- NEVER use "What happened" or "What didn't happen" (past tense) - these are WRONG
+- Focus on the CORE ACTION, not meta-language about doing it
+- REMOVE wrapper phrases like "get myself to", "make myself", "force myself to", "convince myself to"
+- Use the EXACT wording from the belief's core action - do NOT add reframes, timeframes, or qualifiers
+- Do NOT add phrases like "even for two minutes", "just for", "today", "this week", etc.
+- Do NOT make therapeutic suggestions or embellishments
+- Transform ONLY the logical structure (positive/negative) according to Cartesian coordinates
+- REMOVE modal verbs about capability (can/can't/could/couldn't) from the belief and use simple past tense (did/didn't)
+- The action uses past tense (did/didn't) but the question frame uses conditional (would/wouldn't)
+- Convert first person "I" to second person "you" for proper questioning format
+- Keep each question concise (under 20 words)
+- Return ONLY the 4 questions as a JSON object with keys: theorem, converse, inverse, nonMirrorReverse
+
+Examples:
+Belief: "I can't get myself to workout in the morning"
+Correct: "What would happen if you did workout in the morning?"
+WRONG: "What would happen if you did get yourself to workout in the morning?" (kept meta-language)
+WRONG: "What happened if you did workout in the morning?" (past tense, not conditional)
+WRONG: "What would happen if you could workout in the morning?" (using 'could' instead of 'did')
+
+Belief: "I can't make myself exercise"
+Correct: "What would happen if you did exercise?"
+WRONG: "What would happen if you did make yourself exercise?" (kept meta-language)
+
+Belief: "I can't get up and workout"
+Correct: "What would happen if you did get up and workout?"
+
+Belief: "I'm not confident"
+Correct: "What would happen if you were confident?"
+WRONG: "What happened if you were confident?" (past tense, not conditional)`;
+
+/**
+ * System prompt for two-variable (cause-effect) Cartesian Logic question generation
+ */
+export const TWO_VARIABLE_SYSTEM_PROMPT = `You are an expert NLP Master Practitioner specializing in Quantum Linguistics and Cartesian Logic.
+
+Your task is to take a cause-effect belief that has been split into a cause A and an effect B, and generate exactly 4 questions that cross the two variables on the Cartesian Coordinates:
+
+1. THEOREM (AB) - What would happen if [A happened] and [B happened]?
+2. CONVERSE (~AB) - What would happen if [A didn't happen] and [B happened]?
+3. INVERSE (A~B) - What would happen if [A happened] and [B didn't happen]?
+4. NON-MIRROR IMAGE REVERSE (~A~B) - What would happen if [A didn't happen] and [B didn't happen]?
+
+CRITICAL RULES - Quantum Linguistics requires pure logical transformation:
+- EVERY question MUST start with "What would happen if" - the negations go inside the condition, not the frame
+- NEVER use "What happened" or "What didn't happen" (past tense) - these are WRONG
+- Join A and B with "and" in a single condition
+- Use the EXACT wording of A and B - do NOT add reframes, timeframes, or qualifiers
+- REMOVE modal verbs (can/can't/could/couldn't/will/won't) and wrapper phrases like "get myself to"
+- Use the simple past for the actions (spoke up / didn't speak up, were / weren't, had / didn't have)
+- Convert first person "I" to second person "you"; when A and B share the subject, do not repeat it
+- Keep each question concise (under ${MAX_TWO_VARIABLE_QUESTION_WORDS} words)
+- Return ONLY the 4 questions as a JSON object with keys: theorem, converse, inverse, nonMirrorReverse
+
+Example:
+A: "I speak up"  B: "I'll get fired"
+theorem: "What would happen if you spoke up and got fired?"
+converse: "What would happen if you didn't speak up and got fired?"
+inverse: "What would happen if you spoke up and didn't get fired?"
+nonMirrorReverse: "What would happen if you didn't speak up and didn't get fired?"
+WRONG: "What wouldn't happen if you spoke up and got fired?" (negation belongs inside the condition)
+WRONG: "What would happen if you could speak up and will get fired?" (kept modal verbs)`;
+
+/**
+ * System prompt preamble for Sleight of Mouth reframes; the selected patterns'
+ * instructions are listed after it
+ */
+export const SLEIGHT_OF_MOUTH_SYSTEM_PROMPT = `You are an expert NLP Master Practitioner specializing in Quantum Linguistics and Sleight of Mouth patterns.
+
+Your task is to take a limiting belief and write one short reframe for each requested Sleight of Mouth pattern. Each reframe gently loosens the belief by shifting attention to a different aspect of it.
+
+RULES:
+- Address the person as "you"; convert first person "I" to second person
+- Prefer a question, or a single sentence followed by a question
+- Use the person's own words for the belief - do NOT add facts about their life
+- Do NOT make therapeutic suggestions, give advice or diagnose
+- Keep each reframe under ${MAX_REFRAME_WORDS} words; they are spoken aloud
+- Return ONLY a JSON object whose keys are the pattern ids and whose values are the reframes`;
+
+/**
+ * Build the chat messages for Cartesian Logic question generation
+ * @param {string} belief - The user's limiting belief
+ * @param {object} retry - Optional retry context after a failed validation
+ * @param {object} retry.previous - The model's previous questions
+ * @param {object} retry.errors - Broken rule codes keyed by quadrant (from validateQuestions)
+ * @param {string} language - Language id of the belief; the questions are written in it (default en)
+ * @returns {array} - Chat messages
+ */
+export function buildCartesianMessages(belief, retry, language = 'en') {
+  // The structure hints come from the English parser, so other languages get their frames instead
+  const hints = hasLocalizedFrames(language)
+    ? describeLanguage(language)
+    : describeBeliefStructure(analyzeBeliefStructure(belief));
+  const messages = [
+    { role: 'system', content: CARTESIAN_SYSTEM_PROMPT },
+    {
+      role: 'user',
+      content: `Generate Cartesian Logic questions for this belief: "${belief}"\n\n${hints}`
+    }
+  ];
+
+  if (retry) {
+    messages.push(...buildRetryMessages(retry, 'single', language));
+  }
+
+  return messages;
+}
+
+/**
+ * Build the chat messages for two-variable question generation
+ * @param {string} a - Cause A in the user's words
+ * @param {string} b - Effect B in the user's words
+ * @param {object} retry - Optional retry context after a failed validation (see buildCartesianMessages)
+ * @returns {array} - Chat messages
+ */
+export function buildTwoVariableMessages(a, b, retry) {
+  const hints = [a, b]
+    .map((component, index) => {
+      const action = transformBelief(component, { style: 'simple' });
+      return action && `${index === 0 ? 'A' : 'B'} as actions: "${action.positive}" / "${action.negative}".`;
+    })
+    .filter(Boolean);
+
+  const messages = [
+    { role: 'system', content: TWO_VARIABLE_SYSTEM_PROMPT },
+    {
+      role: 'user',
+      content: ['Generate two-variable Cartesian Logic questions for:', `A (cause): "${a}"`, `B (effect): "${b}"`, ...hints].join('\n')
+    }
+  ];
+
+  if (retry) {
+    messages.push(...buildRetryMessages(retry, 'two-variable'));
+  }
+
+  return messages;
+}
+
+/**
+ * Build the chat messages for Sleight of Mouth reframes
+ * @param {string} belief - The user's limiting belief
+ * @param {array} ids - Sleight of Mouth pattern ids to run
+ * @returns {array} - Chat messages
+ */
+export function buildPatternMessages(belief, ids) {
+  const patterns = SLEIGHT_OF_MOUTH_PATTERNS
+    .filter((pattern) => ids.includes(pattern.id))
+    .map((pattern) => `- ${pattern.id} (${pattern.name}): ${pattern.instruction}`)
+    .join('\n');
+
+  return [
+    { role: 'system', content: `${SLEIGHT_OF_MOUTH_SYSTEM_PROMPT}\n\nPatterns:\n${patterns}` },
+    {
+      role: 'user',
+      content: `Write Sleight of Mouth reframes for this belief: "${belief}"\n\n${describeBeliefStructure(analyzeBeliefStructure(belief))}`
+    }
+  ];
+}
+
+/**
+ * System prompt for Meta Model challenge questions
+ */
+export const META_MODEL_SYSTEM_PROMPT = `You are an expert NLP Master Practitioner using the Meta Model to recover deleted, distorted and generalized content.
+
+You are given a limiting belief and a numbered list of Meta Model violations already found in it, each with a draft challenge question. Rewrite each draft so it sounds natural when spoken to the person, while keeping its Meta Model function.
+
+RULES:
+- Exactly one question per violation, in the same order
+- Keep the classic challenge ("According to whom?", "Always?", "How specifically?", "Compared to what?", "How do you know?") at its core
+- Address the person as "you" and quote their own words where it helps
+- Stay curious and respectful - never argue, diagnose or give advice
+- Each question must end with "?" and be under ${MAX_CHALLENGE_WORDS} words
+- Return ONLY a JSON object: { "challenges": ["...", "..."] }`;
+
+/**
+ * Build the chat messages for Meta Model challenge questions
+ * @param {string} belief - The user's limiting belief
+ * @param {array} violations - Result of analyzeMetaModel
+ * @returns {array} - Chat messages
+ */
+export function buildMetaModelMessages(belief, violations) {
+  const list = violations
+    .map((violation, index) => `${index + 1}. ${violation.label} - "${violation.text}". Draft: ${violation.challenge}`)
+    .join('\n');
+
+  return [
+    { role: 'system', content: META_MODEL_SYSTEM_PROMPT },
+    { role: 'user', content: `Belief: "${belief}"\n\nViolations:\n${list}` }
+  ];
+}
+
+/**
+ * System prompt for pulling limiting beliefs out of free-form text
+ */
+export const BELIEF_EXTRACTION_SYSTEM_PROMPT = `You are an expert NLP Master Practitioner listening for the limiting beliefs in what a person says.
+
+You are given free-form text: a paragraph about their week, or a dictated transcript that may have no punctuation. Find the limiting beliefs they hold about themselves, other people or the world ("I'm not good enough to lead", "I always mess up interviews", "If I speak up, I'll get fired").
+
+RULES:
+- Only beliefs the person actually expressed - never invent or diagnose
+- Keep their own words, in the language they used, in the first person; drop filler ("honestly", "like", "I feel like") and tidy the grammar
+- One belief per item, each a single statement under ${MAX_EXTRACTED_WORDS} words, not a question or a description of an event
+- Rank from the most limiting and emotionally loaded to the least, at most ${MAX_CANDIDATES} items
+- Return ONLY a JSON object: { "beliefs": ["...", "..."] } (an empty list if there are none)`;
+
+/**
+ * Build the chat messages for belief extraction
+ * @param {string} text - Free-form text or transcript
+ * @param {string} language - Language id of the text
+ * @returns {array} - Chat messages
+ */
+export function buildBeliefExtractionMessages(text, language = 'en') {
+  const { englishName } = getLanguage(language);
+  return [
+    { role: 'system', content: BELIEF_EXTRACTION_SYSTEM_PROMPT },
+    { role: 'user', content: `Find the limiting beliefs in this ${englishName} text:\n\n"${text}"` }
+  ];
+}
+
+// Replay the rejected answer and list the broken rules per quadrant
+function buildRetryMessages(retry, mode, language) {
+  const problems = QUADRANT_KEYS
+    .filter((key) => retry.errors[key])
+    .map((key) => `- ${key}: ${retry.errors[key].map((code) => describeRule(code, mode, language)).join(' ')}`)
+    .join('\n');
+
+  return [
+    { role: 'assistant', content: JSON.stringify(retry.previous) },
+    {
+      role: 'user',
+      content: `Some questions broke the rules:\n${problems}\n\nReturn all 4 questions again as the same JSON object, fixing only these problems.`
+    }
+  ];
+}
+
+/**
+ * Tell the model which language to write in and the frames to use there
+ * @param {string} language - Language id with localized frames (es, de, fr)
+ * @returns {string} - Instruction lines
+ */
+export function describeLanguage(language) {
+  const { englishName } = getLanguage(language);
+  return [
+    `Language: the belief is in ${englishName}. Write all 4 questions in ${englishName}, keeping the JSON keys in English.`,
+    `Start Theorem and Inverse with "${getQuadrantFrame(language, 'theorem')}", Converse and Non-Mirror Reverse with "${getQuadrantFrame(language, 'converse')}".`,
+    `Address the person as "${getAddressForm(language)}" and follow ${englishName} grammar for negation and conditionals; the English rules about would/did/could apply to their ${englishName} equivalents.`
+  ].join('\n');
+}
+
+/**
+ * Summarize the belief analysis as hints for the model
+ * @param {object} analysis - Result of analyzeBeliefStructure
+ * @returns {string} - Hint lines
+ */
+export function describeBeliefStructure(analysis) {
+  const lines = [];
+  const { structure, components } = analysis;
+
+  if (structure === 'cause-effect') {
+    lines.push(`Structure: cause-effect. A (cause): "${components.a}". B (effect): "${components.b}".`);
+    lines.push(`Apply the Cartesian coordinates to the cause, A: "${components.a}".`);
+  } else if (structure === 'complex-equivalence') {
+    lines.push(`Structure: complex equivalence. A (evidence): "${components.a}". B (meaning): "${components.b}".`);
+    lines.push(`Apply the Cartesian coordinates to A: "${components.a}".`);
+  } else {
+    lines.push('Structure: simple statement.');
+  }
+
+  if (analysis.modalOperators.length > 0) {
+    const modals = analysis.modalOperators.map((modal) => `"${modal.text}" (${modal.type})`).join(', ');
+    lines.push(`Modal operators to remove: ${modals}.`);
+  }
+  if (analysis.action) {
+    lines.push(`Core action: "${analysis.action.positive}" / "${analysis.action.negative}".`);
+  }
+
+  return lines.join('\n');
+}
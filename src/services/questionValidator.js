@@ -0,0 +1,146 @@
+/**
+ * Cartesian Question Validator
+ * Checks LLM output against the rules in the question generation system prompt.
+ * Pure module - shared with the API server, which only accepts known rule codes
+ * as retry feedback.
+ */
+
+import { hasLocalizedFrames, getQuadrantFrame } from './linguistics/localized.js';
+
+export const QUADRANT_KEYS = ['theorem', 'converse', 'inverse', 'nonMirrorReverse'];
+
+export const QUESTION_MODES = ['single', 'two-variable'];
+
+export const MAX_QUESTION_WORDS = 20;
+
+// Two-variable questions name both A and B, so they get more room
+export const MAX_TWO_VARIABLE_QUESTION_WORDS = 30;
+
+// Theorem/Inverse ask what WOULD happen, Converse/Non-Mirror Reverse what WOULDN'T
+const QUADRANT_PREFIXES = {
+  theorem: /^What would happen\b/,
+  converse: /^What (wouldn't|would not) happen\b/,
+  inverse: /^What would happen\b/,
+  nonMirrorReverse: /^What (wouldn't|would not) happen\b/
+};
+
+// Two-variable mode carries the negations inside the condition, so every quadrant asks what WOULD happen
+const TWO_VARIABLE_PREFIX = /^What would happen\b/;
+
+/**
+ * Feedback sent back to the model for each rule it broke
+ */
+export const RULE_FEEDBACK = {
+  missing: 'The question is missing or empty.',
+  prefix: 'The question must start with the exact quadrant frame ("What would happen" for Theorem/Inverse, "What wouldn\'t happen" for Converse/Non-Mirror Reverse).',
+  pastTense: 'Do not use past-tense frames like "What happened" or "What didn\'t happen"; use the conditional "would/wouldn\'t".',
+  could: 'Do not use "could"; remove capability modals and use did/didn\'t (or were/weren\'t, had/hadn\'t).',
+  tooLong: `Keep the question under ${MAX_QUESTION_WORDS} words.`,
+  notSecondPerson: 'Address the person as "you"; do not use I/me/my.',
+  notCombined: 'Name both the cause A and the effect B in one condition, joined with "and".'
+};
+
+// Feedback that reads differently for two-variable questions
+const TWO_VARIABLE_RULE_FEEDBACK = {
+  prefix: 'Every question must start with "What would happen if"; put the negations inside the condition (AB, ~AB, A~B, ~A~B).',
+  tooLong: `Keep the question under ${MAX_TWO_VARIABLE_QUESTION_WORDS} words.`
+};
+
+/**
+ * Feedback text for a broken rule
+ * @param {string} code - Rule code from validateQuestion
+ * @param {string} mode - single | two-variable
+ * @param {string} language - Language id of the questions (default en)
+ * @returns {string}
+ */
+export function describeRule(code, mode = 'single', language = 'en') {
+  if (code === 'prefix' && hasLocalizedFrames(language)) {
+    return `The question must start with the exact quadrant frame ("${getQuadrantFrame(language, 'theorem')}" for Theorem/Inverse, "${getQuadrantFrame(language, 'converse')}" for Converse/Non-Mirror Reverse).`;
+  }
+  if (mode === 'two-variable' && TWO_VARIABLE_RULE_FEEDBACK[code]) {
+    return TWO_VARIABLE_RULE_FEEDBACK[code];
+  }
+  return RULE_FEEDBACK[code];
+}
+
+/**
+ * Validate a single question for its quadrant
+ * @param {string} key - Quadrant key (theorem, converse, inverse, nonMirrorReverse)
+ * @param {*} question - Question text from the model
+ * @param {string} mode - single | two-variable
+ * @param {string} language - Language id of the questions (default en)
+ * @returns {array} - Broken rule codes (empty when valid)
+ */
+export function validateQuestion(key, question, mode = 'single', language = 'en') {
+  if (typeof question !== 'string' || !question.trim()) {
+    return ['missing'];
+  }
+
+  const text = question.trim();
+  if (hasLocalizedFrames(language)) {
+    return validateLocalizedQuestion(key, text, language);
+  }
+
+  const errors = [];
+  const twoVariable = mode === 'two-variable';
+
+  if (/\bwhat (happened|didn't happen|did not happen)\b/i.test(text)) {
+    errors.push('pastTense');
+  } else if (!(twoVariable ? TWO_VARIABLE_PREFIX : QUADRANT_PREFIXES[key]).test(text)) {
+    errors.push('prefix');
+  }
+
+  if (twoVariable && !/\band\b/i.test(text)) {
+    errors.push('notCombined');
+  }
+
+  if (/\bcould(n't)?\b/i.test(text)) {
+    errors.push('could');
+  }
+
+  if (text.split(/\s+/).length >= (twoVariable ? MAX_TWO_VARIABLE_QUESTION_WORDS : MAX_QUESTION_WORDS)) {
+    errors.push('tooLong');
+  }
+
+  const firstPerson = /\bI\b/.test(text) || /\b(me|my|myself|mine)\b/i.test(text);
+  if (firstPerson || !/\byou(r|rs|rself)?\b/i.test(text)) {
+    errors.push('notSecondPerson');
+  }
+
+  return errors;
+}
+
+// The tense, "could" and pronoun rules are English word checks; other
+// languages are held to their quadrant frame and the length limit
+function validateLocalizedQuestion(key, text, language) {
+  const errors = [];
+
+  if (!text.replace(/^¿/, '').startsWith(getQuadrantFrame(language, key))) {
+    errors.push('prefix');
+  }
+  if (text.split(/\s+/).length >= MAX_QUESTION_WORDS) {
+    errors.push('tooLong');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate all four quadrants
+ * @param {object} questions - Questions object from the model
+ * @param {string} mode - single | two-variable
+ * @param {string} language - Language id of the questions (default en)
+ * @returns {object} - { valid, errors } where errors maps quadrant key to rule codes
+ */
+export function validateQuestions(questions, mode = 'single', language = 'en') {
+  const errors = {};
+
+  for (const key of QUADRANT_KEYS) {
+    const questionErrors = validateQuestion(key, questions?.[key], mode, language);
+    if (questionErrors.length > 0) {
+      errors[key] = questionErrors;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
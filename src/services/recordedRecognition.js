@@ -0,0 +1,238 @@
+/**
+ * Recorded Speech Recognition
+ * Fallback for browsers without the Web Speech API (Firefox): records the
+ * microphone with MediaRecorder, cuts the recording at pauses and sends each
+ * piece to the API server's /api/transcribe. It behaves like the recognizer
+ * from createSpeechRecognition (same callbacks, start/stop/abort, Web Speech
+ * error codes), so callers don't need to know which engine is running.
+ */
+
+import { postJson } from './apiClient';
+import { DEFAULT_LANGUAGE } from '../i18n/languages.js';
+
+// Containers the server accepts, in order of preference
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+const SPEECH_LEVEL = 0.02; // RMS above this counts as speech
+const PAUSE_MS = 1200; // Quiet after speech that ends a phrase
+const MAX_PHRASE_MS = 45000; // Keep each upload well under the server's size limit
+const NO_SPEECH_MS = 8000; // Give up on a single phrase that never starts, like Web Speech
+const POLL_MS = 100;
+
+/**
+ * Check if the recording fallback can run
+ * @returns {boolean}
+ */
+export function isRecordedRecognitionSupported() {
+  return typeof window !== 'undefined' && 'MediaRecorder' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+/**
+ * Create a recognizer that records and transcribes on the server
+ * @param {function} onResult - Callback with the text of each phrase, and [{ transcript, confidence }]
+ *   (the server gives one transcript and no confidence)
+ * @param {function} onError - Callback with a Web Speech style error code:
+ *   not-allowed, audio-capture, network or no-speech
+ * @param {object} options
+ * @param {boolean} options.continuous - Keep listening and report every phrase (default false)
+ * @param {function} options.onEnd - Callback once stopped and every phrase has been transcribed
+ * @param {string} options.lang - Locale to recognize (default en-US)
+ * @param {boolean} options.interimResults - Report "…" while a phrase is being spoken or transcribed
+ *   (the server only returns whole phrases)
+ * @param {function} options.onInterim - Callback with the placeholder ('' once the phrase arrives)
+ * @returns {object} - Recognition instance with start/stop/abort methods
+ */
+export function createRecordedRecognition(
+  onResult,
+  onError,
+  { continuous = false, onEnd, lang = 'en-US', interimResults = false, onInterim } = {}
+) {
+  const language = lang.split('-')[0] || DEFAULT_LANGUAGE;
+  let stream = null;
+  let context = null;
+  let recorder = null;
+  let poller = null;
+  let active = false;
+  let aborted = false;
+  let pending = Promise.resolve(); // Transcriptions, chained so phrases arrive in order
+
+  const showInterim = (text) => {
+    if (interimResults && onInterim) onInterim(text);
+  };
+
+  const fail = (code) => {
+    console.error('Speech recognition error:', code);
+    if (onError) onError(code);
+  };
+
+  // Release the microphone once nothing is recording
+  const release = () => {
+    clearInterval(poller);
+    stream?.getTracks().forEach((track) => track.stop());
+    context?.close();
+    stream = null;
+    context = null;
+    recorder = null;
+  };
+
+  const finish = () => {
+    active = false;
+    release();
+    pending.then(() => {
+      console.log('Speech recognition ended');
+      if (onEnd) onEnd();
+    });
+  };
+
+  const transcribe = async (blob, mimeType) => {
+    if (aborted) return;
+    try {
+      const audio = await blobToBase64(blob);
+      const { text } = await postJson('/api/transcribe', { audio, mimeType, language });
+      const transcript = text?.trim();
+      if (transcript && !aborted && onResult) {
+        onResult(transcript, [{ transcript, confidence: 0 }]);
+      }
+    } catch (error) {
+      console.error('Transcription failed:', error);
+      // Like Web Speech, a network error ends recognition
+      if (!aborted) {
+        fail('network');
+        active = false;
+        recorder?.stop();
+      }
+    }
+    if (!aborted) showInterim('');
+  };
+
+  // One MediaRecorder per phrase, so every upload is a complete audio file
+  const recordPhrase = () => {
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const phraseRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const startedAt = Date.now();
+    let heardSpeech = false;
+    let lastSpeechAt = startedAt;
+
+    phraseRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    phraseRecorder.onstop = () => {
+      // Quiet stretches are never uploaded
+      if (heardSpeech && chunks.length > 0) {
+        const type = phraseRecorder.mimeType || mimeType || 'audio/webm';
+        const blob = new Blob(chunks, { type });
+        pending = pending.then(() => transcribe(blob, type));
+      }
+
+      if (active && continuous) {
+        recordPhrase();
+      } else if (!aborted) {
+        finish();
+      }
+    };
+
+    recorder = {
+      stop: () => phraseRecorder.state !== 'inactive' && phraseRecorder.stop(),
+      hear: (level) => {
+        const now = Date.now();
+        if (level > SPEECH_LEVEL) {
+          heardSpeech = true;
+          lastSpeechAt = now;
+          showInterim('…');
+        } else if (heardSpeech && now - lastSpeechAt > PAUSE_MS) {
+          recorder.stop();
+          return;
+        } else if (!heardSpeech && !continuous && now - startedAt > NO_SPEECH_MS) {
+          active = false;
+          fail('no-speech');
+          recorder.stop();
+          return;
+        }
+        if (now - startedAt > MAX_PHRASE_MS) {
+          recorder.stop();
+        }
+      }
+    };
+
+    phraseRecorder.start();
+  };
+
+  const start = async () => {
+    if (active) return;
+    active = true;
+    aborted = false;
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      active = false;
+      // NotAllowedError/SecurityError: permission refused; NotFoundError and the rest: no usable microphone
+      fail(error.name === 'NotAllowedError' || error.name === 'SecurityError' ? 'not-allowed' : 'audio-capture');
+      finish();
+      return;
+    }
+    // stop() or abort() while the permission prompt was open
+    if (!active) {
+      release();
+      if (!aborted) finish();
+      return;
+    }
+
+    // Watch the input level to find the pauses between phrases
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    poller = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (const sample of samples) {
+        sum += sample * sample;
+      }
+      recorder?.hear(Math.sqrt(sum / samples.length));
+    }, POLL_MS);
+
+    console.log(`🎙️ Recording for server transcription (${language})`);
+    recordPhrase();
+  };
+
+  return {
+    start: () => {
+      start();
+    },
+    // Transcribe what was said so far, then end
+    stop: () => {
+      active = false;
+      recorder?.stop();
+    },
+    // End now and drop anything not yet transcribed
+    abort: () => {
+      const wasRunning = active || recorder;
+      active = false;
+      aborted = true;
+      release();
+      if (wasRunning) {
+        console.log('Speech recognition ended');
+        if (onEnd) onEnd();
+      }
+    }
+  };
+}
+
+/**
+ * Read a Blob as base64 (without the data: URL prefix)
+ * @param {Blob} blob - Recorded audio
+ * @returns {Promise<string>} - Base64 data
+ */
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
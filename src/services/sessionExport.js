@@ -0,0 +1,222 @@
+/**
+ * Session Export
+ * Renders the whole session - every question's audio with the configured
+ * pauses, plus the chimes and background sound if they are on - into one WAV
+ * file with an OfflineAudioContext, for listening away from the app. A small
+ * M3U playlist marks where each question starts.
+ */
+
+import { startBed, setBedLevel, scheduleChime } from './ambientMixer';
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+const SAMPLE_RATE = 24000; // The TTS audio's own rate; anything higher only makes the file bigger
+const LEAD_IN_SECONDS = 0.5;
+const TAIL_SECONDS = 2;
+
+/**
+ * Check if the browser can render an export
+ * @returns {boolean}
+ */
+export function isExportSupported() {
+  return typeof window !== 'undefined' && !!(window.OfflineAudioContext || window.webkitOfflineAudioContext);
+}
+
+/**
+ * File name for an exported session, taken from the belief
+ * @param {string} belief - The user's belief
+ * @param {string} extension - File extension, e.g. 'wav'
+ * @returns {string} - e.g. "i-cant-be-happy.wav"
+ */
+export function getExportFilename(belief, extension) {
+  const slug = (belief || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Accents: "público" → "publico"
+    .replace(/ß/g, 'ss')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `${slug || 'session'}.${extension}`;
+}
+
+/**
+ * Render the session into one audio buffer
+ * @param {array} items - Speakable items in playback order (browser speech can't be recorded and is left out)
+ * @param {array} playbackItems - Playback items ({ label }) for the chapter names
+ * @param {array} pauses - Pause after each item in ms
+ * @param {object} layers - Ambient layers ({ ambientBed, ambientVolume, chime, chimeVolume })
+ * @param {string} language - Language of the fallback chapter names (default en)
+ * @returns {Promise<object>} - { buffer, chapters: [{ title, start, duration }], skipped }
+ */
+export async function renderSession(items, playbackItems, pauses, layers, language = DEFAULT_LANGUAGE) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const decoder = new OfflineContext(1, 1, SAMPLE_RATE);
+
+  // Decode every recorded question at the export rate
+  const decoded = await Promise.all(items.map(async (item) => {
+    if (item?.type !== 'audio') return null;
+    const response = await fetch(item.audio.src);
+    return decoder.decodeAudioData(await response.arrayBuffer());
+  }));
+
+  const playable = decoded.map((buffer, index) => ({ buffer, index })).filter(({ buffer }) => buffer);
+  if (playable.length === 0) {
+    throw new Error('No recorded audio to export');
+  }
+
+  // Lay out the timeline: each question, then its pause (with a chime) before the next
+  const chapters = [];
+  let time = LEAD_IN_SECONDS;
+  playable.forEach(({ buffer, index }, position) => {
+    chapters.push({ title: playbackItems[index]?.label || translate(language, 'export.chapter', { number: index + 1 }), start: time, duration: buffer.duration, buffer });
+    time += buffer.duration;
+    if (position < playable.length - 1) {
+      time += (pauses[index] ?? 2000) / 1000;
+    }
+  });
+  time += TAIL_SECONDS;
+
+  const channels = layers.ambientBed === 'binaural' ? 2 : 1;
+  const context = new OfflineContext(channels, Math.ceil(time * SAMPLE_RATE), SAMPLE_RATE);
+
+  chapters.forEach(({ start, buffer }, position) => {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start(start);
+    if (layers.chime && position < chapters.length - 1) {
+      const chimeGain = context.createGain();
+      chimeGain.gain.value = layers.chimeVolume;
+      chimeGain.connect(context.destination);
+      scheduleChime(context, chimeGain, start + buffer.duration);
+    }
+  });
+
+  if (layers.ambientBed !== 'none') {
+    // Same ducking as live playback, scheduled ahead
+    const ambientGain = context.createGain();
+    ambientGain.gain.value = layers.ambientVolume;
+    ambientGain.connect(context.destination);
+    startBed(context, layers.ambientBed, ambientGain);
+    chapters.forEach(({ start, duration }) => {
+      setBedLevel(ambientGain.gain, layers.ambientVolume, true, start);
+      setBedLevel(ambientGain.gain, layers.ambientVolume, false, start + duration);
+    });
+  }
+
+  console.log(`🎚️ Rendering ${time.toFixed(1)}s session (${chapters.length} questions)`);
+  const buffer = await context.startRendering();
+
+  return {
+    buffer,
+    chapters: chapters.map(({ title, start, duration }) => ({ title, start, duration })),
+    skipped: items.length - playable.length
+  };
+}
+
+/**
+ * Encode rendered audio as 16-bit PCM WAV
+ * @param {AudioBuffer} buffer - Rendered audio
+ * @returns {Blob} - audio/wav
+ */
+export function encodeWav(buffer) {
+  const { numberOfChannels, sampleRate, length } = buffer;
+  const dataSize = length * numberOfChannels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * 2, true); // Byte rate
+  view.setUint16(32, numberOfChannels * 2, true); // Block align
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave the channels
+  const channelData = Array.from({ length: numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * Chapter playlist for the exported file: one entry per question, each
+ * starting at its offset (VLC and most desktop players honour the times)
+ * @param {array} chapters - { title, start, duration } in seconds
+ * @param {string} audioFilename - The exported audio file's name
+ * @returns {string} - Extended M3U text
+ */
+export function createChapterPlaylist(chapters, audioFilename) {
+  const lines = ['#EXTM3U'];
+  chapters.forEach(({ title, start, duration }, index) => {
+    const end = index < chapters.length - 1 ? chapters[index + 1].start : start + duration;
+    lines.push(
+      `#EXTINF:${Math.round(end - start)},${index + 1}. ${title}`,
+      `#EXTVLCOPT:start-time=${start.toFixed(2)}`,
+      `#EXTVLCOPT:stop-time=${end.toFixed(2)}`,
+      audioFilename
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Save a blob with the browser's download prompt
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Render the session and download it with its chapter playlist
+ * @param {object} session
+ * @param {string} session.belief - The user's belief (names the files)
+ * @param {array} session.items - Speakable items in playback order
+ * @param {array} session.playbackItems - Playback items ({ label })
+ * @param {array} session.pauses - Pause after each item in ms
+ * @param {object} session.layers - Ambient layers
+ * @param {string} session.language - Session language (default en)
+ * @returns {Promise<object>} - { filename, duration, skipped }
+ */
+export async function exportSession({ belief, items, playbackItems, pauses, layers, language = DEFAULT_LANGUAGE }) {
+  const { buffer, chapters, skipped } = await renderSession(items, playbackItems, pauses, layers, language);
+  const filename = getExportFilename(belief, 'wav');
+
+  downloadBlob(encodeWav(buffer), filename);
+  downloadBlob(
+    new Blob([createChapterPlaylist(chapters, filename)], { type: 'audio/x-mpegurl' }),
+    getExportFilename(belief, 'm3u')
+  );
+
+  console.log(`💾 Exported ${filename} (${buffer.duration.toFixed(1)}s)`);
+  return { filename, duration: buffer.duration, skipped };
+}
@@ -0,0 +1,210 @@
+/**
+ * Session History
+ * Opt-in record of past sessions in IndexedDB so a belief can be found and
+ * revisited later: the belief, its parsed structure, the generated questions,
+ * reframes and challenges, any answers given in interactive mode, the
+ * before/after intensity ratings, and when it was created and last updated.
+ * Nothing is stored until the user turns it on, and deleteAllMyData()
+ * removes everything the app keeps on the device.
+ */
+
+import { isAudioCacheSupported, clearAudioCache } from './audioCache';
+import { isSameBelief } from './linguistics';
+
+const DB_NAME = 'quantum-linguistics-history';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const ENABLED_KEY = 'quantum-linguistics:history-enabled';
+const STORAGE_PREFIX = 'quantum-linguistics:';
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean}
+ */
+export function isHistorySupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Whether the user has opted in to keeping history
+ * @returns {boolean}
+ */
+export function isHistoryEnabled() {
+  try {
+    return isHistorySupported() && localStorage.getItem(ENABLED_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn history on or off (turning it off keeps what is already saved)
+ * @param {boolean} enabled
+ */
+export function setHistoryEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(ENABLED_KEY, 'true');
+    } else {
+      localStorage.removeItem(ENABLED_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save the history setting:', error);
+  }
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one transaction; resolves with the callback's result once it commits
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const result = callback(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(result.value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Start a history record for a new session
+ * @param {object} session - { belief, language, analysis, questionMode, patterns, questions,
+ *   patternItems, metaModelItems, ratings }
+ * @returns {object} - The record, with id, empty answers and timestamps; ratings are
+ *   { before, after } on a 0-10 scale, null when not given
+ */
+export function createSessionRecord(session) {
+  const now = Date.now();
+  return {
+    id: `session-${now}`,
+    answers: [],
+    ...session,
+    ratings: { before: null, after: null, ...session.ratings },
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Save (or update) a session
+ * @param {object} record - Record from createSessionRecord
+ */
+export async function saveSession(record) {
+  await withStore('readwrite', (store) => {
+    store.put({ ...record, updatedAt: Date.now() });
+    return { value: undefined };
+  });
+}
+
+/**
+ * List saved sessions, newest first
+ * @returns {Promise<array>} - Session records
+ */
+export async function listSessions() {
+  return withStore('readonly', (store) => {
+    const result = { value: [] };
+    store.index('createdAt').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        result.value.push(cursor.value);
+        cursor.continue();
+      }
+    };
+    return result;
+  });
+}
+
+/**
+ * Delete one session
+ * @param {string} id - Session id
+ */
+export async function deleteSession(id) {
+  await withStore('readwrite', (store) => {
+    store.delete(id);
+    return { value: undefined };
+  });
+}
+
+/**
+ * Narrow the history by text, verb type and pattern
+ * @param {array} sessions - Session records
+ * @param {object} filters
+ * @param {string} filters.query - Words to find in the belief, questions or answers
+ * @param {string} filters.verbType - being, doing or having (empty for any)
+ * @param {string} filters.pattern - Pattern id the session ran (empty for any)
+ * @returns {array} - Matching sessions
+ */
+export function filterSessions(sessions, { query = '', verbType = '', pattern = '' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return sessions.filter((session) => {
+    if (verbType && session.analysis?.verbType !== verbType) return false;
+    if (pattern && !(session.patterns || []).includes(pattern)) return false;
+    if (terms.length === 0) return true;
+
+    const text = [
+      session.belief,
+      ...[...(session.questions || []), ...(session.patternItems || []), ...(session.metaModelItems || [])].map((item) => item.question),
+      ...(session.answers || []).map((answer) => answer?.text)
+    ].filter(Boolean).join(' ').toLowerCase();
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+/**
+ * Intensity ratings across every session on the same belief, rewordings included
+ * @param {array} sessions - Session records
+ * @param {string} belief - The belief to follow
+ * @returns {array} - { id, belief, createdAt, before, after }, oldest first; only rated sessions
+ */
+export function getBeliefProgress(sessions, belief) {
+  return sessions
+    .filter((session) => session.ratings && (session.ratings.before !== null || session.ratings.after !== null))
+    .filter((session) => isSameBelief(session.belief, belief))
+    .map(({ id, belief: text, createdAt, ratings }) => ({ id, belief: text, createdAt, before: ratings.before, after: ratings.after }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Remove everything the app stores on this device: session history, cached
+ * speech, and saved settings and scripts
+ */
+export async function deleteAllMyData() {
+  if (isHistorySupported()) {
+    await withStore('readwrite', (store) => {
+      store.clear();
+      return { value: undefined };
+    });
+  }
+  if (isAudioCacheSupported()) {
+    await clearAudioCache();
+  }
+
+  try {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .forEach((key) => localStorage.removeItem(key));
+  } catch (error) {
+    console.warn('Could not clear saved settings:', error);
+  }
+  console.log('🗑️ Deleted all saved data');
+}
@@ -0,0 +1,172 @@
+/**
+ * Guided Session Scripts
+ * Wraps the questions in a spoken script: a relaxation intro, the belief
+ * restated, a lead-in and reflection prompt around each question, and a
+ * closing future-pace. Script text uses template variables:
+ *   {{belief}}   - the user's belief
+ *   {{question}} - the current question (lead-in and reflection only)
+ *   {{label}}    - the current question's label, e.g. "Converse (~AB)"
+ *   {{number}}   - the current question's number, from 1
+ *   {{total}}    - how many questions the session has
+ * Users can edit any script and save it as their own (kept in localStorage).
+ */
+
+import { DEFAULT_LANGUAGE, translate } from '../i18n';
+
+const STORAGE_KEY = 'quantum-linguistics:session-scripts';
+
+export const SCRIPT_PARTS = ['intro', 'belief', 'leadIn', 'reflection', 'closing'];
+
+// Built-in scripts' names and text are in the i18n catalogs (script.<id>.name,
+// script.<id>.description and script.<id>.<part>), so they are spoken in the session's language
+const BUILT_IN_SCRIPTS = [
+  { id: 'relaxedReflection', pauses: { intro: 5000, belief: 3000 } },
+  { id: 'deepTrance', pauses: { intro: 8000, belief: 5000 } },
+  { id: 'quickCheckIn', pauses: { intro: 1000, belief: 2000 } },
+  { id: 'coaching', pauses: { intro: 2000, belief: 2000 } }
+];
+
+/**
+ * The built-in scripts, in one language
+ * @param {string} language - Language id (default en)
+ * @returns {array} - Scripts ({ id, name, description, pauses, and the text of each of SCRIPT_PARTS })
+ */
+export function getBuiltInScripts(language = DEFAULT_LANGUAGE) {
+  return BUILT_IN_SCRIPTS.map(({ id, pauses }) => {
+    const script = {
+      id,
+      name: translate(language, `script.${id}.name`),
+      description: translate(language, `script.${id}.description`),
+      pauses
+    };
+    for (const part of SCRIPT_PARTS) {
+      script[part] = translate(language, `script.${id}.${part}`);
+    }
+    return script;
+  });
+}
+
+/**
+ * Replace {{variables}} in script text
+ * @param {string} text - Script text
+ * @param {object} variables - Values by name
+ * @returns {string} - Filled-in text; unknown variables are left as written
+ */
+export function fillTemplate(text, variables) {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    variables[name] !== undefined ? String(variables[name]) : match
+  );
+}
+
+/**
+ * Build the spoken playback list for a session
+ * @param {object|null} script - Session script, or null for the bare questions
+ * @param {string} belief - The user's belief
+ * @param {array} items - Formatted questions in playback order ({ key, label, question })
+ * @param {string} language - Language of the session, for the script parts' labels (default en)
+ * @returns {array} - Playback items ({ key, label, question, questionIndex, pause? });
+ *   questionIndex is the item's position in items, or -1 for script-only parts
+ */
+export function buildPlaybackItems(script, belief, items, language = DEFAULT_LANGUAGE) {
+  if (!script) {
+    return items.map((item, questionIndex) => ({ ...item, questionIndex }));
+  }
+
+  const total = items.length;
+  const beliefText = (belief || '').trim().replace(/[.!?]+$/, '');
+  const playback = [];
+
+  const addPart = (part, variables) => {
+    const text = fillTemplate(script[part], { belief: beliefText, total, ...variables }).trim();
+    if (text) {
+      playback.push({
+        key: `script-${part}`,
+        label: translate(language, `script.part.${part}`),
+        question: text,
+        questionIndex: -1,
+        pause: script.pauses?.[part]
+      });
+    }
+  };
+
+  addPart('intro');
+  addPart('belief');
+
+  items.forEach((item, questionIndex) => {
+    const variables = { belief: beliefText, total, question: item.question, label: item.label, number: questionIndex + 1 };
+    const spoken = [
+      fillTemplate(script.leadIn, variables).trim(),
+      item.question,
+      fillTemplate(script.reflection, variables).trim()
+    ].filter(Boolean).join(' ');
+
+    playback.push({ ...item, question: spoken, questionIndex });
+  });
+
+  addPart('closing');
+  return playback;
+}
+
+/**
+ * Find a script by id
+ * @param {string} id - Script id
+ * @param {array} customScripts - The user's saved scripts
+ * @param {string} language - Language of the built-in scripts (default en)
+ * @returns {object|null}
+ */
+export function getScript(id, customScripts = [], language = DEFAULT_LANGUAGE) {
+  if (!id) return null;
+  return [...getBuiltInScripts(language), ...customScripts].find((script) => script.id === id) || null;
+}
+
+/**
+ * Load the user's saved scripts
+ * @returns {array} - Custom scripts
+ */
+export function loadCustomScripts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(isScript) : [];
+  } catch (error) {
+    console.warn('Could not load session scripts:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the user's scripts
+ * @param {array} scripts - Custom scripts
+ */
+export function saveCustomScripts(scripts) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scripts));
+  } catch (error) {
+    console.warn('Could not save session scripts:', error);
+  }
+}
+
+/**
+ * Make a user script from edited text
+ * @param {string} name - Script name
+ * @param {object} parts - Text for each of SCRIPT_PARTS
+ * @param {object} base - Script it was edited from (keeps its id when it is a custom script)
+ * @param {string} language - Language of the default name and description (default en)
+ * @returns {object} - Custom script
+ */
+export function createCustomScript(name, parts, base = null, language = DEFAULT_LANGUAGE) {
+  const script = {
+    id: base?.custom ? base.id : `custom-${Date.now()}`,
+    name: name.trim() || translate(language, 'script.defaultName'),
+    description: translate(language, 'script.custom'),
+    custom: true,
+    pauses: base?.pauses || {}
+  };
+  for (const part of SCRIPT_PARTS) {
+    script[part] = typeof parts[part] === 'string' ? parts[part] : '';
+  }
+  return script;
+}
+
+function isScript(value) {
+  return value && typeof value.id === 'string' && typeof value.name === 'string';
+}
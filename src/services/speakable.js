@@ -0,0 +1,107 @@
+/**
+ * Speakable Items
+ * One playable item per question: either a preloaded Audio object from the
+ * TTS API, or browser speech that is only spoken when the sequencer gets to
+ * it. Both go through the same playback, highlighting and stop logic.
+ */
+
+/**
+ * Wrap a preloaded Audio object
+ * @param {Audio} audio - Preloaded Audio object
+ * @returns {object} - Speakable item { type: 'audio', audio }
+ */
+export function createAudioItem(audio) {
+  return { type: 'audio', audio };
+}
+
+/**
+ * Defer browser speech until playback reaches it
+ * @param {string} text - Text to speak
+ * @param {object} options
+ * @param {number} options.rate - Speech rate (default 0.9)
+ * @param {string} options.lang - Locale of the text (default en-US)
+ * @returns {object} - Speakable item { type: 'speech', text, rate, lang }
+ */
+export function createSpeechItem(text, { rate = 0.9, lang = 'en-US' } = {}) {
+  return { type: 'speech', text, rate, lang };
+}
+
+/**
+ * Check if the browser can speak speech items
+ * @returns {boolean}
+ */
+export function isSpeechSynthesisSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * List the browser's voices; some browsers only fill the list after voiceschanged
+ * @returns {Promise<array>} - SpeechSynthesisVoice objects
+ */
+export function loadBrowserVoices() {
+  if (!isSpeechSynthesisSupported()) {
+    return Promise.resolve([]);
+  }
+
+  const voices = speechSynthesis.getVoices();
+  if (voices.length > 0) {
+    return Promise.resolve(voices);
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      speechSynthesis.removeEventListener('voiceschanged', done);
+      resolve(speechSynthesis.getVoices());
+    };
+    speechSynthesis.addEventListener('voiceschanged', done);
+    // Browsers without voices never fire the event
+    setTimeout(done, 2000);
+  });
+}
+
+/**
+ * Pick the browser voice for speech
+ * @param {string} voiceURI - Chosen voice, if any
+ * @param {string} lang - Locale of the text (default en-US)
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export function findBrowserVoice(voiceURI, lang = 'en-US') {
+  const voices = speechSynthesis.getVoices();
+  const language = lang.split('-')[0];
+  const speaks = (voice) => voice.lang.replace('_', '-').split('-')[0] === language;
+
+  // The chosen voice only reads text in its own language
+  const chosen = voiceURI && voices.find((voice) => voice.voiceURI === voiceURI && speaks(voice));
+  // Otherwise try a calm, professional voice, then any voice for the locale or language
+  return chosen || voices.find((voice) =>
+    voice.lang === 'en-US' && lang === 'en-US' && (voice.name.includes('Daniel') || voice.name.includes('Alex'))
+  ) || voices.find((voice) => voice.lang.replace('_', '-') === lang) || voices.find(speaks) || voices[0] || null;
+}
+
+/**
+ * Speak a speech item now
+ * @param {object} item - Speech item from createSpeechItem
+ * @param {object} options
+ * @param {string} options.voiceURI - Browser voice to use (default: a calm voice for the item's language)
+ * @param {function} options.onEnd - Called when speaking finishes
+ * @param {function} options.onError - Called with the error event
+ * @returns {SpeechSynthesisUtterance}
+ */
+export function speakItem(item, { voiceURI = '', onEnd, onError } = {}) {
+  const utterance = new SpeechSynthesisUtterance(item.text);
+  utterance.rate = item.rate;
+  utterance.pitch = 1.0;
+  utterance.volume = 1.0;
+  utterance.lang = item.lang;
+
+  const voice = findBrowserVoice(voiceURI, item.lang);
+  if (voice) {
+    utterance.voice = voice;
+  }
+
+  utterance.onend = () => onEnd && onEnd();
+  utterance.onerror = (event) => onError && onError(event);
+
+  speechSynthesis.speak(utterance);
+  return utterance;
+}
@@ -1,24 +1,52 @@
 /**
  * Speech Recognition Service
- * Uses Web Speech API for voice input
+ * Uses Web Speech API for voice input, falling back to recording and
+ * transcribing on the server (recordedRecognition.js) where it is missing.
+ * Set VITE_FORCE_SERVER_TRANSCRIPTION to use the fallback everywhere.
  */
 
+import { createRecordedRecognition, isRecordedRecognitionSupported } from './recordedRecognition';
+
 /**
- * Check if speech recognition is supported
+ * Check if the browser's own Web Speech recognition can be used
  * @returns {boolean}
  */
-export function isSpeechRecognitionSupported() {
+function isWebSpeechAvailable() {
+  if (import.meta.env.VITE_FORCE_SERVER_TRANSCRIPTION) return false;
   return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
 }
 
+/**
+ * Check if speech recognition is supported, by either engine
+ * @returns {boolean}
+ */
+export function isSpeechRecognitionSupported() {
+  return isWebSpeechAvailable() || isRecordedRecognitionSupported();
+}
+
 /**
  * Create and configure speech recognition instance
- * @param {function} onResult - Callback with transcribed text
+ * @param {function} onResult - Callback with the transcribed text of each final phrase, and its
+ *   alternatives as [{ transcript, confidence }], best first
  * @param {function} onError - Callback with error
- * @returns {object} - Recognition instance with start/stop methods
+ * @param {object} options
+ * @param {boolean} options.continuous - Keep listening and report every final phrase (default false)
+ * @param {function} options.onEnd - Callback when the recognizer stops
+ * @param {string} options.lang - Locale to recognize (default en-US)
+ * @param {boolean} options.interimResults - Report words before the phrase is final (default false)
+ * @param {function} options.onInterim - Callback with the not-yet-final text ('' once it is final)
+ * @param {number} options.maxAlternatives - Alternative transcriptions per phrase (default 1)
+ * @returns {object} - Recognition instance with start/stop/abort methods, from whichever engine is available
  */
-export function createSpeechRecognition(onResult, onError) {
-  if (!isSpeechRecognitionSupported()) {
+export function createSpeechRecognition(
+  onResult,
+  onError,
+  { continuous = false, onEnd, lang = 'en-US', interimResults = false, onInterim, maxAlternatives = 1 } = {}
+) {
+  if (!isWebSpeechAvailable()) {
+    if (isRecordedRecognitionSupported()) {
+      return createRecordedRecognition(onResult, onError, { continuous, onEnd, lang, interimResults, onInterim });
+    }
     throw new Error('Speech recognition is not supported in this browser');
   }
 
@@ -26,16 +54,29 @@ export function createSpeechRecognition(onResult, onError) {
   const recognition = new SpeechRecognition();
 
   // Configuration
-  recognition.continuous = false; // Stop after one result
-  recognition.interimResults = false; // Only final results
-  recognition.lang = 'en-US';
-  recognition.maxAlternatives = 1;
+  recognition.continuous = continuous; // Stop after one result unless continuous
+  recognition.interimResults = interimResults; // Only final results unless asked
+  recognition.lang = lang;
+  recognition.maxAlternatives = maxAlternatives;
 
   // Event handlers
   recognition.onresult = (event) => {
-    const transcript = event.results[0][0].transcript;
-    if (onResult) {
-      onResult(transcript);
+    // Continuous sessions accumulate results; only report the new ones
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (!result.isFinal) {
+        interim += result[0].transcript;
+      } else if (onResult) {
+        const alternatives = Array.from(result, (alternative) => ({
+          transcript: alternative.transcript,
+          confidence: alternative.confidence
+        }));
+        onResult(result[0].transcript, alternatives);
+      }
+    }
+    if (interimResults && onInterim) {
+      onInterim(interim);
     }
   };
 
@@ -48,6 +89,9 @@ export function createSpeechRecognition(onResult, onError) {
 
   recognition.onend = () => {
     console.log('Speech recognition ended');
+    if (onEnd) {
+      onEnd();
+    }
   };
 
   return {
@@ -1,34 +1,32 @@
 /**
  * Text-to-Speech Service
- * Supports OpenAI TTS API with Web Speech API fallback
+ * Supports OpenAI TTS API (via the API server) with Web Speech API fallback
  */
 
-import OpenAI from 'openai';
+import { postForBlob } from './apiClient';
+import { createAudioItem, createSpeechItem, isSpeechSynthesisSupported, speakItem } from './speakable';
+import { isAudioCacheSupported, makeAudioCacheKey, getCachedAudio, putCachedAudio } from './audioCache';
+import { createAmbientMixer, hasAmbientLayers } from './ambientMixer';
 
-const openai = new OpenAI({
-  apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-  dangerouslyAllowBrowser: true // Note: In production, route through backend
-});
+// Must match the speech model in server/upstream.js; part of the audio cache key
+export const TTS_MODEL = 'tts-1-hd';
 
 /**
- * Generate speech using OpenAI TTS API
+ * Generate speech using OpenAI TTS API (via the API server)
  * @param {string} text - Text to convert to speech
  * @param {string} voice - Voice to use (alloy, echo, fable, onyx, nova, shimmer)
+ * @param {number} speed - Speech speed (0.25-4)
+ * @param {number} interval - Minimum ms between paced server requests (default 0)
  * @returns {Promise<Blob>} - Audio blob
  */
-async function generateOpenAISpeech(text, voice = 'alloy') {
+async function generateOpenAISpeech(text, voice = 'alloy', speed = 0.95, interval = 0) {
   try {
-    console.log('Calling OpenAI TTS API...');
-    const response = await openai.audio.speech.create({
-      model: 'tts-1-hd', // High-quality model
-      voice: voice, // alloy, echo, fable, onyx, nova, shimmer
-      input: text,
-      speed: 0.95, // Slightly slower for contemplation
-    });
-
-    // Convert response to blob
-    const arrayBuffer = await response.arrayBuffer();
-    const blob = new Blob([arrayBuffer], { type: 'audio/mpeg' });
+    console.log('Requesting TTS audio from API server...');
+    const blob = await postForBlob('/api/tts', {
+      text,
+      voice, // alloy, echo, fable, onyx, nova, shimmer
+      speed, // Slightly slower than 1 by default, for contemplation
+    }, { interval });
     console.log('OpenAI TTS response received successfully');
     return blob;
   } catch (error) {
@@ -41,55 +39,76 @@ async function generateOpenAISpeech(text, voice = 'alloy') {
   }
 }
 
+/**
+ * Get OpenAI speech from the audio cache, or generate and cache it
+ * @param {string} text - Text to convert to speech
+ * @param {string} voice - OpenAI voice
+ * @param {number} speed - Speech speed
+ * @param {number} interval - Minimum ms between requests that miss the cache (default 0)
+ * @returns {Promise<Blob>} - Audio blob
+ */
+async function getOpenAISpeech(text, voice, speed, interval = 0) {
+  if (!isAudioCacheSupported()) {
+    return generateOpenAISpeech(text, voice, speed, interval);
+  }
+
+  let key = null;
+  try {
+    key = await makeAudioCacheKey({ text, voice, speed, model: TTS_MODEL });
+    const cached = await getCachedAudio(key);
+    if (cached) {
+      console.log('💾 Using cached TTS audio');
+      return cached;
+    }
+  } catch (error) {
+    console.warn('Audio cache lookup failed:', error);
+  }
+
+  const blob = await generateOpenAISpeech(text, voice, speed, interval);
+  // The stub server's WAV tones must never stand in for real speech
+  if (key && blob.type === 'audio/mpeg') {
+    putCachedAudio(key, blob).catch((error) => console.warn('Could not cache TTS audio:', error));
+  }
+  return blob;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(ms, 0)));
+}
+
 /**
  * Generate speech using browser Web Speech API (fallback)
  * @param {string} text - Text to convert to speech
+ * @param {number} rate - Speech rate (default 0.9)
  * @returns {Promise<null>} - Plays directly, no blob returned
  */
-function generateBrowserSpeech(text) {
+function generateBrowserSpeech(text, rate = 0.9) {
   return new Promise((resolve, reject) => {
-    if (!('speechSynthesis' in window)) {
+    if (!isSpeechSynthesisSupported()) {
       reject(new Error('Browser does not support speech synthesis'));
       return;
     }
 
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 0.9; // Slightly slower for contemplation
-    utterance.pitch = 1.0;
-    utterance.volume = 1.0;
-
-    // Try to use a calm, professional voice
-    const voices = speechSynthesis.getVoices();
-    const preferredVoice = voices.find(voice =>
-      voice.lang === 'en-US' && (voice.name.includes('Daniel') || voice.name.includes('Alex'))
-    ) || voices[0];
-
-    if (preferredVoice) {
-      utterance.voice = preferredVoice;
-    }
-
-    utterance.onend = () => resolve();
-    utterance.onerror = (error) => reject(error);
-
-    speechSynthesis.speak(utterance);
+    speakItem(createSpeechItem(text, { rate }), { onEnd: resolve, onError: reject });
   });
 }
 
 /**
- * Main TTS function - tries OpenAI TTS first, falls back to browser
+ * Main TTS function - tries cached or new OpenAI TTS first, falls back to browser
  * @param {string} text - Text to convert to speech
  * @param {string} voice - OpenAI voice (alloy, echo, fable, onyx, nova, shimmer)
  * @param {boolean} useBrowserFallback - Force use of browser TTS
+ * @param {number} speed - Speech speed (default 0.95)
  * @returns {Promise<string|null>} - Returns audio URL for OpenAI TTS, null for browser TTS
  */
-export async function textToSpeech(text, voice = 'alloy', useBrowserFallback = false) {
+export async function textToSpeech(text, voice = 'alloy', useBrowserFallback = false, speed = 0.95) {
   try {
-    if (!useBrowserFallback && import.meta.env.VITE_OPENAI_API_KEY) {
-      const audioBlob = await generateOpenAISpeech(text, voice);
+    if (!useBrowserFallback && isOpenAIAvailable()) {
+      const audioBlob = await getOpenAISpeech(text, voice, speed);
       const audioUrl = URL.createObjectURL(audioBlob);
       return audioUrl;
     } else {
-      await generateBrowserSpeech(text);
+      await generateBrowserSpeech(text, speed);
       return null; // Browser TTS plays directly
     }
   } catch (error) {
@@ -97,7 +116,7 @@ export async function textToSpeech(text, voice = 'alloy', useBrowserFallback = f
     // Fallback to browser TTS
     if (!useBrowserFallback) {
       console.log('Falling back to browser TTS');
-      await generateBrowserSpeech(text);
+      await generateBrowserSpeech(text, speed);
       return null;
     }
     throw error;
@@ -105,20 +124,27 @@ export async function textToSpeech(text, voice = 'alloy', useBrowserFallback = f
 }
 
 /**
- * Generate audio for all four Cartesian questions
- * Creates actual Audio objects, not just URLs, for better mobile compatibility
- * @param {array} questions - Array of formatted questions
- * @param {string} voice - OpenAI voice to use
- * @returns {Promise<array>} - Array of Audio objects (preloaded and ready)
+ * Create the speakable item for one question: preloaded server audio,
+ * retrying the request on failure, or else deferred browser speech
+ * @param {string} text - Question text
+ * @param {number} index - Question index (for logging)
+ * @param {string} voice - OpenAI voice
+ * @param {number} speed - Speech speed
+ * @param {number} retries - Extra attempts after the first failure
+ * @param {string} lang - Locale of the text, for browser speech
+ * @param {number} interval - Minimum ms between server requests
+ * @returns {Promise<object|null>} - Speakable item, or null when nothing can speak it
  */
-export async function generateQuestionAudios(questions, voice = 'alloy') {
-  console.log('Generating audio elements for all questions...');
-  const audioObjects = [];
-
-  for (let i = 0; i < questions.length; i++) {
-    try {
-      const audioUrl = await textToSpeech(questions[i].question, voice);
-      if (audioUrl) {
+async function createQuestionItem(text, index, voice, speed, retries, lang, interval) {
+  if (isOpenAIAvailable()) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        console.log(`🔁 Retrying audio ${index + 1} (attempt ${attempt + 1})`);
+        await delay(500 * attempt);
+      }
+
+      try {
+        const audioUrl = URL.createObjectURL(await getOpenAISpeech(text, voice, speed, interval));
         // Create Audio object immediately and preload it
         const audio = new Audio(audioUrl);
         audio.preload = 'auto'; // Force preload
@@ -126,42 +152,199 @@ export async function generateQuestionAudios(questions, voice = 'alloy') {
         // Wait for it to be ready
         await new Promise((resolve, reject) => {
           audio.onloadeddata = () => {
-            console.log(`Audio ${i + 1} preloaded successfully, duration: ${audio.duration}s`);
+            console.log(`Audio ${index + 1} preloaded successfully, duration: ${audio.duration}s`);
             resolve();
           };
           audio.onerror = (e) => {
-            console.error(`Audio ${i + 1} preload failed:`, e);
+            console.error(`Audio ${index + 1} preload failed:`, e);
+            URL.revokeObjectURL(audioUrl);
             reject(e);
           };
           // Trigger load
           audio.load();
         });
 
-        audioObjects.push(audio);
-      } else {
-        console.warn(`No audio URL for question ${i + 1}`);
-        audioObjects.push(null);
+        return createAudioItem(audio);
+      } catch (error) {
+        console.error(`Failed to generate audio ${index + 1}:`, error);
       }
-    } catch (error) {
-      console.error(`Failed to generate audio ${i + 1}:`, error);
-      audioObjects.push(null);
     }
   }
 
-  console.log(`Created ${audioObjects.filter(a => a !== null).length} audio elements`);
-  return audioObjects;
+  if (!isSpeechSynthesisSupported()) {
+    console.warn(`No audio for question ${index + 1}`);
+    return null;
+  }
+
+  // Spoken by the browser when playback reaches it, not now
+  console.log(`🗣️ Question ${index + 1} will use browser speech`);
+  return createSpeechItem(text, { rate: speed, lang });
+}
+
+/**
+ * Start generating audio for all questions, a few at a time
+ * Each slot in the returned array holds a promise until its audio is ready,
+ * then the speakable item itself (or null if it failed), so playback can start
+ * on the first question while later ones are still generating.
+ * @param {array} questions - Array of formatted questions
+ * @param {string} voice - OpenAI voice to use
+ * @param {number} speed - Speech speed (default 0.95)
+ * @param {object} options
+ * @param {number} options.concurrency - Requests in flight at once (default 3)
+ * @param {number} options.retries - Extra attempts per failed question (default 1)
+ * @param {number} options.requestInterval - Minimum ms between server requests, to stay under
+ *   the server's rate limit on long sessions (default 0; a 429 is always waited out)
+ * @param {array} options.voices - Voice per question, overriding voice where set
+ * @param {array} options.indices - Only generate these questions (default: all)
+ * @param {array} options.previous - Slots to keep for the questions not in indices
+ * @param {string} options.lang - Locale of the questions, for browser speech (default en-US)
+ * @param {function} options.onProgress - Callback with { index, ready, failed, total } as each question settles
+ * @returns {array} - Audio slots, one per question
+ */
+export function startQuestionAudios(
+  questions,
+  voice = 'alloy',
+  speed = 0.95,
+  {
+    concurrency = 3,
+    retries = 1,
+    requestInterval = 0,
+    voices = [],
+    indices = questions.map((_, index) => index),
+    previous = [],
+    lang = 'en-US',
+    onProgress
+  } = {}
+) {
+  console.log(`Generating audio elements for ${indices.length} of ${questions.length} questions (${concurrency} at a time)...`);
+  const slots = questions.map((_, index) => previous[index] ?? null);
+  const starters = [];
+  let ready = 0;
+  let failed = 0;
+
+  indices.forEach((index) => {
+    const text = questions[index].question;
+    const questionVoice = voices[index] || voice;
+
+    slots[index] = new Promise((resolve) => {
+      starters.push(() => createQuestionItem(text, index, questionVoice, speed, retries, lang, requestInterval)
+        .catch((error) => {
+          console.error(`Failed to generate audio ${index + 1}:`, error);
+          return null;
+        })
+        .then((item) => {
+          slots[index] = item;
+          if (item) ready++;
+          else failed++;
+          if (onProgress) onProgress({ index, ready, failed, total: indices.length });
+          resolve(item);
+        }));
+    });
+  });
+
+  // Workers pull the next question in playback order until none are left
+  let next = 0;
+  const worker = async () => {
+    while (next < starters.length) {
+      await starters[next++]();
+    }
+  };
+  for (let i = 0; i < Math.min(concurrency, starters.length); i++) {
+    worker();
+  }
+
+  return slots;
+}
+
+/**
+ * Generate audio for all questions
+ * Creates actual Audio objects, not just URLs, for better mobile compatibility
+ * @param {array} questions - Array of formatted questions
+ * @param {string} voice - OpenAI voice to use
+ * @param {number} speed - Speech speed (default 0.95)
+ * @param {object} options - See startQuestionAudios
+ * @returns {Promise<array>} - Array of speakable items (audio preloaded and ready)
+ */
+export async function generateQuestionAudios(questions, voice = 'alloy', speed = 0.95, options) {
+  const items = await Promise.all(startQuestionAudios(questions, voice, speed, options));
+  console.log(`Created ${items.filter(a => a !== null).length} speakable items`);
+  return items;
+}
+
+/**
+ * Speak a sample with a voice and speed, for choosing settings
+ * @param {string} text - Sample text
+ * @param {string} voice - OpenAI voice
+ * @param {number} speed - Speech speed
+ * @returns {object} { promise, stop() } - promise resolves when the sample ends or is stopped
+ */
+export function previewVoice(text, voice = 'alloy', speed = 0.95) {
+  let audio = null;
+  let stopped = false;
+
+  const promise = (async () => {
+    if (isOpenAIAvailable()) {
+      try {
+        const audioUrl = URL.createObjectURL(await getOpenAISpeech(text, voice, speed));
+        if (!stopped) {
+          audio = new Audio(audioUrl);
+          await new Promise((resolve, reject) => {
+            audio.onended = resolve;
+            audio.onpause = resolve;
+            audio.onerror = reject;
+            audio.play().catch(reject);
+          });
+        }
+        URL.revokeObjectURL(audioUrl);
+        return;
+      } catch (error) {
+        console.error('Voice preview failed:', error);
+      }
+    }
+    if (!stopped) {
+      await generateBrowserSpeech(text, speed);
+    }
+  })();
+
+  return {
+    promise,
+    stop: () => {
+      stopped = true;
+      if (audio) audio.pause();
+      stopSpeech();
+    }
+  };
 }
 
 /**
  * Play preloaded audio objects with pause between questions
- * @param {array} audioObjects - Array of preloaded Audio objects
- * @param {number} pauseDuration - Pause between questions in ms (default 2000)
+ * @param {array} audioObjects - Speakable items, or the slots from startQuestionAudios
+ * @param {number|array} pauseDuration - Pause between questions in ms (default 2000),
+ *   or an array with the pause after each question
  * @param {function} onQuestionStart - Callback when each question starts
- * @param {function} onComplete - Callback when all questions finish
- * @returns {object} Control object with stop() method
+ * @param {function} onComplete - Callback when playback ends, with true when every question
+ *   was played and false when it was stopped
+ * @param {object} options
+ * @param {function} options.waitForAnswer - Interactive mode: called with the question index
+ *   after it plays; playback continues when the returned promise settles (replaces the pause)
+ * @param {number} options.startIndex - First question to play (default 0)
+ * @param {number} options.endIndex - Stop before this question (default: all of them)
+ * @param {number} options.loops - Play the range this many times (default 1)
+ * @param {function} options.onLoop - Callback with the loop number (1-based) when a new loop starts
+ * @param {string} options.browserVoice - Browser voice URI for speech items
+ * @param {object} options.ambient - Ambient layers to mix under the questions (see createAmbientMixer);
+ *   no audio context is opened until a layer is audible
+ * @returns {object} { promise, control } - control has stop(), pause(), resume(), next(), previous()
+ *   and setAmbient(layers)
  */
-export async function playQuestionsSequentially(audioObjects, pauseDuration = 2000, onQuestionStart, onComplete) {
-  console.log(`🎬 Starting iOS-compatible playback of ${audioObjects.length} questions`);
+export function playQuestionsSequentially(
+  audioObjects,
+  pauseDuration = 2000,
+  onQuestionStart,
+  onComplete,
+  { waitForAnswer, startIndex = 0, endIndex = audioObjects.length, loops = 1, onLoop, browserVoice = '', ambient } = {}
+) {
+  console.log(`🎬 Starting iOS-compatible playback of questions ${startIndex + 1}-${endIndex} (${loops} loop(s))`);
 
   // iOS FIX: Use a SINGLE audio element and swap sources to maintain user gesture context
   // This prevents iOS from blocking playback after pauses
@@ -170,42 +353,185 @@ export async function playQuestionsSequentially(audioObjects, pauseDuration = 20
   mainAudio.volume = 1.0;
   mainAudio.muted = false;
 
-  let currentIndex = 0;
-  let playbackComplete = false;
+  // Ambient bed and chimes play alongside mainAudio, ducked while a question is spoken
+  let mixer = hasAmbientLayers(ambient) ? createAmbientMixer(ambient) : null;
+
+  let currentIndex = startIndex;
+  let loop = 1;
   let aborted = false; // Flag to stop playback
+  let finished = false; // onComplete has run
+  let paused = false;
+  let step = 0; // Bumped on every jump so stale timers and answers are ignored
+  let gap = null; // Pending pause between questions: { timer, endsAt, remaining }
+  let waitingForAudio = false; // Current question's audio is still generating
+  let speaking = false; // Current question is browser speech rather than mainAudio
+  const settledSlots = new WeakMap(); // Generating slot -> its item, once ready
+  let playNextQuestion;
+
+  const pauseAfter = (index) => (Array.isArray(pauseDuration) ? pauseDuration[index] ?? 2000 : pauseDuration);
+
+  const clearGap = () => {
+    if (gap) {
+      clearTimeout(gap.timer);
+      gap = null;
+    }
+  };
+
+  const startGap = (ms) => {
+    const gapStep = step;
+    gap = {
+      endsAt: Date.now() + ms,
+      remaining: ms,
+      timer: setTimeout(() => {
+        gap = null;
+        if (gapStep === step) playNextQuestion();
+      }, ms)
+    };
+  };
+
+  // Silence whatever is playing right now
+  const haltCurrent = () => {
+    mainAudio.pause();
+    mixer?.duck(false);
+    if (speaking) {
+      speaking = false;
+      speechSynthesis.cancel();
+    }
+  };
 
-  // Control object to allow external stop
+  // During the pause between questions currentIndex already points at the upcoming one
+  const shownIndex = () => (gap ? currentIndex - 1 : currentIndex);
+
+  // Move to another question right away (next/previous), dropping any pending pause or answer
+  const jumpTo = (index) => {
+    if (aborted) return;
+    step++;
+    clearGap();
+    paused = false;
+    waitingForAudio = false;
+    haltCurrent();
+    currentIndex = Math.min(Math.max(index, startIndex), endIndex);
+    playNextQuestion();
+  };
+
+  // Control object to allow external stop and transport
   const control = {
     stop: () => {
       console.log('🛑 Playback stopped by user');
       aborted = true;
-      mainAudio.pause();
+      clearGap();
+      haltCurrent();
       mainAudio.currentTime = 0;
+      // Let the playback chain finish up
+      playNextQuestion();
+    },
+    pause: () => {
+      if (aborted || paused) return;
+      paused = true;
+      mixer?.pause();
+      if (gap) {
+        // Keep the rest of the pause between questions for resume
+        clearTimeout(gap.timer);
+        gap.remaining = Math.max(0, gap.endsAt - Date.now());
+        console.log(`⏸️ Paused with ${gap.remaining}ms of the pause left`);
+      } else if (speaking) {
+        speechSynthesis.pause();
+        console.log(`⏸️ Paused question ${currentIndex + 1}`);
+      } else if (!waitingForAudio) {
+        mainAudio.pause();
+        console.log(`⏸️ Paused question ${currentIndex + 1}`);
+      }
+    },
+    resume: () => {
+      if (aborted || !paused) return;
+      paused = false;
+      mixer?.resume();
+      if (gap) {
+        console.log('▶️ Resuming pause between questions');
+        startGap(gap.remaining);
+      } else if (speaking) {
+        console.log(`▶️ Resuming question ${currentIndex + 1}`);
+        speechSynthesis.resume();
+      } else if (!waitingForAudio) {
+        console.log(`▶️ Resuming question ${currentIndex + 1}`);
+        mainAudio.play().catch((err) => console.error('❌ Resume failed:', err));
+      }
+    },
+    next: () => {
+      console.log('⏭️ Next question');
+      jumpTo(shownIndex() + 1);
+    },
+    previous: () => {
+      console.log('⏮️ Previous question');
+      jumpTo(shownIndex() - 1);
+    },
+    isPaused: () => paused,
+    setAmbient: (layers) => {
+      if (mixer) {
+        mixer.update(layers);
+      } else if (hasAmbientLayers(layers) && !finished) {
+        // Turned on mid-session (from a settings click, so the browser lets it play)
+        mixer = createAmbientMixer(layers);
+        if (paused) mixer?.pause();
+      }
     },
     audio: mainAudio
   };
 
   const promise = new Promise((resolveAll) => {
-    const playNextQuestion = () => {
+    const finish = (completed) => {
+      if (finished) return;
+      finished = true;
+      mixer?.close();
+      if (onComplete) onComplete(completed);
+      resolveAll();
+    };
+
+    playNextQuestion = () => {
       // Check if playback was aborted
       if (aborted) {
         console.log('🛑 Playback aborted');
-        if (onComplete) onComplete();
-        resolveAll();
+        finish(false);
         return;
       }
 
-      if (currentIndex >= audioObjects.length || playbackComplete) {
-        console.log('🎉 All questions completed');
-        if (onComplete) onComplete();
-        resolveAll();
-        return;
+      if (currentIndex >= endIndex) {
+        if (loop < loops) {
+          loop++;
+          currentIndex = startIndex;
+          console.log(`🔁 Starting loop ${loop}/${loops}`);
+          if (onLoop) onLoop(loop);
+        } else {
+          console.log('🎉 All questions completed');
+          finish(true);
+          return;
+        }
       }
 
-      const sourceAudio = audioObjects[currentIndex];
+      const slot = audioObjects[currentIndex];
+      const item = settledSlots.has(slot) ? settledSlots.get(slot) : slot;
       console.log(`\n========== Question ${currentIndex + 1}/${audioObjects.length} ==========`);
 
-      if (!sourceAudio) {
+      // Still generating: wait for this question's audio, then carry on
+      if (item && typeof item.then === 'function') {
+        const waitStep = step;
+        console.log(`⏳ Waiting for audio ${currentIndex + 1} to finish generating`);
+        waitingForAudio = true;
+        item.then((ready) => {
+          settledSlots.set(item, ready);
+          if (waitStep !== step || aborted) return;
+          waitingForAudio = false;
+          if (paused) {
+            // Paused while waiting: start this question on resume
+            gap = { timer: null, endsAt: Date.now(), remaining: 0 };
+          } else {
+            playNextQuestion();
+          }
+        });
+        return;
+      }
+
+      if (!item) {
         console.warn(`⚠️ Audio ${currentIndex + 1} is null, skipping`);
         currentIndex++;
         playNextQuestion();
@@ -216,36 +542,80 @@ export async function playQuestionsSequentially(audioObjects, pauseDuration = 20
         onQuestionStart(currentIndex);
       }
 
-      // Set source from the preloaded audio blob
-      mainAudio.src = sourceAudio.src;
-      console.log(`📥 Loaded audio ${currentIndex + 1}, duration: ${sourceAudio.duration}s`);
+      const questionStep = step;
 
-      // When this question ends, play next after pause
-      mainAudio.onended = () => {
+      // When this question ends, play next after pause (or after the user's answer)
+      const handleEnded = () => {
+        if (questionStep !== step || aborted) return;
+        speaking = false;
+        mixer?.duck(false);
         console.log(`✅ Question ${currentIndex + 1} completed`);
+
+        if (waitForAnswer) {
+          console.log(`🎙️ Waiting for answer to question ${currentIndex + 1}`);
+          Promise.resolve(waitForAnswer(currentIndex))
+            .catch((err) => console.error('❌ Answer capture failed:', err))
+            .then(() => {
+              // Skipped away (or stopped) while the answer was being captured
+              if (questionStep !== step) return;
+              currentIndex++;
+              if (paused) {
+                // Paused while answering: continue straight away on resume
+                gap = { timer: null, endsAt: Date.now(), remaining: 0 };
+              } else {
+                playNextQuestion();
+              }
+            });
+          return;
+        }
+
+        const pause = pauseAfter(currentIndex);
         currentIndex++;
 
-        if (currentIndex < audioObjects.length) {
-          console.log(`⏸️ Pausing ${pauseDuration}ms before next question`);
+        const lastOfLoop = currentIndex >= endIndex;
+        if (!lastOfLoop || loop < loops) {
+          console.log(`⏸️ Pausing ${pause}ms before next question`);
+          mixer?.chime();
           // Schedule next play IMMEDIATELY in same call stack to maintain user gesture
-          setTimeout(() => playNextQuestion(), pauseDuration);
+          startGap(pause);
         } else {
           playNextQuestion(); // No more questions
         }
       };
 
-      mainAudio.onerror = (e) => {
+      const handleError = (e) => {
+        if (questionStep !== step || aborted) return;
+        speaking = false;
+        mixer?.duck(false);
         console.error(`❌ Error playing question ${currentIndex + 1}:`, e);
         currentIndex++;
         playNextQuestion();
       };
 
+      // Browser speech goes through the same ending, pause and skip handling
+      if (item.type === 'speech') {
+        console.log(`🗣️ Speaking question ${currentIndex + 1} with browser speech`);
+        speaking = true;
+        mixer?.duck(true);
+        speakItem(item, { voiceURI: browserVoice, onEnd: handleEnded, onError: handleError });
+        return;
+      }
+
+      // Set source from the preloaded audio blob
+      mainAudio.src = item.audio.src;
+      console.log(`📥 Loaded audio ${currentIndex + 1}, duration: ${item.audio.duration}s`);
+      mainAudio.onended = handleEnded;
+      mainAudio.onerror = handleError;
+      mixer?.duck(true);
+
       // Play immediately - this maintains the user gesture context chain
       const playPromise = mainAudio.play();
       if (playPromise) {
         playPromise
           .then(() => console.log(`▶️ Question ${currentIndex + 1} playing`))
           .catch((err) => {
+            // A jump or pause interrupts the play() request; that is not a failure
+            if (questionStep !== step || aborted || paused) return;
             console.error(`❌ Play failed for question ${currentIndex + 1}:`, err);
             currentIndex++;
             playNextQuestion();
@@ -263,12 +633,19 @@ export async function playQuestionsSequentially(audioObjects, pauseDuration = 20
 
 /**
  * Clean up audio objects and revoke blob URLs to prevent memory leaks
- * @param {array} audioObjects - Array of Audio objects to clean up
+ * @param {array} audioObjects - Speakable items (or slots) to clean up
  */
 export function cleanupAudioObjects(audioObjects) {
   if (!audioObjects || audioObjects.length === 0) return;
 
-  audioObjects.forEach((audio, index) => {
+  audioObjects.forEach((item, index) => {
+    // Still generating: clean up once it arrives
+    if (item && typeof item.then === 'function') {
+      item.then((ready) => cleanupAudioObjects([ready]));
+      return;
+    }
+    // Browser speech holds no resources
+    const audio = item?.type === 'audio' ? item.audio : null;
     if (audio && audio.src) {
       // Revoke the blob URL to free memory
       URL.revokeObjectURL(audio.src);
@@ -290,20 +667,22 @@ export function stopSpeech() {
 
 /**
  * Check if OpenAI API is available
+ * The key lives on the API server; set VITE_DISABLE_SERVER_TTS to use browser speech only
  * @returns {boolean}
  */
 export function isOpenAIAvailable() {
-  return !!import.meta.env.VITE_OPENAI_API_KEY;
+  return !import.meta.env.VITE_DISABLE_SERVER_TTS;
 }
 
 /**
  * Available OpenAI voices
  */
+// Descriptions are in the i18n catalogs (voice.description.<id>)
 export const AVAILABLE_VOICES = [
-  { id: 'alloy', name: 'Alloy', description: 'Neutral and balanced' },
-  { id: 'echo', name: 'Echo', description: 'Calm and professional' },
-  { id: 'fable', name: 'Fable', description: 'Warm and expressive' },
-  { id: 'onyx', name: 'Onyx', description: 'Deep and authoritative' },
-  { id: 'nova', name: 'Nova', description: 'Bright and energetic' },
-  { id: 'shimmer', name: 'Shimmer', description: 'Soft and gentle' }
+  { id: 'alloy', name: 'Alloy' },
+  { id: 'echo', name: 'Echo' },
+  { id: 'fable', name: 'Fable' },
+  { id: 'onyx', name: 'Onyx' },
+  { id: 'nova', name: 'Nova' },
+  { id: 'shimmer', name: 'Shimmer' }
 ];
@@ -8,6 +8,12 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'mask-icon.svg'],
+      // Precache the app shell so a session replays from the audio cache with no network
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,webmanifest}'],
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/api\//]
+      },
       manifest: {
         name: 'Quantum Linguistics',
         short_name: 'QuantumLing',
@@ -30,4 +36,10 @@ export default defineConfig({
       }
     })
   ],
+  server: {
+    // Forward API calls to the local API server (npm run server)
+    proxy: {
+      '/api': 'http://localhost:8787'
+    }
+  },
 })